@@ -7,13 +7,19 @@ import Settings from './components/Settings';
 import QuickCapture from './components/QuickCapture';
 import PomodoroTimer from './components/PomodoroTimer';
 import CalendarView from './components/CalendarView';
+import SearchWidget from './components/SearchWidget';
+import RewardShop from './components/RewardShop';
 import PlaceholderWidget from './components/PlaceholderWidget';
 import { initSoundEffects, toggleSound, playSound } from './utils/soundEffects';
+import { applyXPChange, createDefaultProfile, getXPRequiredForLevel } from './utils/xpSystem';
+import { getXPPolicy, getQuestXP, recomputeXP } from './utils/xpPolicy';
+import { ensureLedger, appendToLedger, getLedgerTotal, getLedgerPrestige, describeXPChanges } from './utils/xpLedger';
 import './styles/global.css';
 
 function App() {
   const [showLanding, setShowLanding] = useState(true);
   const [currentWidget, setCurrentWidget] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
   const [completedQuests, setCompletedQuests] = useState([]);
   const [settings, setSettings] = useState({
     themeColor: '#00FF00',
@@ -96,21 +102,36 @@ function App() {
   // Handle widget selection with sound
   const handleSelectWidget = (widgetId) => {
     playSound('click');
+    if (widgetId === 'search') setSearchQuery('');
     setCurrentWidget(widgetId);
   };
 
+  // Pinned searches open the search widget with their query filled in
+  const handleOpenSearch = (query) => {
+    playSound('click');
+    setSearchQuery(query);
+    setCurrentWidget('search');
+  };
+
   // Handle back to arcade with sound
   const handleBackToArcade = () => {
     playSound('click');
     setCurrentWidget(null);
   };
 
+  // Quests made from QuickCapture notes wait in a queue that Dashboard
+  // works through as soon as it opens
+  const handleOpenQuestBoard = () => {
+    playSound('click');
+    setCurrentWidget('task-crusher');
+  };
+
   // Handle completing a quest
   const handleCompleteQuest = (task) => {
     const completedQuest = {
       ...task,
       completedAt: new Date().toISOString(),
-      xpEarned: task.subtasks.length * 10,
+      xpEarned: getQuestXP(task),
       wasSpeedrun: false,
       totalTime: null
     };
@@ -174,22 +195,75 @@ function App() {
 
   // Handle reset XP
   const handleResetXP = () => {
+    // The reset is written to the XP ledger, which the total and prestige stars come from
+    const ledger = ensureLedger();
+    const ledgerTotal = getLedgerTotal(ledger);
+    if (ledgerTotal > 0 || getLedgerPrestige(ledger) > 0) {
+      appendToLedger([{ source: 'reset', xp: -ledgerTotal, label: 'Reset XP & level' }]);
+    }
+    
     const profile = JSON.parse(localStorage.getItem('adhd_quest_profile') || '{}');
     profile.totalXP = 0;
     profile.level = 1;
     profile.currentLevelXP = 0;
-    profile.xpToNextLevel = 200;
+    profile.xpToNextLevel = getXPRequiredForLevel(2, getXPPolicy().levelCurve);
     profile.subtasksCompleted = 0;
+    profile.prestige = 0;
     localStorage.setItem('adhd_quest_profile', JSON.stringify(profile));
     
     alert('XP and Level reset! Refresh the page to see changes.');
   };
 
+  // Work out all XP earned so far again under an XP policy, updating every
+  // step, the quest log and the profile total
+  // Returns: { totalXP, previousTotal }
+  const handleRecalculateXP = (policy) => {
+    let tasks = [];
+    try {
+      tasks = JSON.parse(localStorage.getItem('adhd_quest_tasks') || '[]');
+    } catch (e) {
+      console.error('Error loading tasks:', e);
+    }
+    
+    const ledger = ensureLedger();
+    const result = recomputeXP(tasks, completedQuests, policy);
+    localStorage.setItem('adhd_quest_tasks', JSON.stringify(result.tasks));
+    setCompletedQuests(result.completedQuests);
+    
+    // Each step's change goes in the XP ledger, plus whatever else it takes
+    // to bring the ledger to the new total (e.g. XP taken away by a reset)
+    const label = 'Recalculated under new XP rules';
+    const changes = describeXPChanges(
+      [...tasks, ...completedQuests],
+      [...result.tasks, ...result.completedQuests],
+      'recalculate'
+    ).map(change => ({ ...change, label }));
+    const rest = result.totalXP - getLedgerTotal(ledger) - changes.reduce((sum, change) => sum + change.xp, 0);
+    appendToLedger(rest !== 0 ? [...changes, { source: 'recalculate', xp: rest, label }] : changes);
+    
+    let profile = createDefaultProfile(policy.levelCurve);
+    try {
+      profile = JSON.parse(localStorage.getItem('adhd_quest_profile')) || profile;
+    } catch (e) {
+      console.error('Error loading profile:', e);
+    }
+    const updated = applyXPChange({ ...profile, totalXP: 0 }, result.totalXP, 0, policy.levelCurve);
+    localStorage.setItem('adhd_quest_profile', JSON.stringify(updated));
+    
+    return { totalXP: result.totalXP, previousTotal: result.previousTotal };
+  };
+
   // Render appropriate widget
   const renderWidget = () => {
     switch (currentWidget) {
       case 'task-crusher':
-        return <Dashboard onCompleteQuest={handleCompleteQuest} />;
+        return (
+          <Dashboard
+            onCompleteQuest={handleCompleteQuest}
+            onUncompleteQuest={handleDeleteCompleted}
+            completedQuests={completedQuests}
+          />
+        );
       
       case 'completed-quests':
         return (
@@ -207,6 +281,7 @@ function App() {
             onUpdateSettings={handleUpdateSettings}
             onResetAll={handleResetAll}
             onResetXP={handleResetXP}
+            onRecalculateXP={handleRecalculateXP}
           />
         );
       
@@ -214,11 +289,17 @@ function App() {
         return <PomodoroTimer />;
 
       case 'quick-capture':
-        return <QuickCapture />;
+        return <QuickCapture onOpenQuestBoard={handleOpenQuestBoard} />;
 
       case 'calendar':
         return <CalendarView />;
 
+      case 'search':
+        return <SearchWidget initialQuery={searchQuery} onOpenWidget={handleSelectWidget} />;
+
+      case 'reward-shop':
+        return <RewardShop />;
+
       default:
         return <PlaceholderWidget name="UNKNOWN" icon="❓" description="Widget not found" />;
     }
@@ -237,6 +318,7 @@ function App() {
       <div className={`App ${settings.scanlines ? 'scanlines' : ''}`}>
         <WidgetLibrary
           onSelectWidget={handleSelectWidget}
+          onOpenSearch={handleOpenSearch}
           userSettings={settings}
         />
       </div>
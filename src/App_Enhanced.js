@@ -43,6 +43,7 @@ import notificationService from './services/notificationService';
 // Utils
 import { initSoundEffects, toggleSound, playSound } from './utils/soundEffects';
 import { recordActivity, getStreakStats } from './utils/streakTracker';
+import { getLeafSteps } from './utils/subtaskTree';
 import { isSupabaseConfigured } from './config/supabase';
 
 import './styles/global.css';
@@ -224,7 +225,7 @@ function App() {
     const completedQuest = {
       ...task,
       completedAt: new Date().toISOString(),
-      xpEarned: task.subtasks.length * 10,
+      xpEarned: getLeafSteps(task.subtasks).length * 10,
       wasSpeedrun: false,
       totalTime: null
     };
@@ -25,7 +25,7 @@ function AchievementsEnhanced({ profile, completedQuests, onBack }) {
   const [unlockedIds, setUnlockedIds] = useState([]);
   const [newlyUnlocked, setNewlyUnlocked] = useState(null);
 
-  const categories = ['all', 'speed', 'completion', 'mastery', 'productivity', 'special'];
+  const categories = ['all', 'speed', 'completion', 'mastery', 'prestige', 'productivity', 'special'];
 
   useEffect(() => {
     loadAchievements();
@@ -47,6 +47,7 @@ function AchievementsEnhanced({ profile, completedQuests, onBack }) {
       completedQuests: completedQuests || [],
       totalXP: profile?.totalXP || 0,
       level: profile?.level || 1,
+      prestige: profile?.prestige || 0,
       tasksCompleted: profile?.tasksCompleted || 0,
       subtasksCompleted: profile?.subtasksCompleted || 0,
     };
@@ -67,6 +68,7 @@ function AchievementsEnhanced({ profile, completedQuests, onBack }) {
       completedQuests: completedQuests || [],
       totalXP: profile?.totalXP || 0,
       level: profile?.level || 1,
+      prestige: profile?.prestige || 0,
       tasksCompleted: profile?.tasksCompleted || 0,
       subtasksCompleted: profile?.subtasksCompleted || 0,
     };
@@ -108,6 +110,7 @@ function AchievementsEnhanced({ profile, completedQuests, onBack }) {
       speed: '⚡',
       completion: '✅',
       mastery: '👑',
+      prestige: '🌠',
       productivity: '📊',
       special: '⭐',
     };
@@ -10,6 +10,7 @@ const Badges = ({ userData }) => {
     { id: 'completion', name: 'COMPLETION', icon: '🎯' },
     { id: 'speed', name: 'SPEED', icon: '⚡' },
     { id: 'mastery', name: 'MASTERY', icon: '🎓' },
+    { id: 'prestige', name: 'PRESTIGE', icon: '🌠' },
     { id: 'productivity', name: 'PRODUCTIVITY', icon: '💪' }
   ];
   
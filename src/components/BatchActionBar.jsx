@@ -0,0 +1,164 @@
+/**
+ * Batch Action Bar
+ *
+ * Shown in TaskList while quests are being selected. Picks quests by tag,
+ * priority or overdue date and acts on every selected quest at once.
+ */
+
+import React, { useState } from 'react';
+import { getAllTags, matchesFilter, normalizeTag } from '../utils/batchActions';
+import { NO_PROJECT } from '../utils/projects';
+import '../styles/batchactionbar.css';
+
+const BatchActionBar = ({ tasks, projects = [], selectedIds, onSelectionChange, onAction, onClose }) => {
+  const [dueDate, setDueDate] = useState('');
+  const [tagText, setTagText] = useState('');
+
+  const tags = getAllTags(tasks);
+  const count = selectedIds.length;
+  const noun = count === 1 ? 'quest' : 'quests';
+
+  // Filters are encoded as 'tag:<tag>', 'priority:<level>' or 'overdue'
+  const handleSelectWhere = (value) => {
+    const [kind, ...rest] = value.split(':');
+    const filter = kind === 'overdue' ? { overdue: true } : { [kind]: rest.join(':') };
+    onSelectionChange(tasks.filter(task => matchesFilter(task, filter)).map(task => task.id));
+  };
+
+  const handleTag = (type) => {
+    const tag = normalizeTag(tagText);
+    if (!tag) return;
+    onAction({ type, tag });
+    setTagText('');
+  };
+
+  const handleArchive = () => {
+    if (window.confirm(`Archive ${count} ${noun}? You keep the XP you earned and can restore them from the archive.`)) {
+      onAction({ type: 'archive' });
+      onSelectionChange([]);
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete ${count} ${noun} and all their steps?`)) {
+      onAction({ type: 'delete' });
+      onSelectionChange([]);
+    }
+  };
+
+  return (
+    <div className="batch-bar" role="toolbar" aria-label="Act on selected quests">
+      <div className="batch-bar-row">
+        <span className="batch-bar-count">☑ {count} SELECTED</span>
+        <button className="batch-btn" onClick={() => onSelectionChange(tasks.map(task => task.id))}>
+          ALL
+        </button>
+        <button className="batch-btn" onClick={() => onSelectionChange([])} disabled={count === 0}>
+          NONE
+        </button>
+        <select
+          className="batch-select"
+          value=""
+          onChange={(e) => handleSelectWhere(e.target.value)}
+          aria-label="Select quests by tag, priority or due date"
+        >
+          <option value="" disabled>Select by...</option>
+          <option value="overdue">⚠ Overdue</option>
+          <optgroup label="Priority">
+            <option value="priority:high">High priority</option>
+            <option value="priority:medium">Medium priority</option>
+            <option value="priority:low">Low priority</option>
+          </optgroup>
+          {tags.length > 0 && (
+            <optgroup label="Tag">
+              {tags.map(tag => (
+                <option key={tag} value={`tag:${tag}`}>#{tag}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        <button className="batch-btn batch-bar-close" onClick={onClose} title="Stop selecting">
+          ✕ DONE
+        </button>
+      </div>
+
+      <fieldset className="batch-bar-row batch-bar-actions" disabled={count === 0}>
+        <div className="batch-field">
+          <input
+            type="date"
+            className="batch-input"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            aria-label="New due date"
+          />
+          <button className="batch-btn" onClick={() => onAction({ type: 'reschedule', dueDate: dueDate || null })}>
+            {dueDate ? '📅 RESCHEDULE' : '📅 CLEAR DATE'}
+          </button>
+        </div>
+
+        <select
+          className="batch-select"
+          value=""
+          onChange={(e) => onAction({ type: 'priority', priority: e.target.value })}
+          aria-label="Set priority"
+        >
+          <option value="" disabled>Set priority...</option>
+          <option value="high">High</option>
+          <option value="medium">Medium</option>
+          <option value="low">Low</option>
+        </select>
+
+        {projects.length > 0 && (
+          <select
+            className="batch-select"
+            value=""
+            onChange={(e) => onAction({ type: 'project', projectId: e.target.value === NO_PROJECT ? null : e.target.value })}
+            aria-label="Move to project"
+          >
+            <option value="" disabled>Move to project...</option>
+            {projects.map(project => (
+              <option key={project.id} value={project.id}>{project.icon} {project.name}</option>
+            ))}
+            <option value={NO_PROJECT}>No project</option>
+          </select>
+        )}
+
+        <div className="batch-field">
+          <input
+            type="text"
+            className="batch-input"
+            value={tagText}
+            onChange={(e) => setTagText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleTag('addTag');
+            }}
+            placeholder="#tag"
+            list="batch-tag-options"
+            aria-label="Tag to add or remove"
+          />
+          <datalist id="batch-tag-options">
+            {tags.map(tag => <option key={tag} value={tag} />)}
+          </datalist>
+          <button className="batch-btn" onClick={() => handleTag('addTag')} disabled={!normalizeTag(tagText)}>
+            + TAG
+          </button>
+          <button className="batch-btn" onClick={() => handleTag('removeTag')} disabled={!normalizeTag(tagText)}>
+            − TAG
+          </button>
+        </div>
+
+        <button className="batch-btn" onClick={() => onAction({ type: 'templates' })}>
+          📋 SAVE AS TEMPLATES
+        </button>
+        <button className="batch-btn" onClick={handleArchive}>
+          🗄 ARCHIVE
+        </button>
+        <button className="batch-btn" onClick={handleDelete}>
+          ✕ DELETE
+        </button>
+      </fieldset>
+    </div>
+  );
+};
+
+export default BatchActionBar;
@@ -1,4 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { format, startOfMonth, endOfMonth } from 'date-fns';
+import { getRecurringOccurrencesByDate, describeRecurrence } from '../utils/recurrenceEngine';
+import { STATUS_LABELS, getTaskStatus, isActiveTask } from '../utils/taskStatus';
+import { ALL_PROJECTS, NO_PROJECT, loadProjects, getLiveProjects, filterByProject, getTaskProject } from '../utils/projects';
 import '../styles/calendar.css';
 
 const CalendarView = () => {
@@ -7,6 +11,8 @@ const CalendarView = () => {
   const [completedQuests, setCompletedQuests] = useState([]);
   const [selectedDate, setSelectedDate] = useState(null);
   const [view, setView] = useState('month'); // 'month' or 'week'
+  const [projects] = useState(() => getLiveProjects(loadProjects()));
+  const [projectFilter, setProjectFilter] = useState(ALL_PROJECTS);
 
   // Load tasks and completed quests
   useEffect(() => {
@@ -53,29 +59,48 @@ const CalendarView = () => {
     return days;
   };
 
+  // Archived quests are off the schedule until they are restored
+  const activeTasks = useMemo(
+    () => filterByProject(tasks.filter(isActiveTask), projectFilter, projects),
+    [tasks, projectFilter, projects]
+  );
+  const shownCompleted = useMemo(
+    () => filterByProject(completedQuests, projectFilter, projects),
+    [completedQuests, projectFilter, projects]
+  );
+
+  // Expand recurring tasks into their future occurrences for the visible month
+  const recurringByDate = useMemo(() => {
+    return getRecurringOccurrencesByDate(activeTasks, startOfMonth(currentDate), endOfMonth(currentDate));
+  }, [activeTasks, currentDate]);
+
   const getTasksForDate = (date) => {
-    if (!date) return [];
+    if (!date) return { active: [], completed: [], upcoming: [] };
 
-    const dateStr = date.toISOString().split('T')[0];
+    const dateStr = format(date, 'yyyy-MM-dd');
 
     // Get active tasks with target dates
-    const activeTasks = tasks.filter(task => {
-      if (task.targetDate) {
-        return task.targetDate === dateStr;
+    const datedTasks = activeTasks.filter(task => {
+      const scheduledDate = task.targetDate || task.dueDate;
+      if (scheduledDate) {
+        return scheduledDate === dateStr;
       }
       return false;
     });
 
+    // Get projected occurrences of recurring tasks (excluding the current instance)
+    const upcoming = (recurringByDate[dateStr] || []).filter(task => !datedTasks.includes(task));
+
     // Get completed quests on this date
-    const completed = completedQuests.filter(quest => {
+    const completed = shownCompleted.filter(quest => {
       if (quest.completedAt) {
-        const completedDate = new Date(quest.completedAt).toISOString().split('T')[0];
+        const completedDate = format(new Date(quest.completedAt), 'yyyy-MM-dd');
         return completedDate === dateStr;
       }
       return false;
     });
 
-    return { active: activeTasks, completed };
+    return { active: datedTasks, completed, upcoming };
   };
 
   const isToday = (date) => {
@@ -128,6 +153,20 @@ const CalendarView = () => {
         <button className="today-btn" onClick={goToToday}>
           TODAY
         </button>
+        {projects.length > 0 && (
+          <select
+            className="cal-project-filter"
+            value={projectFilter}
+            onChange={(e) => setProjectFilter(e.target.value)}
+            aria-label="Show quests from a project"
+          >
+            <option value={ALL_PROJECTS}>ALL PROJECTS</option>
+            {projects.map(project => (
+              <option key={project.id} value={project.id}>{project.icon} {project.name}</option>
+            ))}
+            <option value={NO_PROJECT}>NO PROJECT</option>
+          </select>
+        )}
       </div>
 
       <div className="calendar-grid">
@@ -140,8 +179,12 @@ const CalendarView = () => {
 
         {/* Calendar days */}
         {days.map((date, index) => {
-          const tasksOnDate = date ? getTasksForDate(date) : { active: [], completed: [] };
-          const hasEvents = date && (tasksOnDate.active.length > 0 || tasksOnDate.completed.length > 0);
+          const tasksOnDate = getTasksForDate(date);
+          const hasEvents = date && (
+            tasksOnDate.active.length > 0 ||
+            tasksOnDate.completed.length > 0 ||
+            tasksOnDate.upcoming.length > 0
+          );
           const isSelected = selectedDate && date &&
             selectedDate.toDateString() === date.toDateString();
 
@@ -170,6 +213,11 @@ const CalendarView = () => {
                           ✓{tasksOnDate.completed.length}
                         </span>
                       )}
+                      {tasksOnDate.upcoming.length > 0 && (
+                        <span className="indicator recurring" title={`${tasksOnDate.upcoming.length} recurring`}>
+                          ↻{tasksOnDate.upcoming.length}
+                        </span>
+                      )}
                     </div>
                   )}
                 </>
@@ -191,7 +239,9 @@ const CalendarView = () => {
             })}
           </h3>
 
-          {selectedDateTasks.active.length === 0 && selectedDateTasks.completed.length === 0 && (
+          {selectedDateTasks.active.length === 0 &&
+            selectedDateTasks.completed.length === 0 &&
+            selectedDateTasks.upcoming.length === 0 && (
             <p className="no-events">No quests for this date</p>
           )}
 
@@ -199,13 +249,36 @@ const CalendarView = () => {
             <div className="tasks-section">
               <h4>⚡ ACTIVE QUESTS ({selectedDateTasks.active.length})</h4>
               <ul className="task-list">
-                {selectedDateTasks.active.map(task => (
-                  <li key={task.id} className="task-item active">
-                    <div className="task-icon">🎯</div>
+                {selectedDateTasks.active.map(task => {
+                  const project = getTaskProject(projects, task);
+                  return (
+                    <li key={task.id} className="task-item active">
+                      <div className="task-icon">🎯</div>
+                      <div className="task-info">
+                        <div className="task-name">{task.name || task.title}</div>
+                        <div className="task-meta">
+                          {STATUS_LABELS[getTaskStatus(task)]} • {task.subtasks?.length || 0} subtasks • Priority: {task.priority || 'Normal'}
+                          {project && ` • ${project.icon} ${project.name}`}
+                        </div>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+
+          {selectedDateTasks.upcoming.length > 0 && (
+            <div className="tasks-section">
+              <h4>↻ RECURRING QUESTS ({selectedDateTasks.upcoming.length})</h4>
+              <ul className="task-list">
+                {selectedDateTasks.upcoming.map(task => (
+                  <li key={task.id} className="task-item recurring">
+                    <div className="task-icon">🔁</div>
                     <div className="task-info">
-                      <div className="task-name">{task.name}</div>
+                      <div className="task-name">{task.title}</div>
                       <div className="task-meta">
-                        {task.subtasks?.length || 0} subtasks • Priority: {task.priority || 'Normal'}
+                        {describeRecurrence(task.recurring)}
                       </div>
                     </div>
                   </li>
@@ -222,7 +295,7 @@ const CalendarView = () => {
                   <li key={quest.id} className="task-item completed">
                     <div className="task-icon">🏆</div>
                     <div className="task-info">
-                      <div className="task-name">{quest.name}</div>
+                      <div className="task-name">{quest.name || quest.title}</div>
                       <div className="task-meta">
                         {quest.xpEarned || 0} XP earned
                       </div>
@@ -251,13 +324,17 @@ const CalendarView = () => {
             <span className="legend-box completed-box">✓</span>
             <span>Completed Quests</span>
           </div>
+          <div className="legend-item">
+            <span className="legend-box recurring-box">↻</span>
+            <span>Recurring Quests</span>
+          </div>
         </div>
       </div>
 
       {/* Info */}
       <div className="calendar-info">
         <p>💡 TIP: Click on any date to view quests scheduled for that day</p>
-        <p>⚠️ NOTE: Calendar shows tasks with target dates and completed quests</p>
+        <p>⚠️ NOTE: Calendar shows tasks with due dates, upcoming recurring quests and completed quests</p>
       </div>
     </div>
   );
@@ -2,22 +2,141 @@ import React, { useState, useEffect } from 'react';
 import XPBar from './XPBar';
 import TaskInput from './TaskInput';
 import TaskList from './TaskList';
+import FocusMode from './FocusMode';
+import ProjectPanel from './ProjectPanel';
+import WeeklyReview from './WeeklyReview';
 import { generateSubtasks } from '../services/aiService';
-import { getLevelFromXP, awardXP, createDefaultProfile, XP_PER_SUBTASK } from '../utils/xpSystem';
+import { recordBreakdowns } from '../services/stepPreferences';
+import { takeQueuedQuest, saveTemplate, removeTemplates } from '../utils/captureInbox';
+import { applyBatchAction, taskToTemplate } from '../utils/batchActions';
+import {
+  initialStatus,
+  getTaskStatus,
+  isActiveTask,
+  changeTaskStatus,
+  syncProgressStatus,
+  restoreTask
+} from '../utils/taskStatus';
+import { awardXP, applyXPChange, createDefaultProfile, prestigeProfile } from '../utils/xpSystem';
+import { getRankForLevel, formatPrestige } from '../utils/rankSystem';
+import { getXPPolicy, calculateStepXP, getEarnedXP, sumEarnedXP, sumStreakXP, isFirstStepOfDay } from '../utils/xpPolicy';
+import {
+  recordActivity,
+  getStreakMultiplier,
+  getStreakXPBonus,
+  exportStreakData,
+  restoreStreakData
+} from '../utils/streakTracker';
+import {
+  ensureLedger,
+  appendToLedger,
+  getLedgerTotal,
+  getLedgerPrestige,
+  describeStepAward,
+  describeStepXP,
+  balanceEntries
+} from '../utils/xpLedger';
+import {
+  createHistory,
+  diffTasks,
+  applyTaskChanges,
+  diffTimers,
+  applyTimerChanges,
+  isEmptyCommand,
+  pushCommand,
+  undoCommand,
+  redoCommand,
+  updateTaskChanges,
+  dropCommand
+} from '../utils/undoHistory';
+import {
+  parseRecurrenceRule,
+  spawnNextInstance,
+  rollOverRecurringTasks,
+  formatOccurrenceDate
+} from '../utils/recurrenceEngine';
+import {
+  createSubtask,
+  findSubtask,
+  hasChildren,
+  getLeafProgress,
+  getLeafSteps,
+  getSubtaskPath,
+  updateSubtask,
+  removeSubtask,
+  addChildSteps
+} from '../utils/subtaskTree';
+import {
+  isBlocked,
+  describeRef,
+  addDependency,
+  removeDependency,
+  pruneDependencies
+} from '../utils/taskDependencies';
+import { moveTask, moveSubtask } from '../utils/taskOrdering';
+import { recordStepTime } from '../utils/timeEstimates';
+import {
+  loadProjects,
+  saveProjects,
+  getLiveProjects,
+  createProject,
+  updateProject,
+  deleteProject
+} from '../utils/projects';
+import {
+  isSnoozed,
+  snoozeTask,
+  wakeTask,
+  getWeeklyReview,
+  keepTask,
+  loadLastReview,
+  markReviewed,
+  isReviewDue
+} from '../utils/snooze';
 import '../styles/dashboard.css';
 
-const Dashboard = ({ onCompleteQuest, settings }) => {
+// The lines of a step's XP award, as listed in the level-up modal
+const itemizeStepAward = ({ xp, streakXP, breakdown }, streak) => [
+  { label: 'Step checked off', xp: xp - streakXP - breakdown.bonus },
+  { label: `🔥 ${streak}-day streak ×${breakdown.streak}`, xp: streakXP },
+  { label: 'First step today', xp: breakdown.bonus }
+].filter(item => item.xp > 0);
+
+// Record today's activity, noting the streak before and after so the command
+// that earned it can take it back on undo
+// Returns: { currentStreak, streakChange } (streakChange is null if today already counted)
+const recordStreakActivity = () => {
+  const before = exportStreakData();
+  const { currentStreak } = recordActivity();
+  const after = exportStreakData();
+  return {
+    currentStreak,
+    streakChange: JSON.stringify(before) === JSON.stringify(after) ? null : { before, after }
+  };
+};
+
+const Dashboard = ({ onCompleteQuest, onUncompleteQuest, completedQuests = [], settings }) => {
   const [tasks, setTasks] = useState([]);
-  const [userProfile, setUserProfile] = useState(createDefaultProfile());
+  const [projects, setProjects] = useState(loadProjects);
+  const [xpPolicy] = useState(getXPPolicy);
+  const [userProfile, setUserProfile] = useState(() => createDefaultProfile(xpPolicy.levelCurve));
   const [isLoading, setIsLoading] = useState(false);
   const [showLevelUpModal, setShowLevelUpModal] = useState(false);
   const [levelUpData, setLevelUpData] = useState(null);
   const [speedrunTimers, setSpeedrunTimers] = useState({});
+  const [generatingTaskId, setGeneratingTaskId] = useState(null);
+  const [focusTaskId, setFocusTaskId] = useState(null);
+  const [history, setHistory] = useState(createHistory);
+  const [toast, setToast] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+  const [lastReview, setLastReview] = useState(loadLastReview);
+  const generationController = React.useRef(null);
 
   // Track initial mount to prevent saving on first render
   const isInitialMountTasks = React.useRef(true);
   const isInitialMountProfile = React.useRef(true);
   const isInitialMountTimers = React.useRef(true);
+  const isInitialMountProjects = React.useRef(true);
 
   // Load data from localStorage on mount
   useEffect(() => {
@@ -27,15 +146,21 @@ const Dashboard = ({ onCompleteQuest, settings }) => {
 
     if (savedTasks) {
       try {
-        setTasks(JSON.parse(savedTasks));
+        // Move recurring tasks whose period has passed onto their next occurrence
+        setTasks(rollOverRecurringTasks(JSON.parse(savedTasks)).tasks);
       } catch (e) {
         console.error('Error loading tasks:', e);
       }
     }
 
-    if (savedProfile) {
+    // The total and prestige stars come from the XP ledger, and the level curve may have changed since the profile was saved
+    const ledger = ensureLedger();
+    if (savedProfile || ledger.length > 0) {
       try {
-        setUserProfile(JSON.parse(savedProfile));
+        const { levelCurve } = getXPPolicy();
+        const profile = savedProfile ? JSON.parse(savedProfile) : createDefaultProfile(levelCurve);
+        const prestige = getLedgerPrestige(ledger);
+        setUserProfile(applyXPChange({ ...profile, totalXP: 0, prestige }, getLedgerTotal(ledger), 0, levelCurve));
       } catch (e) {
         console.error('Error loading profile:', e);
       }
@@ -57,6 +182,9 @@ const Dashboard = ({ onCompleteQuest, settings }) => {
       return;
     }
     localStorage.setItem('adhd_quest_tasks', JSON.stringify(tasks));
+    
+    // Keep the edit log of AI breakdowns current so future ones can learn from it
+    recordBreakdowns(tasks);
   }, [tasks]);
 
   useEffect(() => {
@@ -74,239 +202,745 @@ const Dashboard = ({ onCompleteQuest, settings }) => {
     }
     localStorage.setItem('adhd_quest_timers', JSON.stringify(speedrunTimers));
   }, [speedrunTimers]);
+
+  useEffect(() => {
+    if (isInitialMountProjects.current) {
+      isInitialMountProjects.current = false;
+      return;
+    }
+    saveProjects(projects);
+  }, [projects]);
+  
+  // Snoozed quests come back on their own, so the board checks the time every minute
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(interval);
+  }, []);
   
   // Generate unique ID
   const generateId = () => {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   };
   
-  // Create new task with AI-generated subtasks
-  const handleTaskCreate = async (taskData) => {
-    setIsLoading(true);
+  // Keep the latest state at hand for commands that finish after an await
+  const latest = React.useRef({});
+  latest.current = { tasks, speedrunTimers, userProfile };
+  
+  // The quest whose steps are streaming in, and the steps received so far
+  const streaming = React.useRef(null);
+  
+  // Make a change visible to the player: tasks, speedrun timers, XP and the quest log
+  const applyCommand = (command, direction) => {
+    const sign = direction === 'undo' ? -1 : 1;
     
-    try {
-      const subtasks = await generateSubtasks(taskData.title, taskData.granularity);
-      
-      const newTask = {
-        id: generateId(),
-        title: taskData.title,
-        description: '',
-        createdAt: new Date().toISOString(),
-        dueDate: taskData.dueDate,
-        priority: taskData.priority,
-        tags: taskData.tags,
-        recurring: taskData.recurring,
-        speedrunMode: taskData.speedrunMode || false,
-        subtasks: subtasks.map((text, index) => ({
-          id: generateId(),
-          text,
-          completed: false,
-          order: index
-        }))
-      };
+    setTasks(prevTasks => applyTaskChanges(prevTasks, command.taskChanges, direction));
+    
+    if (command.timerChanges.length > 0) {
+      setSpeedrunTimers(prev => applyTimerChanges(prev, command.timerChanges, direction));
+    }
+    
+    if (command.xpDelta || command.stepsDelta) {
+      setUserProfile(prev => applyXPChange(prev, sign * command.xpDelta, sign * command.stepsDelta, xpPolicy.levelCurve));
+    }
+    
+    if (command.xpEntries && command.xpEntries.length > 0) {
+      appendToLedger(command.xpEntries.map(entry => (direction === 'undo'
+        ? { ...entry, source: 'undo', xp: -entry.xp, label: `Undid: ${command.label}` }
+        : { ...entry, label: command.label })));
+    }
+    
+    if (command.streakChange) {
+      restoreStreakData(direction === 'undo' ? command.streakChange.before : command.streakChange.after);
+    }
+    
+    if (command.savedTemplates) {
+      if (direction === 'undo') {
+        removeTemplates(command.savedTemplates.map(template => template.id));
+      } else {
+        command.savedTemplates.forEach(saveTemplate);
+      }
+    }
+    
+    if (command.completedQuest) {
+      if (direction === 'undo') {
+        if (onUncompleteQuest) onUncompleteQuest(command.completedQuest.id);
+      } else if (onCompleteQuest) {
+        onCompleteQuest(command.completedQuest);
+      }
+    }
+  };
+  
+  // Apply a change to the quest board as one undoable command
+  // updateTasks: (tasks) => the new task list
+  // options: { xpDelta, stepsDelta, updateTimers: (timers) => new timers, completedQuest, savedTemplates,
+  //            streakChange: from recordStreakActivity, when the change kept the streak going,
+  //            xpEntries: XP ledger fields for each part of xpDelta,
+  //            xpItems: [{ label, xp }] listing where the XP came from, for the level-up modal }
+  // Returns: the recorded command (null if nothing changed)
+  const runCommand = (label, updateTasks, {
+    xpDelta = 0,
+    stepsDelta = 0,
+    updateTimers = null,
+    completedQuest = null,
+    savedTemplates = null,
+    streakChange = null,
+    xpEntries = [],
+    xpItems = null
+  } = {}) => {
+    const { tasks: currentTasks, speedrunTimers: currentTimers, userProfile: profile } = latest.current;
+    const nextTasks = updateTasks(currentTasks);
+    const nextTimers = updateTimers ? updateTimers(currentTimers) : currentTimers;
+    const nextProfile = applyXPChange(profile, xpDelta, stepsDelta, xpPolicy.levelCurve);
+    
+    // Note how many steps had arrived, so the rest can be added once they all have
+    const stream = streaming.current;
+    const taskChanges = diffTasks(currentTasks, nextTasks).map(change =>
+      stream && change.id === stream.taskId ? { ...change, arrivedCount: stream.arrived.length } : change
+    );
+    
+    // Record what was actually applied (XP never drops below zero) so undo gives back exactly that
+    const appliedXP = nextProfile.totalXP - profile.totalXP;
+    
+    const command = {
+      id: generateId(),
+      label,
+      taskChanges,
+      timerChanges: diffTimers(currentTimers, nextTimers),
+      xpDelta: appliedXP,
+      stepsDelta: nextProfile.subtasksCompleted - (profile.subtasksCompleted || 0),
+      xpEntries: balanceEntries(xpEntries, appliedXP),
+      completedQuest,
+      savedTemplates,
+      streakChange
+    };
+    if (isEmptyCommand(command)) return null;
+    
+    applyCommand(command, 'redo');
+    setHistory(prev => pushCommand(prev, command));
+    setToast({ message: label, canUndo: true });
+    latest.current = { tasks: nextTasks, speedrunTimers: nextTimers, userProfile: nextProfile };
+    
+    if (command.xpDelta > 0) {
+      const result = awardXP(profile.totalXP, command.xpDelta, xpPolicy.levelCurve, profile.prestige || 0);
+      if (result.leveledUp) {
+        setLevelUpData({ ...result, items: xpItems || [] });
+        setShowLevelUpModal(true);
+        setTimeout(() => setShowLevelUpModal(false), 3000);
+      }
+    }
+    
+    return command;
+  };
+  
+  // Prestige at the top level: back to level 1 with a star, written to the
+  // XP ledger. The total XP is kept, and prestiging can't be undone.
+  const handlePrestige = () => {
+    if (!window.confirm('Prestige? You go back to level 1 and earn a prestige star. Your total XP is kept.')) return;
+    
+    const { profile, error } = prestigeProfile(latest.current.userProfile, xpPolicy.levelCurve);
+    if (error) {
+      alert(error);
+      return;
+    }
+    appendToLedger([{ source: 'prestige', xp: 0, label: `Prestiged to ${formatPrestige(profile.prestige)}` }]);
+    setUserProfile(profile);
+    const rank = getRankForLevel(profile.level, profile.prestige);
+    setToast({ message: `${formatPrestige(profile.prestige)} Prestige! You are now ${rank.icon} ${rank.name}` });
+  };
+  
+  // Pick one of the XP bar styles unlocked by prestiging
+  const handleXPBarStyleChange = (styleId) => {
+    setUserProfile(prev => ({ ...prev, xpBarStyle: styleId }));
+  };
+  
+  // Undo the last command; paused while a quest's steps are still streaming in
+  // because undoing would drop the steps that arrived since
+  const handleUndo = () => {
+    if (generatingTaskId) {
+      setToast({ message: 'Undo is paused while steps are still arriving' });
+      return;
+    }
+    
+    const result = undoCommand(history);
+    if (!result) return;
+    
+    applyCommand(result.command, 'undo');
+    setHistory(result.history);
+    setToast({ message: `Undid: ${result.command.label}`, canRedo: true });
+  };
+  
+  const handleRedo = () => {
+    if (generatingTaskId) {
+      setToast({ message: 'Redo is paused while steps are still arriving' });
+      return;
+    }
+    
+    const result = redoCommand(history);
+    if (!result) return;
+    
+    applyCommand(result.command, 'redo');
+    setHistory(result.history);
+    setToast({ message: `Redid: ${result.command.label}`, canUndo: true });
+  };
+  
+  // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; text fields keep their own undo
+  const shortcuts = React.useRef({});
+  shortcuts.current = { undo: handleUndo, redo: handleRedo };
+  
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const key = e.key.toLowerCase();
+      if (!(e.ctrlKey || e.metaKey) || (key !== 'z' && key !== 'y')) return;
       
-      setTasks(prevTasks => [newTask, ...prevTasks]);
+      const target = e.target;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable) return;
       
-      // Initialize speedrun timer if enabled
-      if (taskData.speedrunMode) {
-        setSpeedrunTimers(prev => ({
-          ...prev,
+      e.preventDefault();
+      if (e.shiftKey || key === 'y') {
+        shortcuts.current.redo();
+      } else {
+        shortcuts.current.undo();
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+  
+  // Hide the undo toast after a few seconds
+  useEffect(() => {
+    if (!toast) return;
+    const timeout = setTimeout(() => setToast(null), 5000);
+    return () => clearTimeout(timeout);
+  }, [toast]);
+  
+  // Create the quest right away and stream AI-generated subtasks into it,
+  // so the first step can be checked off while the rest are still arriving
+  const handleTaskCreate = async (taskData) => {
+    // Recurring tasks need a date to count their schedule from
+    const isRecurring = parseRecurrenceRule(taskData.recurring) !== null;
+    const dueDate = taskData.dueDate || (isRecurring ? formatOccurrenceDate(new Date()) : null);
+    
+    const createdAt = new Date();
+    const newTask = {
+      id: generateId(),
+      title: taskData.title,
+      description: taskData.description || '',
+      createdAt: createdAt.toISOString(),
+      dueDate,
+      dueTime: taskData.dueTime || null,
+      estimatedMinutes: taskData.estimatedMinutes || null,
+      sourceCapture: taskData.sourceCapture || null,
+      projectId: taskData.projectId || null,
+      priority: taskData.priority,
+      dread: taskData.dread || 0,
+      tags: taskData.tags,
+      recurring: taskData.recurring,
+      missedPolicy: taskData.missedPolicy || 'skip',
+      recurrenceAnchor: isRecurring ? dueDate : null,
+      speedrunMode: taskData.speedrunMode || false,
+      subtasks: [],
+      generatedSteps: [],
+      ...initialStatus(createdAt)
+    };
+    
+    const controller = new AbortController();
+    generationController.current = controller;
+    let receivedCount = 0;
+    
+    setIsLoading(true);
+    setGeneratingTaskId(newTask.id);
+    streaming.current = { taskId: newTask.id, arrived: [] };
+    
+    const command = runCommand(`Created "${newTask.title}"`, currentTasks => [newTask, ...currentTasks], {
+      // Speedrun timers start right away
+      updateTimers: taskData.speedrunMode
+        ? (timers) => ({
+          ...timers,
           [newTask.id]: {
-            taskStartTime: Date.now(), // Start timer immediately
+            taskStartTime: Date.now(),
             subtaskTimes: {},
             currentSubtaskStart: null,
             totalTime: 0
           }
-        }));
-      }
+        })
+        : null
+    });
+    
+    const appendStep = (step) => {
+      const subtask = {
+        ...createSubtask(step.text, receivedCount, generateId),
+        estimatedMinutes: step.estimatedMinutes
+      };
+      receivedCount++;
+      streaming.current.arrived.push({ subtask, text: step.text });
+      
+      const addStep = (currentTasks) => currentTasks.map(task =>
+        task.id === newTask.id
+          ? {
+            ...task,
+            subtasks: [...task.subtasks, subtask],
+            generatedSteps: [...task.generatedSteps, step.text]
+          }
+          : task
+      );
+      
+      // Commands made before the next render must see this step too
+      latest.current = { ...latest.current, tasks: addStep(latest.current.tasks) };
+      setTasks(addStep);
+    };
+    
+    let fallbackNotice = null;
+    try {
+      await generateSubtasks(taskData.title, taskData.granularity, {
+        tags: taskData.tags,
+        priority: taskData.priority,
+        dueDate
+      }, {
+        signal: controller.signal,
+        onStep: appendStep,
+        onFallback: (message) => { fallbackNotice = message; }
+      });
       
+      if (fallbackNotice) {
+        alert(fallbackNotice);
+      }
     } catch (error) {
-      console.error('Error creating task:', error);
-      alert('Failed to generate task breakdown. Please try again.');
+      // Cancelling keeps whatever arrived; only real failures are reported
+      if (!controller.signal.aborted) {
+        console.error('Error creating task:', error);
+        alert(receivedCount > 0
+          ? `The AI stopped after ${receivedCount} steps. The steps so far were kept.\n\n${error.message}`
+          : `Failed to generate task breakdown.\n\n${error.message}`);
+      }
+      
+      // Nothing arrived, so there is no quest to keep (or to undo)
+      if (receivedCount === 0) {
+        setTasks(prevTasks => prevTasks.filter(task => task.id !== newTask.id));
+        setSpeedrunTimers(prev => {
+          const newTimers = { ...prev };
+          delete newTimers[newTask.id];
+          return newTimers;
+        });
+        setHistory(prev => dropCommand(prev, command.id));
+      }
     } finally {
+      // Commands recorded while the steps were arriving only saw the steps so
+      // far; add the rest so undoing or redoing them doesn't lose any
+      const { arrived } = streaming.current;
+      streaming.current = null;
+      if (receivedCount > 0) {
+        setHistory(prev => updateTaskChanges(prev, newTask.id, change => {
+          const later = arrived.slice(change.arrivedCount);
+          const addLater = (task) => task && {
+            ...task,
+            subtasks: [...task.subtasks, ...later.map(entry => entry.subtask)],
+            generatedSteps: [...(task.generatedSteps || []), ...later.map(entry => entry.text)]
+          };
+          return { ...change, before: addLater(change.before), after: addLater(change.after) };
+        }));
+      }
+      
+      generationController.current = null;
+      setGeneratingTaskId(null);
       setIsLoading(false);
     }
   };
   
-  // Toggle subtask completion and award XP
+  // Quests queued from QuickCapture notes are created one at a time once the
+  // dashboard is free (the controller is set synchronously, so a quest is never taken twice)
+  const createQueuedQuest = React.useRef(null);
+  createQueuedQuest.current = handleTaskCreate;
+  
+  useEffect(() => {
+    if (isLoading || generationController.current) return;
+    const queued = takeQueuedQuest();
+    if (!queued) return;
+    
+    void (async () => {
+      try {
+        await createQueuedQuest.current(queued);
+      } catch (error) {
+        console.error('Error creating quest from note:', error);
+        alert(`Failed to create "${queued.title}" from your note.\n\n${error.message}`);
+      }
+    })();
+  }, [isLoading]);
+  
+  // Stop streaming steps into the new quest, keeping the ones received so far
+  const handleCancelGeneration = () => {
+    if (generationController.current) {
+      generationController.current.abort();
+    }
+  };
+  
+  // Toggle subtask completion and award XP (leaf steps only)
+  // Returns: the XP the step earned when it was checked off (0 otherwise)
   const handleSubtaskToggle = (taskId, subtaskId) => {
-    setTasks(prevTasks => {
-      return prevTasks.map(task => {
-        if (task.id === taskId) {
-          const updatedSubtasks = task.subtasks.map(st => {
-            if (st.id === subtaskId) {
-              const wasCompleted = st.completed;
-              const nowCompleted = !wasCompleted;
-              
-              // Handle speedrun timer
-              if (task.speedrunMode) {
-                const now = Date.now();
-                
-                if (nowCompleted && !wasCompleted) {
-                  // Starting/completing a subtask
-                  setSpeedrunTimers(prev => {
-                    const timer = prev[taskId] || {
-                      taskStartTime: null,
-                      subtaskTimes: {},
-                      currentSubtaskStart: null,
-                      totalTime: 0
-                    };
-                    
-                    // Create new timer object (don't mutate)
-                    const newTimer = { ...timer };
-                    
-                    // Start task timer on first subtask
-                    if (!newTimer.taskStartTime) {
-                      newTimer.taskStartTime = now;
-                    }
-                    
-                    // Stop previous subtask timer
-                    if (newTimer.currentSubtaskStart) {
-                      const elapsed = now - newTimer.currentSubtaskStart;
-                      // Find the previous active subtask
-                      const activeSubtasks = task.subtasks.filter(s => !s.completed && s.id !== subtaskId);
-                      if (activeSubtasks.length > 0) {
-                        const prevSubtask = activeSubtasks[0];
-                        newTimer.subtaskTimes = {
-                          ...newTimer.subtaskTimes,
-                          [prevSubtask.id]: elapsed
-                        };
-                      }
-                    }
-                    
-                    // Start this subtask timer
-                    newTimer.currentSubtaskStart = now;
-                    
-                    return {
-                      ...prev,
-                      [taskId]: newTimer
-                    };
-                  });
-                } else if (!nowCompleted && wasCompleted) {
-                  // Unchecking - remove time
-                  setSpeedrunTimers(prev => {
-                    const timer = prev[taskId];
-                    if (timer && timer.subtaskTimes[subtaskId]) {
-                      delete timer.subtaskTimes[subtaskId];
-                    }
-                    return {
-                      ...prev,
-                      [taskId]: timer
-                    };
-                  });
-                }
-              }
-              
-              // Award or remove XP
-              if (nowCompleted && !wasCompleted) {
-                const result = awardXP(userProfile.totalXP, XP_PER_SUBTASK);
-                
-                setUserProfile(prev => ({
-                  ...prev,
-                  totalXP: result.newTotalXP,
-                  level: result.level,
-                  currentLevelXP: result.currentLevelXP,
-                  xpToNextLevel: result.xpToNextLevel,
-                  subtasksCompleted: prev.subtasksCompleted + 1
-                }));
-                
-                if (result.leveledUp) {
-                  setLevelUpData(result);
-                  setShowLevelUpModal(true);
-                  setTimeout(() => setShowLevelUpModal(false), 3000);
-                }
-              } else if (!nowCompleted && wasCompleted) {
-                const newTotalXP = Math.max(0, userProfile.totalXP - XP_PER_SUBTASK);
-                const stats = getLevelFromXP(newTotalXP);
-                
-                setUserProfile(prev => ({
-                  ...prev,
-                  totalXP: newTotalXP,
-                  level: stats.level,
-                  currentLevelXP: stats.currentLevelXP,
-                  xpToNextLevel: stats.xpToNextLevel,
-                  subtasksCompleted: Math.max(0, prev.subtasksCompleted - 1)
-                }));
-              }
-              
-              return { ...st, completed: nowCompleted };
-            }
-            return st;
-          });
-          
-          return { ...task, subtasks: updatedSubtasks };
+    const task = tasks.find(t => t.id === taskId);
+    const subtask = task ? findSubtask(task.subtasks, subtaskId) : null;
+    
+    // Parent steps complete themselves once all of their children are done
+    if (!subtask || hasChildren(subtask)) return 0;
+    
+    const nowCompleted = !subtask.completed;
+    
+    // Steps can't be checked off while the task or step is still waiting on a blocker
+    const blocked = isBlocked(tasks, { taskId }) ||
+      getSubtaskPath(task.subtasks, subtaskId).some(st => isBlocked(tasks, { taskId, subtaskId: st.id }));
+    if (nowCompleted && blocked) return 0;
+    
+    // Handle speedrun timer
+    let updateTimers = null;
+    if (task.speedrunMode) {
+      const now = Date.now();
+      
+      updateTimers = (timers) => {
+        const timer = timers[taskId];
+        
+        if (!nowCompleted) {
+          // Unchecking - remove time
+          if (!timer) return timers;
+          const subtaskTimes = { ...timer.subtaskTimes };
+          delete subtaskTimes[subtaskId];
+          return { ...timers, [taskId]: { ...timer, subtaskTimes } };
         }
-        return task;
+        
+        const current = timer || {
+          taskStartTime: null,
+          subtaskTimes: {},
+          currentSubtaskStart: null,
+          totalTime: 0
+        };
+        
+        return { ...timers, [taskId]: recordStepTime(current, subtaskId, now) };
+      };
+    }
+    
+    // A checked-off step keeps the XP it earned, so unchecking it takes back exactly that
+    const completedAt = new Date();
+    let xp = getEarnedXP(subtask);
+    let stepXP = { completed: false, completedAt: null, xp: null, streakXP: null, streakMultiplier: null };
+    let xpEntries = describeStepXP(taskId, [subtask], 'unchecked');
+    let xpItems = null;
+    let streakChange = null;
+    if (nowCompleted) {
+      // Checking off a step keeps the streak going, so today counts towards the multiplier
+      const activity = recordStreakActivity();
+      const { currentStreak } = activity;
+      streakChange = activity.streakChange;
+      const streakMultiplier = getStreakMultiplier();
+      const award = calculateStepXP(task, subtask, xpPolicy, {
+        firstOfDay: isFirstStepOfDay([...tasks, ...completedQuests], completedAt),
+        streakMultiplier
       });
+      xp = award.xp;
+      stepXP = { completed: true, completedAt: completedAt.toISOString(), xp, streakXP: award.streakXP, streakMultiplier };
+      xpEntries = [describeStepAward(taskId, subtaskId, award)];
+      xpItems = itemizeStepAward(award, currentStreak);
+    }
+    
+    // The first step done starts the quest; unchecking them all puts it back to pending
+    const command = runCommand(
+      `${nowCompleted ? 'Checked off' : 'Unchecked'} "${subtask.text}"`,
+      currentTasks => currentTasks.map(t =>
+        t.id === taskId
+          ? syncProgressStatus({
+            ...t,
+            subtasks: updateSubtask(t.subtasks, subtaskId, st => ({ ...st, ...stepXP }))
+          })
+          : t
+      ),
+      {
+        xpDelta: nowCompleted ? xp : -xp,
+        stepsDelta: nowCompleted ? 1 : -1,
+        updateTimers,
+        streakChange,
+        xpEntries,
+        xpItems
+      }
+    );
+    return command && nowCompleted ? xp : 0;
+  };
+  
+  // Focus mode shows one step at a time, so a speedrun's clock can start
+  // as soon as the first step is on screen
+  const handleFocusStart = (taskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task || !task.speedrunMode) return;
+    
+    const now = Date.now();
+    setSpeedrunTimers(prev => {
+      const timer = prev[taskId] || {
+        taskStartTime: null,
+        subtaskTimes: {},
+        currentSubtaskStart: null,
+        totalTime: 0
+      };
+      if (timer.currentSubtaskStart) return prev;
+      
+      return {
+        ...prev,
+        [taskId]: { ...timer, taskStartTime: timer.taskStartTime || now, currentSubtaskStart: now }
+      };
     });
   };
   
   // Edit subtask text
   const handleSubtaskEdit = (taskId, subtaskId, newText) => {
-    setTasks(prevTasks => {
-      return prevTasks.map(task => {
-        if (task.id === taskId) {
-          return {
-            ...task,
-            subtasks: task.subtasks.map(st =>
-              st.id === subtaskId ? { ...st, text: newText } : st
-            )
-          };
-        }
-        return task;
-      });
-    });
+    runCommand(`Edited "${newText}"`, currentTasks => currentTasks.map(task => {
+      if (task.id === taskId) {
+        return {
+          ...task,
+          // Remember the AI's wording so future breakdowns can learn from the change
+          subtasks: updateSubtask(task.subtasks, subtaskId, st => ({
+            ...st,
+            text: newText,
+            originalText: st.originalText || st.text
+          }))
+        };
+      }
+      return task;
+    }));
   };
   
-  // Delete subtask
+  // Delete subtask (and any child steps), taking back the XP its steps earned
   const handleSubtaskDelete = (taskId, subtaskId) => {
-    setTasks(prevTasks => {
-      return prevTasks.map(task => {
-        if (task.id === taskId) {
-          const subtask = task.subtasks.find(st => st.id === subtaskId);
-          if (subtask && subtask.completed) {
-            const newTotalXP = Math.max(0, userProfile.totalXP - XP_PER_SUBTASK);
-            const stats = getLevelFromXP(newTotalXP);
-            
-            setUserProfile(prev => ({
-              ...prev,
-              totalXP: newTotalXP,
-              level: stats.level,
-              currentLevelXP: stats.currentLevelXP,
-              xpToNextLevel: stats.xpToNextLevel,
-              subtasksCompleted: Math.max(0, prev.subtasksCompleted - 1)
-            }));
-          }
-          
-          return {
-            ...task,
-            subtasks: task.subtasks.filter(st => st.id !== subtaskId)
-          };
-        }
-        return task;
-      });
+    const task = tasks.find(t => t.id === taskId);
+    const subtask = task ? findSubtask(task.subtasks, subtaskId) : null;
+    if (!subtask) return;
+    
+    const removedCount = getLeafProgress([subtask]).completed;
+    const removedXP = sumEarnedXP([subtask]);
+    
+    runCommand(`Deleted "${subtask.text}"`, currentTasks => {
+      const updatedTasks = currentTasks.map(t =>
+        t.id === taskId
+          ? syncProgressStatus({ ...t, subtasks: removeSubtask(t.subtasks, subtaskId).subtasks })
+          : t
+      );
+      
+      // Steps that waited on the deleted step are free to go
+      return pruneDependencies(updatedTasks);
+    }, {
+      xpDelta: -removedXP,
+      stepsDelta: -removedCount,
+      xpEntries: describeStepXP(taskId, [subtask], 'removed')
     });
   };
   
   // Add new subtask
   const handleSubtaskAdd = (taskId, text) => {
-    setTasks(prevTasks => {
-      return prevTasks.map(task => {
-        if (task.id === taskId) {
-          const newSubtask = {
-            id: generateId(),
-            text,
-            completed: false,
-            order: task.subtasks.length
-          };
+    runCommand(`Added "${text}"`, currentTasks => currentTasks.map(task => {
+      if (task.id === taskId) {
+        const newSubtask = {
+          id: generateId(),
+          text,
+          completed: false,
+          order: task.subtasks.length
+        };
+        return {
+          ...task,
+          subtasks: [...task.subtasks, newSubtask]
+        };
+      }
+      return task;
+    }));
+  };
+  
+  // Break a step down further with AI, using the parent task as context
+  // (label and updateTask let a caller make more changes to the task in the same undoable command)
+  const handleSubtaskSplit = async (taskId, subtaskId, { label = null, updateTask = (t) => t } = {}) => {
+    const task = tasks.find(t => t.id === taskId);
+    const path = task ? getSubtaskPath(task.subtasks, subtaskId) : [];
+    const subtask = path[path.length - 1];
+    
+    // Completed steps already earned their XP, so only open steps can be split
+    if (!subtask || subtask.completed) return;
+    
+    let fallbackNotice = null;
+    try {
+      const childSteps = await generateSubtasks(subtask.text, 'quick', {
+        tags: task.tags,
+        priority: task.priority,
+        dueDate: task.dueDate,
+        parentTask: task.title,
+        parentSteps: path.slice(0, -1).map(st => st.text)
+      }, {
+        onFallback: (message) => { fallbackNotice = message; }
+      });
+      
+      runCommand(label || `Split "${subtask.text}"`, currentTasks => currentTasks.map(t => {
+        if (t.id === taskId) {
           return {
-            ...task,
-            subtasks: [...task.subtasks, newSubtask]
+            ...updateTask(t),
+            subtasks: addChildSteps(t.subtasks, subtaskId, childSteps, generateId),
+            generatedSteps: [...(t.generatedSteps || []), ...childSteps.map(step => step.text)]
           };
         }
-        return task;
-      });
-    });
+        return t;
+      }));
+      
+      if (fallbackNotice) {
+        alert(fallbackNotice);
+      }
+    } catch (error) {
+      console.error('Error breaking down step:', error);
+      alert(`Failed to break this step down.\n\n${error.message}`);
+    }
+  };
+  
+  // Make a task or step wait on another task or step
+  const handleDependencyAdd = (dependent, blocker) => {
+    const result = addDependency(tasks, dependent, blocker);
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    runCommand(`"${describeRef(tasks, dependent)}" now waits on "${describeRef(tasks, blocker)}"`, () => result.tasks);
+  };
+  
+  // Remove a dependency
+  const handleDependencyRemove = (dependent, blocker) => {
+    runCommand(
+      `"${describeRef(tasks, dependent)}" no longer waits on "${describeRef(tasks, blocker)}"`,
+      currentTasks => removeDependency(currentTasks, dependent, blocker)
+    );
+  };
+  
+  // Move a quest to a new place on the board (null moves it to the bottom)
+  const handleTaskMove = (taskId, beforeId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    runCommand(`Moved "${task.title}"`, currentTasks => moveTask(currentTasks, taskId, beforeId));
+  };
+  
+  // Move a step within its quest or over to another one
+  // Returns: whether the step moved
+  const handleSubtaskMove = (from, to) => {
+    const result = moveSubtask(tasks, from, to);
+    if (result.error) {
+      alert(result.error);
+      return false;
+    }
+    
+    const source = tasks.find(t => t.id === from.taskId);
+    const step = findSubtask(source.subtasks, from.subtaskId);
+    const target = tasks.find(t => t.id === to.taskId);
+    if (target.id === source.id) {
+      return runCommand(`Moved "${step.text}"`, () => result.tasks) !== null;
+    }
+    
+    // The XP the step earned moves over to the other quest in the ledger
+    return runCommand(`Moved "${step.text}" to "${target.title}"`, () => result.tasks, {
+      xpEntries: [
+        ...describeStepXP(source.id, [step], 'moved'),
+        ...describeStepXP(target.id, [step], 'moved', 1)
+      ]
+    }) !== null;
+  };
+  
+  // Speedrun timers end with their quest
+  const dropTimer = (taskId) => (timers) => {
+    const newTimers = { ...timers };
+    delete newTimers[taskId];
+    return newTimers;
+  };
+  
+  // Act on many quests at once; the whole batch is undone in one go
+  const handleBatchAction = (taskIds, action) => {
+    const selected = tasks.filter(task => taskIds.includes(task.id));
+    if (selected.length === 0) return;
+    
+    const count = selected.length === 1 ? '1 quest' : `${selected.length} quests`;
+    const dropTimers = (timers) => {
+      const newTimers = { ...timers };
+      taskIds.forEach(taskId => delete newTimers[taskId]);
+      return newTimers;
+    };
+    
+    switch (action.type) {
+      case 'templates': {
+        const now = new Date();
+        runCommand(`Saved ${count} as templates`, currentTasks => currentTasks, {
+          savedTemplates: selected.map((task, index) => taskToTemplate(task, now, index))
+        });
+        return;
+      }
+      
+      case 'delete': {
+        if (taskIds.includes(generatingTaskId)) {
+          handleCancelGeneration();
+        }
+        const completedCount = selected.reduce((sum, task) => sum + getLeafProgress(task.subtasks).completed, 0);
+        const earnedXP = selected.reduce((sum, task) => sum + sumEarnedXP(task.subtasks), 0);
+        runCommand(`Deleted ${count}`, currentTasks => applyBatchAction(currentTasks, taskIds, action), {
+          xpDelta: -earnedXP,
+          stepsDelta: -completedCount,
+          updateTimers: dropTimers,
+          xpEntries: selected.flatMap(task => describeStepXP(task.id, task.subtasks, 'removed'))
+        });
+        return;
+      }
+      
+      case 'archive': {
+        if (taskIds.includes(generatingTaskId)) {
+          handleCancelGeneration();
+        }
+        // Quests that couldn't be archived keep their timers
+        let archivedIds = [];
+        runCommand(`Archived ${count}`, currentTasks => {
+          const nextTasks = applyBatchAction(currentTasks, taskIds, action);
+          archivedIds = nextTasks.filter((task, index) => task !== currentTasks[index]).map(task => task.id);
+          return nextTasks;
+        }, {
+          updateTimers: (timers) => archivedIds.reduce((remaining, taskId) => dropTimer(taskId)(remaining), timers)
+        });
+        return;
+      }
+      
+      default: {
+        const labels = {
+          reschedule: action.dueDate ? `Rescheduled ${count} to ${action.dueDate}` : `Cleared the due date on ${count}`,
+          priority: `Set ${count} to ${action.priority} priority`,
+          project: action.projectId
+            ? `Moved ${count} to ${liveProjects.find(project => project.id === action.projectId)?.name || 'a project'}`
+            : `Took ${count} out of their project`,
+          addTag: `Tagged ${count} #${action.tag}`,
+          removeTag: `Removed #${action.tag} from ${count}`
+        };
+        runCommand(labels[action.type], currentTasks => applyBatchAction(currentTasks, taskIds, action));
+      }
+    }
+  };
+  
+  // Add a project
+  // Returns: whether it was added
+  const handleProjectCreate = (data) => {
+    const result = createProject(projects, data, new Date(), `project-${generateId()}`);
+    if (result.error) {
+      alert(result.error);
+      return false;
+    }
+    setProjects(result.projects);
+    return true;
+  };
+  
+  // Change a project's name, colour, icon or goal date
+  // Returns: whether it was saved
+  const handleProjectUpdate = (projectId, changes) => {
+    const result = updateProject(projects, projectId, changes);
+    if (result.error) {
+      alert(result.error);
+      return false;
+    }
+    setProjects(result.projects);
+    return true;
+  };
+  
+  // Delete a project; its quests stay on the board without a project
+  const handleProjectDelete = (projectId) => {
+    setProjects(prev => deleteProject(prev, projectId));
   };
   
   // Complete entire quest
@@ -323,63 +957,188 @@ const Dashboard = ({ onCompleteQuest, settings }) => {
         totalTime,
         subtaskTimes: timer.subtaskTimes
       };
-      
-      // Clean up timer
-      setSpeedrunTimers(prev => {
-        const newTimers = { ...prev };
-        delete newTimers[taskId];
-        return newTimers;
-      });
     }
     
-    // Send to parent (App) to add to completed quests
+    // Finishing a quest keeps the streak going, and a streak of 3+ days earns a bonus on top
+    const { currentStreak, streakChange } = recordStreakActivity();
+    const streakBonus = getStreakXPBonus();
+    
+    // Sent to parent (App) to add to completed quests when the command runs
+    const completedAt = new Date();
     const completedTask = {
-      ...task,
+      ...changeTaskStatus(task, 'completed', { now: completedAt }).task,
       timeData,
-      completedAt: new Date().toISOString()
+      completedAt: completedAt.toISOString(),
+      streak: currentStreak,
+      streakXP: sumStreakXP(task.subtasks),
+      streakBonus
     };
     
-    if (onCompleteQuest) {
-      onCompleteQuest(completedTask);
+    // Remove from active tasks, queueing up the next instance if it recurs
+    const nextInstance = spawnNextInstance(task, completedTask.completedAt, generateId);
+    
+    // Anything waiting on this quest is unblocked now that it's done
+    runCommand(`Completed "${task.title}"`, currentTasks => {
+      const remaining = pruneDependencies(currentTasks.filter(t => t.id !== taskId));
+      return nextInstance ? [nextInstance, ...remaining] : remaining;
+    }, {
+      updateTimers: speedrunTimers[taskId] ? dropTimer(taskId) : null,
+      completedQuest: completedTask,
+      streakChange,
+      xpDelta: streakBonus,
+      xpEntries: streakBonus > 0 ? [{ source: 'streak-bonus', xp: streakBonus, taskId }] : [],
+      xpItems: streakBonus > 0 ? [{ label: `🔥 ${currentStreak}-day streak bonus`, xp: streakBonus }] : []
+    });
+  };
+  
+  // Set a quest aside without finishing it; XP already earned is kept
+  const handleTaskArchive = (taskId) => {
+    if (taskId === generatingTaskId) {
+      handleCancelGeneration();
     }
     
-    // Remove from active tasks
-    setTasks(prevTasks => prevTasks.filter(t => t.id !== taskId));
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    
+    const result = changeTaskStatus(task, 'archived');
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    
+    // A speedrun can't carry on while the quest is archived
+    runCommand(`Archived "${task.title}"`, currentTasks => currentTasks.map(t => (t.id === taskId ? result.task : t)), {
+      updateTimers: speedrunTimers[taskId] ? dropTimer(taskId) : null
+    });
   };
   
-  // Delete entire task
-  const handleTaskDelete = (taskId) => {
+  // Bring an archived quest back to the board
+  const handleTaskRestore = (taskId) => {
     const task = tasks.find(t => t.id === taskId);
-    if (task) {
-      const completedCount = task.subtasks.filter(st => st.completed).length;
-      if (completedCount > 0) {
-        const xpToRemove = completedCount * XP_PER_SUBTASK;
-        const newTotalXP = Math.max(0, userProfile.totalXP - xpToRemove);
-        const stats = getLevelFromXP(newTotalXP);
-        
-        setUserProfile(prev => ({
-          ...prev,
-          totalXP: newTotalXP,
-          level: stats.level,
-          currentLevelXP: stats.currentLevelXP,
-          xpToNextLevel: stats.xpToNextLevel,
-          subtasksCompleted: Math.max(0, prev.subtasksCompleted - completedCount)
-        }));
-      }
+    if (!task) return;
+    
+    const result = restoreTask(task);
+    if (result.error) {
+      alert(result.error);
+      return;
     }
+    runCommand(`Restored "${task.title}"`, currentTasks => currentTasks.map(t => (t.id === taskId ? result.task : t)));
+  };
+  
+  // Put a quest off until later; it leaves the board until it wakes
+  // Returns: whether it was snoozed
+  const handleTaskSnooze = (taskId, option, date) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return false;
     
-    setTasks(prevTasks => prevTasks.filter(t => t.id !== taskId));
+    const result = snoozeTask(task, option, { date });
+    if (result.error) {
+      alert(result.error);
+      return false;
+    }
     
-    // Clean up timer if exists
-    if (speedrunTimers[taskId]) {
-      setSpeedrunTimers(prev => {
-        const newTimers = { ...prev };
-        delete newTimers[taskId];
-        return newTimers;
-      });
+    if (taskId === focusTaskId) {
+      setFocusTaskId(null);
+    }
+    const label = result.task.someday ? `Snoozed "${task.title}" to someday` : `Snoozed "${task.title}"`;
+    runCommand(label, currentTasks => currentTasks.map(t => (t.id === taskId ? result.task : t)));
+    return true;
+  };
+  
+  // Bring a snoozed quest back to the board now
+  const handleTaskWake = (taskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    runCommand(`Woke "${task.title}"`, currentTasks => currentTasks.map(t => (t.id === taskId ? wakeTask(t) : t)));
+  };
+  
+  // Weekly review: make a put-off quest smaller by splitting its next step,
+  // or by giving it a tiny first step if it has none left
+  const handleReviewShrink = async (taskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    
+    // Keeping the quest and splitting its step undo together
+    const nextStep = getLeafSteps(task.subtasks).find(step => !step.completed);
+    if (nextStep) {
+      await handleSubtaskSplit(taskId, nextStep.id, { label: `Shrank "${task.title}"`, updateTask: keepTask });
+      return;
     }
+    
+    runCommand(`Gave "${task.title}" a tiny first step`, currentTasks => currentTasks.map(t => (t.id === taskId
+      ? { ...keepTask(t), subtasks: [...t.subtasks, createSubtask('Spend five minutes getting started', t.subtasks.length, generateId)] }
+      : t)));
+  };
+  
+  // Weekly review: tag a put-off quest for handing to someone else
+  const handleReviewDelegate = (taskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    runCommand(`Tagged "${task.title}" #delegate`, currentTasks => currentTasks.map(t => (t.id === taskId
+      ? { ...keepTask(t), tags: (t.tags || []).includes('delegate') ? t.tags : [...(t.tags || []), 'delegate'] }
+      : t)));
   };
   
+  // Weekly review: let a put-off quest go; it is archived, so it can still be restored
+  const handleReviewDrop = (taskId) => {
+    if (taskId === generatingTaskId) {
+      handleCancelGeneration();
+    }
+    
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    
+    const result = changeTaskStatus(task, 'archived', { reason: 'dropped in weekly review' });
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    runCommand(`Let go of "${task.title}"`, currentTasks => currentTasks.map(t => (t.id === taskId ? result.task : t)), {
+      updateTimers: speedrunTimers[taskId] ? dropTimer(taskId) : null
+    });
+  };
+  
+  // Weekly review: keep a quest as it is; it only comes up again if it's put off more
+  const handleReviewKeep = (taskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    runCommand(`Kept "${task.title}"`, currentTasks => currentTasks.map(t => (t.id === taskId ? keepTask(t) : t)));
+  };
+  
+  const handleReviewDone = () => {
+    const reviewedAt = new Date();
+    markReviewed(reviewedAt);
+    setLastReview(reviewedAt.toISOString());
+  };
+  
+  // Delete entire task, taking back the XP its steps earned
+  const handleTaskDelete = (taskId) => {
+    // Deleting the quest that is still receiving steps stops the stream
+    if (taskId === generatingTaskId) {
+      handleCancelGeneration();
+    }
+    
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    
+    const completedCount = getLeafProgress(task.subtasks).completed;
+    
+    runCommand(`Deleted "${task.title}"`, currentTasks => pruneDependencies(currentTasks.filter(t => t.id !== taskId)), {
+      xpDelta: -sumEarnedXP(task.subtasks),
+      stepsDelta: -completedCount,
+      updateTimers: speedrunTimers[taskId] ? dropTimer(taskId) : null,
+      xpEntries: describeStepXP(taskId, task.subtasks, 'removed')
+    });
+  };
+  
+  const liveProjects = getLiveProjects(projects);
+  const activeTasks = tasks.filter(isActiveTask);
+  const archivedTasks = tasks.filter(task => getTaskStatus(task) === 'archived');
+  const review = getWeeklyReview(tasks, now);
+  
+  // Focus mode closes by itself if its quest is completed, archived, snoozed or deleted
+  const focusTask = activeTasks.find(t => t.id === focusTaskId && !isSnoozed(t, now));
+  
   return (
     <div className="dashboard">
       <div className="dashboard-header">
@@ -397,6 +1156,10 @@ const Dashboard = ({ onCompleteQuest, settings }) => {
         progressPercent={userProfile.xpToNextLevel > 0 
           ? Math.round((userProfile.currentLevelXP / userProfile.xpToNextLevel) * 100) 
           : 100}
+        prestige={userProfile.prestige || 0}
+        xpBarStyle={userProfile.xpBarStyle}
+        onPrestige={handlePrestige}
+        onXPBarStyleChange={handleXPBarStyleChange}
       />
       
       {showLevelUpModal && levelUpData && (
@@ -406,29 +1169,107 @@ const Dashboard = ({ onCompleteQuest, settings }) => {
             <p className="level-up-text">
               You reached Level {levelUpData.newLevel}!
             </p>
-            <p className="level-up-subtext">Keep crushing it! 🎮</p>
+            {levelUpData.items.length > 0 && (
+              <ul className="level-up-items">
+                {levelUpData.items.map(item => (
+                  <li key={item.label}>
+                    <span>{item.label}</span>
+                    <span>+{item.xp} XP</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <p className="level-up-subtext">
+              {levelUpData.canPrestige ? '🌠 Top level! You can prestige from the XP bar.' : 'Keep crushing it! 🎮'}
+            </p>
           </div>
         </div>
       )}
       
       <div className="dashboard-content">
-        <TaskInput onTaskCreate={handleTaskCreate} isLoading={isLoading} />
+        <TaskInput onTaskCreate={handleTaskCreate} isLoading={isLoading} projects={liveProjects} />
         
-        <TaskList
+        <ProjectPanel
+          projects={liveProjects}
           tasks={tasks}
+          completedQuests={completedQuests}
+          onCreate={handleProjectCreate}
+          onUpdate={handleProjectUpdate}
+          onDelete={handleProjectDelete}
+        />
+        
+        {review.items.length > 0 && isReviewDue(lastReview, now) && (
+          <WeeklyReview
+            review={review}
+            onShrink={handleReviewShrink}
+            onDelegate={handleReviewDelegate}
+            onDrop={handleReviewDrop}
+            onKeep={handleReviewKeep}
+            onDone={handleReviewDone}
+          />
+        )}
+        
+        <TaskList
+          tasks={activeTasks}
+          now={now}
+          projects={liveProjects}
+          archivedTasks={archivedTasks}
           onSubtaskToggle={handleSubtaskToggle}
           onSubtaskEdit={handleSubtaskEdit}
           onSubtaskDelete={handleSubtaskDelete}
           onSubtaskAdd={handleSubtaskAdd}
+          onSubtaskSplit={handleSubtaskSplit}
           onTaskDelete={handleTaskDelete}
+          onTaskArchive={handleTaskArchive}
+          onTaskRestore={handleTaskRestore}
+          onTaskSnooze={handleTaskSnooze}
+          onTaskWake={handleTaskWake}
           onCompleteQuest={handleCompleteQuest}
+          onDependencyAdd={handleDependencyAdd}
+          onDependencyRemove={handleDependencyRemove}
+          onTaskMove={handleTaskMove}
+          onBatchAction={handleBatchAction}
+          onSubtaskMove={handleSubtaskMove}
+          onFocus={setFocusTaskId}
+          generatingTaskId={generatingTaskId}
+          onCancelGeneration={handleCancelGeneration}
           speedrunTimers={speedrunTimers}
           showTimer={true}
         />
       </div>
       
+      {focusTask && (
+        <FocusMode
+          task={focusTask}
+          allTasks={tasks}
+          timerData={speedrunTimers[focusTask.id]}
+          isGenerating={focusTask.id === generatingTaskId}
+          onStart={handleFocusStart}
+          onStepDone={handleSubtaskToggle}
+          onSplit={handleSubtaskSplit}
+          onCompleteQuest={handleCompleteQuest}
+          onExit={() => setFocusTaskId(null)}
+        />
+      )}
+      
+      {toast && (
+        <div className="undo-toast" role="status" aria-live="polite">
+          <span className="undo-toast-message">{toast.message}</span>
+          {toast.canUndo && (
+            <button className="undo-toast-btn" onClick={handleUndo} title="Undo (Ctrl+Z)">
+              ↶ UNDO
+            </button>
+          )}
+          {toast.canRedo && (
+            <button className="undo-toast-btn" onClick={handleRedo} title="Redo (Ctrl+Shift+Z)">
+              ↷ REDO
+            </button>
+          )}
+        </div>
+      )}
+      
       <div className="dashboard-footer">
-        <span>Active Quests: {tasks.length}</span>
+        <span>Active Quests: {activeTasks.length}</span>
         <span>•</span>
         <span>Steps Completed: {userProfile.subtasksCompleted}</span>
         <span>•</span>
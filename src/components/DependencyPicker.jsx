@@ -0,0 +1,92 @@
+/**
+ * Dependency Picker
+ *
+ * Lists what a quest or step is waiting on and lets the user
+ * add or remove blockers from other quests and their steps.
+ */
+
+import React, { useState } from 'react';
+import {
+  getDependencies,
+  getDependencyOptions,
+  isDependencySatisfied,
+  describeRef
+} from '../utils/taskDependencies';
+import '../styles/dependencypicker.css';
+
+const DependencyPicker = ({ tasks, dependent, onAdd, onRemove, onClose }) => {
+  const [selected, setSelected] = useState('');
+
+  const dependencies = getDependencies(tasks, dependent);
+  const options = getDependencyOptions(tasks, dependent);
+
+  const target = dependent.subtaskId ? 'This step' : 'This quest';
+
+  const optionValue = (ref) => `${ref.taskId}|${ref.subtaskId || ''}`;
+
+  const handleAdd = () => {
+    const option = options.find(o => optionValue(o) === selected);
+    if (!option) return;
+
+    onAdd(dependent, { taskId: option.taskId, subtaskId: option.subtaskId });
+    setSelected('');
+  };
+
+  return (
+    <div className="dependency-picker" role="group" aria-label={`${target} waits on`}>
+      <div className="dependency-picker-header">
+        <span>🔗 {target.toUpperCase()} WAITS ON:</span>
+        <button onClick={onClose} className="subtask-cancel-btn" title="Close">
+          ✕
+        </button>
+      </div>
+
+      {dependencies.length === 0 ? (
+        <p className="dependency-empty">Nothing yet - it can start any time.</p>
+      ) : (
+        <ul className="dependency-list">
+          {dependencies.map(dependency => (
+            <li key={optionValue(dependency)} className="dependency-entry">
+              <span>
+                {isDependencySatisfied(tasks, dependency) ? '✓ ' : '🔒 '}
+                {describeRef(tasks, dependency)}
+              </span>
+              <button
+                onClick={() => onRemove(dependent, dependency)}
+                className="subtask-action-btn"
+                title="Remove dependency"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {options.length > 0 ? (
+        <div className="dependency-add">
+          <select
+            value={selected}
+            onChange={(e) => setSelected(e.target.value)}
+            className="dependency-select"
+            aria-label="Quest or step to wait on"
+          >
+            <option value="">Choose a quest or step...</option>
+            {options.map(option => (
+              <option key={optionValue(option)} value={optionValue(option)}>
+                {'  '.repeat(option.depth)}{option.depth > 0 ? '↳ ' : ''}{option.label}
+              </option>
+            ))}
+          </select>
+          <button onClick={handleAdd} className="subtask-save-btn" disabled={!selected}>
+            + ADD
+          </button>
+        </div>
+      ) : (
+        <p className="dependency-empty">Create another quest to link it here.</p>
+      )}
+    </div>
+  );
+};
+
+export default DependencyPicker;
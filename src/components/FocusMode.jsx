@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  FOCUS_SESSION_MINUTES,
+  getFocusStep,
+  loadFocusPrefs,
+  saveFocusPrefs,
+  recordFocusSession
+} from '../utils/focusMode';
+import { formatMinutes } from '../utils/timeEstimates';
+import { playSound } from '../utils/soundEffects';
+import '../styles/focusmode.css';
+
+const FocusMode = ({
+  task,
+  allTasks,
+  timerData,
+  isGenerating = false,
+  onStart,
+  onStepDone,
+  onSplit,
+  onCompleteQuest,
+  onExit
+}) => {
+  const [prefs, setPrefs] = useState(loadFocusPrefs);
+  const [pomodoroEndsAt, setPomodoroEndsAt] = useState(null);
+  const [sessionDone, setSessionDone] = useState(false);
+  const [currentTime, setCurrentTime] = useState(Date.now());
+  const [isSplitting, setIsSplitting] = useState(false);
+  const [xpFlash, setXpFlash] = useState({ key: 0, xp: 0 }); // key bumps on every step so the animation replays
+
+  const doneButton = useRef(null);
+
+  const { step, parents, number, total, blockers } = getFocusStep(allTasks, task.id);
+
+  const startPomodoro = () => {
+    setSessionDone(false);
+    setPomodoroEndsAt(Date.now() + FOCUS_SESSION_MINUTES * 60000);
+  };
+
+  // Start the speedrun clock on the step in view, and the Pomodoro if asked to
+  // (only when the quest changes, so toggling the preference doesn't start a session)
+  const startQuest = useRef(null);
+  startQuest.current = () => {
+    onStart(task.id);
+    if (prefs.autoStartPomodoro) {
+      startPomodoro();
+    }
+  };
+
+  useEffect(() => {
+    startQuest.current();
+  }, [task.id]);
+
+  // Keep the DONE button focused so Enter or Space checks off each step in turn
+  useEffect(() => {
+    doneButton.current?.focus();
+  }, [step?.id]);
+
+  // Tick once a second for the Pomodoro and speedrun displays
+  useEffect(() => {
+    const interval = setInterval(() => setCurrentTime(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    if (pomodoroEndsAt && currentTime >= pomodoroEndsAt) {
+      setPomodoroEndsAt(null);
+      setSessionDone(true);
+      recordFocusSession();
+      playSound('success');
+    }
+  }, [currentTime, pomodoroEndsAt]);
+
+  // Escape leaves focus mode
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onExit();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onExit]);
+
+  const handleDone = () => {
+    const xp = onStepDone(task.id, step.id);
+    if (xp > 0) setXpFlash(prev => ({ key: prev.key + 1, xp }));
+  };
+
+  const handleSplit = async () => {
+    setIsSplitting(true);
+    try {
+      await onSplit(task.id, step.id);
+    } catch (error) {
+      console.error('Error splitting step:', error);
+    } finally {
+      setIsSplitting(false);
+    }
+  };
+
+  const handleCompleteQuest = () => {
+    onCompleteQuest(task.id);
+    onExit();
+  };
+
+  const handleAutoStartChange = (autoStartPomodoro) => {
+    const updated = { ...prefs, autoStartPomodoro };
+    setPrefs(updated);
+    saveFocusPrefs(updated);
+  };
+
+  const formatClock = (ms) => {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
+  const stepElapsed = task.speedrunMode && timerData?.currentSubtaskStart
+    ? currentTime - timerData.currentSubtaskStart
+    : null;
+
+  const renderBody = () => {
+    if (step) {
+      return (
+        <>
+          <p className="focus-step-count">STEP {number} OF {total}</p>
+          {parents.length > 0 && (
+            <p className="focus-step-parents">{parents.join(' → ')}</p>
+          )}
+          <h2 className="focus-step-text">{step.text}</h2>
+          {step.estimatedMinutes && (
+            <p className="focus-step-estimate">~{formatMinutes(step.estimatedMinutes)}</p>
+          )}
+          {stepElapsed !== null && (
+            <p className="focus-step-timer">⏱️ {formatClock(stepElapsed)}</p>
+          )}
+
+          <button className="focus-done-btn" onClick={handleDone} ref={doneButton}>
+            ✓ DONE
+          </button>
+          <button
+            className="focus-split-btn"
+            onClick={() => void handleSplit()}
+            disabled={isSplitting}
+            title="Break this step into smaller ones"
+          >
+            {isSplitting ? '[ SPLITTING... ]' : '🪓 TOO HARD? SPLIT IT'}
+          </button>
+        </>
+      );
+    }
+
+    if (isGenerating) {
+      return (
+        <p className="focus-message">
+          <span className="blink">▮</span> Steps are still arriving...
+        </p>
+      );
+    }
+
+    if (blockers.length > 0) {
+      return (
+        <>
+          <h2 className="focus-step-text">🔒 WAITING</h2>
+          <p className="focus-message">
+            The next step is waiting on: {blockers.map(blocker => blocker.label).join(', ')}
+          </p>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <h2 className="focus-step-text">🏆 EVERY STEP DONE</h2>
+        {total > 0 && (
+          <button className="focus-done-btn" onClick={handleCompleteQuest}>
+            ⚡ COMPLETE QUEST ⚡
+          </button>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="focus-mode" role="dialog" aria-modal="true" aria-label={`Focus mode: ${task.title}`}>
+      <div className="focus-header">
+        <span className="focus-quest-title">🎯 {task.title}</span>
+        <button className="focus-exit-btn" onClick={onExit} title="Back to the quest list (Esc)">
+          ✕ EXIT
+        </button>
+      </div>
+
+      <div className="focus-progress-bar">
+        <div
+          className="focus-progress-fill"
+          style={{ width: `${total > 0 ? Math.round(((step ? number - 1 : total) / total) * 100) : 0}%` }}
+        />
+      </div>
+
+      <div className="focus-body">
+        {xpFlash.key > 0 && (
+          <span key={xpFlash.key} className="focus-xp-flash">+{xpFlash.xp} XP</span>
+        )}
+        {renderBody()}
+      </div>
+
+      <div className="focus-footer">
+        <div className="focus-pomodoro">
+          {pomodoroEndsAt ? (
+            <>
+              <span>🍅 {formatClock(pomodoroEndsAt - currentTime)}</span>
+              <button className="focus-small-btn" onClick={() => setPomodoroEndsAt(null)}>
+                ■ STOP
+              </button>
+            </>
+          ) : (
+            <>
+              {sessionDone && <span>🍅 Session done - take a break!</span>}
+              <button className="focus-small-btn" onClick={startPomodoro}>
+                ▶ {FOCUS_SESSION_MINUTES} MIN POMODORO
+              </button>
+            </>
+          )}
+        </div>
+        <label className="focus-autostart">
+          <input
+            type="checkbox"
+            checked={prefs.autoStartPomodoro}
+            onChange={(e) => handleAutoStartChange(e.target.checked)}
+          />
+          Start a Pomodoro when focus mode opens
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default FocusMode;
@@ -1,10 +1,12 @@
 import React from 'react';
-import { getRankForLevel, getNextRank } from '../utils/rankSystem';
+import { MAX_LEVEL } from '../utils/xpSystem';
+import { getRankForLevel, getNextRank, formatPrestige, getXPBarStyle } from '../utils/rankSystem';
 import '../styles/persistentxpbar.css';
 
-const PersistentXPBar = ({ totalXP, level, currentLevelXP, xpToNextLevel, onBadgesClick }) => {
-  const rank = getRankForLevel(level);
-  const nextRank = getNextRank(level);
+const PersistentXPBar = ({ totalXP, level, currentLevelXP, xpToNextLevel, prestige = 0, xpBarStyle, onBadgesClick }) => {
+  const rank = getRankForLevel(level, prestige);
+  const nextRank = getNextRank(level, prestige);
+  const style = getXPBarStyle(xpBarStyle, prestige);
   const progressPercent = xpToNextLevel > 0 
     ? Math.round((currentLevelXP / xpToNextLevel) * 100) 
     : 100;
@@ -18,13 +20,14 @@ const PersistentXPBar = ({ totalXP, level, currentLevelXP, xpToNextLevel, onBadg
           <span className="rank-name">{rank.name}</span>
           <span className="rank-separator">•</span>
           <span className="level-display">LV {level}</span>
+          {prestige > 0 && <span className="rank-prestige" title={`Prestige ${prestige}`}>{formatPrestige(prestige)}</span>}
         </div>
         
         {/* XP Bar */}
         <div className="xp-bar-section">
           <div className="xp-bar-track">
             <div 
-              className="xp-bar-fill" 
+              className={`xp-bar-fill xp-style-${style.id}`}
               style={{ width: `${progressPercent}%` }}
             >
               <div className="xp-bar-shine"></div>
@@ -36,7 +39,7 @@ const PersistentXPBar = ({ totalXP, level, currentLevelXP, xpToNextLevel, onBadg
         {/* Next Rank Preview */}
         {nextRank && (
           <div className="next-rank-preview">
-            <span className="next-rank-text">Next:</span>
+            <span className="next-rank-text">{prestige > 0 || level >= MAX_LEVEL ? 'Next prestige:' : 'Next:'}</span>
             <span className="next-rank-icon">{nextRank.icon}</span>
             <span className="next-rank-name">{nextRank.name}</span>
           </div>
@@ -0,0 +1,190 @@
+/**
+ * Project Panel
+ *
+ * Shown above the quest list. Lists the projects with how far along each
+ * one is and the XP it has earned, and lets the player add, edit and
+ * delete projects.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { PROJECT_COLORS, PROJECT_ICONS, getProjectProgress } from '../utils/projects';
+import '../styles/projectpanel.css';
+
+const EMPTY_FORM = { name: '', color: PROJECT_COLORS[0], icon: PROJECT_ICONS[0], goalDate: '' };
+
+const GOAL_LABELS = {
+  done: '✓ ALL QUESTS DONE',
+  overdue: '⚠ PAST GOAL DATE',
+  soon: '⏳ GOAL SOON',
+  'on-track': '🎯 ON TRACK',
+};
+
+const describeGoal = (days) => {
+  if (days === 0) return 'goal is today';
+  if (days < 0) return `goal was ${-days} day${days === -1 ? '' : 's'} ago`;
+  return `${days} day${days === 1 ? '' : 's'} to goal`;
+};
+
+const ProjectPanel = ({ projects, tasks, completedQuests = [], onCreate, onUpdate, onDelete }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null); // a project id, 'new' or null
+  const [form, setForm] = useState(EMPTY_FORM);
+  const nameInput = useRef(null);
+
+  // Start typing the name as soon as the form opens
+  useEffect(() => {
+    if (editingId) nameInput.current?.focus();
+  }, [editingId]);
+
+  const startEditing = (project) => {
+    setEditingId(project ? project.id : 'new');
+    setForm(project
+      ? { name: project.name, color: project.color, icon: project.icon, goalDate: project.goalDate || '' }
+      : EMPTY_FORM);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const data = { ...form, goalDate: form.goalDate || null };
+    const saved = editingId === 'new' ? onCreate(data) : onUpdate(editingId, data);
+    if (saved) setEditingId(null);
+  };
+
+  const handleDelete = (project) => {
+    if (window.confirm(`Delete the project "${project.name}"? Its quests are kept and just won't belong to a project.`)) {
+      onDelete(project.id);
+      if (editingId === project.id) setEditingId(null);
+    }
+  };
+
+  const renderForm = () => (
+    <form className="project-form" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        className="project-input"
+        ref={nameInput}
+        value={form.name}
+        onChange={(e) => setForm({ ...form, name: e.target.value })}
+        placeholder="Project name"
+        aria-label="Project name"
+        maxLength={50}
+      />
+      <div className="project-swatches" role="radiogroup" aria-label="Colour">
+        {PROJECT_COLORS.map(color => (
+          <button
+            key={color}
+            type="button"
+            className={`project-swatch ${form.color === color ? 'selected' : ''}`}
+            style={{ backgroundColor: color }}
+            onClick={() => setForm({ ...form, color })}
+            role="radio"
+            aria-checked={form.color === color}
+            aria-label={color}
+          />
+        ))}
+      </div>
+      <div className="project-icons" role="radiogroup" aria-label="Icon">
+        {PROJECT_ICONS.map(icon => (
+          <button
+            key={icon}
+            type="button"
+            className={`project-icon-btn ${form.icon === icon ? 'selected' : ''}`}
+            onClick={() => setForm({ ...form, icon })}
+            role="radio"
+            aria-checked={form.icon === icon}
+          >
+            {icon}
+          </button>
+        ))}
+      </div>
+      <label className="project-goal-label">
+        GOAL DATE (OPTIONAL):
+        <input
+          type="date"
+          className="project-input"
+          value={form.goalDate}
+          onChange={(e) => setForm({ ...form, goalDate: e.target.value })}
+        />
+      </label>
+      <div className="project-form-actions">
+        <button type="submit" className="project-btn" disabled={!form.name.trim()}>
+          {editingId === 'new' ? '+ ADD PROJECT' : '✓ SAVE'}
+        </button>
+        <button type="button" className="project-btn" onClick={() => setEditingId(null)}>
+          CANCEL
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="project-panel">
+      <button className="project-panel-toggle" onClick={() => setIsOpen(!isOpen)} aria-expanded={isOpen}>
+        {isOpen ? '▼' : '►'} 📁 PROJECTS ({projects.length})
+      </button>
+
+      {isOpen && (
+        <div className="project-panel-body">
+          {projects.length === 0 && editingId !== 'new' && (
+            <p className="project-empty">Group quests into projects, like Home, Work or a big goal with a date.</p>
+          )}
+
+          {projects.map(project => {
+            if (editingId === project.id) {
+              return <div key={project.id} className="project-card">{renderForm()}</div>;
+            }
+
+            const progress = getProjectProgress(project, tasks, completedQuests);
+            return (
+              <div key={project.id} className="project-card" style={{ borderColor: project.color }}>
+                <div className="project-card-header">
+                  <span className="project-name" style={{ color: project.color }}>
+                    {project.icon} {project.name}
+                  </span>
+                  <span className="project-xp">✨ {progress.xpEarned} XP</span>
+                </div>
+                <div
+                  className="project-progress"
+                  role="progressbar"
+                  aria-valuenow={progress.percent}
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-label={`${project.name} progress`}
+                >
+                  <div
+                    className="project-progress-fill"
+                    style={{ width: `${progress.percent}%`, backgroundColor: project.color }}
+                  />
+                </div>
+                <div className="project-meta">
+                  <span>{progress.completedQuests}/{progress.completedQuests + progress.openQuests} quests</span>
+                  {progress.stepsTotal > 0 && <span>{progress.stepsDone}/{progress.stepsTotal} open steps done</span>}
+                  {progress.daysToGoal !== null && <span>{describeGoal(progress.daysToGoal)}</span>}
+                  {GOAL_LABELS[progress.goalStatus] && (
+                    <span className={`project-goal ${progress.goalStatus}`}>{GOAL_LABELS[progress.goalStatus]}</span>
+                  )}
+                </div>
+                <div className="project-card-actions">
+                  <button className="project-btn" onClick={() => startEditing(project)}>✎ EDIT</button>
+                  <button className="project-btn" onClick={() => handleDelete(project)} aria-label={`Delete ${project.name}`}>
+                    ✕
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+
+          {editingId === 'new'
+            ? <div className="project-card">{renderForm()}</div>
+            : (
+              <button className="project-btn" onClick={() => startEditing(null)}>
+                + NEW PROJECT
+              </button>
+            )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectPanel;
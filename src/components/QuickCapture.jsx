@@ -1,14 +1,30 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { parseQuickAdd } from '../utils/quickAddParser';
+import {
+  PROCESSED_LABELS,
+  getInboxCaptures,
+  markProcessed,
+  returnToInbox,
+  captureToTaskData,
+  captureToTemplate,
+  saveTemplate,
+  queueQuest
+} from '../utils/captureInbox';
 import '../styles/quickcapture.css';
 
-const QuickCapture = () => {
-  const [activeTab, setActiveTab] = useState('notes'); // 'notes' or 'drawing'
+const QuickCapture = ({ onOpenQuestBoard }) => {
+  const [activeTab, setActiveTab] = useState('notes'); // 'notes', 'inbox' or 'drawing'
   const [captures, setCaptures] = useState([]);
   const [newCapture, setNewCapture] = useState('');
   const [newTags, setNewTags] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
   const [filterTag, setFilterTag] = useState('all');
 
+  // Inbox triage state
+  const [skippedIds, setSkippedIds] = useState([]);
+  const [scheduleDate, setScheduleDate] = useState('');
+  const [queuedCount, setQueuedCount] = useState(0);
+
   // Drawing state
   const [drawings, setDrawings] = useState([]);
   const [isDrawing, setIsDrawing] = useState(false);
@@ -98,6 +114,59 @@ const QuickCapture = () => {
     }
   };
   
+  // The first line becomes the quest, read the same way as TaskInput
+  // ("call dentist tomorrow 3pm !high #health"); any other lines become its description
+  const handleCreateQuest = (capture) => {
+    const taskData = captureToTaskData(capture);
+    const details = parseQuickAdd(capture.text.split('\n')[0]).tokens.map(token => token.label).join('  ');
+    
+    if (!window.confirm(`Make a quest from this note?\n\n${taskData.title}${details ? `\n${details}` : ''}`)) return;
+    
+    processCapture(capture, 'quest', taskData);
+    if (onOpenQuestBoard) onOpenQuestBoard();
+  };
+  
+  // Queue the quest (Dashboard breaks it down when it opens) and take the note out of the inbox
+  const processCapture = (capture, processedAs, taskData = null) => {
+    if (taskData) {
+      queueQuest(taskData);
+      setQueuedCount(prev => prev + 1);
+    }
+    setCaptures(prev => markProcessed(prev, capture.id, processedAs));
+    setScheduleDate('');
+  };
+  
+  const handleTriageTemplate = (capture) => {
+    const template = captureToTemplate(capture);
+    saveTemplate(template);
+    processCapture(capture, 'template');
+  };
+  
+  const handleTriageSchedule = (capture) => {
+    if (!scheduleDate) {
+      alert('Pick a date to schedule this quest for');
+      return;
+    }
+    processCapture(capture, 'scheduled', captureToTaskData(capture, { dueDate: scheduleDate }));
+  };
+  
+  const handleTriageDelete = (capture) => {
+    if (window.confirm('Delete this capture?')) {
+      setCaptures(prev => prev.filter(c => c.id !== capture.id));
+      setScheduleDate('');
+    }
+  };
+  
+  const handleTriageSkip = (capture) => {
+    setSkippedIds(prev => [...prev, capture.id]);
+    setScheduleDate('');
+  };
+  
+  const handleReturnToInbox = (id) => {
+    setCaptures(prev => returnToInbox(prev, id));
+    setSkippedIds(prev => prev.filter(skippedId => skippedId !== id));
+  };
+  
   const handleTogglePin = (id) => {
     setCaptures(prev => prev.map(c => 
       c.id === id ? { ...c, pinned: !c.pinned } : c
@@ -110,6 +179,13 @@ const QuickCapture = () => {
     }
   };
   
+  // Inbox: oldest first; skipped notes wait until everything else has been seen
+  const inboxCaptures = getInboxCaptures(captures);
+  const unskipped = inboxCaptures.filter(c => !skippedIds.includes(c.id));
+  const triageCapture = unskipped[0] || inboxCaptures[0];
+  const triagePosition = triageCapture ? inboxCaptures.indexOf(triageCapture) + 1 : 0;
+  const triagePreview = triageCapture ? parseQuickAdd(triageCapture.text.split('\n')[0]) : null;
+  
   // Get all unique tags
   const allTags = [...new Set(captures.flatMap(c => c.tags))];
   
@@ -216,6 +292,12 @@ const QuickCapture = () => {
         >
           NOTES
         </button>
+        <button
+          className={`capture-tab ${activeTab === 'inbox' ? 'active' : ''}`}
+          onClick={() => setActiveTab('inbox')}
+        >
+          INBOX ({inboxCaptures.length})
+        </button>
         <button
           className={`capture-tab ${activeTab === 'drawing' ? 'active' : ''}`}
           onClick={() => setActiveTab('drawing')}
@@ -318,8 +400,30 @@ const QuickCapture = () => {
         {sortedCaptures.map(capture => (
           <div key={capture.id} className={`capture-card ${capture.pinned ? 'pinned' : ''}`}>
             <div className="capture-card-header">
-              <span className="capture-date">{formatDate(capture.createdAt)}</span>
+              <span className="capture-date">
+                {formatDate(capture.createdAt)}
+                {capture.processedAs && (
+                  <span className="capture-processed-badge">{PROCESSED_LABELS[capture.processedAs]}</span>
+                )}
+              </span>
               <div className="capture-actions">
+                {capture.processedAs ? (
+                  <button
+                    onClick={() => handleReturnToInbox(capture.id)}
+                    className="capture-action-btn"
+                    title="Put back in the inbox"
+                  >
+                    📥
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => handleCreateQuest(capture)}
+                    className="capture-action-btn"
+                    title="Make a quest from this note"
+                  >
+                    ⚔️
+                  </button>
+                )}
                 <button
                   onClick={() => handleTogglePin(capture.id)}
                   className="capture-action-btn"
@@ -357,12 +461,110 @@ const QuickCapture = () => {
           <span>•</span>
           <span>Pinned: {captures.filter(c => c.pinned).length}</span>
           <span>•</span>
+          <span>In inbox: {inboxCaptures.length}</span>
+          <span>•</span>
           <span>Tags: {allTags.length}</span>
         </div>
       )}
         </>
       )}
 
+      {/* INBOX TAB - triage one note at a time */}
+      {activeTab === 'inbox' && (
+        <div className="inbox-triage">
+          {triageCapture ? (
+            <>
+              <div className="triage-progress">
+                NOTE {triagePosition} OF {inboxCaptures.length}
+                <span className="triage-age">captured {formatDate(triageCapture.createdAt)}</span>
+              </div>
+              
+              <div className="triage-card">
+                <p className="capture-text">{triageCapture.text}</p>
+                
+                {triageCapture.tags.length > 0 && (
+                  <div className="capture-tags">
+                    {triageCapture.tags.map((tag, idx) => (
+                      <span key={idx} className="capture-tag">#{tag}</span>
+                    ))}
+                  </div>
+                )}
+                
+                {triagePreview.tokens.length > 0 && (
+                  <p className="triage-preview">
+                    As a quest: {triagePreview.title} · {triagePreview.tokens.map(token => token.label).join(' · ')}
+                  </p>
+                )}
+              </div>
+              
+              <div className="triage-actions">
+                <button
+                  onClick={() => processCapture(triageCapture, 'quest', captureToTaskData(triageCapture))}
+                  className="triage-btn primary"
+                  title="Queue a quest and let the AI break it down"
+                >
+                  ⚔️ MAKE QUEST
+                </button>
+                <button
+                  onClick={() => handleTriageTemplate(triageCapture)}
+                  className="triage-btn"
+                  title="Save as a template; extra lines become its steps"
+                >
+                  📋 MAKE TEMPLATE
+                </button>
+                <div className="triage-schedule">
+                  <input
+                    type="date"
+                    value={scheduleDate}
+                    onChange={(e) => setScheduleDate(e.target.value)}
+                    className="triage-date-input"
+                    aria-label="Schedule for"
+                  />
+                  <button
+                    onClick={() => handleTriageSchedule(triageCapture)}
+                    className="triage-btn"
+                  >
+                    📅 SCHEDULE
+                  </button>
+                </div>
+                <button
+                  onClick={() => processCapture(triageCapture, 'archived')}
+                  className="triage-btn"
+                  title="Keep the note but take it out of the inbox"
+                >
+                  🗄 ARCHIVE
+                </button>
+                <button
+                  onClick={() => handleTriageDelete(triageCapture)}
+                  className="triage-btn delete"
+                >
+                  ✕ DELETE
+                </button>
+                {inboxCaptures.length > 1 && (
+                  <button
+                    onClick={() => handleTriageSkip(triageCapture)}
+                    className="triage-btn"
+                  >
+                    ⏭ SKIP
+                  </button>
+                )}
+              </div>
+            </>
+          ) : (
+            <div className="captures-empty">
+              <p>📭 INBOX ZERO</p>
+              <p className="empty-subtitle">Every note has been sorted. Nice work!</p>
+            </div>
+          )}
+          
+          {queuedCount > 0 && onOpenQuestBoard && (
+            <button onClick={onOpenQuestBoard} className="triage-open-board-btn">
+              ⚔️ OPEN QUEST BOARD ({queuedCount} new quest{queuedCount === 1 ? '' : 's'} waiting)
+            </button>
+          )}
+        </div>
+      )}
+
       {/* DRAWING TAB */}
       {activeTab === 'drawing' && (
         <>
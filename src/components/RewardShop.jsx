@@ -0,0 +1,259 @@
+/**
+ * Reward Shop
+ *
+ * Spend the coins earned alongside XP on rewards the player sets up
+ * themselves, with a price and an optional cooldown. Shows the coin
+ * balance, this week's earning and spending, and the purchase history.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { format, formatDistanceToNow } from 'date-fns';
+import { ensureLedger } from '../utils/xpLedger';
+import {
+  XP_PER_COIN,
+  REWARD_ICONS,
+  loadRewards,
+  saveRewards,
+  loadPurchases,
+  savePurchases,
+  getLiveRewards,
+  getCoinBalance,
+  createReward,
+  updateReward,
+  deleteReward,
+  getCooldown,
+  purchaseReward,
+  getWeeklySpendReport
+} from '../utils/rewardShop';
+import '../styles/rewardshop.css';
+
+const EMPTY_FORM = { name: '', icon: REWARD_ICONS[0], price: 50, cooldownHours: 0 };
+
+const RewardShop = () => {
+  const [ledger] = useState(ensureLedger);
+  const [rewards, setRewards] = useState(loadRewards);
+  const [purchases, setPurchases] = useState(loadPurchases);
+  const [editingId, setEditingId] = useState(null); // a reward id, 'new' or null
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [now, setNow] = useState(() => new Date());
+  const nameInput = useRef(null);
+
+  // Keep cooldowns counting down
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    if (editingId) nameInput.current?.focus();
+  }, [editingId]);
+
+  const { earned, spent, balance } = getCoinBalance(ledger, purchases);
+  const report = getWeeklySpendReport(ledger, purchases, now);
+  const liveRewards = getLiveRewards(rewards);
+  const recentPurchases = purchases.slice(-20).reverse();
+
+  const updateRewards = (next) => {
+    saveRewards(next);
+    setRewards(next);
+  };
+
+  const startEditing = (reward) => {
+    setEditingId(reward ? reward.id : 'new');
+    setForm(reward
+      ? { name: reward.name, icon: reward.icon, price: reward.price, cooldownHours: reward.cooldownHours }
+      : EMPTY_FORM);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const data = { ...form, price: Number(form.price), cooldownHours: Number(form.cooldownHours) || 0 };
+    const result = editingId === 'new'
+      ? createReward(rewards, data)
+      : updateReward(rewards, editingId, data);
+
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    updateRewards(result.rewards);
+    setEditingId(null);
+  };
+
+  const handleDelete = (reward) => {
+    if (window.confirm(`Delete the reward "${reward.name}"? Past purchases stay in the history.`)) {
+      updateRewards(deleteReward(rewards, reward.id));
+      if (editingId === reward.id) setEditingId(null);
+    }
+  };
+
+  const handleBuy = (reward) => {
+    if (!window.confirm(`Buy "${reward.name}" for ${reward.price} coins? Enjoy it, you earned it!`)) return;
+
+    const result = purchaseReward(reward, purchases, balance, new Date());
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    savePurchases(result.purchases);
+    setPurchases(result.purchases);
+  };
+
+  const renderForm = () => (
+    <form className="reward-form" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        className="reward-input"
+        ref={nameInput}
+        value={form.name}
+        onChange={(e) => setForm({ ...form, name: e.target.value })}
+        placeholder='e.g. "30 min gaming" or "fancy coffee"'
+        aria-label="Reward name"
+        maxLength={50}
+      />
+      <div className="reward-icons" role="radiogroup" aria-label="Icon">
+        {REWARD_ICONS.map(icon => (
+          <button
+            key={icon}
+            type="button"
+            className={`reward-icon-btn ${form.icon === icon ? 'selected' : ''}`}
+            onClick={() => setForm({ ...form, icon })}
+            role="radio"
+            aria-checked={form.icon === icon}
+          >
+            {icon}
+          </button>
+        ))}
+      </div>
+      <div className="reward-form-fields">
+        <label>
+          PRICE (COINS):
+          <input
+            type="number"
+            className="reward-input"
+            min="1"
+            step="1"
+            value={form.price}
+            onChange={(e) => setForm({ ...form, price: e.target.value })}
+          />
+        </label>
+        <label>
+          COOLDOWN (HOURS):
+          <input
+            type="number"
+            className="reward-input"
+            min="0"
+            step="1"
+            value={form.cooldownHours}
+            onChange={(e) => setForm({ ...form, cooldownHours: e.target.value })}
+          />
+        </label>
+      </div>
+      <div className="reward-form-actions">
+        <button type="submit" className="reward-btn" disabled={!form.name.trim()}>
+          {editingId === 'new' ? '+ ADD REWARD' : '✓ SAVE'}
+        </button>
+        <button type="button" className="reward-btn" onClick={() => setEditingId(null)}>
+          CANCEL
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="reward-shop">
+      <div className="reward-shop-header">
+        <h2>[ REWARD SHOP ]</h2>
+        <div className="coin-balance" aria-label="Coin balance">🪙 {balance.toLocaleString()} COINS</div>
+        <p className="reward-shop-hint">
+          You earn 1 coin for every {XP_PER_COIN} XP ({earned.toLocaleString()} earned, {spent.toLocaleString()} spent).
+        </p>
+      </div>
+
+      <div className="reward-grid">
+        {liveRewards.length === 0 && editingId !== 'new' && (
+          <p className="reward-empty">Set up rewards you&apos;d like to earn, like a film night or a fancy coffee.</p>
+        )}
+
+        {liveRewards.map(reward => {
+          if (editingId === reward.id) {
+            return <div key={reward.id} className="reward-card">{renderForm()}</div>;
+          }
+
+          const cooldown = getCooldown(reward, purchases, now);
+          const affordable = balance >= reward.price;
+          return (
+            <div key={reward.id} className={`reward-card ${affordable && cooldown.ready ? 'available' : ''}`}>
+              <div className="reward-card-header">
+                <span className="reward-name">{reward.icon} {reward.name}</span>
+                <span className="reward-price">🪙 {reward.price}</span>
+              </div>
+              <div className="reward-meta">
+                {reward.cooldownHours > 0 && <span>once every {reward.cooldownHours}h</span>}
+                {!cooldown.ready && <span>⏳ ready {formatDistanceToNow(cooldown.availableAt, { addSuffix: true })}</span>}
+                {cooldown.ready && !affordable && <span>{reward.price - balance} more coins</span>}
+              </div>
+              <div className="reward-card-actions">
+                <button className="reward-btn buy" onClick={() => handleBuy(reward)} disabled={!affordable || !cooldown.ready}>
+                  BUY
+                </button>
+                <button className="reward-btn" onClick={() => startEditing(reward)}>✎ EDIT</button>
+                <button className="reward-btn" onClick={() => handleDelete(reward)} aria-label={`Delete ${reward.name}`}>
+                  ✕
+                </button>
+              </div>
+            </div>
+          );
+        })}
+
+        {editingId === 'new'
+          ? <div className="reward-card">{renderForm()}</div>
+          : (
+            <button className="reward-btn" onClick={() => startEditing(null)}>
+              + NEW REWARD
+            </button>
+          )}
+      </div>
+
+      <div className="reward-section">
+        <h3>📊 THIS WEEK ({format(report.weekStart, 'MMM d')} – {format(report.weekEnd, 'MMM d')})</h3>
+        <div className="reward-report-stats">
+          <span>Earned: 🪙 {report.earned}</span>
+          <span>Spent: 🪙 {report.spent}</span>
+          <span>Last week spent: 🪙 {report.lastWeekSpent}</span>
+        </div>
+        {report.rewards.length > 0 ? (
+          <ul className="reward-report">
+            {report.rewards.map(line => (
+              <li key={line.rewardId}>
+                <span>{line.icon} {line.name} ×{line.count}</span>
+                <span>🪙 {line.coins}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="reward-empty">Nothing bought yet this week.</p>
+        )}
+      </div>
+
+      <div className="reward-section">
+        <h3>🧾 PURCHASE HISTORY</h3>
+        {recentPurchases.length > 0 ? (
+          <ul className="reward-history">
+            {recentPurchases.map(purchase => (
+              <li key={purchase.id}>
+                <span className="reward-history-time">{format(new Date(purchase.purchasedAt), 'MMM d, h:mm a')}</span>
+                <span className="reward-history-name">{purchase.icon} {purchase.name}</span>
+                <span className="reward-history-price">−{purchase.price}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="reward-empty">Your purchases will show up here.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RewardShop;
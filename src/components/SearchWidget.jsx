@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { parseQuery } from '../utils/searchQuery';
+import {
+  getSearchIndex,
+  searchIndex,
+  loadSavedSearches,
+  saveSearch,
+  toggleSearchPin,
+  deleteSavedSearch
+} from '../utils/searchIndex';
+import '../styles/search.css';
+
+const TYPE_LABELS = {
+  task: '⚔️ QUEST',
+  step: '▸ STEP',
+  quest: '🏆 DONE',
+  note: '📝 NOTE',
+};
+
+// Where each kind of result lives
+const RESULT_WIDGETS = {
+  task: 'task-crusher',
+  step: 'task-crusher',
+  quest: 'completed-quests',
+  note: 'quick-capture',
+};
+
+const EXAMPLES = ['tag:home priority:high', 'due:<7d is:open', 'is:overdue', 'type:note is:inbox', '"call mom"'];
+
+const MAX_RESULTS = 100;
+const INDEX_REFRESH_MS = 5000;
+
+const SearchWidget = ({ initialQuery = '', onOpenWidget }) => {
+  const [query, setQuery] = useState(initialQuery);
+  const [savedSearches, setSavedSearches] = useState(loadSavedSearches);
+  const [saveName, setSaveName] = useState('');
+  const [showHelp, setShowHelp] = useState(false);
+  const [index, setIndex] = useState(getSearchIndex);
+  const queryInput = useRef(null);
+
+  useEffect(() => {
+    queryInput.current?.focus();
+  }, []);
+
+  // Quests and notes also change while the search is open (a sync in this tab,
+  // or another tab), so the index is checked every few seconds and on storage
+  // events; it only changes, and the results only re-run, when something did
+  useEffect(() => {
+    const refresh = () => setIndex(getSearchIndex());
+    const interval = setInterval(refresh, INDEX_REFRESH_MS);
+    window.addEventListener('storage', refresh);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('storage', refresh);
+    };
+  }, []);
+
+  const parsed = useMemo(() => parseQuery(query), [query]);
+  const results = useMemo(
+    () => (query.trim() ? searchIndex(index, parsed) : []),
+    [index, parsed, query]
+  );
+
+  const isSaved = savedSearches.some(search => search.query === query.trim());
+
+  const handleSave = () => {
+    if (!query.trim()) return;
+    setSavedSearches(saveSearch(saveName, query));
+    setSaveName('');
+  };
+
+  const handleDelete = (search) => {
+    if (window.confirm(`Delete the saved search "${search.name}"?`)) {
+      setSavedSearches(deleteSavedSearch(search.id));
+    }
+  };
+
+  return (
+    <div className="search-widget">
+      <div className="search-header">
+        <h2>🔍 QUEST SEARCH</h2>
+        <p className="search-subtitle">Find anything: quests, steps, finished quests and notes</p>
+      </div>
+
+      <div className="search-input-section">
+        <div className="search-input-row">
+          <input
+            type="text"
+            className="search-input"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder='tag:home priority:high due:<7d "exact phrase"'
+            aria-label="Search query"
+            ref={queryInput}
+          />
+          <button className="search-small-btn" onClick={() => setShowHelp(!showHelp)} aria-expanded={showHelp}>
+            ? SYNTAX
+          </button>
+        </div>
+
+        {parsed.errors.map(error => (
+          <div key={error} className="search-error">⚠ {error}</div>
+        ))}
+
+        {showHelp && (
+          <div className="search-help">
+            <div><code>words</code> match the start of any word · <code>&quot;exact phrase&quot;</code></div>
+            <div><code>tag:home</code> · <code>priority:high</code> (high, medium, low)</div>
+            <div><code>due:today</code> · <code>due:tomorrow</code> · <code>due:none</code> · <code>due:&lt;7d</code> · <code>due:&gt;=2w</code> · <code>due:&lt;2026-11-01</code></div>
+            <div><code>is:overdue</code> · <code>is:open</code> · <code>is:done</code> · <code>is:archived</code> · <code>is:recurring</code> · <code>is:inbox</code> · <code>is:snoozed</code></div>
+            <div><code>type:task</code> · <code>type:step</code> · <code>type:quest</code> (finished) · <code>type:note</code></div>
+            <div>Put <code>-</code> in front of anything to exclude it: <code>-tag:work</code></div>
+          </div>
+        )}
+
+        {!query.trim() && (
+          <div className="search-examples">
+            TRY:{' '}
+            {EXAMPLES.map(example => (
+              <button key={example} className="search-small-btn" onClick={() => setQuery(example)}>
+                {example}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {query.trim() && !isSaved && (
+          <div className="search-save-row">
+            <input
+              type="text"
+              className="search-name-input"
+              value={saveName}
+              onChange={(e) => setSaveName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+              placeholder="Name this search (optional)"
+            />
+            <button className="search-small-btn" onClick={handleSave}>💾 SAVE SEARCH</button>
+          </div>
+        )}
+      </div>
+
+      {savedSearches.length > 0 && (
+        <div className="saved-searches">
+          <h3>SAVED SEARCHES</h3>
+          {savedSearches.map(search => (
+            <div key={search.id} className={`saved-search ${search.query === query.trim() ? 'active' : ''}`}>
+              <button className="saved-search-name" onClick={() => setQuery(search.query)} title={search.query}>
+                {search.name}
+              </button>
+              <button
+                className={`search-small-btn ${search.pinned ? 'pinned' : ''}`}
+                onClick={() => setSavedSearches(toggleSearchPin(search.id))}
+                title={search.pinned ? 'Unpin from the arcade' : 'Pin to the arcade'}
+                aria-pressed={Boolean(search.pinned)}
+              >
+                📌
+              </button>
+              <button className="search-small-btn" onClick={() => handleDelete(search)} aria-label={`Delete ${search.name}`}>
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {query.trim() && (
+        <div className="search-results">
+          <div className="search-count" aria-live="polite">
+            {results.length === 0 ? 'NO MATCHES' : `${results.length} MATCH${results.length === 1 ? '' : 'ES'}`}
+          </div>
+          {results.slice(0, MAX_RESULTS).map(result => (
+            <button
+              key={result.id}
+              className={`search-result status-${result.status}`}
+              onClick={() => onOpenWidget(RESULT_WIDGETS[result.type])}
+            >
+              <span className="search-result-type">{TYPE_LABELS[result.type]}</span>
+              <span className="search-result-body">
+                <span className="search-result-title">{result.title}</span>
+                {result.type === 'step' && <span className="search-result-context">in {result.context}</span>}
+                <span className="search-result-meta">
+                  {result.priority && <span>{result.priority.toUpperCase()}</span>}
+                  {result.dueDate && <span>📅 {result.dueDate}</span>}
+                  {result.status !== 'open' && <span>{result.status.toUpperCase()}</span>}
+                  {result.tags.map(tag => <span key={tag}>#{tag}</span>)}
+                </span>
+              </span>
+            </button>
+          ))}
+          {results.length > MAX_RESULTS && (
+            <div className="search-count">+{results.length - MAX_RESULTS} MORE - NARROW THE SEARCH</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchWidget;
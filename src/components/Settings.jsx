@@ -1,8 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { setSoundSettings, setClickSound, setKeySound, playSound } from '../utils/soundEffects';
+import { AI_PROVIDERS, normalizeAISettings } from '../services/aiProviders';
+import { generateSubtasks } from '../services/aiService';
+import { BUDGET_LIMITS, loadUsage, summarizeUsage, getCacheSize, clearAICache } from '../services/aiCache';
+import { getPreferenceRules, dismissPreferenceRule, describeRule } from '../services/stepPreferences';
+import { DREAD_LEVELS, normalizeXPPolicy, parseLevelTable } from '../utils/xpPolicy';
+import { LEVEL_CURVES, getXPRequiredForLevel } from '../utils/xpSystem';
+import { getXPRecalculation } from '../utils/statsAggregator';
 import '../styles/settings.css';
 
-const Settings = ({ userSettings, onUpdateSettings, onResetAll, onResetXP }) => {
+const Settings = ({ userSettings, onUpdateSettings, onResetAll, onResetXP, onRecalculateXP }) => {
   const [localSettings, setLocalSettings] = useState(userSettings || {
     themeColor: '#00FF00',
     scanlinesEnabled: true,
@@ -22,6 +29,17 @@ const Settings = ({ userSettings, onUpdateSettings, onResetAll, onResetXP }) =>
   });
 
   const [showAdvancedSound, setShowAdvancedSound] = useState(false);
+  const [aiTestResult, setAITestResult] = useState(null);
+  const [preferenceRules, setPreferenceRules] = useState(() => getPreferenceRules());
+  const [aiUsage, setAIUsage] = useState(null);
+  const [aiCacheSize, setAICacheSize] = useState(0);
+
+  const aiSettings = normalizeAISettings(localSettings.ai);
+  const activeAIConfig = aiSettings.providers[aiSettings.provider];
+
+  const xpPolicy = normalizeXPPolicy(localSettings.xpPolicy);
+  const [levelTableText, setLevelTableText] = useState(() => xpPolicy.levelCurve.table.join(', '));
+  const [xpPreview, setXPPreview] = useState(null);
 
   const colorPresets = [
     { name: 'CLASSIC', value: '#00FF00', label: '🟢' },
@@ -45,6 +63,20 @@ const Settings = ({ userSettings, onUpdateSettings, onResetAll, onResetXP }) =>
     }
   }, [localSettings.soundSettings, localSettings.currentClickSound, localSettings.currentKeySound]);
 
+  // Usage and cache size live in localforage, so they load asynchronously
+  const refreshAIUsage = async () => {
+    try {
+      setAIUsage(summarizeUsage(await loadUsage()));
+      setAICacheSize(await getCacheSize());
+    } catch (error) {
+      console.error('Error loading AI usage:', error);
+    }
+  };
+
+  useEffect(() => {
+    void refreshAIUsage();
+  }, []);
+
   const handleColorChange = (color) => {
     const newSettings = { ...localSettings, themeColor: color };
     setLocalSettings(newSettings);
@@ -98,6 +130,103 @@ const Settings = ({ userSettings, onUpdateSettings, onResetAll, onResetXP }) =>
     }
   };
 
+  const updateAISettings = (changes) => {
+    const newSettings = {
+      ...localSettings,
+      ai: { ...aiSettings, ...changes }
+    };
+    setLocalSettings(newSettings);
+    onUpdateSettings(newSettings);
+    setAITestResult(null);
+  };
+
+  const handleProviderChange = (providerId) => {
+    updateAISettings({ provider: providerId });
+  };
+
+  const handleProviderConfigChange = (field, value) => {
+    updateAISettings({
+      providers: {
+        ...aiSettings.providers,
+        [aiSettings.provider]: { ...activeAIConfig, [field]: value }
+      }
+    });
+  };
+
+  const handleTestProvider = async () => {
+    setAITestResult({ status: 'testing', message: 'Asking for a quick breakdown...' });
+    try {
+      let fallback = null;
+      const steps = await generateSubtasks('Make a cup of tea', 'quick', {}, {
+        aiSettings,
+        skipCache: true,
+        onFallback: (message) => { fallback = message; }
+      });
+      setAITestResult(fallback
+        ? { status: 'error', message: `✕ ${fallback}` }
+        : { status: 'ok', message: `✓ Got ${steps.length} steps, starting with "${steps[0].text}"` });
+    } catch (error) {
+      setAITestResult({ status: 'error', message: `✕ ${error.message}` });
+    }
+    await refreshAIUsage();
+  };
+
+  const handleBudgetChange = (limitId, value) => {
+    updateAISettings({
+      budget: { ...aiSettings.budget, [limitId]: Math.max(0, Math.floor(Number(value) || 0)) }
+    });
+  };
+
+  const handleClearAICache = async () => {
+    if (window.confirm('Forget all saved AI breakdowns? The next quests will ask the AI again.')) {
+      try {
+        await clearAICache();
+      } catch (error) {
+        console.error('Error clearing AI cache:', error);
+        alert('Failed to clear the saved breakdowns.');
+      }
+      await refreshAIUsage();
+    }
+  };
+
+  const updateXPPolicy = (changes) => {
+    const newSettings = {
+      ...localSettings,
+      xpPolicy: { ...xpPolicy, ...changes }
+    };
+    setLocalSettings(newSettings);
+    onUpdateSettings(newSettings);
+    setXPPreview(null);
+  };
+
+  const handleLevelCurveChange = (field, value) => {
+    updateXPPolicy({ levelCurve: { ...xpPolicy.levelCurve, [field]: value } });
+  };
+
+  const handleLevelTableBlur = () => {
+    const { table, error } = parseLevelTable(levelTableText);
+    if (error) {
+      alert(error);
+      return;
+    }
+    handleLevelCurveChange('table', table);
+  };
+
+  const handlePreviewXP = () => {
+    setXPPreview({ ...getXPRecalculation(xpPolicy), applied: false });
+  };
+
+  const handleRecalculateXP = () => {
+    if (window.confirm('Work out all the XP you have earned again under these rules? Your level may go up or down.')) {
+      setXPPreview({ ...onRecalculateXP(xpPolicy), questChanges: [], applied: true });
+    }
+  };
+
+  const handleDismissRule = (ruleId) => {
+    dismissPreferenceRule(ruleId);
+    setPreferenceRules(getPreferenceRules());
+  };
+
   const handleResetAll = () => {
     if (window.confirm('Reset ALL data? This will delete all tasks, XP, and settings. This cannot be undone!')) {
       if (window.confirm('Are you ABSOLUTELY sure? This action is permanent!')) {
@@ -281,6 +410,353 @@ const Settings = ({ userSettings, onUpdateSettings, onResetAll, onResetXP }) =>
         )}
       </div>
 
+      {/* AI Provider */}
+      <div className="settings-section">
+        <h3>🤖 AI PROVIDER</h3>
+        <p className="setting-description">Choose what breaks your quests into steps</p>
+
+        <div className="sound-selector">
+          {Object.values(AI_PROVIDERS).map(provider => (
+            <label
+              key={provider.id}
+              className={aiSettings.provider === provider.id ? 'active' : ''}
+            >
+              <input
+                type="radio"
+                name="aiProvider"
+                checked={aiSettings.provider === provider.id}
+                onChange={() => handleProviderChange(provider.id)}
+              />
+              <span>
+                {provider.label.toUpperCase()}
+                {!provider.isConfigured(aiSettings.providers[provider.id]) && ' (NOT CONFIGURED)'}
+              </span>
+            </label>
+          ))}
+        </div>
+
+        <div className="ai-provider-options">
+          {aiSettings.provider === 'anthropic' && (
+            <p className="setting-description">
+              Uses the REACT_APP_ANTHROPIC_API_KEY from your .env file.
+            </p>
+          )}
+
+          {aiSettings.provider === 'openai' && (
+            <>
+              <label className="ai-field">
+                <span>BASE URL</span>
+                <input
+                  type="text"
+                  value={activeAIConfig.baseUrl}
+                  onChange={(e) => handleProviderConfigChange('baseUrl', e.target.value)}
+                  placeholder="http://localhost:11434/v1"
+                />
+              </label>
+              <label className="ai-field">
+                <span>API KEY (OPTIONAL)</span>
+                <input
+                  type="password"
+                  value={activeAIConfig.apiKey}
+                  onChange={(e) => handleProviderConfigChange('apiKey', e.target.value)}
+                  placeholder="Leave empty for local servers"
+                />
+              </label>
+            </>
+          )}
+
+          {aiSettings.provider !== 'mock' && (
+            <>
+              <label className="ai-field">
+                <span>MODEL</span>
+                <input
+                  type="text"
+                  value={activeAIConfig.model}
+                  onChange={(e) => handleProviderConfigChange('model', e.target.value)}
+                />
+              </label>
+              <div className="ai-field-row">
+                <label className="ai-field">
+                  <span>TIMEOUT (SECONDS)</span>
+                  <input
+                    type="number"
+                    min="5"
+                    max="300"
+                    value={Math.round(activeAIConfig.timeoutMs / 1000)}
+                    onChange={(e) => handleProviderConfigChange('timeoutMs', Math.max(5, Number(e.target.value) || 5) * 1000)}
+                  />
+                </label>
+                <label className="ai-field">
+                  <span>RETRIES</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="5"
+                    value={activeAIConfig.retries}
+                    onChange={(e) => handleProviderConfigChange('retries', Math.min(5, Math.max(0, Number(e.target.value) || 0)))}
+                  />
+                </label>
+              </div>
+            </>
+          )}
+
+          {aiSettings.provider === 'mock' && (
+            <p className="setting-description">
+              Step-by-step templates for common chores (cleaning, email, laundry, studying, errands, phone calls), made on this device. No network or API key needed.
+            </p>
+          )}
+
+          <label className="ai-field">
+            <span>ABOUT ME</span>
+            <textarea
+              value={aiSettings.aboutMe}
+              onChange={(e) => updateAISettings({ aboutMe: e.target.value })}
+              placeholder="e.g., I work from home, I have a cat, mornings are hard"
+              maxLength={500}
+              rows={3}
+            />
+          </label>
+          <p className="setting-description">
+            Added to every breakdown, along with your tags, due dates and how you changed the steps of similar finished quests.
+          </p>
+
+          <button
+            onClick={() => void handleTestProvider()}
+            className="reset-xp-btn"
+            disabled={aiTestResult?.status === 'testing'}
+          >
+            TEST PROVIDER
+          </button>
+          {aiTestResult && (
+            <p className={`ai-test-result ${aiTestResult.status}`}>{aiTestResult.message}</p>
+          )}
+        </div>
+      </div>
+
+      {/* AI request budget */}
+      <div className="settings-section">
+        <h3>💰 AI BUDGET</h3>
+        <p className="setting-description">
+          Limits how many AI requests and tokens breakdowns may use. Once a limit is reached,
+          steps come from the offline templates until the day or month is over. 0 means no limit.
+        </p>
+
+        <div className="ai-field-row ai-budget-fields">
+          {BUDGET_LIMITS.map(limit => (
+            <label key={limit.id} className="ai-field">
+              <span>{limit.label.toUpperCase()}</span>
+              <input
+                type="number"
+                min="0"
+                value={aiSettings.budget[limit.id]}
+                onChange={(e) => handleBudgetChange(limit.id, e.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+
+        {aiUsage && (
+          <p className="setting-description">
+            Used today: {aiUsage.day.requests} requests, ~{aiUsage.day.tokens.toLocaleString()} tokens.
+            This month: {aiUsage.month.requests} requests, ~{aiUsage.month.tokens.toLocaleString()} tokens.
+          </p>
+        )}
+
+        <p className="setting-description">
+          Asking again for a quest you already broke down reuses the saved answer for free.
+          {` ${aiCacheSize} saved ${aiCacheSize === 1 ? 'breakdown' : 'breakdowns'}.`}
+        </p>
+        <button
+          onClick={() => void handleClearAICache()}
+          className="reset-xp-btn"
+          disabled={aiCacheSize === 0}
+        >
+          CLEAR SAVED BREAKDOWNS
+        </button>
+      </div>
+
+      {/* XP rules */}
+      <div className="settings-section">
+        <h3>⚖️ XP RULES</h3>
+        <p className="setting-description">
+          How much XP each step is worth: base XP × priority × estimated time × dread, plus a bonus
+          for the first step of the day.
+        </p>
+
+        <div className="ai-field-row xp-rule-fields">
+          <label className="ai-field">
+            <span>BASE XP PER STEP</span>
+            <input
+              type="number"
+              min="1"
+              value={xpPolicy.baseXP}
+              onChange={(e) => updateXPPolicy({ baseXP: Math.max(1, Math.round(Number(e.target.value) || 1)) })}
+            />
+          </label>
+          <label className="ai-field">
+            <span>FIRST STEP OF THE DAY BONUS</span>
+            <input
+              type="number"
+              min="0"
+              value={xpPolicy.firstStepBonus}
+              onChange={(e) => updateXPPolicy({ firstStepBonus: Math.max(0, Math.round(Number(e.target.value) || 0)) })}
+            />
+          </label>
+        </div>
+
+        <div className="ai-field-row xp-rule-fields">
+          {Object.keys(xpPolicy.priorityWeights).map(priority => (
+            <label key={priority} className="ai-field">
+              <span>× {priority.toUpperCase()} PRIORITY</span>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={xpPolicy.priorityWeights[priority]}
+                onChange={(e) => updateXPPolicy({
+                  priorityWeights: { ...xpPolicy.priorityWeights, [priority]: Math.max(0, Number(e.target.value) || 0) }
+                })}
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="ai-field-row xp-rule-fields">
+          <label className="ai-field">
+            <span>+ WEIGHT PER HOUR ESTIMATED</span>
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={xpPolicy.durationWeightPerHour}
+              onChange={(e) => updateXPPolicy({ durationWeightPerHour: Math.max(0, Number(e.target.value) || 0) })}
+            />
+          </label>
+          <label className="ai-field">
+            <span>MAX TIME WEIGHT</span>
+            <input
+              type="number"
+              min="1"
+              step="0.1"
+              value={xpPolicy.maxDurationWeight}
+              onChange={(e) => updateXPPolicy({ maxDurationWeight: Math.max(1, Number(e.target.value) || 1) })}
+            />
+          </label>
+        </div>
+
+        <div className="ai-field-row xp-rule-fields">
+          {DREAD_LEVELS.map(level => (
+            <label key={level.value} className="ai-field">
+              <span>× {level.label}</span>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={xpPolicy.dreadWeights[level.value]}
+                onChange={(e) => updateXPPolicy({
+                  dreadWeights: xpPolicy.dreadWeights.map((weight, index) => (
+                    index === level.value ? Math.max(0, Number(e.target.value) || 0) : weight
+                  ))
+                })}
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="ai-field-row xp-rule-fields">
+          <label className="ai-field">
+            <span>LEVEL CURVE</span>
+            <select
+              value={xpPolicy.levelCurve.type}
+              onChange={(e) => handleLevelCurveChange('type', e.target.value)}
+            >
+              {LEVEL_CURVES.map(type => (
+                <option key={type} value={type}>{type.toUpperCase()}</option>
+              ))}
+            </select>
+          </label>
+          {xpPolicy.levelCurve.type !== 'custom' && (
+            <label className="ai-field">
+              <span>XP PER LEVEL</span>
+              <input
+                type="number"
+                min="1"
+                value={xpPolicy.levelCurve.base}
+                onChange={(e) => handleLevelCurveChange('base', Math.max(1, Math.round(Number(e.target.value) || 1)))}
+              />
+            </label>
+          )}
+        </div>
+
+        {xpPolicy.levelCurve.type === 'custom' && (
+          <label className="ai-field">
+            <span>XP FOR EACH LEVEL (FROM LEVEL 2)</span>
+            <input
+              type="text"
+              value={levelTableText}
+              onChange={(e) => setLevelTableText(e.target.value)}
+              onBlur={handleLevelTableBlur}
+              placeholder="e.g., 100, 150, 250, 400"
+            />
+          </label>
+        )}
+        <p className="setting-description">
+          Level 2 takes {getXPRequiredForLevel(2, xpPolicy.levelCurve)} XP, level 10 takes{' '}
+          {getXPRequiredForLevel(10, xpPolicy.levelCurve)} XP. The last custom level repeats after the table ends.
+        </p>
+
+        <p className="setting-description">
+          New rules apply to steps from now on. Recalculate to score the steps you already finished under them too.
+        </p>
+        <div className="ai-field-row xp-rule-fields">
+          <button onClick={handlePreviewXP} className="reset-xp-btn">
+            PREVIEW
+          </button>
+          <button onClick={handleRecalculateXP} className="reset-xp-btn">
+            RECALCULATE XP
+          </button>
+        </div>
+        {xpPreview && (
+          <p className="setting-description">
+            {xpPreview.applied ? 'Recalculated' : 'Would go'} from {xpPreview.previousTotal.toLocaleString()} to{' '}
+            {xpPreview.totalXP.toLocaleString()} XP
+            {xpPreview.questChanges.length > 0 && `, changing ${xpPreview.questChanges.length} finished ${xpPreview.questChanges.length === 1 ? 'quest' : 'quests'}`}.
+          </p>
+        )}
+      </div>
+
+      {/* Learned step preferences */}
+      <div className="settings-section">
+        <h3>🧠 LEARNED PREFERENCES</h3>
+        <p className="setting-description">
+          Picked up from how you edit, delete and add steps. Applied to every new breakdown.
+        </p>
+
+        {preferenceRules.length === 0 ? (
+          <p className="setting-description">
+            Nothing learned yet. Rules appear once you make the same change in a couple of quests.
+          </p>
+        ) : (
+          <ul className="preference-rule-list">
+            {preferenceRules.map(rule => (
+              <li key={rule.id} className="preference-rule">
+                <span>
+                  {describeRule(rule)}
+                  <span className="preference-rule-count"> ({rule.count} quests)</span>
+                </span>
+                <button
+                  onClick={() => handleDismissRule(rule.id)}
+                  className="preference-rule-delete"
+                  title="Delete this rule"
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
       {/* Data Management */}
       <div className="settings-section danger-zone">
         <h3>⚠️ DATA MANAGEMENT</h3>
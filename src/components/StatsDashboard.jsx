@@ -8,6 +8,8 @@
  * - Time trainer accuracy
  * - Productivity heatmap
  * - Performance insights
+ * - Time blindness: estimated vs actual step times
+ * - Progress and XP per project, with a project filter
  */
 
 import React, { useState, useEffect } from 'react';
@@ -27,6 +29,8 @@ import {
 import { Line, Bar, Doughnut } from 'react-chartjs-2';
 import statsAggregator from '../utils/statsAggregator';
 import { getStreakStats } from '../utils/streakTracker';
+import { formatMinutes, describeRatio } from '../utils/timeEstimates';
+import { ALL_PROJECTS, NO_PROJECT, filterByProject } from '../utils/projects';
 import '../styles/statsdashboard.css';
 
 // Register Chart.js components
@@ -50,11 +54,14 @@ function StatsDashboard({ onBack }) {
   const [trends, setTrends] = useState(null);
   const [bestTimes, setBestTimes] = useState(null);
   const [streakStats, setStreakStats] = useState(null);
+  const [timeBlindness, setTimeBlindness] = useState(null);
+  const [projectFilter, setProjectFilter] = useState(ALL_PROJECTS);
+  const [projectBreakdown, setProjectBreakdown] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     loadStats();
-  }, [timeRange]);
+  }, [timeRange, projectFilter]);
 
   const loadStats = () => {
     setLoading(true);
@@ -86,21 +93,36 @@ function StatsDashboard({ onBack }) {
           startDate.setDate(startDate.getDate() - 7);
       }
 
-      const statsData = statsAggregator.getStats(startDate, endDate, granularity);
+      const statsData = statsAggregator.getStats(startDate, endDate, granularity, projectFilter);
+      const breakdown = statsAggregator.getProjectBreakdown();
+      const projectQuests = filterByProject(
+        statsAggregator.loadCompletedQuests(),
+        projectFilter,
+        breakdown.map(entry => entry.project)
+      );
       const overviewData = statsAggregator.getOverviewStats(
         statsAggregator.loadProfile(),
-        statsAggregator.loadCompletedQuests(),
+        projectQuests,
         statsAggregator.loadPomodoroSessions()
       );
+
+      // A single project's total is the XP its quests and steps earned
+      const shownProject = breakdown.find(entry => entry.project.id === projectFilter);
+      if (shownProject) {
+        overviewData.totalXP = shownProject.xpEarned;
+      }
       const trendsData = statsAggregator.getProductivityTrends(30);
       const bestTimesData = statsAggregator.getBestPerformanceTimes();
       const streakData = getStreakStats();
+      const timeBlindnessData = statsAggregator.getTimeBlindnessReport();
 
       setStats(statsData);
       setOverview(overviewData);
       setTrends(trendsData);
       setBestTimes(bestTimesData);
       setStreakStats(streakData);
+      setTimeBlindness(timeBlindnessData);
+      setProjectBreakdown(breakdown);
     } catch (error) {
       console.error('Error loading stats:', error);
     } finally {
@@ -147,6 +169,13 @@ function StatsDashboard({ onBack }) {
           borderColor: '#00FF00',
           borderWidth: 2,
         },
+        {
+          label: 'From Streaks',
+          data: stats.xp.map(d => d.streakXP),
+          backgroundColor: '#00AA00',
+          borderColor: '#00AA00',
+          borderWidth: 2,
+        },
       ],
     };
   };
@@ -279,6 +308,45 @@ function StatsDashboard({ onBack }) {
     },
   };
 
+  const getRatioClass = (ratio) => {
+    if (ratio === null) return '';
+    if (ratio >= 1.15) return 'ratio-over';
+    if (ratio <= 0.85) return 'ratio-under';
+    return 'ratio-even';
+  };
+
+  const renderEstimateTable = (title, groups) => {
+    if (groups.length === 0) return null;
+
+    return (
+      <div className="estimate-table-wrapper">
+        <h3>{title}</h3>
+        <table className="estimate-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Steps</th>
+              <th>Estimated</th>
+              <th>Actual</th>
+              <th>Reality</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups.map(group => (
+              <tr key={group.id}>
+                <td>{group.label}</td>
+                <td>{group.steps}</td>
+                <td>{formatMinutes(group.estimatedMinutes)}</td>
+                <td>{formatMinutes(group.actualMinutes)}</td>
+                <td className={getRatioClass(group.ratio)}>{describeRatio(group.ratio)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
   const getTrendIndicator = (trend) => {
     if (trend === 'increasing') return '📈';
     if (trend === 'decreasing') return '📉';
@@ -336,6 +404,20 @@ function StatsDashboard({ onBack }) {
         >
           YEAR
         </button>
+        {projectBreakdown.length > 0 && (
+          <select
+            className="stats-project-filter"
+            value={projectFilter}
+            onChange={(e) => setProjectFilter(e.target.value)}
+            aria-label="Show stats for a project"
+          >
+            <option value={ALL_PROJECTS}>ALL PROJECTS</option>
+            {projectBreakdown.map(({ project }) => (
+              <option key={project.id} value={project.id}>{project.icon} {project.name}</option>
+            ))}
+            <option value={NO_PROJECT}>NO PROJECT</option>
+          </select>
+        )}
       </div>
 
       {/* Overview Cards */}
@@ -444,6 +526,37 @@ function StatsDashboard({ onBack }) {
         </div>
       </div>
 
+      {/* Projects */}
+      {projectBreakdown.length > 0 && (
+        <div className="insights-section">
+          <h2>📁 Projects</h2>
+          <div className="estimate-table-wrapper">
+            <table className="estimate-table">
+              <thead>
+                <tr>
+                  <th>Project</th>
+                  <th>Quests Done</th>
+                  <th>Progress</th>
+                  <th>XP Earned</th>
+                  <th>Goal</th>
+                </tr>
+              </thead>
+              <tbody>
+                {projectBreakdown.map(({ project, ...progress }) => (
+                  <tr key={project.id}>
+                    <td style={{ color: project.color }}>{project.icon} {project.name}</td>
+                    <td>{progress.completedQuests}/{progress.completedQuests + progress.openQuests}</td>
+                    <td>{progress.percent}%</td>
+                    <td>{progress.xpEarned}</td>
+                    <td>{project.goalDate || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Best Performance Times */}
       {bestTimes && (
         <div className="insights-section">
@@ -463,6 +576,44 @@ function StatsDashboard({ onBack }) {
         </div>
       )}
 
+      {/* Time Blindness - AI estimates vs speedrun times */}
+      {timeBlindness && (
+        <div className="insights-section">
+          <h2>⏳ Time Blindness</h2>
+          {timeBlindness.overall.steps === 0 ? (
+            <p className="estimate-empty">
+              Finish some speedrun quests with AI time estimates to see how your sense of time compares.
+            </p>
+          ) : (
+            <>
+              <div className="insights-grid">
+                <div className="insight-card">
+                  <div className="insight-label">Steps Timed</div>
+                  <div className="insight-value">{timeBlindness.overall.steps}</div>
+                </div>
+                <div className="insight-card">
+                  <div className="insight-label">Estimated</div>
+                  <div className="insight-value">{formatMinutes(timeBlindness.overall.estimatedMinutes)}</div>
+                </div>
+                <div className="insight-card">
+                  <div className="insight-label">Actual</div>
+                  <div className="insight-value">{formatMinutes(timeBlindness.overall.actualMinutes)}</div>
+                </div>
+                <div className="insight-card">
+                  <div className="insight-label">Reality Check</div>
+                  <div className={`insight-value ${getRatioClass(timeBlindness.overall.ratio)}`}>
+                    {timeBlindness.overall.ratio.toFixed(1)}×
+                  </div>
+                </div>
+              </div>
+              {renderEstimateTable('By Tag', timeBlindness.byTag)}
+              {renderEstimateTable('By Time of Day', timeBlindness.byTimeOfDay)}
+              {renderEstimateTable('By Quest Size', timeBlindness.bySize)}
+            </>
+          )}
+        </div>
+      )}
+
       {/* Streak Info */}
       {streakStats && (
         <div className="insights-section">
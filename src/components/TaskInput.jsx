@@ -1,40 +1,75 @@
 import React, { useState } from 'react';
+import { isValidRecurrence, describeRecurrence } from '../utils/recurrenceEngine';
+import { parseQuickAdd } from '../utils/quickAddParser';
+import { DREAD_LEVELS } from '../utils/xpPolicy';
 import '../styles/taskinput.css';
 
-const TaskInput = ({ onTaskCreate, isLoading }) => {
+const TaskInput = ({ onTaskCreate, isLoading, projects = [] }) => {
   const [taskTitle, setTaskTitle] = useState('');
   const [granularity, setGranularity] = useState('detailed');
   const [priority, setPriority] = useState('medium');
+  const [dread, setDread] = useState(0);
+  const [projectId, setProjectId] = useState('');
   const [dueDate, setDueDate] = useState('');
   const [tags, setTags] = useState('');
   const [speedrunMode, setSpeedrunMode] = useState(false);
+  const [recurring, setRecurring] = useState('none');
+  const [customRule, setCustomRule] = useState('');
+  const [missedPolicy, setMissedPolicy] = useState('skip');
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const [ignoredTokens, setIgnoredTokens] = useState([]);
+  
+  // Dates, times, !priority, #tags and ~estimates typed into the description
+  const quickAdd = parseQuickAdd(taskTitle, { ignore: ignoredTokens });
+  
+  const tokenIcons = { date: '📅', time: '⏰', priority: '⚡', estimate: '⏱' };
+  
+  const recurrenceValue = recurring === 'custom' ? customRule.trim() : recurring;
   
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!taskTitle.trim()) {
+    if (!quickAdd.title.trim()) {
       alert('Please enter a task description');
       return;
     }
     
+    if (!isValidRecurrence(recurrenceValue)) {
+      alert('Please enter a valid repeat rule, e.g. FREQ=WEEKLY;BYDAY=MO,TH');
+      return;
+    }
+    
+    const advancedTags = tags ? tags.split(',').map(t => t.trim()).filter(t => t) : [];
+    
+    // What was typed in the description wins over the form fields
     const taskData = {
-      title: taskTitle.trim(),
+      title: quickAdd.title.trim(),
       granularity,
-      priority,
-      dueDate: dueDate || null,
-      tags: tags ? tags.split(',').map(t => t.trim()).filter(t => t) : [],
-      recurring: 'none',
-      speedrunMode
+      priority: quickAdd.priority || priority,
+      dread,
+      dueDate: quickAdd.dueDate || dueDate || null,
+      dueTime: quickAdd.dueTime,
+      estimatedMinutes: quickAdd.estimatedMinutes,
+      tags: [...new Set([...advancedTags, ...quickAdd.tags])],
+      recurring: recurrenceValue,
+      missedPolicy,
+      speedrunMode,
+      // A project deleted since it was picked is ignored
+      projectId: projects.some(project => project.id === projectId) ? projectId : null
     };
     
     await onTaskCreate(taskData);
     
     // Clear form
     setTaskTitle('');
+    setIgnoredTokens([]);
     setDueDate('');
     setTags('');
+    setDread(0);
     setSpeedrunMode(false);
+    setRecurring('none');
+    setCustomRule('');
+    setMissedPolicy('skip');
   };
   
   return (
@@ -50,11 +85,30 @@ const TaskInput = ({ onTaskCreate, isLoading }) => {
             type="text"
             value={taskTitle}
             onChange={(e) => setTaskTitle(e.target.value)}
-            placeholder="e.g., Pack clothes from suitcase"
+            placeholder="e.g., call dentist tomorrow 3pm !high #health ~15m"
             disabled={isLoading}
             className="task-input-field"
             autoFocus
           />
+          
+          {quickAdd.tokens.length > 0 && (
+            <div className="quick-add-chips" aria-live="polite">
+              {quickAdd.tokens.map(token => (
+                <span key={token.key} className={`quick-add-chip ${token.type}`}>
+                  {tokenIcons[token.type] ? `${tokenIcons[token.type]} ` : ''}{token.label}
+                  <button
+                    type="button"
+                    onClick={() => setIgnoredTokens(prev => [...prev, token.key])}
+                    className="quick-add-chip-remove"
+                    title={`Keep "${token.raw}" as part of the description`}
+                    aria-label={`Keep "${token.raw}" as text`}
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
         </div>
         
         {/* Granularity selector - FR-02 */}
@@ -89,6 +143,41 @@ const TaskInput = ({ onTaskCreate, isLoading }) => {
           </select>
         </div>
         
+        {/* Dread - dreaded quests earn more XP */}
+        <div className="form-group">
+          <label htmlFor="dread">DREAD:</label>
+          <select
+            id="dread"
+            value={dread}
+            onChange={(e) => setDread(Number(e.target.value))}
+            disabled={isLoading}
+            className="task-select"
+            title="How much are you dreading this? Dreaded quests earn more XP"
+          >
+            {DREAD_LEVELS.map(level => (
+              <option key={level.value} value={level.value}>{level.label}</option>
+            ))}
+          </select>
+        </div>
+        
+        {projects.length > 0 && (
+          <div className="form-group">
+            <label htmlFor="project">PROJECT:</label>
+            <select
+              id="project"
+              value={projectId}
+              onChange={(e) => setProjectId(e.target.value)}
+              disabled={isLoading}
+              className="task-select"
+            >
+              <option value="">NO PROJECT</option>
+              {projects.map(project => (
+                <option key={project.id} value={project.id}>{project.icon} {project.name.toUpperCase()}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        
         {/* Speedrun Mode Toggle */}
         <div className="form-group speedrun-toggle-group">
           <label className="speedrun-label">
@@ -142,13 +231,72 @@ const TaskInput = ({ onTaskCreate, isLoading }) => {
                 className="task-input-field"
               />
             </div>
+            
+            {/* Recurrence */}
+            <div className="form-group">
+              <label htmlFor="recurring">REPEAT:</label>
+              <select
+                id="recurring"
+                value={recurring}
+                onChange={(e) => setRecurring(e.target.value)}
+                disabled={isLoading}
+                className="task-select"
+              >
+                <option value="none">DOES NOT REPEAT</option>
+                <option value="daily">DAILY</option>
+                <option value="weekdays">WEEKDAYS</option>
+                <option value="weekly">WEEKLY</option>
+                <option value="monthly">MONTHLY</option>
+                <option value="yearly">YEARLY</option>
+                <option value="custom">CUSTOM RULE</option>
+              </select>
+            </div>
+            
+            {recurring === 'custom' && (
+              <div className="form-group">
+                <label htmlFor="custom-rule">CUSTOM RULE (RRULE):</label>
+                <input
+                  id="custom-rule"
+                  type="text"
+                  value={customRule}
+                  onChange={(e) => setCustomRule(e.target.value)}
+                  placeholder="e.g., FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+                  disabled={isLoading}
+                  className="task-input-field"
+                />
+              </div>
+            )}
+            
+            {recurrenceValue && recurrenceValue !== 'none' && (
+              <>
+                <p className="recurrence-summary">
+                  ↻ {isValidRecurrence(recurrenceValue)
+                    ? describeRecurrence(recurrenceValue)
+                    : 'Invalid rule'}
+                </p>
+                
+                <div className="form-group">
+                  <label htmlFor="missed-policy">IF AN OCCURRENCE IS MISSED:</label>
+                  <select
+                    id="missed-policy"
+                    value={missedPolicy}
+                    onChange={(e) => setMissedPolicy(e.target.value)}
+                    disabled={isLoading}
+                    className="task-select"
+                  >
+                    <option value="skip">SKIP IT - keep the original schedule</option>
+                    <option value="shift">SHIFT - next one counts from when I finish</option>
+                  </select>
+                </div>
+              </>
+            )}
           </div>
         )}
         
         {/* Submit button */}
         <button
           type="submit"
-          disabled={isLoading || !taskTitle.trim()}
+          disabled={isLoading || !quickAdd.title.trim()}
           className="task-submit-btn"
         >
           {isLoading ? '[ GENERATING... ]' : '[ CREATE QUEST ]'}
@@ -156,7 +304,7 @@ const TaskInput = ({ onTaskCreate, isLoading }) => {
         
         {isLoading && (
           <div className="loading-indicator">
-            <span className="blink">▮</span> AI is breaking down your task into micro-steps...
+            <span className="blink">▮</span> AI is breaking down your task - steps appear in the new quest below...
           </div>
         )}
       </form>
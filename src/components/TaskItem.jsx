@@ -1,14 +1,42 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { parseRecurrenceRule, describeRecurrence } from '../utils/recurrenceEngine';
+import { getLeafProgress, flattenSubtasks, hasChildren } from '../utils/subtaskTree';
+import { getBlockers } from '../utils/taskDependencies';
+import { getSiblings } from '../utils/taskOrdering';
+import { formatMinutes, getRemainingEstimate } from '../utils/timeEstimates';
+import { STATUS_LABELS, getTaskStatus, describeStatusChange, isOverdue } from '../utils/taskStatus';
+import { SNOOZE_OPTIONS } from '../utils/snooze';
+import { DREAD_LEVELS } from '../utils/xpPolicy';
+import DependencyPicker from './DependencyPicker';
 import '../styles/taskitem.css';
 
 const TaskItem = ({ 
   task, 
+  project = null,
   onSubtaskToggle, 
   onSubtaskEdit, 
   onSubtaskDelete, 
   onSubtaskAdd, 
+  onSubtaskSplit,
   onTaskDelete,
+  onTaskArchive,
+  onTaskSnooze,
   onCompleteQuest,
+  onDependencyAdd,
+  onDependencyRemove,
+  onSubtaskMove,
+  onTaskMoveBy,
+  onDragStart,
+  drag = null,
+  dropTarget = null,
+  isSelecting = false,
+  isSelected = false,
+  onSelect,
+  onFocus,
+  allTasks = [],
+  blockers = [],
+  isGenerating = false,
+  onCancelGeneration,
   timerData,
   showTimer
 }) => {
@@ -18,11 +46,26 @@ const TaskItem = ({
   const [newSubtaskText, setNewSubtaskText] = useState('');
   const [showAddSubtask, setShowAddSubtask] = useState(false);
   const [currentTime, setCurrentTime] = useState(Date.now());
+  const [splittingSubtask, setSplittingSubtask] = useState(null);
+  const [linkingSubtask, setLinkingSubtask] = useState(null); // 'task' or a subtask id
+  const [movingSubtask, setMovingSubtask] = useState(null);
+  const [refocusHandle, setRefocusHandle] = useState(null);
+  const [showSnooze, setShowSnooze] = useState(false);
+  const [snoozeDate, setSnoozeDate] = useState('');
+  const moveSelect = useRef(null);
   
-  const completedCount = task.subtasks.filter(st => st.completed).length;
-  const totalCount = task.subtasks.length;
-  const progressPercent = totalCount > 0 ? Math.round((completedCount / totalCount) * 100) : 0;
-  const isComplete = completedCount === totalCount && totalCount > 0;
+  // Progress rolls up from leaf steps, however deeply they are nested
+  const {
+    completed: completedCount,
+    total: totalCount,
+    percent: progressPercent
+  } = getLeafProgress(task.subtasks);
+  // A quest still receiving steps isn't finished, even if every step so far is checked
+  const isComplete = completedCount === totalCount && totalCount > 0 && !isGenerating;
+  const isRecurring = parseRecurrenceRule(task.recurring) !== null;
+  const isBlocked = blockers.length > 0;
+  const remainingEstimate = getRemainingEstimate(task.subtasks);
+  const status = getTaskStatus(task);
   
   // Update timer display every second if speedrun active
   useEffect(() => {
@@ -34,6 +77,19 @@ const TaskItem = ({
     }
   }, [showTimer, timerData]);
   
+  // Keep keyboard focus on a drag handle after its quest or step moves
+  useEffect(() => {
+    if (refocusHandle) {
+      const handle = document.getElementById(refocusHandle);
+      if (handle) handle.focus();
+      setRefocusHandle(null);
+    }
+  }, [refocusHandle, task.subtasks]);
+  
+  useEffect(() => {
+    if (movingSubtask) moveSelect.current?.focus();
+  }, [movingSubtask]);
+  
   const formatDuration = (ms) => {
     const seconds = Math.floor(ms / 1000);
     const minutes = Math.floor(seconds / 60);
@@ -90,6 +146,56 @@ const TaskItem = ({
     }
   };
   
+  const handleSplitSubtask = async (subtaskId) => {
+    setSplittingSubtask(subtaskId);
+    try {
+      await onSubtaskSplit(task.id, subtaskId);
+    } catch (error) {
+      console.error('Error splitting step:', error);
+    } finally {
+      setSplittingSubtask(null);
+    }
+  };
+  
+  // Arrow keys on a step's handle move it one place among its siblings
+  const handleStepHandleKeyDown = (e, subtask, parentId) => {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    e.preventDefault();
+    
+    const siblings = getSiblings(task.subtasks, parentId);
+    const index = siblings.findIndex(st => st.id === subtask.id);
+    const newIndex = index + (e.key === 'ArrowUp' ? -1 : 1);
+    if (newIndex < 0 || newIndex >= siblings.length) return;
+    
+    onSubtaskMove(
+      { taskId: task.id, subtaskId: subtask.id },
+      // The index counts the steps as they are before the move
+      { taskId: task.id, parentId, index: e.key === 'ArrowUp' ? newIndex : newIndex + 1 },
+      `Moved "${subtask.text}" to position ${newIndex + 1} of ${siblings.length}`
+    );
+    setRefocusHandle(`drag-step-${subtask.id}`);
+  };
+  
+  const handleTaskHandleKeyDown = (e) => {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    e.preventDefault();
+    e.stopPropagation();
+    onTaskMoveBy(task.id, e.key === 'ArrowUp' ? -1 : 1);
+    setRefocusHandle(`drag-task-${task.id}`);
+  };
+  
+  const handleMoveToQuest = (subtask, targetId) => {
+    const target = allTasks.find(t => t.id === targetId);
+    if (!target) return;
+    
+    onSubtaskMove(
+      { taskId: task.id, subtaskId: subtask.id },
+      { taskId: target.id, parentId: null, index: target.subtasks.length },
+      `Moved "${subtask.text}" to "${target.title}"`
+    );
+    setMovingSubtask(null);
+  };
+  
   const handleCompleteQuest = () => {
     if (window.confirm('⚡ Complete this quest and move to Victory Archives?')) {
       onCompleteQuest(task.id);
@@ -110,16 +216,63 @@ const TaskItem = ({
     return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
   };
   
-  const isOverdue = () => {
-    if (!task.dueDate) return false;
-    return new Date(task.dueDate) < new Date();
+  // Quick-add times are stored separately as 'HH:mm'
+  const formatTime = (timeString) => {
+    const [hours, minutes] = timeString.split(':').map(Number);
+    return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
   };
   
+  const renderDependencyPicker = (subtaskId) => (
+    <DependencyPicker
+      tasks={allTasks}
+      dependent={{ taskId: task.id, subtaskId }}
+      onAdd={onDependencyAdd}
+      onRemove={onDependencyRemove}
+      onClose={() => setLinkingSubtask(null)}
+    />
+  );
+  
+  const taskDropClass = dropTarget?.taskId === task.id && !dropTarget.subtaskId
+    ? `drop-${dropTarget.placement}`
+    : '';
+  const isDraggingTask = drag?.type === 'task' && drag.taskId === task.id;
+  
   return (
-    <div className={`task-item ${isComplete ? 'task-complete' : ''}`}>
+    <div
+      className={`task-item ${isComplete ? 'task-complete' : ''} ${isBlocked ? 'task-blocked' : ''} ${
+        isDraggingTask ? 'dragging' : ''
+      } ${taskDropClass} ${isSelected ? 'task-selected' : ''}`}
+      data-drop-task={task.id}
+    >
       {/* Task Header */}
       <div className="task-header" onClick={() => setIsExpanded(!isExpanded)}>
         <div className="task-header-left">
+          {isSelecting && (
+            <input
+              type="checkbox"
+              className="task-select-checkbox"
+              checked={isSelected}
+              readOnly
+              onClick={(e) => {
+                e.stopPropagation();
+                onSelect(task.id, e.shiftKey);
+              }}
+              aria-label={`Select "${task.title}" (shift-click to select a range)`}
+            />
+          )}
+          {onTaskMoveBy && (
+            <button
+              id={`drag-task-${task.id}`}
+              className="drag-handle"
+              onPointerDown={(e) => onDragStart(e, { type: 'task', taskId: task.id, label: task.title })}
+              onClick={(e) => e.stopPropagation()}
+              onKeyDown={handleTaskHandleKeyDown}
+              aria-label={`Move quest "${task.title}". Drag it, or press the up and down arrow keys`}
+              title="Drag to move (or focus and press ↑ ↓)"
+            >
+              ⠿
+            </button>
+          )}
           <span className="task-expand-icon">{isExpanded ? '▼' : '►'}</span>
           <h3 className="task-title" style={{ color: getPriorityColor() }}>
             {task.speedrunMode && '⏱️ '}
@@ -128,20 +281,115 @@ const TaskItem = ({
         </div>
         
         <div className="task-header-right">
+          {project && (
+            <span className="task-project" style={{ color: project.color, borderColor: project.color }}>
+              {project.icon} {project.name}
+            </span>
+          )}
           {showTimer && timerData?.taskStartTime && (
             <span className="task-timer">
               ⏱ {formatDuration(getTotalElapsed())}
             </span>
           )}
+          {isRecurring && (
+            <span className="task-recurring" title={describeRecurrence(task.recurring)}>
+              ↻
+            </span>
+          )}
+          {task.sourceCapture && (
+            <span className="task-source-note" title={`From a note: ${task.sourceCapture.text}`}>
+              📝
+            </span>
+          )}
+          {task.dread > 0 && DREAD_LEVELS[task.dread] && (
+            <span className="task-dread" title={`Dread: ${DREAD_LEVELS[task.dread].label.slice(3)} (earns more XP)`}>
+              {DREAD_LEVELS[task.dread].label.split(' ')[0]}
+            </span>
+          )}
+          {task.deferCount > 0 && (
+            <span className="task-deferred" title={`Put off ${task.deferCount} time${task.deferCount === 1 ? '' : 's'}`}>
+              ↷{task.deferCount}
+            </span>
+          )}
           {task.dueDate && (
-            <span className={`task-due-date ${isOverdue() ? 'overdue' : ''}`}>
-              {isOverdue() ? '⚠ ' : ''}
+            <span className={`task-due-date ${isOverdue(task) ? 'overdue' : ''}`}>
+              {isOverdue(task) ? '⚠ ' : ''}
               {formatDate(task.dueDate)}
+              {task.dueTime && ` ${formatTime(task.dueTime)}`}
+            </span>
+          )}
+          {remainingEstimate !== null && (
+            <span className="task-estimate" title="Estimated time for the steps left">
+              ~{formatMinutes(remainingEstimate)} left
+            </span>
+          )}
+          {remainingEstimate === null && task.estimatedMinutes && (
+            <span className="task-estimate" title="Your estimate for this quest">
+              ~{formatMinutes(task.estimatedMinutes)}
             </span>
           )}
+          <span
+            className={`task-status task-status-${status}`}
+            title={(task.statusHistory || []).map(change =>
+              `${new Date(change.at).toLocaleString()}: ${describeStatusChange(change)}`
+            ).join('\n')}
+          >
+            {STATUS_LABELS[status]}
+          </span>
           <span className="task-progress-text">
             {completedCount}/{totalCount}
           </span>
+          {onFocus && !isComplete && (
+            <button
+              className="task-link-btn"
+              onClick={(e) => {
+                e.stopPropagation();
+                onFocus(task.id);
+              }}
+              title="Focus mode: one step at a time"
+            >
+              🎯
+            </button>
+          )}
+          {onDependencyAdd && (
+            <button
+              className="task-link-btn"
+              onClick={(e) => {
+                e.stopPropagation();
+                setLinkingSubtask(linkingSubtask === 'task' ? null : 'task');
+              }}
+              title="Waits on..."
+            >
+              🔗
+            </button>
+          )}
+          {onTaskSnooze && (
+            <button
+              className="task-link-btn"
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowSnooze(!showSnooze);
+              }}
+              title="Not today: snooze until later"
+              aria-expanded={showSnooze}
+            >
+              💤
+            </button>
+          )}
+          {onTaskArchive && (
+            <button
+              className="task-link-btn"
+              onClick={(e) => {
+                e.stopPropagation();
+                if (window.confirm('Archive this quest? You keep the XP you earned and can restore it from the archive.')) {
+                  onTaskArchive(task.id);
+                }
+              }}
+              title="Archive (set aside without finishing)"
+            >
+              🗄
+            </button>
+          )}
           <button
             className="task-delete-btn"
             onClick={(e) => {
@@ -157,6 +405,67 @@ const TaskItem = ({
         </div>
       </div>
       
+      {/* Blocked banner - the quest can't start until its blockers are done */}
+      {isBlocked && (
+        <div className="task-blocked-banner">
+          🔒 WAITING ON: {blockers.map(blocker => blocker.label).join(', ')}
+        </div>
+      )}
+      
+      {linkingSubtask === 'task' && renderDependencyPicker(null)}
+      
+      {/* Snooze menu - hides the quest until it wakes */}
+      {showSnooze && (
+        <div className="task-snooze-menu" role="group" aria-label={`Snooze "${task.title}"`}>
+          <span className="task-snooze-label">💤 NOT TODAY:</span>
+          {SNOOZE_OPTIONS.map(option => (
+            <button
+              key={option.id}
+              className="task-snooze-btn"
+              onClick={() => {
+                if (onTaskSnooze(task.id, option.id)) setShowSnooze(false);
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+          <input
+            type="date"
+            className="task-snooze-date"
+            value={snoozeDate}
+            onChange={(e) => setSnoozeDate(e.target.value)}
+            aria-label="Snooze until a date"
+          />
+          <button
+            className="task-snooze-btn"
+            disabled={!snoozeDate}
+            onClick={() => {
+              if (onTaskSnooze(task.id, 'date', snoozeDate)) setShowSnooze(false);
+            }}
+          >
+            SNOOZE TO DATE
+          </button>
+        </div>
+      )}
+      
+      {/* Steps are still streaming in from the AI */}
+      {isGenerating && (
+        <div className="task-generating-banner">
+          <span>
+            <span className="blink">▮</span> RECEIVING STEPS... {totalCount} SO FAR
+          </span>
+          {onCancelGeneration && (
+            <button
+              className="task-generating-stop-btn"
+              onClick={onCancelGeneration}
+              title="Stop and keep the steps received so far"
+            >
+              ■ STOP
+            </button>
+          )}
+        </div>
+      )}
+      
       {/* Progress Bar */}
       <div className="task-progress-bar">
         <div 
@@ -187,83 +496,187 @@ const TaskItem = ({
       {/* Subtasks List */}
       {isExpanded && (
         <div className="subtasks-container">
-          {task.subtasks.map((subtask, index) => (
-            <div
-              key={subtask.id}
-              className={`subtask-item ${subtask.completed ? 'subtask-completed' : ''}`}
-            >
-              {/* Checkbox */}
-              <input
-                type="checkbox"
-                checked={subtask.completed}
-                onChange={() => handleSubtaskToggle(subtask.id)}
-                className="subtask-checkbox"
-                id={`subtask-${subtask.id}`}
-              />
-              
-              {/* Subtask text or edit input */}
-              {editingSubtask === subtask.id ? (
-                <div className="subtask-edit-container">
+          {flattenSubtasks(task.subtasks).map(({ subtask, depth, number, parentId }) => {
+            const stepBlockers = getBlockers(allTasks, { taskId: task.id, subtaskId: subtask.id });
+            const isStepBlocked = stepBlockers.length > 0;
+            const isDraggingStep = drag?.type === 'step' && drag.subtaskId === subtask.id;
+            const stepDropClass = dropTarget?.subtaskId === subtask.id ? `drop-${dropTarget.placement}` : '';
+            
+            return (
+              <React.Fragment key={subtask.id}>
+                <div
+                  className={`subtask-item ${subtask.completed ? 'subtask-completed' : ''} ${
+                    hasChildren(subtask) ? 'subtask-parent' : ''
+                  } ${isStepBlocked ? 'subtask-blocked' : ''} ${isDraggingStep ? 'dragging' : ''} ${stepDropClass}`}
+                  style={{ marginLeft: `${depth * 24}px` }}
+                  data-drop-step={subtask.id}
+                  data-task-id={task.id}
+                  data-parent-id={parentId || ''}
+                  data-index={getSiblings(task.subtasks, parentId).indexOf(subtask)}
+                >
+                  {onSubtaskMove && editingSubtask !== subtask.id && (
+                    <button
+                      id={`drag-step-${subtask.id}`}
+                      className="drag-handle"
+                      onPointerDown={(e) => onDragStart(e, {
+                        type: 'step',
+                        taskId: task.id,
+                        subtaskId: subtask.id,
+                        label: subtask.text
+                      })}
+                      onKeyDown={(e) => handleStepHandleKeyDown(e, subtask, parentId)}
+                      aria-label={`Move step "${subtask.text}". Drag it, or press the up and down arrow keys`}
+                      title="Drag to move, even to another quest (or focus and press ↑ ↓)"
+                    >
+                      ⠿
+                    </button>
+                  )}
+                  
+                  {/* Checkbox - parent steps complete when all of their children do */}
                   <input
-                    type="text"
-                    value={editText}
-                    onChange={(e) => setEditText(e.target.value)}
-                    onKeyDown={(e) => {
-                      if (e.key === 'Enter') saveEdit(subtask.id);
-                      if (e.key === 'Escape') cancelEdit();
-                    }}
-                    className="subtask-edit-input"
-                    autoFocus
+                    type="checkbox"
+                    checked={subtask.completed}
+                    onChange={() => handleSubtaskToggle(subtask.id)}
+                    className="subtask-checkbox"
+                    id={`subtask-${subtask.id}`}
+                    disabled={hasChildren(subtask) || (!subtask.completed && (isBlocked || isStepBlocked))}
                   />
-                  <button onClick={() => saveEdit(subtask.id)} className="subtask-save-btn">
-                    ✓
-                  </button>
-                  <button onClick={cancelEdit} className="subtask-cancel-btn">
-                    ✕
-                  </button>
-                </div>
-              ) : (
-                <>
-                  <label 
-                    htmlFor={`subtask-${subtask.id}`}
-                    className="subtask-text"
-                  >
-                    <span className="subtask-number">{index + 1}.</span>
-                    {subtask.text}
-                  </label>
+              
+                  {/* Subtask text or edit input */}
+                  {editingSubtask === subtask.id ? (
+                    <div className="subtask-edit-container">
+                      <input
+                        type="text"
+                        value={editText}
+                        onChange={(e) => setEditText(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') saveEdit(subtask.id);
+                          if (e.key === 'Escape') cancelEdit();
+                        }}
+                        className="subtask-edit-input"
+                        autoFocus
+                      />
+                      <button onClick={() => saveEdit(subtask.id)} className="subtask-save-btn">
+                        ✓
+                      </button>
+                      <button onClick={cancelEdit} className="subtask-cancel-btn">
+                        ✕
+                      </button>
+                    </div>
+                  ) : (
+                    <>
+                      <label 
+                        htmlFor={`subtask-${subtask.id}`}
+                        className="subtask-text"
+                      >
+                        <span className="subtask-number">{number}.</span>
+                        {subtask.text}
+                        {isStepBlocked && (
+                          <span className="subtask-blocker">
+                            🔒 waiting on {stepBlockers.map(blocker => blocker.label).join(', ')}
+                          </span>
+                        )}
+                      </label>
                   
-                  {/* Show timer for completed subtasks */}
-                  {showTimer && subtask.completed && getSubtaskTime(subtask.id) && (
-                    <span className="subtask-time">
-                      ⏱ {formatDuration(getSubtaskTime(subtask.id))}
-                    </span>
-                  )}
+                      {/* AI estimate for the step */}
+                      {subtask.estimatedMinutes && !hasChildren(subtask) && (
+                        <span className="subtask-estimate" title="Estimated time">
+                          ~{formatMinutes(subtask.estimatedMinutes)}
+                        </span>
+                      )}
                   
-                  {/* Edit and Delete buttons */}
-                  <div className="subtask-actions">
-                    <button
-                      onClick={() => startEditing(subtask)}
-                      className="subtask-action-btn"
-                      title="Edit step"
-                    >
-                      ✎
-                    </button>
-                    <button
-                      onClick={() => {
-                        if (window.confirm('Delete this step?')) {
-                          onSubtaskDelete(task.id, subtask.id);
-                        }
+                      {/* Show timer for completed subtasks */}
+                      {showTimer && subtask.completed && getSubtaskTime(subtask.id) && (
+                        <span
+                          className="subtask-time"
+                          title={subtask.estimatedMinutes ? `Estimated ${formatMinutes(subtask.estimatedMinutes)}` : undefined}
+                        >
+                          ⏱ {formatDuration(getSubtaskTime(subtask.id))}
+                        </span>
+                      )}
+                  
+                      {/* Shrink, Edit and Delete buttons */}
+                      <div className="subtask-actions">
+                        {onSubtaskSplit && !subtask.completed && (
+                          <button
+                            onClick={() => void handleSplitSubtask(subtask.id)}
+                            className="subtask-action-btn"
+                            title="Shrink this: break into smaller steps"
+                            disabled={splittingSubtask !== null}
+                          >
+                            {splittingSubtask === subtask.id ? '…' : '⤵'}
+                          </button>
+                        )}
+                        {onSubtaskMove && allTasks.length > 1 && (
+                          <button
+                            onClick={() => setMovingSubtask(movingSubtask === subtask.id ? null : subtask.id)}
+                            className="subtask-action-btn"
+                            title="Move to another quest"
+                          >
+                            ⇄
+                          </button>
+                        )}
+                        {onDependencyAdd && (
+                          <button
+                            onClick={() => setLinkingSubtask(linkingSubtask === subtask.id ? null : subtask.id)}
+                            className="subtask-action-btn"
+                            title="Waits on..."
+                          >
+                            🔗
+                          </button>
+                        )}
+                        <button
+                          onClick={() => startEditing(subtask)}
+                          className="subtask-action-btn"
+                          title="Edit step"
+                        >
+                          ✎
+                        </button>
+                        <button
+                          onClick={() => {
+                            const message = hasChildren(subtask)
+                              ? 'Delete this step and all of its smaller steps?'
+                              : 'Delete this step?';
+                            if (window.confirm(message)) {
+                              onSubtaskDelete(task.id, subtask.id);
+                            }
+                          }}
+                          className="subtask-action-btn"
+                          title="Delete step"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+                {linkingSubtask === subtask.id && renderDependencyPicker(subtask.id)}
+                {movingSubtask === subtask.id && (
+                  <div className="subtask-move-picker">
+                    <label htmlFor={`move-${subtask.id}`}>⇄ MOVE TO:</label>
+                    <select
+                      ref={moveSelect}
+                      id={`move-${subtask.id}`}
+                      className="subtask-move-select"
+                      value=""
+                      onChange={(e) => handleMoveToQuest(subtask, e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Escape') setMovingSubtask(null);
                       }}
-                      className="subtask-action-btn"
-                      title="Delete step"
                     >
+                      <option value="" disabled>Choose a quest...</option>
+                      {allTasks.filter(t => t.id !== task.id).map(t => (
+                        <option key={t.id} value={t.id}>{t.title}</option>
+                      ))}
+                    </select>
+                    <button onClick={() => setMovingSubtask(null)} className="subtask-cancel-btn" title="Close">
                       ✕
                     </button>
                   </div>
-                </>
-              )}
-            </div>
-          ))}
+                )}
+              </React.Fragment>
+            );
+          })}
           
           {/* Add new subtask */}
           {showAddSubtask ? (
@@ -1,56 +1,472 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import TaskItem from './TaskItem';
+import BatchActionBar from './BatchActionBar';
+import { getLeafProgress, findSubtask } from '../utils/subtaskTree';
+import { selectRange } from '../utils/batchActions';
+import { getBlockers } from '../utils/taskDependencies';
+import { describeStatusChange } from '../utils/taskStatus';
+import { ALL_PROJECTS, NO_PROJECT, filterByProject, getTaskProject } from '../utils/projects';
+import { isSnoozed, describeWake } from '../utils/snooze';
 import '../styles/tasklist.css';
 
 const TaskList = ({ 
   tasks, 
+  archivedTasks = [],
+  projects = [],
+  now = new Date(),
   onSubtaskToggle, 
   onSubtaskEdit, 
   onSubtaskDelete, 
   onSubtaskAdd,
+  onSubtaskSplit,
   onTaskDelete,
+  onTaskArchive,
+  onTaskRestore,
+  onTaskSnooze,
+  onTaskWake,
   onCompleteQuest,
+  onDependencyAdd,
+  onDependencyRemove,
+  onTaskMove,
+  onSubtaskMove,
+  onBatchAction,
+  onFocus,
+  generatingTaskId,
+  onCancelGeneration,
   speedrunTimers,
   showTimer
 }) => {
-  if (tasks.length === 0) {
+  const [view, setView] = useState('active'); // 'active', 'archive' or 'snoozed'
+  const [sortMode, setSortMode] = useState(() => localStorage.getItem('adhd_quest_task_sort') || 'smart');
+  const [drag, setDrag] = useState(null); // { type: 'task' | 'step', taskId, subtaskId, label }
+  const [dropTarget, setDropTarget] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  const [projectFilter, setProjectFilter] = useState(ALL_PROJECTS);
+  
+  const isManualOrder = sortMode === 'manual';
+  
+  // Work out where the pointer would drop the dragged quest or step
+  // Quests go before or after another quest; steps go between steps, or at
+  // the end of a quest's list when dropped on the quest itself
+  const findDropTarget = (x, y) => {
+    const element = document.elementFromPoint(x, y);
+    if (!element || !drag) return null;
+    
+    const below = (el) => {
+      const rect = el.getBoundingClientRect();
+      return y > rect.top + rect.height / 2;
+    };
+    
+    if (drag.type === 'task') {
+      const taskElement = element.closest('[data-drop-task]');
+      if (!taskElement || taskElement.dataset.dropTask === drag.taskId) return null;
+      return { taskId: taskElement.dataset.dropTask, placement: below(taskElement) ? 'after' : 'before' };
+    }
+    
+    const stepElement = element.closest('[data-drop-step]');
+    if (stepElement) {
+      const { dropStep, taskId, parentId, index } = stepElement.dataset;
+      const dragged = findSubtask(tasks.find(t => t.id === drag.taskId)?.subtasks, drag.subtaskId);
+      
+      // A step can't be dropped among its own smaller steps
+      if (dropStep === drag.subtaskId || (taskId === drag.taskId && findSubtask(dragged?.children, dropStep))) {
+        return null;
+      }
+      
+      const placement = below(stepElement) ? 'after' : 'before';
+      return {
+        taskId,
+        subtaskId: dropStep,
+        parentId: parentId || null,
+        index: Number(index) + (placement === 'after' ? 1 : 0),
+        placement
+      };
+    }
+    
+    const taskElement = element.closest('[data-drop-task]');
+    if (!taskElement) return null;
+    const task = tasks.find(t => t.id === taskElement.dataset.dropTask);
+    return { taskId: task.id, parentId: null, index: task.subtasks.length, placement: 'inside' };
+  };
+  
+  // The pointer listeners below are set up once per drag, so they read these
+  const dragHandlers = React.useRef({});
+  dragHandlers.current.find = findDropTarget;
+  
+  // Follow the pointer (mouse, pen or touch) while something is being dragged
+  useEffect(() => {
+    if (!drag) return;
+    
+    const handleMove = (e) => setDropTarget(dragHandlers.current.find(e.clientX, e.clientY));
+    const handleUp = (e) => {
+      const target = dragHandlers.current.find(e.clientX, e.clientY);
+      if (target && dragHandlers.current.drop) dragHandlers.current.drop(target);
+      setDrag(null);
+      setDropTarget(null);
+    };
+    const handleCancel = () => {
+      setDrag(null);
+      setDropTarget(null);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') handleCancel();
+    };
+    
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleCancel);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleCancel);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [drag]);
+  
+  const handleSortModeChange = (mode) => {
+    setSortMode(mode);
+    localStorage.setItem('adhd_quest_task_sort', mode);
+  };
+  
+  const handleDragStart = (e, item) => {
+    // Only the main mouse button drags (a finger or pen counts as the main button)
+    if (e.button !== 0) return;
+    e.preventDefault();
+    setDrag(item);
+  };
+  
+  // Move a step and tell screen readers where it went
+  const moveStep = (from, to, message) => {
+    if (onSubtaskMove(from, to) && message) {
+      setAnnouncement(message);
+    }
+  };
+  
+  // Snoozed quests stay in the task list (others may wait on them) but off the board
+  const snoozedTasks = tasks.filter(task => isSnoozed(task, now));
+  const awakeTasks = tasks.filter(task => !isSnoozed(task, now));
+  
+  const archiveToggle = (archivedTasks.length > 0 || view === 'archive') && (
+    <button className="archive-toggle-btn" onClick={() => setView(view === 'archive' ? 'active' : 'archive')}>
+      {view === 'archive' ? '◄ BACK TO ACTIVE QUESTS' : `🗄 ARCHIVE (${archivedTasks.length})`}
+    </button>
+  );
+  
+  const snoozedToggle = (snoozedTasks.length > 0 || view === 'snoozed') && (
+    <button className="archive-toggle-btn" onClick={() => setView(view === 'snoozed' ? 'active' : 'snoozed')}>
+      {view === 'snoozed' ? '◄ BACK TO ACTIVE QUESTS' : `💤 SNOOZED (${snoozedTasks.length})`}
+    </button>
+  );
+  
+  if (view === 'snoozed') {
+    return (
+      <div className="task-list">
+        <h2 className="task-list-title">
+          [ SNOOZED QUESTS: {snoozedTasks.length} ]
+        </h2>
+        {snoozedToggle}
+        
+        {snoozedTasks.length === 0 && (
+          <div className="task-list-empty">
+            <p>[ NOTHING SNOOZED ]</p>
+          </div>
+        )}
+        
+        {snoozedTasks.map(task => (
+          <div key={task.id} className="archived-task">
+            <div className="archived-task-header">
+              <span className="archived-task-title">{task.title}</span>
+              <div className="archived-task-actions">
+                <button
+                  className="archived-task-btn"
+                  onClick={() => onTaskWake(task.id)}
+                  title="Put this quest back on the board now"
+                >
+                  ⏰ WAKE NOW
+                </button>
+              </div>
+            </div>
+            <p className="archived-task-meta">
+              back {describeWake(task, now)}
+              {task.deferCount > 1 && ` • put off ${task.deferCount} times`}
+            </p>
+          </div>
+        ))}
+      </div>
+    );
+  }
+  
+  if (view === 'archive') {
     return (
-      <div className="task-list-empty">
-        <p>[ NO ACTIVE QUESTS ]</p>
-        <p className="empty-subtitle">Create your first quest above to begin your journey!</p>
+      <div className="task-list">
+        <h2 className="task-list-title">
+          [ ARCHIVED QUESTS: {archivedTasks.length} ]
+        </h2>
+        {archiveToggle}
+        
+        {archivedTasks.length === 0 && (
+          <div className="task-list-empty">
+            <p>[ ARCHIVE EMPTY ]</p>
+          </div>
+        )}
+        
+        {archivedTasks.map(task => {
+          const { completed, total } = getLeafProgress(task.subtasks);
+          return (
+            <div key={task.id} className="archived-task">
+              <div className="archived-task-header">
+                <span className="archived-task-title">{task.title}</span>
+                <div className="archived-task-actions">
+                  <button
+                    className="archived-task-btn"
+                    onClick={() => onTaskRestore(task.id)}
+                    title="Put this quest back on the board"
+                  >
+                    ↺ RESTORE
+                  </button>
+                  <button
+                    className="archived-task-btn"
+                    onClick={() => {
+                      if (window.confirm('Delete this quest and all its steps?')) {
+                        onTaskDelete(task.id);
+                      }
+                    }}
+                    title="Delete for good"
+                  >
+                    ✕
+                  </button>
+                </div>
+              </div>
+              <p className="archived-task-meta">
+                {completed}/{total} steps done
+                {task.archivedAt && ` • archived ${new Date(task.archivedAt).toLocaleDateString()}`}
+              </p>
+              {task.statusHistory?.length > 0 && (
+                <details className="archived-task-history">
+                  <summary>HISTORY</summary>
+                  <ul>
+                    {task.statusHistory.map((change, index) => (
+                      <li key={index}>
+                        {new Date(change.at).toLocaleString()}: {describeStatusChange(change)}
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+            </div>
+          );
+        })}
       </div>
     );
   }
   
-  // Sort tasks: incomplete first, then by priority
-  const sortedTasks = [...tasks].sort((a, b) => {
-    const aComplete = a.subtasks.filter(st => st.completed).length === a.subtasks.length;
-    const bComplete = b.subtasks.filter(st => st.completed).length === b.subtasks.length;
+  if (tasks.length === 0) {
+    return (
+      <>
+        <div className="task-list-empty">
+          <p>[ NO ACTIVE QUESTS ]</p>
+          <p className="empty-subtitle">Create your first quest above to begin your journey!</p>
+        </div>
+        {archiveToggle}
+      </>
+    );
+  }
+  
+  if (awakeTasks.length === 0) {
+    return (
+      <>
+        <div className="task-list-empty">
+          <p>[ EVERYTHING ELSE IS SNOOZED ]</p>
+          <p className="empty-subtitle">Nothing needs you right now. Enjoy the breather.</p>
+        </div>
+        <div className="task-list-controls">
+          {archiveToggle}
+          {snoozedToggle}
+        </div>
+      </>
+    );
+  }
+  
+  // Work out which tasks are waiting on others
+  const blockersById = {};
+  tasks.forEach(task => {
+    blockersById[task.id] = getBlockers(tasks, { taskId: task.id });
+  });
+  
+  // A project that was deleted while it was being shown falls back to showing everything
+  const activeFilter = [ALL_PROJECTS, NO_PROJECT].includes(projectFilter) ||
+    projects.some(project => project.id === projectFilter)
+    ? projectFilter
+    : ALL_PROJECTS;
+  const visibleTasks = filterByProject(awakeTasks, activeFilter, projects);
+  
+  // In "my order" mode quests stay where they were dragged. Otherwise sort them:
+  // the quest still receiving steps first, then incomplete, then unblocked, then by priority
+  const sortedTasks = isManualOrder ? visibleTasks : [...visibleTasks].sort((a, b) => {
+    if (a.id === generatingTaskId || b.id === generatingTaskId) {
+      return a.id === generatingTaskId ? -1 : 1;
+    }
+    
+    const aProgress = getLeafProgress(a.subtasks);
+    const bProgress = getLeafProgress(b.subtasks);
+    const aComplete = aProgress.completed === aProgress.total;
+    const bComplete = bProgress.completed === bProgress.total;
     
     if (aComplete !== bComplete) {
       return aComplete ? 1 : -1;
     }
     
+    const aBlocked = blockersById[a.id].length > 0;
+    const bBlocked = blockersById[b.id].length > 0;
+    
+    if (aBlocked !== bBlocked) {
+      return aBlocked ? 1 : -1;
+    }
+    
     const priorityOrder = { high: 0, medium: 1, low: 2 };
     return priorityOrder[a.priority] - priorityOrder[b.priority];
   });
   
+  // Drop the dragged quest or step where the pointer let go
+  dragHandlers.current.drop = (target) => {
+    if (drag.type === 'task') {
+      const index = sortedTasks.findIndex(t => t.id === target.taskId);
+      const beforeTask = target.placement === 'before' ? sortedTasks[index] : sortedTasks[index + 1];
+      onTaskMove(drag.taskId, beforeTask ? beforeTask.id : null);
+      return;
+    }
+    
+    onSubtaskMove({ taskId: drag.taskId, subtaskId: drag.subtaskId }, target);
+  };
+  
+  // Quests that were archived, deleted, completed or filtered out drop out of the selection
+  const selection = selectedIds.filter(id => sortedTasks.some(task => task.id === id));
+  
+  // Shift-click selects every quest between the last one clicked and this one
+  const handleSelect = (taskId, extendRange) => {
+    if (extendRange && selectionAnchor) {
+      const range = selectRange(sortedTasks.map(task => task.id), selectionAnchor, taskId);
+      setSelectedIds([...new Set([...selection, ...range])]);
+    } else {
+      setSelectedIds(selection.includes(taskId)
+        ? selection.filter(id => id !== taskId)
+        : [...selection, taskId]);
+    }
+    setSelectionAnchor(taskId);
+  };
+  
+  const handleStopSelecting = () => {
+    setIsSelecting(false);
+    setSelectedIds([]);
+    setSelectionAnchor(null);
+  };
+  
+  // Arrow keys on a quest's handle move it one place up or down
+  const moveTaskBy = (taskId, offset) => {
+    const index = sortedTasks.findIndex(t => t.id === taskId);
+    const newIndex = index + offset;
+    if (index < 0 || newIndex < 0 || newIndex >= sortedTasks.length) return;
+    
+    const beforeTask = offset < 0 ? sortedTasks[newIndex] : sortedTasks[newIndex + 1];
+    onTaskMove(taskId, beforeTask ? beforeTask.id : null);
+    setAnnouncement(`Moved "${sortedTasks[index].title}" to position ${newIndex + 1} of ${sortedTasks.length}`);
+  };
+  
   return (
-    <div className="task-list">
+    <div className={`task-list ${drag ? 'task-list-dragging' : ''}`}>
       <h2 className="task-list-title">
-        [ ACTIVE QUESTS: {tasks.length} ]
+        [ ACTIVE QUESTS: {activeFilter === ALL_PROJECTS ? awakeTasks.length : `${sortedTasks.length} OF ${awakeTasks.length}`} ]
       </h2>
+      <div className="task-list-controls">
+        {archiveToggle}
+        {snoozedToggle}
+        {projects.length > 0 && (
+          <select
+            className="project-filter"
+            value={activeFilter}
+            onChange={(e) => setProjectFilter(e.target.value)}
+            aria-label="Show quests from a project"
+          >
+            <option value={ALL_PROJECTS}>📁 ALL PROJECTS</option>
+            {projects.map(project => (
+              <option key={project.id} value={project.id}>{project.icon} {project.name}</option>
+            ))}
+            <option value={NO_PROJECT}>NO PROJECT</option>
+          </select>
+        )}
+        {onBatchAction && !isSelecting && (
+          <button
+            className="task-sort-btn"
+            onClick={() => setIsSelecting(true)}
+            title="Select several quests to act on them at once"
+          >
+            ☑ SELECT
+          </button>
+        )}
+        {onTaskMove && (
+          <button
+            className="task-sort-btn"
+            onClick={() => handleSortModeChange(isManualOrder ? 'smart' : 'manual')}
+            title={isManualOrder
+              ? 'Quests stay where you put them. Click to sort automatically'
+              : 'Quests are sorted automatically. Click to arrange them yourself'}
+          >
+            {isManualOrder ? '⇅ SORT: MY ORDER' : '⇅ SORT: SMART'}
+          </button>
+        )}
+      </div>
+      <p className="task-list-announcer" aria-live="polite">{announcement}</p>
+      
+      {isSelecting && (
+        <BatchActionBar
+          tasks={sortedTasks}
+          projects={projects}
+          selectedIds={selection}
+          onSelectionChange={setSelectedIds}
+          onAction={(action) => onBatchAction(selection, action)}
+          onClose={handleStopSelecting}
+        />
+      )}
+      
+      {sortedTasks.length === 0 && (
+        <div className="task-list-empty">
+          <p>[ NO QUESTS IN THIS PROJECT ]</p>
+        </div>
+      )}
       
       {sortedTasks.map(task => (
         <TaskItem
           key={task.id}
           task={task}
+          project={getTaskProject(projects, task)}
           onSubtaskToggle={onSubtaskToggle}
           onSubtaskEdit={onSubtaskEdit}
           onSubtaskDelete={onSubtaskDelete}
           onSubtaskAdd={onSubtaskAdd}
+          onSubtaskSplit={onSubtaskSplit}
           onTaskDelete={onTaskDelete}
+          onTaskArchive={onTaskArchive}
+          onTaskSnooze={onTaskSnooze}
           onCompleteQuest={onCompleteQuest}
+          onDependencyAdd={onDependencyAdd}
+          onDependencyRemove={onDependencyRemove}
+          onSubtaskMove={onSubtaskMove ? moveStep : null}
+          onTaskMoveBy={isManualOrder && onTaskMove ? moveTaskBy : null}
+          onDragStart={handleDragStart}
+          isSelecting={isSelecting}
+          isSelected={selection.includes(task.id)}
+          onSelect={handleSelect}
+          drag={drag}
+          dropTarget={dropTarget}
+          onFocus={onFocus}
+          allTasks={tasks}
+          blockers={blockersById[task.id]}
+          isGenerating={task.id === generatingTaskId}
+          onCancelGeneration={onCancelGeneration}
           timerData={speedrunTimers?.[task.id]}
           showTimer={showTimer && task.speedrunMode}
         />
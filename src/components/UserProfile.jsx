@@ -8,7 +8,20 @@
 import React, { useState, useEffect } from 'react';
 import authService from '../services/authService';
 import cloudSyncService from '../services/cloudSyncService';
-import { getRankForLevel } from '../utils/rankSystem';
+import { getAISettings } from '../services/aiProviders';
+import { BUDGET_LIMITS, loadUsage, summarizeUsage } from '../services/aiCache';
+import { getRankForLevel, formatPrestige } from '../utils/rankSystem';
+import { getXPPolicy } from '../utils/xpPolicy';
+import {
+  LEDGER_SOURCES,
+  getDeviceId,
+  ensureLedger,
+  appendToLedger,
+  checkLedger,
+  repairLedger,
+  summarizeLedger,
+  describeAward
+} from '../utils/xpLedger';
 import '../styles/userprofile.css';
 
 function UserProfile({ user, profile, onUpdate, onSignOut }) {
@@ -18,6 +31,9 @@ function UserProfile({ user, profile, onUpdate, onSignOut }) {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [syncStatus, setSyncStatus] = useState(null);
+  const [aiUsage, setAIUsage] = useState(null);
+  const [ledger, setLedger] = useState(() => ensureLedger());
+  const [ledgerCheck, setLedgerCheck] = useState(null);
 
   useEffect(() => {
     if (user) {
@@ -39,6 +55,12 @@ function UserProfile({ user, profile, onUpdate, onSignOut }) {
     return () => clearInterval(interval);
   }, []);
 
+  useEffect(() => {
+    loadUsage()
+      .then(usage => setAIUsage(summarizeUsage(usage)))
+      .catch(error => console.error('Error loading AI usage:', error));
+  }, []);
+
   const handleUpdateProfile = async () => {
     setError('');
     setSuccess('');
@@ -84,7 +106,57 @@ function UserProfile({ user, profile, onUpdate, onSignOut }) {
     }
   };
 
-  const rank = getRankForLevel(profile?.level || 1);
+  // The check compares the ledger with what is saved on this device
+  const loadLocalXP = () => {
+    const read = (key, fallback) => {
+      try {
+        return JSON.parse(localStorage.getItem(key)) || fallback;
+      } catch (err) {
+        console.error(`Error loading ${key}:`, err);
+        return fallback;
+      }
+    };
+    return {
+      localProfile: read('adhd_quest_profile', {}),
+      tasks: read('adhd_quest_tasks', []),
+      completedQuests: read('adhd_quest_completed', [])
+    };
+  };
+
+  const handleCheckLedger = () => {
+    const { localProfile, tasks, completedQuests } = loadLocalXP();
+    const current = ensureLedger();
+    setLedger(current);
+    setLedgerCheck(checkLedger(current, localProfile, tasks, completedQuests));
+  };
+
+  const handleRepairLedger = () => {
+    if (!window.confirm('Add ledger entries so every step matches the XP it shows, and set your total from the ledger?')) {
+      return;
+    }
+
+    const { localProfile, tasks, completedQuests } = loadLocalXP();
+    const { entries, profile: repaired } = repairLedger(ledger, localProfile, tasks, completedQuests, getXPPolicy().levelCurve);
+    const updated = appendToLedger(entries);
+    localStorage.setItem('adhd_quest_profile', JSON.stringify(repaired));
+
+    setLedger(updated);
+    setLedgerCheck(checkLedger(updated, repaired, tasks, completedQuests));
+    setSuccess(`XP repaired: ${repaired.totalXP.toLocaleString()} XP in total.`);
+  };
+
+  const thisDevice = getDeviceId();
+  const recentEntries = ledger.slice(-15).reverse();
+
+  const rank = getRankForLevel(profile?.level || 1, profile?.prestige || 0);
+  const aiBudget = getAISettings().budget;
+
+  // e.g. "12 / 50" against the budget, or just "12" without a limit
+  const formatUsage = (period, field) => {
+    const used = aiUsage[period][field].toLocaleString();
+    const limit = BUDGET_LIMITS.find(l => l.period === period && l.field === field);
+    return aiBudget[limit.id] > 0 ? `${used} / ${aiBudget[limit.id].toLocaleString()}` : used;
+  };
 
   return (
     <div className="user-profile">
@@ -101,6 +173,7 @@ function UserProfile({ user, profile, onUpdate, onSignOut }) {
           </div>
           <div className="profile-level">
             Level {profile?.level || 1}
+            {profile?.prestige > 0 && ` ${formatPrestige(profile.prestige)}`}
           </div>
         </div>
       </div>
@@ -227,6 +300,102 @@ function UserProfile({ user, profile, onUpdate, onSignOut }) {
         </button>
       </div>
 
+      <div className="profile-section">
+        <h3>XP Ledger</h3>
+
+        <div className="sync-status">
+          {summarizeLedger(ledger).map(summary => (
+            <div key={summary.source} className="sync-info">
+              <div className="info-label">{summary.label} ({summary.count})</div>
+              <div className="info-value">{summary.xp > 0 ? '+' : ''}{summary.xp.toLocaleString()} XP</div>
+            </div>
+          ))}
+        </div>
+
+        {recentEntries.length > 0 ? (
+          <ul className="ledger-entries">
+            {recentEntries.map(entry => (
+              <li key={entry.id} className="ledger-entry">
+                <span className="ledger-entry-time">{new Date(entry.createdAt).toLocaleString()}</span>
+                <span className="ledger-entry-label" title={entry.deviceId === thisDevice ? 'This device' : `Device ${entry.deviceId}`}>
+                  {entry.label || LEDGER_SOURCES[entry.source] || entry.source}
+                  {entry.deviceId !== thisDevice && ' 🔄'}
+                  {entry.multipliers && <span className="ledger-entry-math">{describeAward(entry)}</span>}
+                </span>
+                <span className={`ledger-entry-xp ${entry.xp < 0 ? 'negative' : ''}`}>
+                  {entry.xp > 0 ? '+' : ''}{entry.xp}
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="ledger-empty">No XP earned yet.</p>
+        )}
+
+        {ledgerCheck && (
+          ledgerCheck.issues.length === 0 ? (
+            <div className="profile-success">
+              ✅ Everything adds up: {ledgerCheck.ledgerTotal.toLocaleString()} XP.
+            </div>
+          ) : (
+            <div className="profile-error">
+              ⚠️ {ledgerCheck.issues.length} {ledgerCheck.issues.length === 1 ? 'thing doesn\'t' : 'things don\'t'} add up:
+              <ul className="ledger-issues">
+                {ledgerCheck.issues.map(issue => (
+                  <li key={`${issue.type}:${issue.taskId}:${issue.subtaskId}`}>{issue.message}</li>
+                ))}
+              </ul>
+            </div>
+          )
+        )}
+
+        <div className="profile-actions">
+          <button className="auth-button" onClick={handleCheckLedger}>
+            CHECK XP
+          </button>
+          {ledgerCheck?.issues.length > 0 && (
+            <button className="auth-button auth-button-primary" onClick={handleRepairLedger}>
+              REPAIR
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="profile-section">
+        <h3>AI Usage</h3>
+
+        {aiUsage && (
+          <div className="sync-status">
+            <div className="sync-info">
+              <div className="info-label">Requests Today</div>
+              <div className="info-value">{formatUsage('day', 'requests')}</div>
+            </div>
+            <div className="sync-info">
+              <div className="info-label">Tokens Today</div>
+              <div className="info-value">{formatUsage('day', 'tokens')}</div>
+            </div>
+            <div className="sync-info">
+              <div className="info-label">Requests This Month</div>
+              <div className="info-value">{formatUsage('month', 'requests')}</div>
+            </div>
+            <div className="sync-info">
+              <div className="info-label">Tokens This Month</div>
+              <div className="info-value">{formatUsage('month', 'tokens')}</div>
+            </div>
+            <div className="sync-info">
+              <div className="info-label">Reused Breakdowns</div>
+              <div className="info-value">{aiUsage.month.cacheHits}</div>
+            </div>
+            {aiUsage.month.fallbacks > 0 && (
+              <div className="sync-info">
+                <div className="info-label">Offline (Over Budget)</div>
+                <div className="info-value warning">{aiUsage.month.fallbacks}</div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
       <div className="profile-section">
         <h3>Account Actions</h3>
 
@@ -0,0 +1,67 @@
+/**
+ * Weekly Review
+ *
+ * A gentle look, once a week, at the quests that keep getting put off.
+ * Each one comes with suggestions to shrink, delegate or drop it, and can
+ * also simply be kept as it is.
+ */
+
+import React from 'react';
+import '../styles/weeklyreview.css';
+
+const SUGGESTION_BUTTONS = {
+  shrink: { label: '✂ SHRINK', title: 'Break the next step down' },
+  delegate: { label: '🤝 DELEGATE', title: 'Tag it #delegate to hand it on' },
+  drop: { label: '🍃 LET IT GO', title: 'Archive it (you can restore it later)' },
+};
+
+const WeeklyReview = ({ review, onShrink, onDelegate, onDrop, onKeep, onDone }) => {
+  const handlers = { shrink: onShrink, delegate: onDelegate, drop: onDrop };
+
+  const handleSuggestion = (type, task) => {
+    if (type === 'drop' && !window.confirm(`Let go of "${task.title}"? It goes to the archive, and you keep the XP you earned.`)) {
+      return;
+    }
+    handlers[type](task.id);
+  };
+
+  return (
+    <div className="weekly-review" role="region" aria-label="Weekly review">
+      <div className="weekly-review-header">
+        <h3 className="weekly-review-title">🌿 WEEKLY REVIEW</h3>
+        <button className="weekly-review-btn" onClick={onDone}>✓ DONE FOR THIS WEEK</button>
+      </div>
+      <p className="weekly-review-intro">
+        These quests keep getting pushed back. That&apos;s normal. Pick what would help, or keep them as they are.
+        {review.snoozedCount > 0 && ` (${review.snoozedCount} snoozed${review.somedayCount > 0 ? `, ${review.somedayCount} someday` : ''})`}
+      </p>
+
+      {review.items.map(({ task, deferrals, suggestions }) => (
+        <div key={task.id} className="weekly-review-item">
+          <div className="weekly-review-item-header">
+            <span className="weekly-review-item-title">{task.title}</span>
+            <span className="weekly-review-count">put off {deferrals}×</span>
+          </div>
+          <p className="weekly-review-reason">{suggestions[0].reason}</p>
+          <div className="weekly-review-actions">
+            {suggestions.map(({ type, reason }) => (
+              <button
+                key={type}
+                className="weekly-review-btn"
+                onClick={() => handleSuggestion(type, task)}
+                title={`${SUGGESTION_BUTTONS[type].title}. ${reason}`}
+              >
+                {SUGGESTION_BUTTONS[type].label}
+              </button>
+            ))}
+            <button className="weekly-review-btn" onClick={() => onKeep(task.id)} title="Leave it as it is">
+              ✓ KEEP
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default WeeklyReview;
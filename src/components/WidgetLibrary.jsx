@@ -1,7 +1,17 @@
 import React from 'react';
+import { getInboxCount } from '../utils/captureInbox';
+import { getSearchIndex, searchIndex, loadSavedSearches } from '../utils/searchIndex';
+import { loadLedger } from '../utils/xpLedger';
+import { loadPurchases, getCoinBalance } from '../utils/rewardShop';
 import '../styles/widgetlibrary.css';
+import '../styles/search.css';
+
+const WidgetLibrary = ({ onSelectWidget, onOpenSearch, userSettings }) => {
+  const inboxCount = getInboxCount();
+  const coins = getCoinBalance(loadLedger(), loadPurchases()).balance;
+  const pinnedSearches = loadSavedSearches().filter(search => search.pinned);
+  const index = pinnedSearches.length > 0 ? getSearchIndex() : null;
 
-const WidgetLibrary = ({ onSelectWidget, userSettings }) => {
   const widgets = [
     {
       id: 'task-crusher',
@@ -29,7 +39,23 @@ const WidgetLibrary = ({ onSelectWidget, userSettings }) => {
       name: 'QUICK CAPTURE',
       icon: '📝',
       flavorText: '▼ TAKE NOTES',
-      description: 'Rapid idea collection'
+      description: 'Rapid idea collection',
+      status: inboxCount > 0 ? `📥 ${inboxCount} TO SORT` : '✓ INBOX ZERO'
+    },
+    {
+      id: 'search',
+      name: 'QUEST SEARCH',
+      icon: '🔍',
+      flavorText: '▼ FIND ANYTHING',
+      description: 'Search quests, steps and notes'
+    },
+    {
+      id: 'reward-shop',
+      name: 'REWARD SHOP',
+      icon: '🪙',
+      flavorText: '▼ TREAT YOURSELF',
+      description: 'Spend coins on your own rewards',
+      status: `🪙 ${coins} COINS`
     },
     {
       id: 'calendar',
@@ -61,6 +87,22 @@ const WidgetLibrary = ({ onSelectWidget, userSettings }) => {
         <p className="arcade-subtitle">SELECT YOUR TOOL</p>
       </div>
 
+      {pinnedSearches.length > 0 && (
+        <div className="pinned-searches" aria-label="Pinned searches">
+          {pinnedSearches.map(search => (
+            <button
+              key={search.id}
+              className="pinned-search"
+              onClick={() => onOpenSearch(search.query)}
+              title={search.query}
+            >
+              🔍 {search.name}
+              <span className="pinned-search-count">[{searchIndex(index, search.query).length}]</span>
+            </button>
+          ))}
+        </div>
+      )}
+
       <div className="cartridge-grid">
         {visibleWidgets.map((widget) => (
           <div
@@ -72,6 +114,7 @@ const WidgetLibrary = ({ onSelectWidget, userSettings }) => {
             <div className="cartridge-label">{widget.name}</div>
             <div className="cartridge-icon">{widget.icon}</div>
             <div className="cartridge-flavor">{widget.flavorText}</div>
+            {widget.status && <div className="cartridge-status">{widget.status}</div>}
             <div className="cartridge-shine"></div>
           </div>
         ))}
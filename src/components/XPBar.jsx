@@ -1,17 +1,41 @@
 import React from 'react';
+import { MAX_LEVEL } from '../utils/xpSystem';
+import { formatPrestige, getUnlockedXPBarStyles, getXPBarStyle } from '../utils/rankSystem';
 import '../styles/xpbar.css';
 
-const XPBar = ({ totalXP, level, currentLevelXP, xpToNextLevel, progressPercent }) => {
+const XPBar = ({
+  totalXP,
+  level,
+  currentLevelXP,
+  xpToNextLevel,
+  progressPercent,
+  prestige = 0,
+  xpBarStyle,
+  onPrestige,
+  onXPBarStyleChange
+}) => {
+  const style = getXPBarStyle(xpBarStyle, prestige);
+  const unlockedStyles = getUnlockedXPBarStyles(prestige);
+  
   return (
     <div className="xp-bar-container">
       <div className="xp-bar-header">
-        <span className="xp-level">LEVEL: {level}</span>
-        <span className="xp-amount">{currentLevelXP} / {xpToNextLevel} XP</span>
+        <span className="xp-level">
+          LEVEL: {level}
+          {prestige > 0 && <span className="xp-prestige" title={`Prestige ${prestige}`}> {formatPrestige(prestige)}</span>}
+        </span>
+        {level >= MAX_LEVEL && onPrestige ? (
+          <button className="xp-prestige-btn" onClick={onPrestige} title="Go back to level 1 with a prestige star">
+            🌠 PRESTIGE
+          </button>
+        ) : (
+          <span className="xp-amount">{currentLevelXP} / {xpToNextLevel} XP</span>
+        )}
       </div>
       
       <div className="xp-bar-track">
         <div 
-          className="xp-bar-fill" 
+          className={`xp-bar-fill xp-style-${style.id}`}
           style={{ width: `${progressPercent}%` }}
         >
           <div className="xp-bar-glow"></div>
@@ -20,6 +44,18 @@ const XPBar = ({ totalXP, level, currentLevelXP, xpToNextLevel, progressPercent
       
       <div className="xp-bar-footer">
         <span className="xp-total">TOTAL XP: {totalXP}</span>
+        {unlockedStyles.length > 1 && onXPBarStyleChange && (
+          <select
+            className="xp-style-select"
+            value={style.id}
+            onChange={(e) => onXPBarStyleChange(e.target.value)}
+            aria-label="XP bar style"
+          >
+            {unlockedStyles.map(option => (
+              <option key={option.id} value={option.id}>{option.name.toUpperCase()}</option>
+            ))}
+          </select>
+        )}
         <span className="xp-progress">{progressPercent}%</span>
       </div>
     </div>
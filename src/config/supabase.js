@@ -39,8 +39,12 @@ export const TABLES = {
   USERS: 'users',
   USER_PROFILES: 'user_profiles',
   TASKS: 'tasks',
+  PROJECTS: 'projects',
   SUBTASKS: 'subtasks',
   COMPLETED_QUESTS: 'completed_quests',
+  XP_LEDGER: 'xp_ledger',
+  REWARDS: 'rewards',
+  REWARD_PURCHASES: 'reward_purchases',
   ACHIEVEMENTS: 'achievements',
   USER_ACHIEVEMENTS: 'user_achievements',
   NOTES: 'notes',
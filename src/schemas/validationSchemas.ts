@@ -107,6 +107,8 @@ export const userProfileSchema = z.object({
   xp_to_next_level: xpSchema,
   tasks_completed: z.number().int().nonnegative(),
   subtasks_completed: z.number().int().nonnegative(),
+  prestige: z.number().int().nonnegative().default(0),
+  xp_bar_style: z.enum(['classic', 'gold', 'plasma', 'starfield', 'rainbow', 'void']).default('classic'),
   avatar_url: z.string().url().optional().nullable(),
   bio: z.string().max(500).optional().nullable(),
   created_at: timestampSchema,
@@ -128,17 +130,66 @@ export const taskPrioritySchema = z.enum(['low', 'medium', 'high', 'urgent']);
 export const taskStatusSchema = z.enum(['pending', 'in_progress', 'completed', 'archived']);
 
 /**
- * Subtask
+ * One entry in a task's status history
  */
-export const subtaskSchema = z.object({
+export const taskStatusChangeSchema = z.object({
+  from: taskStatusSchema.nullable(),
+  to: taskStatusSchema,
+  at: timestampSchema,
+  reason: z.string().max(100).optional(),
+});
+
+/**
+ * Dependency on another task, or on one step of another task
+ */
+export const taskDependencySchema = z.object({
+  task_id: z.string(),
+  subtask_id: z.string().optional().nullable(),
+});
+
+/**
+ * Subtask fields (without nesting)
+ */
+const baseSubtaskSchema = z.object({
   id: z.string(),
   text: nonEmptyStringSchema.max(500),
   completed: z.boolean(),
+  order: z.number().int().nonnegative().optional(), // position among sibling steps
   xp: xpSchema.default(10),
+  streak_xp: xpSchema.optional().nullable(), // part of xp from the streak multiplier
+  streak_multiplier: z.number().min(1).max(2).optional().nullable(),
+  blocked_by: z.array(taskDependencySchema).optional(),
+  estimated_minutes: z.number().positive().max(240).optional().nullable(),
   created_at: timestampSchema,
   completed_at: timestampSchema.optional().nullable(),
 });
 
+export type Subtask = z.output<typeof baseSubtaskSchema> & { children?: Subtask[] };
+type SubtaskInput = z.input<typeof baseSubtaskSchema> & { children?: SubtaskInput[] };
+
+/**
+ * Subtask (steps can be broken down into nested child steps)
+ */
+export const subtaskSchema: z.ZodType<Subtask, z.ZodTypeDef, SubtaskInput> = baseSubtaskSchema.extend({
+  children: z.lazy(() => z.array(subtaskSchema)).optional(),
+});
+
+/**
+ * Project (groups tasks; deleted projects are kept with deleted_at set)
+ */
+export const projectSchema = z.object({
+  id: z.string(),
+  user_id: uuidSchema.optional(),
+  name: nonEmptyStringSchema.max(50),
+  color: hexColorSchema.default('#00FF00'),
+  icon: z.string().max(10).default('📁'),
+  goal_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD').optional().nullable(),
+  created_at: timestampSchema,
+  updated_at: timestampSchema.optional(),
+  deleted_at: timestampSchema.optional().nullable(),
+  synced_at: timestampSchema.optional().nullable(),
+});
+
 /**
  * Task
  */
@@ -148,10 +199,22 @@ export const taskSchema = z.object({
   title: nonEmptyStringSchema.max(200),
   description: z.string().max(2000).optional().nullable(),
   priority: taskPrioritySchema.default('medium'),
+  dread: z.number().int().min(0).max(3).default(0), // how much the player dreads it; weights step XP
+  position: z.number().int().nonnegative().optional().nullable(), // manual order on the board, 0 at the top
   status: taskStatusSchema.default('pending'),
+  status_history: z.array(taskStatusChangeSchema).default([]),
+  archived_at: timestampSchema.optional().nullable(),
   subtasks: z.array(subtaskSchema).default([]),
+  blocked_by: z.array(taskDependencySchema).default([]),
+  project_id: z.string().optional().nullable(),
+  snoozed_until: timestampSchema.optional().nullable(),
+  someday: z.boolean().default(false),
+  defer_count: z.number().int().nonnegative().default(0),
+  last_deferred_at: timestampSchema.optional().nullable(),
+  reviewed_defer_count: z.number().int().nonnegative().default(0),
   tags: z.array(z.string().max(50)).max(10).default([]),
   due_date: timestampSchema.optional().nullable(),
+  due_time: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be HH:mm').optional().nullable(),
   estimated_time: z.number().int().min(1).max(1440).optional().nullable(), // minutes
   actual_time: z.number().int().min(0).optional().nullable(),
   total_xp: xpSchema.default(0),
@@ -468,13 +531,85 @@ export const completedQuestSchema = z.object({
   user_id: uuidSchema.optional(),
   task_id: z.string(),
   title: nonEmptyStringSchema.max(200),
+  project_id: z.string().optional().nullable(),
   xp_earned: xpSchema,
+  streak: z.number().int().nonnegative().default(0), // streak days when completed
+  streak_xp: xpSchema.default(0), // part of xp_earned from streak multipliers
+  streak_bonus: xpSchema.default(0), // flat bonus for completing it on a streak
   subtasks_count: z.number().int().nonnegative(),
   completed_at: timestampSchema,
   created_at: timestampSchema,
   synced_at: timestampSchema.optional().nullable(),
 });
 
+/**
+ * XP ledger entry (append-only; the XP total is the sum of a user's entries)
+ */
+export const xpLedgerSourceSchema = z.enum([
+  'opening',
+  'step',
+  'unchecked',
+  'removed',
+  'moved',
+  'streak-bonus',
+  'undo',
+  'recalculate',
+  'reset',
+  'repair',
+  'adjustment',
+  'prestige',
+]);
+
+export const xpLedgerEntrySchema = z.object({
+  id: z.string(),
+  user_id: uuidSchema.optional(),
+  source: xpLedgerSourceSchema,
+  xp: z.number().int(), // negative when XP was taken back
+  task_id: z.string().optional().nullable(),
+  subtask_id: z.string().optional().nullable(),
+  base_xp: z.number().int().nonnegative().optional().nullable(),
+  multipliers: z.object({
+    priority: z.number().nonnegative(),
+    duration: z.number().min(1),
+    dread: z.number().nonnegative(),
+    streak: z.number().min(1),
+  }).optional().nullable(),
+  bonus: z.number().int().nonnegative().optional().nullable(),
+  label: z.string().max(500).default(''),
+  device_id: z.string().optional().nullable(),
+  created_at: timestampSchema,
+});
+
+/**
+ * Reward shop reward (bought with coins earned alongside XP)
+ */
+export const rewardSchema = z.object({
+  id: z.string(),
+  user_id: uuidSchema.optional(),
+  name: nonEmptyStringSchema.max(50),
+  icon: z.string().max(10).default('🎁'),
+  price: z.number().int().min(1).max(100000),
+  cooldown_hours: z.number().nonnegative().default(0),
+  created_at: timestampSchema,
+  updated_at: timestampSchema.optional(),
+  deleted_at: timestampSchema.optional().nullable(),
+  synced_at: timestampSchema.optional().nullable(),
+});
+
+/**
+ * Reward purchase (append-only; keeps the reward's name and price as they were when bought)
+ */
+export const rewardPurchaseSchema = z.object({
+  id: z.string(),
+  user_id: uuidSchema.optional(),
+  reward_id: z.string(),
+  name: nonEmptyStringSchema.max(50),
+  icon: z.string().max(10).optional().nullable(),
+  price: z.number().int().min(1),
+  device_id: z.string().optional().nullable(),
+  purchased_at: timestampSchema,
+});
+
 // ============================================================================
 // SOUND PACK SCHEMA
 // ============================================================================
@@ -511,8 +646,12 @@ export const dataExportSchema = z.object({
   version: z.string(),
   exported_at: timestampSchema,
   user_profile: userProfileSchema.optional(),
+  projects: z.array(projectSchema).optional(),
   tasks: z.array(taskSchema),
   completed_quests: z.array(completedQuestSchema),
+  xp_ledger: z.array(xpLedgerEntrySchema).optional(),
+  rewards: z.array(rewardSchema).optional(),
+  reward_purchases: z.array(rewardPurchaseSchema).optional(),
   achievements: z.array(userAchievementSchema),
   notes: z.array(noteSchema),
   drawings: z.array(drawingSchema),
@@ -611,8 +750,9 @@ export function createValidator<T extends z.ZodTypeAny>(schema: T) {
 export type SignUpData = z.infer<typeof signUpSchema>;
 export type SignInData = z.infer<typeof signInSchema>;
 export type UserProfile = z.infer<typeof userProfileSchema>;
+export type Project = z.infer<typeof projectSchema>;
 export type Task = z.infer<typeof taskSchema>;
-export type Subtask = z.infer<typeof subtaskSchema>;
+export type TaskDependency = z.infer<typeof taskDependencySchema>;
 export type TaskTemplate = z.infer<typeof taskTemplateSchema>;
 export type Achievement = z.infer<typeof achievementSchema>;
 export type UserAchievement = z.infer<typeof userAchievementSchema>;
@@ -626,5 +766,8 @@ export type TimeTrainerResult = z.infer<typeof timeTrainerResultSchema>;
 export type UserSettings = z.infer<typeof userSettingsSchema>;
 export type Drawing = z.infer<typeof drawingSchema>;
 export type CompletedQuest = z.infer<typeof completedQuestSchema>;
+export type XPLedgerEntry = z.infer<typeof xpLedgerEntrySchema>;
+export type Reward = z.infer<typeof rewardSchema>;
+export type RewardPurchase = z.infer<typeof rewardPurchaseSchema>;
 export type SoundPack = z.infer<typeof soundPackSchema>;
 export type DataExport = z.infer<typeof dataExportSchema>;
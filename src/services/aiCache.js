@@ -0,0 +1,224 @@
+/**
+ * AI Cache and Budget
+ *
+ * Keeps AI breakdowns and request usage in localforage so that:
+ * - asking for the same task again (same wording, granularity, details and
+ *   provider) reuses the earlier reply instead of making a new request
+ * - requests and tokens are counted per day, and the daily/monthly budget
+ *   from Settings (ai.budget) can stop new requests once it is used up
+ *
+ * The cache holds the provider's raw steps, before learned preferences are
+ * applied, so changed preferences still apply to cached breakdowns.
+ *
+ * Budget limits of 0 mean "no limit".
+ */
+
+import localforage from 'localforage';
+import { format } from 'date-fns';
+
+const CACHE_KEY = 'breakdowns';
+const USAGE_KEY = 'usage';
+const MAX_CACHE_ENTRIES = 200;
+const CACHE_TTL_DAYS = 30;
+const USAGE_HISTORY_DAYS = 62;
+
+const store = localforage.createInstance({
+  name: 'adhd_quest',
+  storeName: 'ai_cache',
+});
+
+export const BUDGET_LIMITS = [
+  { id: 'dailyRequests', label: 'Requests per day', period: 'day', field: 'requests' },
+  { id: 'monthlyRequests', label: 'Requests per month', period: 'month', field: 'requests' },
+  { id: 'dailyTokens', label: 'Tokens per day', period: 'day', field: 'tokens' },
+  { id: 'monthlyTokens', label: 'Tokens per month', period: 'month', field: 'tokens' },
+];
+
+export const DEFAULT_BUDGET = {
+  dailyRequests: 50,
+  monthlyRequests: 0,
+  dailyTokens: 0,
+  monthlyTokens: 0,
+};
+
+/**
+ * Merge a saved budget over the defaults, keeping only whole numbers >= 0
+ */
+export const normalizeBudget = (saved = {}) => {
+  const budget = {};
+  BUDGET_LIMITS.forEach(({ id }) => {
+    const value = Number(saved?.[id]);
+    budget[id] = Number.isFinite(value) && value >= 0 ? Math.floor(value) : DEFAULT_BUDGET[id];
+  });
+  return budget;
+};
+
+const normalizeText = (text = '') => text.toLowerCase().replace(/\s+/g, ' ').replace(/[.!?]+$/, '').trim();
+
+/**
+ * Build the cache key for a breakdown request
+ * context: the same { tags, priority, dueDate, parentTask, parentSteps } passed to generateSubtasks
+ */
+export const buildCacheKey = (taskDescription, granularity, context = {}, providerId = '', model = '') => {
+  return JSON.stringify([
+    normalizeText(taskDescription),
+    granularity,
+    providerId,
+    model || '',
+    [...(context.tags || [])].map(tag => tag.toLowerCase()).sort(),
+    context.priority || '',
+    context.dueDate || '',
+    normalizeText(context.parentTask || ''),
+    (context.parentSteps || []).map(normalizeText),
+  ]);
+};
+
+/**
+ * Rough token count for providers that don't report usage (~4 characters per token)
+ */
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+const isFresh = (entry, now) => {
+  return now.getTime() - new Date(entry.createdAt).getTime() < CACHE_TTL_DAYS * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Get the cached steps for a key
+ * Returns: [{ text, estimatedMinutes }] or null when there is no fresh entry
+ */
+export const getCachedSteps = async (key, now = new Date()) => {
+  try {
+    const cache = (await store.getItem(CACHE_KEY)) || {};
+    const entry = cache[key];
+    return entry && isFresh(entry, now) ? entry.steps : null;
+  } catch (error) {
+    console.error('Error reading AI cache:', error);
+    return null;
+  }
+};
+
+/**
+ * Cache the steps for a key, dropping stale and least recently added entries
+ */
+export const cacheSteps = async (key, steps, now = new Date()) => {
+  try {
+    const cache = (await store.getItem(CACHE_KEY)) || {};
+    const entries = Object.entries({ ...cache, [key]: { steps, createdAt: now.toISOString() } })
+      .filter(([, entry]) => isFresh(entry, now))
+      .sort(([, a], [, b]) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, MAX_CACHE_ENTRIES);
+    await store.setItem(CACHE_KEY, Object.fromEntries(entries));
+  } catch (error) {
+    console.error('Error writing AI cache:', error);
+  }
+};
+
+/**
+ * Forget every cached breakdown
+ */
+export const clearAICache = async () => {
+  await store.removeItem(CACHE_KEY);
+};
+
+/**
+ * Count the cached breakdowns
+ */
+export const getCacheSize = async () => {
+  const cache = (await store.getItem(CACHE_KEY)) || {};
+  return Object.keys(cache).length;
+};
+
+const emptyDay = () => ({ requests: 0, tokens: 0, cacheHits: 0, fallbacks: 0 });
+
+/**
+ * Add one generateSubtasks call to the usage record
+ * usage: { days: { 'yyyy-MM-dd': { requests, tokens, cacheHits, fallbacks } } }
+ * entry: any of { requests, tokens, cacheHits, fallbacks } to add for the day
+ */
+export const addUsage = (usage = { days: {} }, entry = {}, now = new Date()) => {
+  const today = format(now, 'yyyy-MM-dd');
+  const day = { ...emptyDay(), ...(usage.days?.[today] || {}) };
+  Object.keys(emptyDay()).forEach(field => {
+    day[field] += entry[field] || 0;
+  });
+
+  // Only keep enough history for this month and last month's totals
+  const cutoff = format(new Date(now.getTime() - USAGE_HISTORY_DAYS * 24 * 60 * 60 * 1000), 'yyyy-MM-dd');
+  const days = Object.fromEntries(
+    Object.entries({ ...(usage.days || {}), [today]: day }).filter(([date]) => date >= cutoff)
+  );
+
+  return { days };
+};
+
+/**
+ * Total the usage for today and for this month
+ * Returns: { day: { requests, tokens, cacheHits, fallbacks }, month: {...} }
+ */
+export const summarizeUsage = (usage = { days: {} }, now = new Date()) => {
+  const today = format(now, 'yyyy-MM-dd');
+  const thisMonth = format(now, 'yyyy-MM');
+  const month = emptyDay();
+
+  Object.entries(usage.days || {})
+    .filter(([date]) => date.startsWith(thisMonth))
+    .forEach(([, day]) => {
+      Object.keys(month).forEach(field => {
+        month[field] += day[field] || 0;
+      });
+    });
+
+  return { day: { ...emptyDay(), ...(usage.days?.[today] || {}) }, month };
+};
+
+/**
+ * Check the usage against the budget
+ * Returns: { allowed, limit } where limit is the first BUDGET_LIMITS entry used up
+ */
+export const checkBudget = (usage, budget = DEFAULT_BUDGET, now = new Date()) => {
+  const totals = summarizeUsage(usage, now);
+  const limits = normalizeBudget(budget);
+  const limit = BUDGET_LIMITS.find(({ id, period, field }) => limits[id] > 0 && totals[period][field] >= limits[id]);
+  return { allowed: !limit, limit: limit || null };
+};
+
+/**
+ * Load the usage record
+ */
+export const loadUsage = async () => {
+  try {
+    return (await store.getItem(USAGE_KEY)) || { days: {} };
+  } catch (error) {
+    console.error('Error reading AI usage:', error);
+    return { days: {} };
+  }
+};
+
+/**
+ * Add to the saved usage record
+ */
+export const recordUsage = async (entry, now = new Date()) => {
+  try {
+    const usage = await loadUsage();
+    await store.setItem(USAGE_KEY, addUsage(usage, entry, now));
+  } catch (error) {
+    console.error('Error saving AI usage:', error);
+  }
+};
+
+export default {
+  BUDGET_LIMITS,
+  DEFAULT_BUDGET,
+  normalizeBudget,
+  buildCacheKey,
+  estimateTokens,
+  getCachedSteps,
+  cacheSteps,
+  clearAICache,
+  getCacheSize,
+  addUsage,
+  summarizeUsage,
+  checkBudget,
+  loadUsage,
+  recordUsage
+};
@@ -0,0 +1,180 @@
+/**
+ * AI Context Builder
+ *
+ * Collects what the app already knows about a task and the person doing it,
+ * so the breakdown prompt isn't the same for everyone:
+ * - the task's tags, priority and due date
+ * - similar quests from adhd_quest_completed, and how the user changed the
+ *   AI's steps for them (kept, reworded, deleted, added)
+ * - the free-text "about me" profile from Settings → AI Provider
+ *
+ * Step history relies on two fields recorded by the Dashboard:
+ * - task.generatedSteps: every step text the AI produced for the quest
+ * - subtask.originalText: the AI's wording of a step the user reworded
+ */
+
+import { differenceInCalendarDays, format, parseISO, isValid } from 'date-fns';
+import { flattenSubtasks } from '../utils/subtaskTree';
+import { getAISettings } from './aiProviders';
+
+const COMPLETED_KEY = 'adhd_quest_completed';
+const MAX_SIMILAR_QUESTS = 3;
+const MAX_STEPS_PER_LIST = 6;
+const MAX_ABOUT_ME_LENGTH = 500;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'into', 'onto', 'out', 'off', 'all',
+  'my', 'your', 'our', 'some', 'this', 'that', 'get', 'got', 'do', 'does',
+]);
+
+/**
+ * Split text into lowercase words worth comparing
+ */
+export const tokenize = (text = '') => {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+};
+
+/**
+ * Load completed quests from localStorage
+ */
+const loadCompletedQuests = () => {
+  try {
+    return JSON.parse(localStorage.getItem(COMPLETED_KEY) || '[]');
+  } catch (error) {
+    console.error('Error loading completed quests:', error);
+    return [];
+  }
+};
+
+/**
+ * Score how alike two quests are from shared title words and tags
+ */
+const similarityScore = (title, tags, quest) => {
+  const words = new Set(tokenize(title));
+  const sharedWords = tokenize(quest.title).filter(word => words.has(word));
+  const questTags = (quest.tags || []).map(tag => tag.toLowerCase());
+  const sharedTags = (tags || []).filter(tag => questTags.includes(tag.toLowerCase()));
+
+  return new Set(sharedWords).size * 2 + sharedTags.length;
+};
+
+/**
+ * Find the completed quests most like a new task, best match first
+ */
+export const findSimilarQuests = (title, tags = [], completedQuests = [], limit = MAX_SIMILAR_QUESTS) => {
+  return completedQuests
+    .map(quest => ({ quest, score: similarityScore(title, tags, quest) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || new Date(b.quest.completedAt || 0) - new Date(a.quest.completedAt || 0))
+    .slice(0, limit)
+    .map(({ quest }) => quest);
+};
+
+/**
+ * Work out how the user changed the AI's steps for a quest
+ * Returns: { kept, reworded: [{ from, to }], deleted, added }
+ * Quests without a record of the AI's steps count every step as kept
+ */
+export const summarizeStepHistory = (quest) => {
+  const steps = flattenSubtasks(quest.subtasks || []).map(({ subtask }) => subtask);
+  const generated = Array.isArray(quest.generatedSteps) ? quest.generatedSteps : null;
+
+  if (!generated) {
+    return { kept: steps.map(step => step.text), reworded: [], deleted: [], added: [] };
+  }
+
+  const kept = [];
+  const reworded = [];
+  const added = [];
+  const accountedFor = new Set();
+
+  steps.forEach(step => {
+    if (step.originalText && step.originalText !== step.text) {
+      reworded.push({ from: step.originalText, to: step.text });
+      accountedFor.add(step.originalText);
+    } else if (generated.includes(step.text)) {
+      kept.push(step.text);
+      accountedFor.add(step.text);
+    } else {
+      added.push(step.text);
+    }
+  });
+
+  const deleted = generated.filter(text => !accountedFor.has(text));
+
+  return { kept, reworded, deleted, added };
+};
+
+const quoteList = (texts) => {
+  return texts.slice(0, MAX_STEPS_PER_LIST).map(text => `"${text}"`).join(', ');
+};
+
+/**
+ * Describe a due date relative to today, e.g. 'tomorrow (Tue Oct 20)'
+ */
+const describeDueDate = (dueDate, today) => {
+  const date = typeof dueDate === 'string' ? parseISO(dueDate) : new Date(dueDate);
+  if (!isValid(date)) return null;
+
+  const days = differenceInCalendarDays(date, today);
+  const label = format(date, 'EEE MMM d');
+  if (days < 0) return `overdue by ${-days} day${days === -1 ? '' : 's'} (was ${label})`;
+  if (days === 0) return `today (${label})`;
+  if (days === 1) return `tomorrow (${label})`;
+  return `in ${days} days (${label})`;
+};
+
+/**
+ * Build the personal part of the breakdown prompt
+ * task: { title, tags, priority, dueDate }
+ * sources: { completedQuests, aboutMe, today } - loaded from storage when left out
+ * Returns an empty string when there is nothing useful to add
+ */
+export const buildTaskContext = (task, sources = {}) => {
+  const completedQuests = sources.completedQuests || loadCompletedQuests();
+  const aboutMe = (sources.aboutMe ?? getAISettings().aboutMe ?? '').trim().slice(0, MAX_ABOUT_ME_LENGTH);
+  const today = sources.today || new Date();
+  const sections = [];
+
+  if (aboutMe) {
+    sections.push(`ABOUT THE USER (in their own words):
+${aboutMe}
+Fit the steps to their real situation, but don't comment on it.`);
+  }
+
+  const details = [];
+  if (task.tags && task.tags.length > 0) details.push(`- Tags: ${task.tags.join(', ')}`);
+  if (task.priority) details.push(`- Priority: ${task.priority}`);
+  const due = task.dueDate ? describeDueDate(task.dueDate, today) : null;
+  if (due) details.push(`- Due: ${due}`);
+  if (details.length > 0) {
+    sections.push(`TASK DETAILS:\n${details.join('\n')}`);
+  }
+
+  const history = findSimilarQuests(task.title, task.tags, completedQuests).map(quest => {
+    const { kept, reworded, deleted, added } = summarizeStepHistory(quest);
+    const lines = [`- "${quest.title}"`];
+    if (kept.length > 0) lines.push(`  Steps they kept: ${quoteList(kept)}`);
+    if (reworded.length > 0) {
+      lines.push(`  Steps they reworded: ${reworded.slice(0, MAX_STEPS_PER_LIST).map(({ from, to }) => `"${from}" → "${to}"`).join(', ')}`);
+    }
+    if (deleted.length > 0) lines.push(`  Steps they deleted (avoid steps like these): ${quoteList(deleted)}`);
+    if (added.length > 0) lines.push(`  Steps they added themselves (include steps like these): ${quoteList(added)}`);
+    return lines.join('\n');
+  });
+  if (history.length > 0) {
+    sections.push(`SIMILAR QUESTS THIS USER HAS FINISHED:
+${history.join('\n')}
+Match the size and wording of the steps they keep.`);
+  }
+
+  return sections.length > 0 ? `\n${sections.join('\n\n')}\n` : '';
+};
+
+export default {
+  tokenize,
+  findSimilarQuests,
+  summarizeStepHistory,
+  buildTaskContext
+};
@@ -0,0 +1,473 @@
+/**
+ * AI Providers
+ *
+ * Interchangeable back ends for subtask generation:
+ * - anthropic: Claude via the Anthropic SDK (REACT_APP_ANTHROPIC_API_KEY)
+ * - openai: any OpenAI-compatible /chat/completions endpoint, such as a
+ *   local llama.cpp or Ollama server
+ * - mock: the offline decomposer's chore templates, no network needed
+ *
+ * Every provider exposes the same shape:
+ *   { id, label, defaults, isConfigured(config), generateSteps(request) }
+ * where request is { prompt, taskDescription, granularity, config, signal, onStep, onUsage }
+ * and the result is an array of { text, estimatedMinutes } steps (estimatedMinutes
+ * is null when unknown). Replies are streamed, and onStep(step) is called for
+ * each step as soon as it has fully arrived. Providers that learn the token
+ * counts from the API report them via onUsage({ inputTokens, outputTokens }).
+ *
+ * Which provider is used, its timeout/retry settings and the request budget
+ * come from the `ai` block of adhd_quest_settings (see getAISettings).
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { decomposeTask } from '../utils/offlineDecomposer';
+import { DEFAULT_BUDGET, normalizeBudget } from './aiCache';
+
+const SETTINGS_KEY = 'adhd_quest_settings';
+
+/**
+ * Build an error the UI can show as-is; `retryable` marks transient failures
+ */
+const providerError = (message, retryable = false) => {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+};
+
+/**
+ * Turn one entry of the model's reply into a step
+ * Accepts a plain string or { step, minutes }; returns { text, estimatedMinutes } or null
+ */
+export const toStep = (entry) => {
+  const isObject = entry && typeof entry === 'object';
+  const text = String((isObject ? entry.step || entry.text : entry) || '').trim();
+  if (!text) return null;
+
+  const minutes = isObject ? Number(entry.minutes ?? entry.estimatedMinutes) : NaN;
+  return {
+    text,
+    // Keep estimates to a tenth of a minute, between 6 seconds and 4 hours
+    estimatedMinutes: Number.isFinite(minutes) && minutes > 0
+      ? Math.min(240, Math.max(0.1, Math.round(minutes * 10) / 10))
+      : null,
+  };
+};
+
+/**
+ * Parse the model's reply into an array of steps: [{ text, estimatedMinutes }]
+ */
+export const parseStepsResponse = (responseText) => {
+  let steps;
+  try {
+    // Try to parse directly
+    steps = JSON.parse(responseText);
+  } catch (e) {
+    // If direct parse fails, try to extract JSON from markdown code blocks
+    const jsonMatch = responseText.match(/\[[\s\S]*\]/);
+    if (!jsonMatch) {
+      throw providerError('The AI reply did not contain a list of steps.', true);
+    }
+    try {
+      steps = JSON.parse(jsonMatch[0]);
+    } catch (parseError) {
+      throw providerError('The AI reply contained a malformed list of steps.', true);
+    }
+  }
+
+  // Validate that we got an array of steps
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw providerError('The AI reply did not contain any steps.', true);
+  }
+
+  return steps.map(toStep).filter(Boolean);
+};
+
+/**
+ * Pick steps out of a JSON array while the reply is still arriving
+ * Entries can be strings or { step, minutes } objects; each is emitted as
+ * { text, estimatedMinutes } once it has fully arrived.
+ * push(chunk) feeds more text; finish() returns every step, falling back to
+ * parseStepsResponse when nothing could be picked out along the way
+ */
+export const createStepStreamParser = (onStep) => {
+  const steps = [];
+  let text = '';
+  let inArray = false;
+  let done = false;
+  let entry = null; // characters of the entry being read, or null between entries
+  let depth = 0; // open { and [ inside the entry
+  let inString = false;
+  let escaped = false;
+
+  const emit = (step) => {
+    steps.push(step);
+    onStep?.(step);
+  };
+
+  const finishEntry = () => {
+    let step = null;
+    try {
+      step = toStep(JSON.parse(entry));
+    } catch (e) {
+      // Skip entries that aren't valid JSON; finish() falls back if nothing parsed
+    }
+    entry = null;
+    if (step) emit(step);
+  };
+
+  const readChar = (char) => {
+    if (entry === null) {
+      if (!inArray) {
+        if (char === '[') inArray = true;
+      } else if (char === ']') {
+        done = true;
+      } else if (char === '"' || char === '{') {
+        entry = char;
+        inString = char === '"';
+        depth = char === '{' ? 1 : 0;
+      }
+      return;
+    }
+
+    entry += char;
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        if (depth === 0) finishEntry();
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) finishEntry();
+    }
+  };
+
+  return {
+    push: (chunk) => {
+      text += chunk;
+      if (done) return;
+      for (const char of chunk) {
+        readChar(char);
+        if (done) break;
+      }
+    },
+
+    finish: () => {
+      if (steps.length === 0) {
+        parseStepsResponse(text).forEach(emit);
+      }
+      return steps;
+    },
+  };
+};
+
+/**
+ * Explain an HTTP failure in plain words
+ */
+const describeHttpError = (status, providerLabel) => {
+  if (status === 401 || status === 403) {
+    return providerError(`${providerLabel} rejected the API key (HTTP ${status}). Check it in Settings.`);
+  }
+  if (status === 404) {
+    return providerError(`${providerLabel} could not find that model or endpoint (HTTP 404). Check the URL and model name in Settings.`);
+  }
+  if (status === 429) {
+    return providerError(`${providerLabel} is rate limiting requests (HTTP 429). Try again in a minute.`, true);
+  }
+  if (status >= 500) {
+    return providerError(`${providerLabel} had a server error (HTTP ${status}).`, true);
+  }
+  return providerError(`${providerLabel} request failed (HTTP ${status}).`);
+};
+
+const anthropicProvider = {
+  id: 'anthropic',
+  label: 'Anthropic',
+  defaults: {
+    model: 'claude-sonnet-4-20250514',
+    timeoutMs: 30000,
+    retries: 2,
+  },
+
+  isConfigured: () => Boolean(process.env.REACT_APP_ANTHROPIC_API_KEY),
+
+  generateSteps: async ({ prompt, config, signal, onStep, onUsage }) => {
+    const apiKey = process.env.REACT_APP_ANTHROPIC_API_KEY;
+    if (!apiKey) {
+      throw providerError('No Anthropic API key found. Set REACT_APP_ANTHROPIC_API_KEY or pick another AI provider in Settings.');
+    }
+
+    const client = new Anthropic({
+      apiKey: apiKey,
+      dangerouslyAllowBrowser: true // Required for client-side usage
+    });
+
+    const parser = createStepStreamParser(onStep);
+    try {
+      const stream = client.messages.stream(
+        {
+          model: config.model,
+          max_tokens: 2000,
+          messages: [{
+            role: 'user',
+            content: prompt
+          }]
+        },
+        // Timeouts and retries are handled by runWithRetries
+        { signal, maxRetries: 0 }
+      );
+      stream.on('text', parser.push);
+      const message = await stream.finalMessage();
+      if (message.usage) {
+        onUsage?.({ inputTokens: message.usage.input_tokens, outputTokens: message.usage.output_tokens });
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      if (error.status) throw describeHttpError(error.status, 'Anthropic');
+      throw providerError(`Could not reach Anthropic: ${error.message}`, true);
+    }
+
+    return parser.finish();
+  },
+};
+
+const openAICompatibleProvider = {
+  id: 'openai',
+  label: 'OpenAI-compatible endpoint',
+  defaults: {
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    apiKey: '',
+    timeoutMs: 60000,
+    retries: 1,
+  },
+
+  isConfigured: (config) => Boolean(config.baseUrl && config.model),
+
+  generateSteps: async ({ prompt, config, signal, onStep, onUsage }) => {
+    if (!config.baseUrl || !config.model) {
+      throw providerError('The OpenAI-compatible provider needs a base URL and model name. Set them in Settings.');
+    }
+
+    const url = `${config.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers,
+        signal,
+        body: JSON.stringify({
+          model: config.model,
+          max_tokens: 2000,
+          temperature: 0.3,
+          stream: true,
+          messages: [{ role: 'user', content: prompt }],
+        }),
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      throw providerError(`Could not reach ${config.baseUrl}. Is the server running?`, true);
+    }
+
+    if (!response.ok) {
+      throw describeHttpError(response.status, 'The AI endpoint');
+    }
+
+    const parser = createStepStreamParser(onStep);
+    const reportUsage = (usage) => {
+      if (usage) onUsage?.({ inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 });
+    };
+
+    // Some servers ignore `stream` and answer with a single JSON body
+    if (!response.body || !(response.headers.get('content-type') || '').includes('text/event-stream')) {
+      const data = await response.json();
+      parser.push(data.choices?.[0]?.message?.content || '');
+      reportUsage(data.usage);
+      return parser.finish();
+    }
+
+    // Server-sent events: one `data: {...}` line per token batch, ending with `data: [DONE]`
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let pending = '';
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        pending += decoder.decode(value, { stream: true });
+        const lines = pending.split('\n');
+        pending = lines.pop();
+
+        lines
+          .map(line => line.trim())
+          .filter(line => line.startsWith('data:') && line !== 'data: [DONE]')
+          .forEach(line => {
+            try {
+              const event = JSON.parse(line.slice(5));
+              parser.push(event.choices?.[0]?.delta?.content || '');
+              // Servers that count tokens send the totals with the last event
+              reportUsage(event.usage);
+            } catch (e) {
+              // Ignore keep-alive comments and partial events
+            }
+          });
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      throw providerError(`The connection to ${config.baseUrl} dropped mid-reply.`, true);
+    }
+
+    return parser.finish();
+  },
+};
+
+const mockProvider = {
+  id: 'mock',
+  label: 'Offline (no AI)',
+  defaults: {
+    timeoutMs: 0,
+    retries: 0,
+  },
+
+  isConfigured: () => true,
+
+  generateSteps: (request) => {
+    const steps = decomposeTask(request.taskDescription, request.granularity);
+    steps.forEach(step => request.onStep?.(step));
+    return Promise.resolve(steps);
+  },
+};
+
+export const AI_PROVIDERS = {
+  anthropic: anthropicProvider,
+  openai: openAICompatibleProvider,
+  mock: mockProvider,
+};
+
+/**
+ * Default AI settings: Anthropic when a key is configured, otherwise offline
+ */
+export const getDefaultAISettings = () => ({
+  provider: anthropicProvider.isConfigured() ? 'anthropic' : 'mock',
+  providers: {
+    anthropic: { ...anthropicProvider.defaults },
+    openai: { ...openAICompatibleProvider.defaults },
+    mock: { ...mockProvider.defaults },
+  },
+  aboutMe: '',
+  budget: { ...DEFAULT_BUDGET },
+});
+
+/**
+ * Merge saved AI settings over the defaults
+ */
+export const normalizeAISettings = (saved = {}) => {
+  const defaults = getDefaultAISettings();
+  const providers = {};
+  Object.keys(AI_PROVIDERS).forEach(id => {
+    providers[id] = { ...defaults.providers[id], ...(saved.providers?.[id] || {}) };
+  });
+
+  return {
+    provider: AI_PROVIDERS[saved.provider] ? saved.provider : defaults.provider,
+    providers,
+    aboutMe: typeof saved.aboutMe === 'string' ? saved.aboutMe : defaults.aboutMe,
+    budget: normalizeBudget(saved.budget),
+  };
+};
+
+/**
+ * Load the AI settings from the saved app settings
+ */
+export const getAISettings = () => {
+  try {
+    const settings = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return normalizeAISettings(settings.ai);
+  } catch (e) {
+    console.error('Error loading AI settings:', e);
+    return normalizeAISettings();
+  }
+};
+
+/**
+ * Get the selected provider together with its config
+ */
+export const getActiveProvider = (aiSettings = getAISettings()) => {
+  const provider = AI_PROVIDERS[aiSettings.provider] || mockProvider;
+  return { provider, config: aiSettings.providers[provider.id] || provider.defaults };
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a provider call with a per-attempt timeout and retries for transient errors
+ * `attempt` receives an AbortSignal and should pass it to the request
+ */
+export const runWithRetries = async (attempt, { timeoutMs = 0, retries = 0, label = 'AI provider', signal } = {}) => {
+  let lastError = null;
+
+  for (let tryNumber = 0; tryNumber <= retries; tryNumber++) {
+    if (signal?.aborted) {
+      throw providerError('Request cancelled.');
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = timeoutMs > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs)
+      : null;
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+
+    try {
+      return await attempt(controller.signal);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw providerError('Request cancelled.');
+      }
+      lastError = timedOut
+        ? providerError(`${label} timed out after ${Math.round(timeoutMs / 1000)}s.`, error.retryable !== false)
+        : error;
+      if (!lastError.retryable) break;
+    } finally {
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+
+    // Back off a little before the next try
+    if (tryNumber < retries) {
+      await wait(500 * 2 ** tryNumber);
+    }
+  }
+
+  const attempts = retries > 0 && lastError.retryable ? ` (after ${retries + 1} attempts)` : '';
+  throw providerError(`${lastError.message}${attempts}`);
+};
+
+export default {
+  AI_PROVIDERS,
+  getAISettings,
+  getActiveProvider,
+  normalizeAISettings,
+  getDefaultAISettings,
+  runWithRetries,
+  toStep,
+  parseStepsResponse,
+  createStepStreamParser
+};
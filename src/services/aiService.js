@@ -1,43 +1,65 @@
-import Anthropic from '@anthropic-ai/sdk';
+import { AI_PROVIDERS, getAISettings, getActiveProvider, runWithRetries } from './aiProviders';
+import {
+  buildCacheKey,
+  getCachedSteps,
+  cacheSteps,
+  loadUsage,
+  recordUsage,
+  checkBudget,
+  estimateTokens,
+  normalizeBudget
+} from './aiCache';
+import { buildTaskContext } from './aiContext';
+import { getPreferenceRules, applyRulesToStep, getAddedSteps, isSimilarStep } from './stepPreferences';
 
-// Initialize Anthropic client
-const getAnthropicClient = () => {
-  const apiKey = process.env.REACT_APP_ANTHROPIC_API_KEY;
-  
-  if (!apiKey) {
-    console.error('Anthropic API key not found in environment variables');
-    return null;
-  }
-  
-  return new Anthropic({
-    apiKey: apiKey,
-    dangerouslyAllowBrowser: true // Required for client-side usage
-  });
+/**
+ * Describe where a step sits within its larger task, for breaking a step down further
+ * context: { parentTask, parentSteps } where parentSteps lists the enclosing steps, outermost first
+ */
+const buildParentContext = (context) => {
+  if (!context?.parentTask) return '';
+
+  const chain = [context.parentTask, ...(context.parentSteps || [])]
+    .map(text => `"${text}"`)
+    .join(' → ');
+
+  return `
+CONTEXT:
+This is one step of a larger task that was still too big to start: ${chain}
+Only break down this one step. Don't repeat steps that belong to the rest of the task.
+`;
 };
 
 /**
  * Generate ultra-granular subtasks from a task description
  * Designed for executive dysfunction - breaks tasks into tiny, actionable steps
+ * Returns: [{ text, estimatedMinutes }] where estimatedMinutes may be null
+ * context: { tags, priority, dueDate } for the task, plus { parentTask, parentSteps }
+ * to break a single step down further. The user's "about me" profile and similar
+ * completed quests are added automatically.
+ * options: { aiSettings, signal, onStep, rules, skipCache, onFallback } - override the saved
+ * provider settings, cancel the request, receive each step as soon as it streams in,
+ * override the learned step preferences (which apply to every provider, offline included),
+ * ask the provider even if the breakdown is cached, or hear why the offline decomposer
+ * was used instead of the selected provider
+ * Identical requests are answered from the AI cache. Once the request budget is
+ * used up, steps come from the offline decomposer instead.
+ * Throws with a user-facing message if the selected provider fails
  */
-export const generateSubtasks = async (taskDescription, granularity = 'detailed') => {
-  const client = getAnthropicClient();
+export const generateSubtasks = async (taskDescription, granularity = 'detailed', context = {}, options = {}) => {
+  const aiSettings = options.aiSettings || getAISettings();
+  let { provider, config } = getActiveProvider(aiSettings);
   
-  if (!client) {
-    // Fallback to mock data if API key is missing
-    return generateMockSubtasks(taskDescription, granularity);
-  }
+  // Determine how many steps based on granularity
+  const stepCounts = {
+    'quick': '5-8',
+    'detailed': '10-15',
+    'very-detailed': '20-30'
+  };
   
-  try {
-    // Determine how many steps based on granularity
-    const stepCounts = {
-      'quick': '5-8',
-      'detailed': '10-15',
-      'very-detailed': '20-30'
-    };
-    
-    const stepCount = stepCounts[granularity] || '10-15';
-    
-    const prompt = `You are helping someone with ADHD and executive dysfunction break down a task into ultra-granular, actionable steps.
+  const stepCount = stepCounts[granularity] || '10-15';
+  
+  const prompt = `You are helping someone with ADHD and executive dysfunction break down a task into ultra-granular, actionable steps.
 
 CRITICAL REQUIREMENTS:
 - Break the task into ${stepCount} EXTREMELY SMALL physical actions
@@ -45,105 +67,142 @@ CRITICAL REQUIREMENTS:
 - Each step should be a single, simple action that takes less than 1 minute
 - Start with the absolute first physical movement needed
 - Be literal and concrete - no abstract or vague steps
-- Format: Return ONLY a JSON array of strings, nothing else
+- Estimate how many minutes each step really takes (decimals are fine, e.g. 0.5)
+- Format: Return ONLY a JSON array of {"step": string, "minutes": number} objects, nothing else
 
 EXAMPLE:
 Task: "Pack clothes from suitcase"
 Good breakdown:
 [
-  "Stand up from current position",
-  "Walk to where suitcase is located",
-  "Reach down and touch the suitcase",
-  "Unzip or open the suitcase",
-  "Look at the clothes inside",
-  "Pick up one piece of clothing",
-  "Walk to the dresser/closet",
-  "Open the drawer or closet door",
-  "Place the clothing item inside",
-  "Walk back to suitcase",
-  "Pick up next piece of clothing",
-  "Repeat until a few items are put away",
-  "Take a break if needed"
+  {"step": "Stand up from current position", "minutes": 0.2},
+  {"step": "Walk to where suitcase is located", "minutes": 0.5},
+  {"step": "Reach down and touch the suitcase", "minutes": 0.2},
+  {"step": "Unzip or open the suitcase", "minutes": 0.3},
+  {"step": "Look at the clothes inside", "minutes": 0.3},
+  {"step": "Pick up one piece of clothing", "minutes": 0.2},
+  {"step": "Walk to the dresser/closet", "minutes": 0.3},
+  {"step": "Open the drawer or closet door", "minutes": 0.2},
+  {"step": "Place the clothing item inside", "minutes": 0.3},
+  {"step": "Walk back to suitcase", "minutes": 0.3},
+  {"step": "Pick up next piece of clothing", "minutes": 0.2},
+  {"step": "Repeat until a few items are put away", "minutes": 5},
+  {"step": "Take a break if needed", "minutes": 3}
 ]
 
+${buildTaskContext({ ...context, title: taskDescription })}${buildParentContext(context)}
 Now break down this task:
 "${taskDescription}"
 
-Return ONLY the JSON array of step strings, no other text or formatting.`;
-
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    });
-    
-    // Extract the response text
-    const responseText = message.content[0].text;
-    
-    // Parse the JSON array from the response
-    let subtasks;
+Return ONLY the JSON array of step objects, no other text or formatting.`;
+
+  // Learned preferences reshape the steps as they stream in. Steps the user
+  // always adds only belong in whole-task breakdowns, not when splitting a step
+  const rules = options.rules || getPreferenceRules();
+  const addRules = context.parentTask ? [] : rules;
+  const steps = [];
+  let addedSteps = [];
+  let rawCount = 0;
+
+  const emit = (step) => {
+    steps.push(step);
+    if (options.onStep) options.onStep(step);
+  };
+
+  // Steps the user always adds come without an estimate
+  const toAddedStep = (text) => ({ text, estimatedMinutes: null });
+
+  const onStep = (rawStep) => {
+    if (rawCount++ === 0) {
+      addedSteps = getAddedSteps(addRules, 'start').map(toAddedStep);
+      addedSteps.forEach(emit);
+    }
+    const text = applyRulesToStep(rawStep.text, rules);
+    if (text && !addedSteps.some(added => isSimilarStep(added.text, text))) {
+      emit({ ...rawStep, text });
+    }
+  };
+
+  // The offline decomposer is free, so only real providers are cached and budgeted
+  let metered = provider.id !== 'mock';
+  const cacheKey = metered && !options.skipCache
+    ? buildCacheKey(taskDescription, granularity, context, provider.id, config.model)
+    : null;
+  const cachedSteps = cacheKey ? await getCachedSteps(cacheKey) : null;
+
+  if (metered && !cachedSteps) {
+    const budget = normalizeBudget(aiSettings.budget);
+    const { allowed, limit } = checkBudget(await loadUsage(), budget);
+    if (!allowed) {
+      provider = AI_PROVIDERS.mock;
+      config = provider.defaults;
+      metered = false;
+      await recordUsage({ fallbacks: 1 });
+      if (options.onFallback) {
+        options.onFallback(`Your AI budget is used up (${limit.label.toLowerCase()}: ${budget[limit.id]}), so these steps came from the offline templates. You can change the budget in Settings.`);
+      }
+    }
+  }
+
+  let rawSteps;
+  if (cachedSteps) {
+    cachedSteps.forEach(onStep);
+    rawSteps = cachedSteps;
+    await recordUsage({ cacheHits: 1 });
+  } else {
+    let attempts = 0;
+    let reportedTokens = null;
+    let outputChars = 0;
+    const onUsage = ({ inputTokens = 0, outputTokens = 0 }) => {
+      reportedTokens = (reportedTokens || 0) + inputTokens + outputTokens;
+    };
+    const onRawStep = (rawStep) => {
+      outputChars += JSON.stringify(rawStep).length;
+      onStep(rawStep);
+    };
+
+    // Errors are passed on to the caller so the user sees what went wrong.
+    // Steps already handed to the caller can't be taken back, so a request
+    // that fails part-way through is not started over
     try {
-      // Try to parse directly
-      subtasks = JSON.parse(responseText);
-    } catch (e) {
-      // If direct parse fails, try to extract JSON from markdown code blocks
-      const jsonMatch = responseText.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        subtasks = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('Could not parse subtasks from API response');
+      rawSteps = await runWithRetries(
+        async signal => {
+          attempts++;
+          try {
+            return await provider.generateSteps({ prompt, taskDescription, granularity, config, signal, onStep: onRawStep, onUsage });
+          } catch (error) {
+            if (rawCount > 0) error.retryable = false;
+            throw error;
+          }
+        },
+        {
+          timeoutMs: config.timeoutMs,
+          retries: config.retries,
+          label: provider.label,
+          signal: options.signal
+        }
+      );
+    } finally {
+      // Failed and cancelled requests still count against the budget
+      if (metered) {
+        await recordUsage({
+          requests: attempts,
+          tokens: reportedTokens ?? estimateTokens(prompt) * attempts + Math.ceil(outputChars / 4)
+        });
       }
     }
-    
-    // Validate that we got an array of strings
-    if (!Array.isArray(subtasks) || subtasks.length === 0) {
-      throw new Error('Invalid subtasks format from API');
+
+    if (cacheKey && metered && rawSteps.length > 0) {
+      await cacheSteps(cacheKey, rawSteps);
     }
-    
-    return subtasks;
-    
-  } catch (error) {
-    console.error('Error generating subtasks with AI:', error);
-    // Fallback to mock data on error
-    return generateMockSubtasks(taskDescription, granularity);
   }
-};
 
-/**
- * Mock subtask generator as fallback
- */
-const generateMockSubtasks = (taskDescription, granularity) => {
-  const stepCounts = {
-    'quick': 5,
-    'detailed': 10,
-    'very-detailed': 20
-  };
-  
-  const count = stepCounts[granularity] || 10;
-  
-  // Generic breakdown template
-  const templates = [
-    "Identify what needs to be done",
-    "Gather necessary items or materials",
-    "Clear the space where you'll work",
-    "Take the first small action",
-    "Complete one small part",
-    "Check your progress",
-    "Continue with the next part",
-    "Take a short break if needed",
-    "Resume and complete another part",
-    "Finish the remaining steps",
-    "Clean up or put things away",
-    "Review what you accomplished",
-    "Celebrate the completion"
-  ];
-  
-  return templates.slice(0, count).map((step, index) => 
-    `${step} for: ${taskDescription}`
-  );
+  // Never let the rules throw away the whole breakdown
+  if (steps.length === addedSteps.length) {
+    rawSteps.forEach(emit);
+  }
+  getAddedSteps(addRules, 'end', steps.map(step => step.text)).map(toAddedStep).forEach(emit);
+
+  return steps;
 };
 
 export default {
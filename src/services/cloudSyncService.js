@@ -8,6 +8,14 @@
 import { supabase, TABLES, isSupabaseConfigured } from '../config/supabase';
 import localforage from 'localforage';
 import authService from './authService';
+import { toDependencyRows, fromDependencyRows } from '../utils/taskDependencies';
+import { getTaskStatus } from '../utils/taskStatus';
+import { sortByPosition } from '../utils/taskOrdering';
+import { loadProjects, saveProjects } from '../utils/projects';
+import { ensureLedger, loadLedger, saveLedger, mergeLedgers, getLedgerTotal, getLedgerPrestige } from '../utils/xpLedger';
+import { loadRewards, saveRewards, loadPurchases, savePurchases, mergePurchases } from '../utils/rewardShop';
+import { getXPPolicy } from '../utils/xpPolicy';
+import { applyXPChange } from '../utils/xpSystem';
 
 class CloudSyncService {
   constructor() {
@@ -77,11 +85,15 @@ class CloudSyncService {
         return;
       }
 
-      // Sync all data types
+      // Sync all data types (projects first, so synced tasks find their project)
+      await this.syncProjects(user.id);
       await this.syncTasks(user.id);
       await this.syncCompletedQuests(user.id);
       await this.syncAchievements(user.id);
+      await this.syncXPLedger(user.id);
       await this.syncProfile(user.id);
+      await this.syncRewards(user.id);
+      await this.syncRewardPurchases(user.id);
       await this.syncSettings(user.id);
       await this.syncNotes(user.id);
       await this.syncDrawings(user.id);
@@ -123,8 +135,11 @@ class CloudSyncService {
 
       if (error) throw error;
 
-      // Merge tasks (cloud takes precedence for conflicts)
-      const mergedTasks = this.mergeTasks(localTasks, cloudTasks || []);
+      // Merge tasks (cloud takes precedence for conflicts), then put them back
+      // in the order the player arranged them
+      const mergedTasks = sortByPosition(
+        this.mergeTasks(localTasks, (cloudTasks || []).map(t => this.fromCloudTask(t)))
+      );
 
       // Update local storage
       localStorage.setItem('adhd_quest_tasks', JSON.stringify(mergedTasks));
@@ -136,11 +151,7 @@ class CloudSyncService {
         if (!cloudTask || new Date(task.updated_at) > new Date(cloudTask.updated_at)) {
           await supabase
             .from(TABLES.TASKS)
-            .upsert({
-              ...task,
-              user_id: userId,
-              synced_at: new Date().toISOString(),
-            });
+            .upsert(this.toCloudTask(task, userId));
         }
       }
 
@@ -152,6 +163,45 @@ class CloudSyncService {
     }
   }
 
+  /**
+   * Sync projects
+   * Deleted projects are kept with deletedAt, so a deletion reaches every device
+   */
+  async syncProjects(userId) {
+    try {
+      const localProjects = loadProjects();
+
+      const { data: cloudRows, error } = await supabase
+        .from(TABLES.PROJECTS)
+        .select('*')
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      const cloudProjects = (cloudRows || []).map(row => this.fromCloudProject(row));
+      const mergedProjects = this.mergeByTimestamp(localProjects, cloudProjects, 'updated_at');
+
+      saveProjects(mergedProjects);
+
+      // Upsert new/modified projects
+      for (const project of mergedProjects) {
+        const cloudProject = cloudProjects.find(p => p.id === project.id);
+
+        if (!cloudProject || new Date(project.updated_at) > new Date(cloudProject.updated_at)) {
+          await supabase
+            .from(TABLES.PROJECTS)
+            .upsert(this.toCloudProject(project, userId));
+        }
+      }
+
+      return mergedProjects;
+    } catch (error) {
+      console.error('Projects sync failed:', error);
+      await this.queueChange('projects', 'sync_failed', { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Sync completed quests
    */
@@ -178,6 +228,10 @@ class CloudSyncService {
         if (!cloudQuest) {
           await supabase.from(TABLES.COMPLETED_QUESTS).insert({
             ...quest,
+            project_id: quest.projectId || null,
+            streak: quest.streak || 0,
+            streak_xp: quest.streakXP || 0,
+            streak_bonus: quest.streakBonus || 0,
             user_id: userId,
             synced_at: new Date().toISOString(),
           });
@@ -234,6 +288,132 @@ class CloudSyncService {
     }
   }
 
+  /**
+   * Sync the XP ledger: entries are only ever added, so both sides end up
+   * with every entry either of them has (opening entries two devices wrote
+   * differently are settled by mergeLedgers, and the cloud copy updated)
+   */
+  async syncXPLedger(userId) {
+    try {
+      const { data: cloudRows, error } = await supabase
+        .from(TABLES.XP_LEDGER)
+        .select('*')
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      const cloudEntries = (cloudRows || []).map(row => this.fromCloudLedgerEntry(row));
+      const mergedLedger = mergeLedgers(ensureLedger(), cloudEntries);
+
+      saveLedger(mergedLedger);
+
+      // Insert the entries the cloud hasn't seen
+      const cloudById = new Map(cloudEntries.map(entry => [entry.id, entry]));
+      const newRows = mergedLedger
+        .filter(entry => !cloudById.has(entry.id))
+        .map(entry => this.toCloudLedgerEntry(entry, userId));
+
+      if (newRows.length > 0) {
+        const { error: insertError } = await supabase.from(TABLES.XP_LEDGER).insert(newRows);
+        if (insertError) throw insertError;
+      }
+
+      // Replace opening entries where this device's copy won
+      const settledRows = mergedLedger
+        .filter(entry => {
+          const cloudEntry = cloudById.get(entry.id);
+          return cloudEntry && entry.source === 'opening' &&
+            (cloudEntry.xp !== entry.xp || cloudEntry.deviceId !== entry.deviceId);
+        })
+        .map(entry => this.toCloudLedgerEntry(entry, userId));
+
+      if (settledRows.length > 0) {
+        const { error: upsertError } = await supabase.from(TABLES.XP_LEDGER).upsert(settledRows);
+        if (upsertError) throw upsertError;
+      }
+
+      return mergedLedger;
+    } catch (error) {
+      console.error('XP ledger sync failed:', error);
+      await this.queueChange('xp_ledger', 'sync_failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Sync the reward shop's rewards
+   * Deleted rewards are kept with deletedAt, so a deletion reaches every device
+   */
+  async syncRewards(userId) {
+    try {
+      const { data: cloudRows, error } = await supabase
+        .from(TABLES.REWARDS)
+        .select('*')
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      const cloudRewards = (cloudRows || []).map(row => this.fromCloudReward(row));
+      const mergedRewards = this.mergeByTimestamp(loadRewards(), cloudRewards, 'updated_at');
+
+      saveRewards(mergedRewards);
+
+      // Upsert new/modified rewards
+      for (const reward of mergedRewards) {
+        const cloudReward = cloudRewards.find(r => r.id === reward.id);
+
+        if (!cloudReward || new Date(reward.updated_at) > new Date(cloudReward.updated_at)) {
+          await supabase
+            .from(TABLES.REWARDS)
+            .upsert(this.toCloudReward(reward, userId));
+        }
+      }
+
+      return mergedRewards;
+    } catch (error) {
+      console.error('Rewards sync failed:', error);
+      await this.queueChange('rewards', 'sync_failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Sync reward purchases: like the XP ledger, purchases are only ever added,
+   * so both sides end up with every purchase either of them has
+   */
+  async syncRewardPurchases(userId) {
+    try {
+      const { data: cloudRows, error } = await supabase
+        .from(TABLES.REWARD_PURCHASES)
+        .select('*')
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      const cloudPurchases = (cloudRows || []).map(row => this.fromCloudPurchase(row));
+      const mergedPurchases = mergePurchases(loadPurchases(), cloudPurchases);
+
+      savePurchases(mergedPurchases);
+
+      // Insert the purchases the cloud hasn't seen
+      const cloudIds = new Set(cloudPurchases.map(purchase => purchase.id));
+      const newRows = mergedPurchases
+        .filter(purchase => !cloudIds.has(purchase.id))
+        .map(purchase => this.toCloudPurchase(purchase, userId));
+
+      if (newRows.length > 0) {
+        const { error: insertError } = await supabase.from(TABLES.REWARD_PURCHASES).insert(newRows);
+        if (insertError) throw insertError;
+      }
+
+      return mergedPurchases;
+    } catch (error) {
+      console.error('Reward purchases sync failed:', error);
+      await this.queueChange('reward_purchases', 'sync_failed', { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Sync user profile
    */
@@ -252,18 +432,26 @@ class CloudSyncService {
       let mergedProfile;
 
       if (cloudProfile) {
-        // Merge profiles (take higher XP, level, etc.)
+        // Merge profiles (take higher counts)
         mergedProfile = {
           ...cloudProfile,
-          totalXP: Math.max(localProfile.totalXP || 0, cloudProfile.total_xp || 0),
-          level: Math.max(localProfile.level || 1, cloudProfile.level || 1),
           tasksCompleted: Math.max(localProfile.tasksCompleted || 0, cloudProfile.tasks_completed || 0),
           subtasksCompleted: Math.max(localProfile.subtasksCompleted || 0, cloudProfile.subtasks_completed || 0),
+          xpBarStyle: localProfile.xpBarStyle || cloudProfile.xp_bar_style || 'classic',
         };
       } else {
         mergedProfile = localProfile;
       }
 
+      // XP, level and prestige come from the synced XP ledger, not from whichever device saved last
+      const ledger = loadLedger();
+      mergedProfile = applyXPChange(
+        { ...mergedProfile, totalXP: 0, prestige: getLedgerPrestige(ledger) },
+        getLedgerTotal(ledger),
+        0,
+        getXPPolicy().levelCurve
+      );
+
       localStorage.setItem('adhd_quest_profile', JSON.stringify(mergedProfile));
 
       // Update cloud
@@ -277,6 +465,8 @@ class CloudSyncService {
           xp_to_next_level: mergedProfile.xpToNextLevel || 200,
           tasks_completed: mergedProfile.tasksCompleted || 0,
           subtasks_completed: mergedProfile.subtasksCompleted || 0,
+          prestige: mergedProfile.prestige,
+          xp_bar_style: mergedProfile.xpBarStyle || 'classic',
           updated_at: new Date().toISOString(),
         });
 
@@ -589,6 +779,204 @@ class CloudSyncService {
     }
   }
 
+  /**
+   * Convert a local task into a cloud row
+   */
+  toCloudTask(task, userId) {
+    const row = {
+      ...task,
+      status: getTaskStatus(task),
+      status_history: task.statusHistory || [],
+      archived_at: task.archivedAt || null,
+      blocked_by: toDependencyRows(task.blockedBy),
+      project_id: task.projectId || null,
+      snoozed_until: task.snoozedUntil || null,
+      someday: Boolean(task.someday),
+      defer_count: task.deferCount || 0,
+      last_deferred_at: task.lastDeferredAt || null,
+      reviewed_defer_count: task.reviewedDeferCount || 0,
+      user_id: userId,
+      synced_at: new Date().toISOString(),
+    };
+    delete row.blockedBy;
+    delete row.projectId;
+    delete row.snoozedUntil;
+    delete row.deferCount;
+    delete row.lastDeferredAt;
+    delete row.reviewedDeferCount;
+    delete row.statusHistory;
+    delete row.archivedAt;
+    return row;
+  }
+
+  /**
+   * Convert a cloud row back into a local task
+   */
+  fromCloudTask(row) {
+    const task = {
+      ...row,
+      statusHistory: row.status_history || [],
+      archivedAt: row.archived_at || null,
+      blockedBy: fromDependencyRows(row.blocked_by),
+      projectId: row.project_id || null,
+      snoozedUntil: row.snoozed_until || null,
+      someday: Boolean(row.someday),
+      deferCount: row.defer_count || 0,
+      lastDeferredAt: row.last_deferred_at || null,
+      reviewedDeferCount: row.reviewed_defer_count || 0,
+    };
+    delete task.status_history;
+    delete task.archived_at;
+    delete task.blocked_by;
+    delete task.project_id;
+    delete task.snoozed_until;
+    delete task.defer_count;
+    delete task.last_deferred_at;
+    delete task.reviewed_defer_count;
+    return task;
+  }
+
+  /**
+   * Convert a local project into a cloud row
+   */
+  toCloudProject(project, userId) {
+    return {
+      id: project.id,
+      user_id: userId,
+      name: project.name,
+      color: project.color,
+      icon: project.icon,
+      goal_date: project.goalDate || null,
+      created_at: project.createdAt,
+      updated_at: project.updated_at,
+      deleted_at: project.deletedAt || null,
+      synced_at: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Convert an XP ledger entry to a cloud row
+   */
+  toCloudLedgerEntry(entry, userId) {
+    return {
+      id: entry.id,
+      user_id: userId,
+      source: entry.source,
+      xp: entry.xp,
+      task_id: entry.taskId || null,
+      subtask_id: entry.subtaskId || null,
+      base_xp: entry.baseXP ?? null,
+      multipliers: entry.multipliers || null,
+      bonus: entry.bonus ?? null,
+      label: entry.label || '',
+      device_id: entry.deviceId,
+      created_at: entry.createdAt,
+    };
+  }
+
+  /**
+   * Convert a cloud row back into an XP ledger entry
+   */
+  fromCloudLedgerEntry(row) {
+    const entry = {
+      id: row.id,
+      createdAt: row.created_at,
+      deviceId: row.device_id,
+      source: row.source,
+      xp: row.xp,
+      taskId: row.task_id || null,
+      subtaskId: row.subtask_id || null,
+      label: row.label || '',
+    };
+    if (row.base_xp !== null && row.base_xp !== undefined) {
+      entry.baseXP = row.base_xp;
+      entry.multipliers = row.multipliers;
+      entry.bonus = row.bonus;
+    }
+    return entry;
+  }
+
+  /**
+   * Convert a reward to a cloud row
+   */
+  toCloudReward(reward, userId) {
+    return {
+      id: reward.id,
+      user_id: userId,
+      name: reward.name,
+      icon: reward.icon,
+      price: reward.price,
+      cooldown_hours: reward.cooldownHours || 0,
+      created_at: reward.createdAt,
+      updated_at: reward.updated_at,
+      deleted_at: reward.deletedAt || null,
+      synced_at: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Convert a cloud row back into a reward
+   */
+  fromCloudReward(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      icon: row.icon,
+      price: row.price,
+      cooldownHours: Number(row.cooldown_hours) || 0,
+      createdAt: row.created_at,
+      updated_at: row.updated_at,
+      deletedAt: row.deleted_at || null,
+    };
+  }
+
+  /**
+   * Convert a reward purchase to a cloud row
+   */
+  toCloudPurchase(purchase, userId) {
+    return {
+      id: purchase.id,
+      user_id: userId,
+      reward_id: purchase.rewardId,
+      name: purchase.name,
+      icon: purchase.icon,
+      price: purchase.price,
+      device_id: purchase.deviceId,
+      purchased_at: purchase.purchasedAt,
+    };
+  }
+
+  /**
+   * Convert a cloud row back into a reward purchase
+   */
+  fromCloudPurchase(row) {
+    return {
+      id: row.id,
+      rewardId: row.reward_id,
+      name: row.name,
+      icon: row.icon,
+      price: row.price,
+      purchasedAt: row.purchased_at,
+      deviceId: row.device_id,
+    };
+  }
+
+  /**
+   * Convert a cloud row back into a local project
+   */
+  fromCloudProject(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      color: row.color,
+      icon: row.icon,
+      goalDate: row.goal_date || null,
+      createdAt: row.created_at,
+      updated_at: row.updated_at,
+      deletedAt: row.deleted_at || null,
+    };
+  }
+
   /**
    * Merge tasks with conflict resolution
    */
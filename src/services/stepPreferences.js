@@ -0,0 +1,266 @@
+/**
+ * Step Preferences
+ *
+ * Learns how a user likes their breakdowns from the corrections they make
+ * in TaskItem, and applies what it learned to new breakdowns.
+ *
+ * Every AI breakdown gets an edit log entry comparing the AI's steps with
+ * the user's current steps. Once the same correction shows up in at least
+ * MIN_BREAKDOWNS breakdowns it becomes a rule:
+ * - drop:   the user keeps deleting steps like this ("Stand up")
+ * - add:    the user keeps adding this step ("Put on headphones")
+ * - reword: the user keeps rewording a step the same way
+ *
+ * Rules are derived from the log every time, so they follow the user's
+ * habits as they change. Deleting a rule in Settings dismisses it for good.
+ */
+
+import { tokenize, summarizeStepHistory } from './aiContext';
+import { flattenSubtasks } from '../utils/subtaskTree';
+
+const STORAGE_KEY = 'adhd_quest_step_preferences';
+const MAX_LOG_ENTRIES = 100;
+const MIN_BREAKDOWNS = 2;
+const MIN_DROP_RATE = 0.6;
+
+/**
+ * Load the edit log and dismissed rules from localStorage
+ */
+export const loadPreferenceData = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return {
+      log: Array.isArray(saved.log) ? saved.log : [],
+      dismissed: Array.isArray(saved.dismissed) ? saved.dismissed : [],
+    };
+  } catch (error) {
+    console.error('Error loading step preferences:', error);
+    return { log: [], dismissed: [] };
+  }
+};
+
+const savePreferenceData = (data) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+};
+
+const normalize = (text = '') => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Check whether two steps say roughly the same thing
+ * ("Stand up" matches "Stand up from your chair", not "Stand the bike up")
+ */
+export const isSimilarStep = (a, b) => {
+  const wordsA = new Set(tokenize(a));
+  const wordsB = new Set(tokenize(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return normalize(a) === normalize(b);
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  const smaller = Math.min(wordsA.size, wordsB.size);
+  const larger = Math.max(wordsA.size, wordsB.size);
+
+  return shared / larger >= 0.6 || (shared === smaller && larger <= 3);
+};
+
+/**
+ * Build the edit log entry for a task's AI breakdown (null if it has none)
+ */
+export const createLogEntry = (task) => {
+  if (!Array.isArray(task.generatedSteps) || task.generatedSteps.length === 0) return null;
+
+  const steps = flattenSubtasks(task.subtasks || []).map(({ subtask }) => subtask.text);
+  const { kept, reworded, deleted, added } = summarizeStepHistory(task);
+
+  return {
+    taskId: task.id,
+    title: task.title,
+    generated: task.generatedSteps,
+    steps,
+    kept,
+    reworded,
+    deleted,
+    // Where the user put their own steps decides where a learned step goes
+    added: added.map(text => ({ text, position: steps.indexOf(text) < steps.length / 2 ? 'start' : 'end' })),
+  };
+};
+
+/**
+ * Record the current state of every AI breakdown in the edit log
+ * Called whenever tasks change; entries for finished or deleted quests stay
+ */
+export const recordBreakdowns = (tasks) => {
+  const data = loadPreferenceData();
+  let changed = false;
+  let log = data.log;
+
+  tasks.forEach(task => {
+    const entry = createLogEntry(task);
+    if (!entry) return;
+
+    const index = log.findIndex(e => e.taskId === task.id);
+    const previous = index >= 0 ? log[index] : null;
+    if (previous && JSON.stringify(previous.steps) === JSON.stringify(entry.steps) &&
+      previous.generated.length === entry.generated.length) return;
+
+    const updated = { ...entry, updatedAt: new Date().toISOString() };
+    log = index >= 0
+      ? log.map((e, i) => (i === index ? updated : e))
+      : [...log, updated];
+    changed = true;
+  });
+
+  if (changed) {
+    savePreferenceData({ ...data, log: log.slice(-MAX_LOG_ENTRIES) });
+  }
+};
+
+/**
+ * Group similar steps together, counting the breakdowns each group came from
+ */
+const clusterSteps = (items) => {
+  const clusters = [];
+  items.forEach(item => {
+    const cluster = clusters.find(c => isSimilarStep(c.text, item.text));
+    if (cluster) {
+      cluster.entries.add(item.entryIndex);
+      cluster.items.push(item);
+    } else {
+      clusters.push({ text: item.text, entries: new Set([item.entryIndex]), items: [item] });
+    }
+  });
+  return clusters;
+};
+
+/**
+ * Derive preference rules from an edit log
+ * Returns: [{ id, type: 'drop' | 'add' | 'reword', text, to?, position?, count }]
+ */
+export const buildPreferenceRules = (log = [], dismissed = []) => {
+  const rules = [];
+
+  // Steps the user deletes most of the times the AI suggests them
+  const deletions = log.flatMap((entry, entryIndex) => entry.deleted.map(text => ({ text, entryIndex })));
+  clusterSteps(deletions)
+    .filter(cluster => cluster.entries.size >= MIN_BREAKDOWNS)
+    .forEach(cluster => {
+      const offered = log.filter(entry => entry.generated.some(text => isSimilarStep(text, cluster.text))).length;
+      if (cluster.entries.size / Math.max(offered, 1) >= MIN_DROP_RATE) {
+        rules.push({ id: `drop:${normalize(cluster.text)}`, type: 'drop', text: cluster.text, count: cluster.entries.size });
+      }
+    });
+
+  // Steps the user keeps adding themselves (latest wording wins)
+  const additions = log.flatMap((entry, entryIndex) => entry.added.map(item => ({ ...item, entryIndex })));
+  clusterSteps(additions)
+    .filter(cluster => cluster.entries.size >= MIN_BREAKDOWNS)
+    .forEach(cluster => {
+      const latest = cluster.items[cluster.items.length - 1];
+      const atStart = cluster.items.filter(item => item.position === 'start').length;
+      rules.push({
+        id: `add:${normalize(cluster.text)}`,
+        type: 'add',
+        text: latest.text,
+        position: atStart * 2 >= cluster.items.length ? 'start' : 'end',
+        count: cluster.entries.size,
+      });
+    });
+
+  // Steps the user rewords the same way every time
+  const rewordings = log.flatMap((entry, entryIndex) =>
+    entry.reworded.map(({ from, to }) => ({ text: from, to, entryIndex }))
+  );
+  clusterSteps(rewordings)
+    .filter(cluster => cluster.entries.size >= MIN_BREAKDOWNS)
+    .forEach(cluster => {
+      const latest = cluster.items[cluster.items.length - 1];
+      const consistent = cluster.items.every(item => isSimilarStep(item.to, latest.to));
+      if (consistent) {
+        rules.push({ id: `reword:${normalize(cluster.text)}`, type: 'reword', text: cluster.text, to: latest.to, count: cluster.entries.size });
+      }
+    });
+
+  return rules.filter(rule => !dismissed.includes(rule.id));
+};
+
+/**
+ * Get the current user's learned rules
+ */
+export const getPreferenceRules = () => {
+  const { log, dismissed } = loadPreferenceData();
+  return buildPreferenceRules(log, dismissed);
+};
+
+/**
+ * Delete a learned rule so it isn't applied or learned again
+ */
+export const dismissPreferenceRule = (ruleId) => {
+  const data = loadPreferenceData();
+  if (data.dismissed.includes(ruleId)) return;
+  savePreferenceData({ ...data, dismissed: [...data.dismissed, ruleId] });
+};
+
+/**
+ * Describe a rule for the Settings list
+ */
+export const describeRule = (rule) => {
+  switch (rule.type) {
+    case 'drop':
+      return `Skip steps like "${rule.text}"`;
+    case 'add':
+      return `Add "${rule.text}" at the ${rule.position === 'start' ? 'start' : 'end'}`;
+    case 'reword':
+      return `Say "${rule.to}" instead of "${rule.text}"`;
+    default:
+      return rule.text;
+  }
+};
+
+/**
+ * Apply drop and reword rules to one step
+ * Returns the step to use, or null to leave it out
+ */
+export const applyRulesToStep = (step, rules = []) => {
+  if (rules.some(rule => rule.type === 'drop' && isSimilarStep(step, rule.text))) return null;
+
+  const reword = rules.find(rule => rule.type === 'reword' && isSimilarStep(step, rule.text));
+  return reword ? reword.to : step;
+};
+
+/**
+ * Get the steps the user always adds at the start or end of a breakdown,
+ * skipping any the breakdown already has
+ */
+export const getAddedSteps = (rules = [], position, existing = []) => {
+  return rules
+    .filter(rule => rule.type === 'add' && rule.position === position)
+    .filter(rule => !existing.some(step => isSimilarStep(step, rule.text)))
+    .map(rule => rule.text);
+};
+
+/**
+ * Apply every rule to a finished list of steps
+ * Leaves the list alone if the rules would remove every step
+ */
+export const applyPreferenceRules = (steps, rules = []) => {
+  const kept = steps.map(step => applyRulesToStep(step, rules)).filter(Boolean);
+  if (kept.length === 0) return steps;
+
+  return [
+    ...getAddedSteps(rules, 'start', kept),
+    ...kept,
+    ...getAddedSteps(rules, 'end', kept),
+  ];
+};
+
+export default {
+  loadPreferenceData,
+  isSimilarStep,
+  createLogEntry,
+  recordBreakdowns,
+  buildPreferenceRules,
+  getPreferenceRules,
+  dismissPreferenceRule,
+  describeRule,
+  applyRulesToStep,
+  getAddedSteps,
+  applyPreferenceRules
+};
@@ -2,6 +2,8 @@
  * Achievements & Badges System
  */
 
+import { MAX_LEVEL } from './xpSystem';
+
 export const ACHIEVEMENTS = [
   // Speed Badges
   {
@@ -121,6 +123,32 @@ export const ACHIEVEMENTS = [
     requirement: { type: 'level', value: 100 }
   },
   
+  // Prestige Badges
+  {
+    id: 'prestige-1',
+    name: 'Born Again',
+    description: 'Prestige for the first time',
+    icon: '🌠',
+    category: 'prestige',
+    requirement: { type: 'prestige', value: 1 }
+  },
+  {
+    id: 'prestige-3',
+    name: 'Star Collector',
+    description: 'Earn 3 prestige stars',
+    icon: '🪐',
+    category: 'prestige',
+    requirement: { type: 'prestige', value: 3 }
+  },
+  {
+    id: 'prestige-5',
+    name: 'Constellation',
+    description: 'Earn 5 prestige stars',
+    icon: '🌌',
+    category: 'prestige',
+    requirement: { type: 'prestige', value: 5 }
+  },
+  
   // Productivity Badges
   {
     id: 'early-bird',
@@ -148,6 +176,11 @@ export const ACHIEVEMENTS = [
   }
 ];
 
+/**
+ * The highest level reached (a prestiged player has been to MAX_LEVEL)
+ */
+const getHighestLevel = (userData) => ((userData.prestige || 0) > 0 ? MAX_LEVEL : userData.level || 1);
+
 /**
  * Check if achievement is unlocked
  */
@@ -162,7 +195,10 @@ export const checkAchievement = (achievement, userData) => {
       return (userData.subtasksCompleted || 0) >= requirement.value;
     
     case 'level':
-      return (userData.level || 1) >= requirement.value;
+      return getHighestLevel(userData) >= requirement.value;
+    
+    case 'prestige':
+      return (userData.prestige || 0) >= requirement.value;
     
     case 'speedrunCount':
       return (userData.completedQuests?.filter(q => q.wasSpeedrun).length || 0) >= requirement.value;
@@ -232,7 +268,10 @@ export const getAchievementProgress = (achievement, userData) => {
       current = userData.subtasksCompleted || 0;
       break;
     case 'level':
-      current = userData.level || 1;
+      current = getHighestLevel(userData);
+      break;
+    case 'prestige':
+      current = userData.prestige || 0;
       break;
     case 'speedrunCount':
       current = userData.completedQuests?.filter(q => q.wasSpeedrun).length || 0;
@@ -0,0 +1,131 @@
+/**
+ * Batch Actions
+ *
+ * Selecting many quests at once in TaskList and acting on all of them:
+ * - reschedule:  { type: 'reschedule', dueDate }  (null clears the date)
+ * - priority:    { type: 'priority', priority }
+ * - addTag:      { type: 'addTag', tag }
+ * - removeTag:   { type: 'removeTag', tag }
+ * - project:     { type: 'project', projectId }  (null takes them out of their project)
+ * - archive:     { type: 'archive' }
+ * - delete:      { type: 'delete' }
+ * - templates:   { type: 'templates' }  saves each quest as a template
+ *
+ * Dashboard records each batch as a single undoable command.
+ */
+
+import { getLeafSteps } from './subtaskTree';
+import { pruneDependencies } from './taskDependencies';
+import { changeTaskStatus, isOverdue } from './taskStatus';
+
+/**
+ * Get the ids from one task to another (inclusive) in display order,
+ * for shift-click selection
+ */
+export const selectRange = (orderedIds, fromId, toId) => {
+  const from = orderedIds.indexOf(fromId);
+  const to = orderedIds.indexOf(toId);
+  if (from < 0 || to < 0) return to >= 0 ? [toId] : [];
+  return orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+};
+
+/**
+ * Check whether a task matches a selection filter
+ * filter: { tag } | { priority } | { overdue: true }
+ */
+export const matchesFilter = (task, filter, now = new Date()) => {
+  if (filter.tag) return (task.tags || []).includes(filter.tag);
+  if (filter.priority) return task.priority === filter.priority;
+  if (filter.overdue) return isOverdue(task, now);
+  return false;
+};
+
+/**
+ * Get every tag used by the tasks, sorted
+ */
+export const getAllTags = (tasks) => {
+  return [...new Set(tasks.flatMap(task => task.tags || []))].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Clean up a typed tag: '#Home ' becomes 'Home'
+ */
+export const normalizeTag = (tag) => tag.trim().replace(/^#+/, '');
+
+/**
+ * Turn a quest into a template for the template library
+ */
+export const taskToTemplate = (task, now = new Date(), index = 0) => ({
+  id: `${now.getTime()}-${index}`,
+  name: task.title,
+  description: 'Saved from a quest',
+  title: task.title,
+  subtasks: getLeafSteps(task.subtasks).map(step => step.text),
+  tags: task.tags || [],
+  createdAt: now.toISOString(),
+  useCount: 0,
+});
+
+/**
+ * Apply a batch action to the selected tasks
+ * Returns: the new task list (tasks that didn't change keep their identity)
+ */
+export const applyBatchAction = (tasks, taskIds, action, now = new Date()) => {
+  const selected = new Set(taskIds);
+  const stamp = now.toISOString();
+
+  const update = (updater) => tasks.map(task => {
+    if (!selected.has(task.id)) return task;
+    const updated = updater(task);
+    return updated === task ? task : { ...updated, updated_at: stamp };
+  });
+
+  switch (action.type) {
+    case 'reschedule':
+      return update(task => {
+        if (task.dueDate === (action.dueDate || null)) return task;
+        // Recurring quests count their schedule from a date, so they always keep one
+        if (task.recurrenceAnchor) {
+          return action.dueDate ? { ...task, dueDate: action.dueDate, recurrenceAnchor: action.dueDate } : task;
+        }
+        return { ...task, dueDate: action.dueDate || null };
+      });
+
+    case 'priority':
+      return update(task => (task.priority === action.priority ? task : { ...task, priority: action.priority }));
+
+    case 'addTag':
+      return update(task => ((task.tags || []).includes(action.tag)
+        ? task
+        : { ...task, tags: [...(task.tags || []), action.tag] }));
+
+    case 'removeTag':
+      return update(task => ((task.tags || []).includes(action.tag)
+        ? { ...task, tags: task.tags.filter(tag => tag !== action.tag) }
+        : task));
+
+    case 'project':
+      return update(task => ((task.projectId || null) === (action.projectId || null)
+        ? task
+        : { ...task, projectId: action.projectId || null }));
+
+    case 'archive':
+      // Quests that can't be archived are left as they are
+      return update(task => changeTaskStatus(task, 'archived', { now }).task || task);
+
+    case 'delete':
+      return pruneDependencies(tasks.filter(task => !selected.has(task.id)));
+
+    default:
+      return tasks;
+  }
+};
+
+export default {
+  selectRange,
+  matchesFilter,
+  getAllTags,
+  normalizeTag,
+  taskToTemplate,
+  applyBatchAction,
+};
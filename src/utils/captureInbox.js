@@ -0,0 +1,191 @@
+/**
+ * Capture Inbox
+ *
+ * QuickCapture notes (adhd_quest_captures) start out in the inbox. Triage
+ * moves each one out by turning it into something else:
+ * - quest:     a new quest, broken down by the AI
+ * - template:  a reusable quest template (adhd_quest_templates)
+ * - scheduled: a quest with a due date picked during triage
+ * - archived:  kept in the notes list but out of the inbox
+ * Processed notes remember what they became (processedAs, processedAt).
+ *
+ * Quests can't be created outside the quest board, so they wait in a queue
+ * (adhd_quest_pending_quests) that Dashboard works through when it opens.
+ * Each queued quest carries sourceCapture, its back-link to the note.
+ */
+
+import { parseQuickAdd } from './quickAddParser';
+
+const CAPTURES_KEY = 'adhd_quest_captures';
+const TEMPLATES_KEY = 'adhd_quest_templates';
+const QUEUE_KEY = 'adhd_quest_pending_quests';
+
+export const PROCESSED_LABELS = {
+  quest: '⚔️ QUEST',
+  template: '📋 TEMPLATE',
+  scheduled: '📅 SCHEDULED',
+  archived: '🗄 ARCHIVED',
+};
+
+const readList = (key) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error(`Error loading ${key}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Load the saved QuickCapture notes
+ */
+export const loadCaptures = () => readList(CAPTURES_KEY);
+
+/**
+ * Whether a note still needs triage
+ */
+export const isInInbox = (capture) => !capture.processedAs;
+
+/**
+ * Get the notes waiting in the inbox, oldest first so nothing gets buried
+ */
+export const getInboxCaptures = (captures = loadCaptures()) => {
+  return captures
+    .filter(isInInbox)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+/**
+ * Count the notes waiting in the inbox
+ */
+export const getInboxCount = (captures = loadCaptures()) => captures.filter(isInInbox).length;
+
+/**
+ * Mark a note as processed
+ * Returns: the updated captures
+ */
+export const markProcessed = (captures, captureId, processedAs, now = new Date()) => {
+  return captures.map(capture =>
+    capture.id === captureId
+      ? { ...capture, processedAs, processedAt: now.toISOString() }
+      : capture
+  );
+};
+
+/**
+ * Put a processed note back in the inbox
+ */
+export const returnToInbox = (captures, captureId) => {
+  return captures.map(capture => {
+    if (capture.id !== captureId) return capture;
+    const restored = { ...capture };
+    delete restored.processedAs;
+    delete restored.processedAt;
+    return restored;
+  });
+};
+
+/**
+ * Split a note into its quick-add line and the lines after it
+ */
+const splitNote = (text) => {
+  const [firstLine, ...otherLines] = text.split('\n');
+  return { firstLine, otherLines: otherLines.map(line => line.trim()).filter(Boolean) };
+};
+
+/**
+ * Build TaskInput-style task data from a note
+ * The first line is read like the quick-add line ("call dentist tomorrow 3pm !high #health");
+ * any other lines become the description
+ * overrides: fields to set instead, e.g. { dueDate } when scheduling
+ */
+export const captureToTaskData = (capture, overrides = {}) => {
+  const { firstLine, otherLines } = splitNote(capture.text);
+  const parsed = parseQuickAdd(firstLine);
+
+  return {
+    title: parsed.title || firstLine.trim(),
+    description: otherLines.join('\n'),
+    granularity: 'detailed',
+    priority: parsed.priority || 'medium',
+    dueDate: parsed.dueDate,
+    dueTime: parsed.dueTime,
+    estimatedMinutes: parsed.estimatedMinutes,
+    tags: [...new Set([...(capture.tags || []), ...parsed.tags])],
+    recurring: 'none',
+    missedPolicy: 'skip',
+    speedrunMode: false,
+    sourceCapture: { id: capture.id, text: capture.text, createdAt: capture.createdAt },
+    ...overrides
+  };
+};
+
+/**
+ * Build a template from a note: the first line is the quest title and
+ * any other lines (list markers removed) are its steps
+ */
+export const captureToTemplate = (capture, now = new Date()) => {
+  const { firstLine, otherLines } = splitNote(capture.text);
+  const parsed = parseQuickAdd(firstLine);
+  const title = parsed.title || firstLine.trim();
+
+  return {
+    id: now.getTime().toString(),
+    name: title,
+    description: 'Made from a QuickCapture note',
+    title,
+    subtasks: otherLines.map(line => line.replace(/^([-*•]|\d+[.)]|\[[ x]?\])\s*/i, '')).filter(Boolean),
+    tags: [...new Set([...(capture.tags || []), ...parsed.tags])],
+    createdAt: now.toISOString(),
+    useCount: 0,
+  };
+};
+
+/**
+ * Add a template to the template library
+ */
+export const saveTemplate = (template) => {
+  localStorage.setItem(TEMPLATES_KEY, JSON.stringify([...readList(TEMPLATES_KEY), template]));
+};
+
+/**
+ * Take templates back out of the template library
+ */
+export const removeTemplates = (templateIds) => {
+  const ids = new Set(templateIds);
+  localStorage.setItem(TEMPLATES_KEY, JSON.stringify(readList(TEMPLATES_KEY).filter(template => !ids.has(template.id))));
+};
+
+/**
+ * Queue a quest for Dashboard to create
+ */
+export const queueQuest = (taskData) => {
+  localStorage.setItem(QUEUE_KEY, JSON.stringify([...readList(QUEUE_KEY), taskData]));
+};
+
+/**
+ * Take the next queued quest off the queue (null when empty)
+ */
+export const takeQueuedQuest = () => {
+  const [next, ...rest] = readList(QUEUE_KEY);
+  if (!next) return null;
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(rest));
+  return next;
+};
+
+export default {
+  PROCESSED_LABELS,
+  loadCaptures,
+  isInInbox,
+  getInboxCaptures,
+  getInboxCount,
+  markProcessed,
+  returnToInbox,
+  captureToTaskData,
+  captureToTemplate,
+  saveTemplate,
+  removeTemplates,
+  queueQuest,
+  takeQueuedQuest
+};
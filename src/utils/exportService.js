@@ -9,7 +9,12 @@
 
 import Papa from 'papaparse';
 import ical from 'ical-generator';
-import { format } from 'date-fns';
+import { format, parseISO } from 'date-fns';
+import { parseRecurrenceRule, toICalRepeating, describeRecurrence } from './recurrenceEngine';
+import { loadProjects, saveProjects, getTaskProject } from './projects';
+import { getEarnedXP } from './xpPolicy';
+import { loadLedger, saveLedger, mergeLedgers } from './xpLedger';
+import { loadRewards, saveRewards, loadPurchases, savePurchases, mergePurchases } from './rewardShop';
 
 class ExportService {
   /**
@@ -21,7 +26,11 @@ class ExportService {
       exportDate: new Date().toISOString(),
       tasks: this.getTasks(),
       completedQuests: this.getCompletedQuests(),
+      projects: loadProjects(),
       profile: this.getProfile(),
+      xpLedger: loadLedger(),
+      rewards: loadRewards(),
+      rewardPurchases: loadPurchases(),
       settings: this.getSettings(),
       notes: this.getNotes(),
       drawings: this.getDrawings(),
@@ -43,26 +52,36 @@ class ExportService {
   exportTasksAsCSV() {
     const tasks = this.getTasks();
     const completedQuests = this.getCompletedQuests();
+    const projects = loadProjects();
+    const projectName = (item) => getTaskProject(projects, item)?.name || '';
 
     const allTasks = [
       ...tasks.map(t => ({
         id: t.id,
         title: t.title,
         status: 'active',
+        project: projectName(t),
         createdAt: t.createdAt,
         completedAt: '',
         subtaskCount: t.subtasks?.length || 0,
         xpEarned: 0,
+        streak: '',
+        streakXP: 0,
+        streakBonus: 0,
         totalTime: 0,
       })),
       ...completedQuests.map(q => ({
         id: q.id,
         title: q.title,
         status: 'completed',
+        project: projectName(q),
         createdAt: q.createdAt,
         completedAt: q.completedAt,
         subtaskCount: q.subtasks?.length || 0,
         xpEarned: q.xpEarned || 0,
+        streak: q.streak || '',
+        streakXP: q.streakXP || 0,
+        streakBonus: q.streakBonus || 0,
         totalTime: q.totalTime || 0,
       })),
     ];
@@ -90,7 +109,8 @@ class ExportService {
           subtaskText: subtask.text,
           completed: subtask.completed,
           completedAt: subtask.completedAt || '',
-          xp: 10,
+          xp: getEarnedXP(subtask),
+          streakXP: subtask.completed ? subtask.streakXP || 0 : 0,
         });
       });
     });
@@ -103,7 +123,8 @@ class ExportService {
           subtaskText: subtask.text,
           completed: true,
           completedAt: subtask.completedAt || quest.completedAt,
-          xp: 10,
+          xp: getEarnedXP({ ...subtask, completed: true }),
+          streakXP: subtask.streakXP || 0,
         });
       });
     });
@@ -139,18 +160,27 @@ class ExportService {
   exportAsICalendar() {
     const calendar = ical({ name: 'ADHD Quest Tasks' });
 
-    // Export active tasks with due dates
+    // Export active tasks with due dates (recurring tasks become RRULE events)
     const tasks = this.getTasks();
     tasks.forEach(task => {
-      if (task.dueDate) {
-        calendar.createEvent({
-          start: new Date(task.dueDate),
-          end: new Date(task.dueDate),
-          summary: task.title,
-          description: `Subtasks: ${task.subtasks?.length || 0}\nCreated: ${task.createdAt}`,
-          allDay: true,
-        });
+      const rule = parseRecurrenceRule(task.recurring);
+      if (!task.dueDate && !rule) return;
+
+      const start = task.dueDate ? parseISO(task.dueDate) : new Date(task.createdAt);
+      const event = {
+        start,
+        end: start,
+        summary: task.title,
+        description: `Subtasks: ${task.subtasks?.length || 0}\nCreated: ${task.createdAt}`,
+        allDay: true,
+      };
+
+      if (rule) {
+        event.repeating = toICalRepeating(rule);
+        event.description += `\nRepeats: ${describeRecurrence(task.recurring)}`;
       }
+
+      calendar.createEvent(event);
     });
 
     // Export completed quests
@@ -207,6 +237,9 @@ class ExportService {
       time: format(new Date(quest.completedAt), 'HH:mm:ss'),
       title: quest.title,
       xpEarned: quest.xpEarned || 0,
+      streak: quest.streak || '',
+      streakXP: quest.streakXP || 0,
+      streakBonus: quest.streakBonus || 0,
       subtasks: quest.subtasks?.length || 0,
       totalTime: quest.totalTime || 0,
     }));
@@ -250,7 +283,11 @@ class ExportService {
       exportDate: new Date().toISOString(),
       tasks: this.getTasks(),
       completedQuests: this.getCompletedQuests(),
+      projects: loadProjects(),
       profile: this.getProfile(),
+      xpLedger: loadLedger(),
+      rewards: loadRewards(),
+      rewardPurchases: loadPurchases(),
       settings: this.getSettings(),
       notes: this.getNotes(),
       drawings: this.getDrawings(),
@@ -267,6 +304,8 @@ class ExportService {
       title: q.title,
       completedAt: q.completedAt,
       xpEarned: q.xpEarned || 0,
+      streakXP: q.streakXP || 0,
+      streakBonus: q.streakBonus || 0,
       subtaskCount: q.subtasks?.length || 0,
     })));
     zip.file('tasks.csv', tasksCSV);
@@ -279,6 +318,14 @@ class ExportService {
     })));
     zip.file('notes.csv', notesCSV);
 
+    const purchasesCSV = Papa.unparse(loadPurchases().map(p => ({
+      id: p.id,
+      reward: p.name,
+      price: p.price,
+      purchasedAt: p.purchasedAt,
+    })));
+    zip.file('purchases.csv', purchasesCSV);
+
     // Generate ZIP
     const blob = await zip.generateAsync({ type: 'blob' });
     this.downloadBlob(blob, 'adhd-quest-backup.zip', 'application/zip');
@@ -444,6 +491,24 @@ class ExportService {
         localStorage.setItem('adhd_quest_completed', JSON.stringify(merged));
       }
 
+      if (data.projects) {
+        saveProjects(this.mergeArrays(loadProjects(), data.projects, 'id'));
+      }
+
+      // Ledger entries are events, so importing adds the ones not seen yet
+      if (data.xpLedger) {
+        saveLedger(mergeLedgers(loadLedger(), data.xpLedger));
+      }
+
+      if (data.rewards) {
+        saveRewards(this.mergeArrays(loadRewards(), data.rewards, 'id'));
+      }
+
+      // So are purchases: coins already spent stay spent
+      if (data.rewardPurchases) {
+        savePurchases(mergePurchases(loadPurchases(), data.rewardPurchases));
+      }
+
       if (data.notes) {
         const existing = this.getNotes();
         const merged = this.mergeArrays(existing, data.notes, 'id');
@@ -0,0 +1,103 @@
+/**
+ * Focus Mode
+ *
+ * Focus mode shows one quest one step at a time: the first leaf step that
+ * is still open and not waiting on anything. Finishing it (or splitting it
+ * into smaller steps) moves on to the next one.
+ *
+ * Focus mode can start a Pomodoro when it opens. Finished sessions are
+ * counted in the same place as the FOCUS TIMER widget's
+ * (adhd_quest_pomodoro_sessions), so its stats include them.
+ */
+
+import { getLeafSteps, getSubtaskPath } from './subtaskTree';
+import { getBlockers } from './taskDependencies';
+
+const PREFS_KEY = 'adhd_quest_focus_prefs';
+const SESSIONS_KEY = 'adhd_quest_pomodoro_sessions';
+
+export const FOCUS_SESSION_MINUTES = 25;
+
+const DEFAULT_PREFS = {
+  autoStartPomodoro: false,
+};
+
+/**
+ * Get the blockers holding up a step: its own, its parents' and its task's
+ */
+const getStepBlockers = (tasks, taskId, subtaskId) => {
+  const task = tasks.find(t => t.id === taskId);
+  const path = task ? getSubtaskPath(task.subtasks, subtaskId) : [];
+
+  return [
+    ...getBlockers(tasks, { taskId }),
+    ...path.flatMap(step => getBlockers(tasks, { taskId, subtaskId: step.id }))
+  ];
+};
+
+/**
+ * Work out what focus mode should show for a quest
+ * Returns: { step, parents, number, total, blockers }
+ * - step:     the next step to do (null when every step is done or waiting)
+ * - parents:  texts of the steps it was split from, outermost first
+ * - number:   its position among all steps (1-based); total: number of steps
+ * - blockers: what the next open step is waiting on when nothing can be done
+ */
+export const getFocusStep = (tasks, taskId) => {
+  const task = tasks.find(t => t.id === taskId);
+  const leaves = task ? getLeafSteps(task.subtasks) : [];
+  const open = leaves.filter(step => !step.completed);
+  const step = open.find(st => getStepBlockers(tasks, taskId, st.id).length === 0) || null;
+
+  return {
+    step,
+    parents: step ? getSubtaskPath(task.subtasks, step.id).slice(0, -1).map(st => st.text) : [],
+    number: step ? leaves.indexOf(step) + 1 : 0,
+    total: leaves.length,
+    blockers: !step && open.length > 0 ? getStepBlockers(tasks, taskId, open[0].id) : [],
+  };
+};
+
+/**
+ * Load focus mode preferences
+ */
+export const loadFocusPrefs = () => {
+  try {
+    return { ...DEFAULT_PREFS, ...JSON.parse(localStorage.getItem(PREFS_KEY) || '{}') };
+  } catch (error) {
+    console.error('Error loading focus prefs:', error);
+    return { ...DEFAULT_PREFS };
+  }
+};
+
+/**
+ * Save focus mode preferences
+ */
+export const saveFocusPrefs = (prefs) => {
+  localStorage.setItem(PREFS_KEY, JSON.stringify({ ...DEFAULT_PREFS, ...prefs }));
+};
+
+/**
+ * Count a finished Pomodoro towards the FOCUS TIMER's session stats
+ * Returns: the updated sessions
+ */
+export const recordFocusSession = () => {
+  let sessions = { focus: 0, breaks: 0 };
+  try {
+    sessions = { ...sessions, ...JSON.parse(localStorage.getItem(SESSIONS_KEY) || '{}') };
+  } catch (error) {
+    console.error('Error loading pomodoro sessions:', error);
+  }
+
+  const updated = { ...sessions, focus: sessions.focus + 1 };
+  localStorage.setItem(SESSIONS_KEY, JSON.stringify(updated));
+  return updated;
+};
+
+export default {
+  FOCUS_SESSION_MINUTES,
+  getFocusStep,
+  loadFocusPrefs,
+  saveFocusPrefs,
+  recordFocusSession
+};
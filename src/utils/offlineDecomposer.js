@@ -0,0 +1,284 @@
+/**
+ * Offline Decomposer
+ *
+ * Breaks a task into steps without any network, using templates for common
+ * chores (cleaning, email, laundry, studying, errands, phone calls) and a
+ * general template for everything else.
+ *
+ * Output is deterministic: the same task text and granularity always give
+ * the same steps, so tests and offline use can rely on it.
+ *
+ * Every template step has a level:
+ *   1 - core steps, used at every granularity ('quick')
+ *   2 - added for 'detailed'
+ *   3 - added for 'very-detailed'
+ * Steps keep their template order whichever levels are included.
+ *
+ * Step text can use {subject} - the task text without its leading verb
+ * ("call the dentist" → "the dentist") - and {task} for the whole task.
+ */
+
+const GRANULARITY_LEVELS = {
+  'quick': 1,
+  'detailed': 2,
+  'very-detailed': 3
+};
+
+/**
+ * Templates are matched on keywords; `verbs` are also stripped off the
+ * front of the task to find its subject
+ * Steps: [level, text, minutes]
+ */
+export const CHORE_TEMPLATES = [
+  {
+    id: 'phone',
+    verbs: ['call', 'phone', 'ring', 'dial'],
+    keywords: ['call', 'phone', 'ring', 'dial', 'appointment', 'voicemail'],
+    steps: [
+      [3, 'Put your phone on the table in front of you', 0.2],
+      [1, 'Find the phone number for {subject}', 2],
+      [2, 'Copy the number somewhere you can see it', 0.5],
+      [1, 'Write one line about why you are calling', 1],
+      [3, 'Write down any dates or times that work for you', 1],
+      [2, 'Grab a pen and paper for notes', 0.5],
+      [3, 'Find a quiet spot to sit', 0.5],
+      [3, 'Take one slow breath', 0.2],
+      [1, 'Dial the number', 0.2],
+      [3, 'Listen to the menu options and pick the closest one', 2],
+      [1, 'Say your one-line reason', 1],
+      [3, 'Ask them to repeat anything you missed', 0.5],
+      [2, 'Write down names, dates and anything you need to do next', 1],
+      [2, 'Read the important details back to them', 0.5],
+      [1, 'Say thank you and hang up', 0.2],
+      [3, 'Add any appointment to your calendar', 1],
+      [2, 'Put your notes somewhere you will find them', 0.5],
+      [3, 'Tick off the call - the hardest part is done', 0.1],
+    ],
+  },
+  {
+    id: 'email',
+    verbs: ['email', 'reply', 'respond', 'message', 'answer'],
+    keywords: ['email', 'emails', 'inbox', 'reply', 'respond', 'message', 'mail'],
+    steps: [
+      [3, 'Sit down at your computer or pick up your phone', 0.3],
+      [1, 'Open your email app', 0.2],
+      [3, 'Close every other tab and app', 0.5],
+      [1, 'Find the email about {subject} (or start a new one)', 1],
+      [2, 'Read it once, all the way through', 2],
+      [3, 'Note the one question you need to answer', 0.5],
+      [2, 'Click reply', 0.1],
+      [3, 'Write a greeting: "Hi" and their name', 0.2],
+      [1, 'Write one sentence that answers the main point', 2],
+      [2, 'Add any details they need, one sentence each', 3],
+      [3, 'Add a line saying what happens next', 1],
+      [3, 'Write a sign-off and your name', 0.2],
+      [2, 'Add any attachment they asked for', 1],
+      [1, 'Read it through once', 1],
+      [3, 'Check the "To" address is right', 0.2],
+      [1, 'Press send', 0.1],
+      [2, 'Archive the original email', 0.2],
+      [3, 'Close the email app', 0.1],
+    ],
+  },
+  {
+    id: 'laundry',
+    verbs: ['wash', 'fold', 'iron', 'hang', 'dry'],
+    keywords: ['laundry', 'clothes', 'washing', 'fold', 'iron', 'towels', 'sheets', 'bedding'],
+    steps: [
+      [3, 'Stand up from where you are', 0.1],
+      [1, 'Pick up the laundry basket', 0.3],
+      [3, 'Walk around and drop any clothes on the floor into it', 3],
+      [1, 'Carry the basket to the washing machine', 0.5],
+      [2, 'Sort out anything dark or delicate', 2],
+      [3, 'Check the pockets', 1],
+      [1, 'Load the clothes into the machine', 1],
+      [2, 'Add detergent', 0.5],
+      [3, 'Pick the wash setting', 0.2],
+      [1, 'Press start', 0.1],
+      [2, 'Set a timer for when the wash ends', 0.3],
+      [3, 'Do something else until the timer goes off', 0.2],
+      [1, 'Move the wet clothes to the dryer or the rack', 3],
+      [3, 'Shake each item out before hanging it', 2],
+      [2, 'Set a timer for when they will be dry', 0.3],
+      [1, 'Fold the dry clothes into piles', 8],
+      [2, 'Carry the piles to where they live', 1],
+      [3, 'Put each pile in its drawer', 3],
+      [3, 'Put the empty basket back', 0.2],
+    ],
+  },
+  {
+    id: 'cleaning',
+    verbs: ['clean', 'tidy', 'vacuum', 'hoover', 'dust', 'mop', 'scrub', 'wipe', 'declutter', 'organize', 'organise'],
+    keywords: ['clean', 'tidy', 'vacuum', 'hoover', 'dust', 'mop', 'scrub', 'wipe', 'declutter', 'organize', 'organise', 'dishes', 'kitchen', 'bathroom', 'bedroom', 'room', 'desk', 'mess'],
+    steps: [
+      [3, 'Stand up from where you are', 0.1],
+      [3, 'Put on some music', 0.5],
+      [1, 'Walk to {subject}', 0.5],
+      [2, 'Grab a bag for rubbish', 0.5],
+      [1, 'Throw away any obvious rubbish', 3],
+      [3, 'Take the rubbish bag out of the room', 0.5],
+      [2, 'Gather the dishes and cups into one spot', 2],
+      [3, 'Carry the dishes to the kitchen', 1],
+      [1, 'Put away five things that have a home', 2],
+      [2, 'Put away five more things', 2],
+      [3, 'Make a pile of things without a home to sort later', 2],
+      [2, 'Get out a cloth and cleaning spray', 0.5],
+      [1, 'Wipe down the main surface', 3],
+      [3, 'Wipe down one more surface', 3],
+      [2, 'Get out the vacuum or broom', 1],
+      [1, 'Clean the floor you can see', 5],
+      [3, 'Put the cleaning things away', 1],
+      [2, 'Open a window for some fresh air', 0.2],
+      [1, 'Look around and notice what is better', 0.3],
+    ],
+  },
+  {
+    id: 'studying',
+    verbs: ['study', 'revise', 'learn', 'review', 'read', 'practice', 'practise'],
+    keywords: ['study', 'revise', 'revision', 'learn', 'homework', 'exam', 'test', 'assignment', 'chapter', 'lecture', 'course', 'notes', 'essay'],
+    steps: [
+      [3, 'Fill a glass of water and bring it to your desk', 1],
+      [1, 'Sit down at your desk', 0.2],
+      [3, 'Put your phone in another room or on silent', 0.5],
+      [1, 'Open the material for {subject}', 1],
+      [2, 'Look at the headings to see how much there is', 2],
+      [1, 'Pick one small section to start with', 0.5],
+      [2, 'Set a timer for 25 minutes', 0.2],
+      [1, 'Read or work through that section', 15],
+      [3, 'Underline or copy out anything that feels important', 3],
+      [2, 'Write three bullet points about what you just learned', 3],
+      [3, 'Cover your notes and try to say them out loud', 2],
+      [2, 'Take a 5 minute break when the timer ends', 5],
+      [3, 'Stretch or walk around during the break', 2],
+      [1, 'Start the next section', 15],
+      [3, 'Write down any questions to ask later', 2],
+      [2, 'Write where you stopped so you can pick up from there', 1],
+      [3, 'Close the books and tidy the desk', 1],
+    ],
+  },
+  {
+    id: 'errands',
+    verbs: ['buy', 'get', 'pick', 'drop', 'return', 'collect', 'shop', 'post', 'send'],
+    keywords: ['buy', 'shop', 'shopping', 'groceries', 'grocery', 'errand', 'errands', 'pharmacy', 'prescription', 'post', 'parcel', 'package', 'store', 'supermarket', 'pick', 'drop', 'return', 'collect'],
+    steps: [
+      [1, 'Write a list of what you need for {subject}', 2],
+      [3, 'Check the cupboards for anything you already have', 2],
+      [2, 'Check the opening hours', 1],
+      [3, 'Gather anything you need to return or drop off', 2],
+      [1, 'Put on your shoes', 1],
+      [1, 'Grab your keys, wallet, phone and bags', 1],
+      [3, 'Check you have the list with you', 0.2],
+      [2, 'Head out the door', 0.2],
+      [3, 'Listen to a podcast or music on the way', 0.2],
+      [1, 'Get to the first stop', 10],
+      [2, 'Find the first thing on the list', 2],
+      [1, 'Get everything on the list, ticking each item off', 15],
+      [3, 'Double-check the list before paying', 0.5],
+      [2, 'Pay', 2],
+      [3, 'Head home', 10],
+      [1, 'Put everything away', 5],
+      [3, 'Throw the list away or keep it for next time', 0.2],
+    ],
+  },
+];
+
+/**
+ * Used when no chore template matches
+ */
+export const GENERAL_TEMPLATE = {
+  id: 'general',
+  verbs: [],
+  keywords: [],
+  steps: [
+    [3, 'Stand up and stretch', 0.3],
+    [1, 'Write down what "done" looks like for: {task}', 2],
+    [3, 'Set a timer for 10 minutes', 0.2],
+    [2, 'List the things you need for it', 2],
+    [1, 'Gather the things you need', 3],
+    [3, 'Clear a space to work in', 2],
+    [2, 'Put your phone on silent', 0.2],
+    [1, 'Do the very first small part', 5],
+    [3, 'Notice you have started - that is the hardest bit', 0.1],
+    [2, 'Do the next small part', 5],
+    [3, 'Check what is left', 1],
+    [2, 'Take a 5 minute break', 5],
+    [3, 'Drink some water', 0.5],
+    [1, 'Keep going, one part at a time, until it is done', 15],
+    [3, 'Check it against what "done" looks like', 2],
+    [2, 'Put things away', 2],
+    [1, 'Mark it as finished', 0.1],
+    [3, 'Do something nice for yourself', 5],
+  ],
+};
+
+/**
+ * Split text into lowercase words
+ */
+const toWords = (text = '') => text.toLowerCase().match(/[a-z0-9']+/g) || [];
+
+/**
+ * Pick the template whose keywords best match the task
+ * Ties go to the template listed first; no matches gives the general template
+ */
+export const matchTemplate = (taskDescription) => {
+  const words = toWords(taskDescription);
+  const firstWord = words[0];
+
+  let best = GENERAL_TEMPLATE;
+  let bestScore = 0;
+
+  CHORE_TEMPLATES.forEach(template => {
+    const keywordScore = template.keywords.filter(keyword => words.includes(keyword)).length;
+    // Starting with one of the template's verbs is the strongest signal
+    const score = keywordScore + (template.verbs.includes(firstWord) ? 2 : 0);
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Get what the task is about: its text without the leading verb
+ * ("Call the dentist" → "the dentist")
+ */
+export const getSubject = (taskDescription, template = matchTemplate(taskDescription)) => {
+  const text = taskDescription.trim().replace(/[.!?]+$/, '');
+  const [firstWord, ...rest] = text.split(/\s+/);
+
+  if (rest.length > 0 && template.verbs.includes(firstWord.toLowerCase())) {
+    // "pick up", "drop off" and friends
+    const remaining = /^(up|off|out)$/i.test(rest[0]) && rest.length > 1 ? rest.slice(1) : rest;
+    return remaining.join(' ');
+  }
+
+  return text;
+};
+
+/**
+ * Break a task into steps offline
+ * Returns: [{ text, estimatedMinutes }]
+ */
+export const decomposeTask = (taskDescription, granularity = 'detailed') => {
+  const template = matchTemplate(taskDescription);
+  const level = GRANULARITY_LEVELS[granularity] || GRANULARITY_LEVELS.detailed;
+  const subject = getSubject(taskDescription, template);
+  const task = taskDescription.trim();
+
+  return template.steps
+    .filter(([stepLevel]) => stepLevel <= level)
+    .map(([, text, minutes]) => ({
+      text: text.replace('{subject}', subject).replace('{task}', task),
+      estimatedMinutes: minutes
+    }));
+};
+
+export default {
+  CHORE_TEMPLATES,
+  GENERAL_TEMPLATE,
+  matchTemplate,
+  getSubject,
+  decomposeTask
+};
@@ -0,0 +1,203 @@
+/**
+ * Projects
+ *
+ * Projects (areas) group quests above tags. They are saved in adhd_quest_projects:
+ * { id, name, color, icon, goalDate, createdAt, updated_at, deletedAt }
+ *
+ * Quests point at their project with projectId, and completed quests keep
+ * it so XP can be counted per project. Deleting a project only marks it
+ * deleted, so the deletion syncs to other devices; its quests simply
+ * count as having no project.
+ */
+
+import { differenceInCalendarDays, parseISO } from 'date-fns';
+import { getLeafProgress } from './subtaskTree';
+import { isActiveTask } from './taskStatus';
+import { sumEarnedXP } from './xpPolicy';
+
+const PROJECTS_KEY = 'adhd_quest_projects';
+
+export const PROJECT_COLORS = ['#00FF00', '#00BFFF', '#FFD700', '#FF6B6B', '#C77DFF', '#FF9F1C'];
+export const PROJECT_ICONS = ['📁', '🏠', '💼', '🎓', '💪', '🎨', '💰', '🌱'];
+
+// Project filters used by the quest board, calendar and stats
+export const ALL_PROJECTS = 'all';
+export const NO_PROJECT = 'none';
+
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Load every saved project, including deleted ones (needed for syncing)
+ */
+export const loadProjects = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROJECTS_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error('Error loading projects:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the projects
+ */
+export const saveProjects = (projects) => {
+  localStorage.setItem(PROJECTS_KEY, JSON.stringify(projects));
+};
+
+/**
+ * Get the projects that haven't been deleted, in the order they were made
+ */
+export const getLiveProjects = (projects = []) => projects.filter(project => !project.deletedAt);
+
+/**
+ * Find the (live) project a quest belongs to
+ * Returns: the project, or null
+ */
+export const getTaskProject = (projects, item) => {
+  if (!item || !item.projectId) return null;
+  return getLiveProjects(projects).find(project => project.id === item.projectId) || null;
+};
+
+/**
+ * Check whether a quest passes a project filter (ALL_PROJECTS, NO_PROJECT or a project id)
+ */
+export const matchesProject = (item, filter, projects = []) => {
+  if (!filter || filter === ALL_PROJECTS) return true;
+  const project = getTaskProject(projects, item);
+  return filter === NO_PROJECT ? !project : Boolean(project) && project.id === filter;
+};
+
+/**
+ * Keep the quests (or completed quests) that pass a project filter
+ */
+export const filterByProject = (items, filter, projects = []) => {
+  if (!filter || filter === ALL_PROJECTS) return items;
+  return items.filter(item => matchesProject(item, filter, projects));
+};
+
+const validateProject = (projects, { name, color, goalDate }, projectId) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Give the project a name.';
+  if (trimmed.length > MAX_NAME_LENGTH) return `Project names can be at most ${MAX_NAME_LENGTH} characters.`;
+
+  const taken = getLiveProjects(projects).some(project =>
+    project.id !== projectId && project.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (taken) return `There is already a project called "${trimmed}".`;
+
+  if (color && !/^#[0-9A-Fa-f]{6}$/.test(color)) return 'Pick a colour like #00FF00.';
+  if (goalDate && !/^\d{4}-\d{2}-\d{2}$/.test(goalDate)) return 'The goal date should look like 2026-12-31.';
+  return null;
+};
+
+/**
+ * Add a project
+ * data: { name, color, icon, goalDate }
+ * Returns: { projects, project } or { error }
+ */
+export const createProject = (projects, data, now = new Date(), id = `project-${now.getTime()}`) => {
+  const error = validateProject(projects, data);
+  if (error) return { error };
+
+  const stamp = now.toISOString();
+  const project = {
+    id,
+    name: data.name.trim(),
+    color: data.color || PROJECT_COLORS[0],
+    icon: data.icon || PROJECT_ICONS[0],
+    goalDate: data.goalDate || null,
+    createdAt: stamp,
+    updated_at: stamp,
+    deletedAt: null,
+  };
+  return { projects: [...projects, project], project };
+};
+
+/**
+ * Change a project's name, colour, icon or goal date
+ * Returns: { projects } or { error }
+ */
+export const updateProject = (projects, projectId, changes, now = new Date()) => {
+  const project = getLiveProjects(projects).find(p => p.id === projectId);
+  if (!project) return { error: 'That project no longer exists.' };
+
+  const updated = { ...project, ...changes, id: project.id };
+  const error = validateProject(projects, updated, projectId);
+  if (error) return { error };
+
+  return {
+    projects: projects.map(p => (p.id === projectId
+      ? { ...updated, name: updated.name.trim(), goalDate: updated.goalDate || null, updated_at: now.toISOString() }
+      : p)),
+  };
+};
+
+/**
+ * Delete a project (its quests are kept and no longer belong to a project)
+ */
+export const deleteProject = (projects, projectId, now = new Date()) => {
+  const stamp = now.toISOString();
+  return projects.map(project => (project.id === projectId && !project.deletedAt
+    ? { ...project, deletedAt: stamp, updated_at: stamp }
+    : project));
+};
+
+/**
+ * Work out how far along a project is
+ * Returns: { openQuests, completedQuests, percent, stepsDone, stepsTotal, xpEarned, daysToGoal, goalStatus }
+ * goalStatus is 'none', 'done', 'overdue', 'soon' (a week or less left) or 'on-track'
+ */
+export const getProjectProgress = (project, tasks = [], completedQuests = [], now = new Date()) => {
+  const inProject = (item) => item.projectId === project.id;
+  const open = tasks.filter(task => inProject(task) && isActiveTask(task));
+  const done = completedQuests.filter(inProject);
+
+  const steps = open.reduce((sum, task) => {
+    const progress = getLeafProgress(task.subtasks);
+    return { done: sum.done + progress.completed, total: sum.total + progress.total };
+  }, { done: 0, total: 0 });
+
+  // Finished quests carry the XP they earned; open ones have earned XP for the steps done so far
+  const xpEarned = done.reduce((sum, quest) => sum + (quest.xpEarned || 0), 0) +
+    open.reduce((sum, task) => sum + sumEarnedXP(task.subtasks), 0);
+
+  const total = open.length + done.length;
+  const daysToGoal = project.goalDate ? differenceInCalendarDays(parseISO(project.goalDate), now) : null;
+
+  let goalStatus = 'none';
+  if (total > 0 && open.length === 0) {
+    goalStatus = 'done';
+  } else if (daysToGoal !== null) {
+    goalStatus = daysToGoal < 0 ? 'overdue' : daysToGoal <= 7 ? 'soon' : 'on-track';
+  }
+
+  return {
+    openQuests: open.length,
+    completedQuests: done.length,
+    percent: total > 0 ? Math.round((done.length / total) * 100) : 0,
+    stepsDone: steps.done,
+    stepsTotal: steps.total,
+    xpEarned,
+    daysToGoal,
+    goalStatus,
+  };
+};
+
+export default {
+  PROJECT_COLORS,
+  PROJECT_ICONS,
+  ALL_PROJECTS,
+  NO_PROJECT,
+  loadProjects,
+  saveProjects,
+  getLiveProjects,
+  getTaskProject,
+  matchesProject,
+  filterByProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  getProjectProgress
+};
@@ -0,0 +1,334 @@
+/**
+ * Quick-Add Parser
+ *
+ * Turns a single line like "call dentist tomorrow 3pm !high #health ~15m"
+ * into the fields of a new quest:
+ *   { title, dueDate, dueTime, priority, tags, estimatedMinutes, tokens }
+ *
+ * Recognised markers:
+ * - #tag                        tags (any number)
+ * - !high / !medium / !low      priority (also !h, !m, !l and !1 - !3)
+ * - ~15m, ~1h, ~1h30m, ~90      estimate (plain numbers are minutes)
+ * - dates: today, tonight, tomorrow, day after tomorrow, next week/month,
+ *   in 3 days/weeks/months, (next/this) friday, oct 25, 25 oct, 10/25, 2026-10-25
+ * - times: 3pm, 3:30pm, 15:00, noon, midnight
+ * "on", "by", "due" and "at" in front of a date or time are dropped too.
+ *
+ * Weekday and month names, numeric date order (10/25 vs 25/10) and the first
+ * day of the week come from the date-fns locale, so they follow the user's
+ * language settings. Dates are stored like TaskInput's date field ('yyyy-MM-dd')
+ * and times as 'HH:mm'.
+ *
+ * Every recognised marker is listed in `tokens` for the preview chips. Passing
+ * a token's key in `ignore` keeps that marker as part of the title instead.
+ */
+
+import {
+  addDays,
+  addWeeks,
+  addMonths,
+  startOfWeek,
+  format,
+  isValid,
+  isBefore,
+  startOfDay,
+  setYear,
+} from 'date-fns';
+import { enUS, enGB, enAU, enCA, de, fr, es, it, nl } from 'date-fns/locale';
+
+const DATE_LOCALES = { 'en-US': enUS, 'en-GB': enGB, 'en-AU': enAU, 'en-CA': enCA, de, fr, es, it, nl };
+
+/**
+ * Pick the date-fns locale for a language tag such as 'en-GB' or 'de-AT'
+ * Falls back to the base language, then to en-US
+ */
+export const getDateLocale = (language = typeof navigator !== 'undefined' ? navigator.language : 'en-US') => {
+  if (!language) return enUS;
+  return DATE_LOCALES[language] || DATE_LOCALES[language.split('-')[0]] || enUS;
+};
+
+const PRIORITIES = {
+  high: 'high', h: 'high', 1: 'high',
+  medium: 'medium', med: 'medium', m: 'medium', 2: 'medium',
+  low: 'low', l: 'low', 3: 'low',
+};
+
+const CONNECTORS = ['on', 'by', 'due', 'at'];
+
+const UNITS = {
+  day: addDays, days: addDays,
+  week: addWeeks, weeks: addWeeks,
+  month: addMonths, months: addMonths,
+};
+
+const clean = (word = '') => word.toLowerCase().replace(/[,;]+$/, '');
+
+/**
+ * Lowercase weekday and month names for a locale, with 3-letter abbreviations
+ * Returns: { weekdays, weekdayAbbreviations, months } mapping names to 0-6 / 0-11
+ */
+const getLocaleNames = (locale) => {
+  const weekdays = {};
+  const weekdayAbbreviations = {};
+  const months = {};
+  const add = (map, name, index) => {
+    const lower = name.toLowerCase().replace(/\.$/, '');
+    map[lower] = index;
+    if (lower.length > 3) map[lower.slice(0, 3)] = index;
+  };
+
+  for (let day = 0; day < 7; day++) {
+    weekdays[locale.localize.day(day, { width: 'wide' }).toLowerCase()] = day;
+    add(weekdayAbbreviations, locale.localize.day(day, { width: 'wide' }), day);
+    add(weekdayAbbreviations, locale.localize.day(day, { width: 'abbreviated' }), day);
+  }
+  for (let month = 0; month < 12; month++) {
+    add(months, locale.localize.month(month, { width: 'wide' }), month);
+    add(months, locale.localize.month(month, { width: 'abbreviated' }), month);
+  }
+  return { weekdays, weekdayAbbreviations, months };
+};
+
+/**
+ * Whether the locale writes numeric dates day-first (25/10) rather than month-first (10/25)
+ */
+const isDayFirst = (locale) => {
+  const pattern = locale.formatLong.date({ width: 'short' });
+  return pattern.indexOf('d') < pattern.indexOf('M');
+};
+
+/**
+ * Dates without a year mean the next time that day comes round
+ */
+const upcoming = (date, today) => (isBefore(date, today) ? setYear(date, date.getFullYear() + 1) : date);
+
+const buildDate = (year, month, day) => {
+  const date = new Date(year, month, day);
+  return isValid(date) && date.getMonth() === month && date.getDate() === day ? date : null;
+};
+
+/**
+ * Try to read a date from the words starting at index
+ * `anchored` is true after "on"/"by"/"due", which makes short weekday names
+ * like "sat" safe to read as dates
+ * Returns: { date, length } or null
+ */
+const matchDate = (words, index, today, locale, names, anchored = false) => {
+  const [w0, w1, w2] = [words[index], words[index + 1], words[index + 2]].map(clean);
+
+  if (w0 === 'today' || w0 === 'tonight') return { date: today, length: 1 };
+  if (w0 === 'tomorrow' || w0 === 'tmrw' || w0 === 'tmr') return { date: addDays(today, 1), length: 1 };
+  if (w0 === 'day' && w1 === 'after' && w2 === 'tomorrow') return { date: addDays(today, 2), length: 3 };
+
+  if (w0 === 'next' && w1 === 'week') {
+    return { date: addWeeks(startOfWeek(today, { locale }), 1), length: 2 };
+  }
+  if (w0 === 'next' && w1 === 'month') {
+    return { date: addMonths(new Date(today.getFullYear(), today.getMonth(), 1), 1), length: 2 };
+  }
+
+  // "in 3 days", "in a week"
+  if (w0 === 'in' && UNITS[w2]) {
+    const amount = w1 === 'a' || w1 === 'an' ? 1 : Number(w1);
+    if (Number.isInteger(amount) && amount > 0) return { date: UNITS[w2](today, amount), length: 3 };
+  }
+
+  // "friday", "next fri", "this friday"
+  const hasPrefix = (w0 === 'next' || w0 === 'this') && names.weekdayAbbreviations[w1] !== undefined;
+  const weekday = hasPrefix || anchored ? names.weekdayAbbreviations[hasPrefix ? w1 : w0] : names.weekdays[w0];
+  if (weekday !== undefined) {
+    let ahead = (weekday - today.getDay() + 7) % 7;
+    if (w0 === 'next' && ahead === 0) ahead = 7;
+    return { date: addDays(today, ahead), length: hasPrefix ? 2 : 1 };
+  }
+
+  // "oct 25", "october 25th", "25 oct"
+  const dayNumber = (word) => {
+    const match = /^(\d{1,2})(st|nd|rd|th)?$/.exec(word || '');
+    return match ? Number(match[1]) : null;
+  };
+  if (names.months[w0] !== undefined && dayNumber(w1)) {
+    const date = buildDate(today.getFullYear(), names.months[w0], dayNumber(w1));
+    if (date) return { date: upcoming(date, today), length: 2 };
+  }
+  if (dayNumber(w0) && names.months[w1] !== undefined) {
+    const date = buildDate(today.getFullYear(), names.months[w1], dayNumber(w0));
+    if (date) return { date: upcoming(date, today), length: 2 };
+  }
+
+  // "2026-10-25"
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(w0 || '');
+  if (iso) {
+    const date = buildDate(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    if (date) return { date, length: 1 };
+  }
+
+  // "10/25", "25.10.2026" - order depends on the locale
+  const numeric = /^(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2}|\d{4}))?$/.exec(w0 || '');
+  if (numeric) {
+    const [first, second] = [Number(numeric[1]), Number(numeric[2])];
+    const [day, month] = isDayFirst(locale) ? [first, second] : [second, first];
+    const year = numeric[3] ? Number(numeric[3].length === 2 ? `20${numeric[3]}` : numeric[3]) : today.getFullYear();
+    const date = buildDate(year, month - 1, day);
+    if (date) return { date: numeric[3] ? date : upcoming(date, today), length: 1 };
+  }
+
+  return null;
+};
+
+/**
+ * Try to read a time of day from the words starting at index
+ * Returns: { time: 'HH:mm', length } or null
+ */
+const matchTime = (words, index) => {
+  const w0 = clean(words[index]);
+  const w1 = clean(words[index + 1]);
+
+  if (w0 === 'noon' || w0 === 'midday') return { time: '12:00', length: 1 };
+  if (w0 === 'midnight') return { time: '00:00', length: 1 };
+
+  const toTime = (hours, minutes, meridiem) => {
+    let h = hours;
+    if (meridiem) {
+      if (h < 1 || h > 12) return null;
+      h = (h % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+    if (h > 23 || minutes > 59) return null;
+    return `${String(h).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  };
+
+  // "3pm", "3:30pm", "15:00"
+  const match = /^(\d{1,2})(?::(\d{2}))?(am|pm)?$/.exec(w0 || '');
+  if (match && (match[2] || match[3])) {
+    const time = toTime(Number(match[1]), Number(match[2] || 0), match[3]);
+    if (time) return { time, length: 1 };
+  }
+
+  // "3 pm", "3:30 pm"
+  if (match && (w1 === 'am' || w1 === 'pm')) {
+    const time = toTime(Number(match[1]), Number(match[2] || 0), w1);
+    if (time) return { time, length: 2 };
+  }
+
+  return null;
+};
+
+/**
+ * Read "~15m", "~1h30m", "~1.5h" or "~20" (minutes)
+ */
+const matchEstimate = (word) => {
+  const match = /^~(?:(\d+(?:\.\d+)?)h(?:rs?)?)?(?:(\d+)(?:m|min|mins)?)?$/.exec(clean(word));
+  if (!match || (!match[1] && !match[2])) return null;
+  const minutes = Number(match[1] || 0) * 60 + Number(match[2] || 0);
+  return minutes > 0 ? Math.round(minutes) : null;
+};
+
+const formatEstimate = (minutes) => {
+  if (minutes < 60) return `${minutes}m`;
+  return minutes % 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes / 60}h`;
+};
+
+/**
+ * Parse a quick-add line
+ * options: { now, locale, ignore } - the current time, a date-fns locale
+ * (defaults to the browser's language) and token keys to leave in the title
+ * Returns: { title, dueDate, dueTime, priority, tags, estimatedMinutes, tokens }
+ * where tokens is [{ key, type, raw, label }] in the order they appear
+ */
+export const parseQuickAdd = (text = '', options = {}) => {
+  const locale = options.locale || getDateLocale();
+  const today = startOfDay(options.now || new Date());
+  const ignore = options.ignore || [];
+  const names = getLocaleNames(locale);
+  const words = text.trim().split(/\s+/).filter(Boolean);
+
+  const result = {
+    title: '',
+    dueDate: null,
+    dueTime: null,
+    priority: null,
+    tags: [],
+    estimatedMinutes: null,
+    tokens: [],
+  };
+  const titleWords = [];
+
+  // Returns false when the user asked to keep this marker as text
+  const addToken = (type, raw, label) => {
+    const key = `${type}:${raw.toLowerCase()}`;
+    if (ignore.includes(key)) return false;
+    result.tokens.push({ key, type, raw, label });
+    return true;
+  };
+
+  let index = 0;
+  while (index < words.length) {
+    const word = words[index];
+    const lower = clean(word);
+
+    // #tag
+    const tag = /^#([\w-]+)$/.exec(lower);
+    if (tag && addToken('tag', word, `#${tag[1]}`)) {
+      if (!result.tags.includes(tag[1])) result.tags.push(tag[1]);
+      index++;
+      continue;
+    }
+
+    // !priority
+    const priority = /^!(\w+)$/.exec(lower);
+    if (priority && PRIORITIES[priority[1]] && !result.priority &&
+      addToken('priority', word, PRIORITIES[priority[1]].toUpperCase())) {
+      result.priority = PRIORITIES[priority[1]];
+      index++;
+      continue;
+    }
+
+    // ~estimate
+    const estimate = matchEstimate(word);
+    if (estimate && result.estimatedMinutes === null && addToken('estimate', word, formatEstimate(estimate))) {
+      result.estimatedMinutes = estimate;
+      index++;
+      continue;
+    }
+
+    // Dates and times, with an optional "on"/"by"/"due"/"at" in front
+    const skip = CONNECTORS.includes(lower) ? 1 : 0;
+
+    const date = !result.dueDate && matchDate(words, index + skip, today, locale, names, skip > 0);
+    if (date) {
+      const raw = words.slice(index, index + skip + date.length).join(' ');
+      if (addToken('date', raw, format(date.date, 'EEE, MMM d', { locale }))) {
+        result.dueDate = format(date.date, 'yyyy-MM-dd');
+        index += skip + date.length;
+        continue;
+      }
+    }
+
+    const time = !result.dueTime && matchTime(words, index + skip);
+    if (time) {
+      const raw = words.slice(index, index + skip + time.length).join(' ');
+      const [hours, minutes] = time.time.split(':').map(Number);
+      if (addToken('time', raw, format(new Date(2000, 0, 1, hours, minutes), 'p', { locale }))) {
+        result.dueTime = time.time;
+        index += skip + time.length;
+        continue;
+      }
+    }
+
+    titleWords.push(word);
+    index++;
+  }
+
+  // A time on its own means today
+  if (result.dueTime && !result.dueDate) {
+    result.dueDate = format(today, 'yyyy-MM-dd');
+  }
+
+  result.title = titleWords.join(' ');
+  return result;
+};
+
+export default {
+  getDateLocale,
+  parseQuickAdd
+};
@@ -1,7 +1,13 @@
 /**
  * Rank System - Titles every 5 levels
+ *
+ * Once the player has prestiged (see xpSystem.js), their title comes from
+ * PRESTIGE_RANKS by star count instead, and is kept through the whole tier.
+ * Each prestige rank also unlocks an XP bar style (profile.xpBarStyle).
  */
 
+import { MAX_LEVEL } from './xpSystem';
+
 export const RANKS = [
   { level: 1, name: 'NOVICE', icon: '🌱', minLevel: 1, maxLevel: 5 },
   { level: 6, name: 'APPRENTICE', icon: '⚔️', minLevel: 6, maxLevel: 10 },
@@ -20,10 +26,49 @@ export const RANKS = [
   { level: 91, name: 'GOD MODE', icon: '👑', minLevel: 91, maxLevel: 100 }
 ];
 
+// The last rank is kept for every star past it
+export const PRESTIGE_RANKS = [
+  { prestige: 1, name: 'ASCENDED', icon: '🌠', minLevel: 1, maxLevel: MAX_LEVEL },
+  { prestige: 2, name: 'IMMORTAL', icon: '🔱', minLevel: 1, maxLevel: MAX_LEVEL },
+  { prestige: 3, name: 'CELESTIAL', icon: '🪐', minLevel: 1, maxLevel: MAX_LEVEL },
+  { prestige: 4, name: 'ETERNAL', icon: '♾️', minLevel: 1, maxLevel: MAX_LEVEL },
+  { prestige: 5, name: 'OMNIPOTENT', icon: '🌌', minLevel: 1, maxLevel: MAX_LEVEL }
+];
+
+export const XP_BAR_STYLES = [
+  { id: 'classic', name: 'Classic', prestige: 0 },
+  { id: 'gold', name: 'Gold', prestige: 1 },
+  { id: 'plasma', name: 'Plasma', prestige: 2 },
+  { id: 'starfield', name: 'Starfield', prestige: 3 },
+  { id: 'rainbow', name: 'Rainbow', prestige: 4 },
+  { id: 'void', name: 'Void', prestige: 5 }
+];
+
+/**
+ * Show prestige stars, e.g. '★★' (or '★7' past five)
+ */
+export const formatPrestige = (prestige = 0) => {
+  if (prestige <= 0) return '';
+  return prestige <= 5 ? '★'.repeat(prestige) : `★${prestige}`;
+};
+
 /**
- * Get rank info for a given level
+ * Get the XP bar styles unlocked at a prestige count
  */
-export const getRankForLevel = (level) => {
+export const getUnlockedXPBarStyles = (prestige = 0) => XP_BAR_STYLES.filter(style => style.prestige <= prestige);
+
+/**
+ * Get the XP bar style to show: the chosen one if it's unlocked, otherwise classic
+ */
+export const getXPBarStyle = (styleId, prestige = 0) => {
+  return getUnlockedXPBarStyles(prestige).find(style => style.id === styleId) || XP_BAR_STYLES[0];
+};
+
+/**
+ * Get rank info for a given level (and prestige count)
+ */
+export const getRankForLevel = (level, prestige = 0) => {
+  if (prestige > 0) return PRESTIGE_RANKS[Math.min(prestige, PRESTIGE_RANKS.length) - 1];
   if (level < 1) return RANKS[0];
   if (level > 100) return RANKS[RANKS.length - 1];
   
@@ -37,9 +82,12 @@ export const getRankForLevel = (level) => {
 };
 
 /**
- * Get next rank info
+ * Get next rank info (prestige ranks are reached by prestiging at MAX_LEVEL)
  */
-export const getNextRank = (level) => {
+export const getNextRank = (level, prestige = 0) => {
+  if (prestige > 0) return PRESTIGE_RANKS[prestige] || null;
+  if (level >= MAX_LEVEL) return PRESTIGE_RANKS[0];
+
   const currentRank = getRankForLevel(level);
   const currentIndex = RANKS.findIndex(r => r.name === currentRank.name);
   
@@ -53,15 +101,15 @@ export const getNextRank = (level) => {
 /**
  * Calculate progress to next rank
  */
-export const getRankProgress = (level) => {
-  const currentRank = getRankForLevel(level);
+export const getRankProgress = (level, prestige = 0) => {
+  const currentRank = getRankForLevel(level, prestige);
   const levelsInRank = currentRank.maxLevel - currentRank.minLevel + 1;
   const levelInCurrentRank = level - currentRank.minLevel;
   const progress = (levelInCurrentRank / levelsInRank) * 100;
   
   return {
     currentRank,
-    nextRank: getNextRank(level),
+    nextRank: getNextRank(level, prestige),
     levelsToNextRank: currentRank.maxLevel - level + 1,
     progressPercent: Math.round(progress)
   };
@@ -69,6 +117,11 @@ export const getRankProgress = (level) => {
 
 export default {
   RANKS,
+  PRESTIGE_RANKS,
+  XP_BAR_STYLES,
+  formatPrestige,
+  getUnlockedXPBarStyles,
+  getXPBarStyle,
   getRankForLevel,
   getNextRank,
   getRankProgress
@@ -0,0 +1,431 @@
+/**
+ * Recurrence Engine
+ *
+ * Turns a task's `recurring` field into a schedule and regenerates
+ * recurring tasks when they are completed or when their period rolls over.
+ *
+ * Supported rules:
+ * - Presets: 'none', 'daily', 'weekdays', 'weekly', 'monthly', 'yearly'
+ * - RRULE-style strings: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10'
+ *   (FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT and UNTIL)
+ *
+ * Missed occurrence policies:
+ * - 'skip': the schedule stays fixed; missed occurrences are skipped and the
+ *   task jumps to the next upcoming date
+ * - 'shift': the schedule moves; the next occurrence is counted from the day
+ *   the task was actually completed
+ */
+
+import {
+  addDays,
+  addWeeks,
+  addMonths,
+  addYears,
+  startOfDay,
+  startOfWeek,
+  startOfMonth,
+  getDaysInMonth,
+  isAfter,
+  isBefore,
+  parseISO,
+  format,
+} from 'date-fns';
+import { resetSubtaskTree } from './subtaskTree';
+import { initialStatus } from './taskStatus';
+
+export const MISSED_POLICIES = ['skip', 'shift'];
+
+export const RECURRENCE_PRESETS = {
+  daily: 'FREQ=DAILY',
+  weekdays: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+  weekly: 'FREQ=WEEKLY',
+  monthly: 'FREQ=MONTHLY',
+  yearly: 'FREQ=YEARLY',
+};
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Offsets from a Monday-based week start
+const WEEKDAYS = { MO: 0, TU: 1, WE: 2, TH: 3, FR: 4, SA: 5, SU: 6 };
+
+// Safety valve so a malformed rule can never spin forever
+const MAX_PERIODS = 5000;
+
+/**
+ * Parse a date-only or ISO string as a local date
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  const date = parseISO(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date the same way TaskInput stores due dates
+ */
+export const formatOccurrenceDate = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * Parse a `recurring` value into a rule object
+ * Returns null for 'none' or anything that isn't a valid rule
+ */
+export const parseRecurrenceRule = (recurring) => {
+  if (!recurring || recurring === 'none') return null;
+
+  const source = RECURRENCE_PRESETS[recurring] || recurring;
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+
+  const parts = source.replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [rawKey, rawValue] = part.split('=');
+    const key = rawKey?.trim().toUpperCase();
+    const value = rawValue?.trim().toUpperCase();
+
+    if (!key || !value) return null;
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) return null;
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) return null;
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',');
+        if (rule.byDay.some((day) => !(day in WEEKDAYS))) return null;
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map((day) => parseInt(day, 10));
+        if (rule.byMonthDay.some((day) => !day || day < -31 || day > 31)) return null;
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        if (!Number.isInteger(rule.count) || rule.count < 1) return null;
+        break;
+      case 'UNTIL': {
+        const compact = value.match(/^(\d{4})(\d{2})(\d{2})/);
+        const until = compact ? toDate(`${compact[1]}-${compact[2]}-${compact[3]}`) : toDate(value);
+        if (!until) return null;
+        rule.until = startOfDay(until);
+        break;
+      }
+      default:
+        return null;
+    }
+  }
+
+  return rule.freq ? rule : null;
+};
+
+/**
+ * Check whether a `recurring` value describes a usable rule
+ */
+export const isValidRecurrence = (recurring) => {
+  return recurring === 'none' || parseRecurrenceRule(recurring) !== null;
+};
+
+/**
+ * Serialize a rule back into an RRULE string
+ */
+export const toRRuleString = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${format(rule.until, 'yyyyMMdd')}`);
+
+  return parts.join(';');
+};
+
+/**
+ * Convert a rule into ical-generator repeating options
+ */
+export const toICalRepeating = (rule) => {
+  const repeating = { freq: rule.freq, interval: rule.interval };
+
+  if (rule.byDay.length > 0) repeating.byDay = rule.byDay.map((day) => day.toLowerCase());
+  if (rule.byMonthDay.length > 0) repeating.byMonthDay = rule.byMonthDay;
+  if (rule.count) repeating.count = rule.count;
+  if (rule.until) repeating.until = rule.until;
+
+  return repeating;
+};
+
+/**
+ * Human readable summary of a rule, e.g. "Every 2 weeks on MO, TH"
+ */
+export const describeRecurrence = (recurring) => {
+  const rule = parseRecurrenceRule(recurring);
+  if (!rule) return 'Does not repeat';
+
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  const unit = units[rule.freq];
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+
+  if (rule.byDay.length > 0) text += ` on ${rule.byDay.join(', ')}`;
+  if (rule.byMonthDay.length > 0) text += ` on day ${rule.byMonthDay.join(', ')}`;
+  if (rule.count) text += `, ${rule.count} times`;
+  if (rule.until) text += `, until ${formatOccurrenceDate(rule.until)}`;
+
+  return text;
+};
+
+/**
+ * Candidate dates for the n-th period of a rule, in chronological order
+ */
+const getPeriodCandidates = (rule, anchor, period) => {
+  const step = period * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [addDays(anchor, step)];
+
+    case 'WEEKLY': {
+      if (rule.byDay.length === 0) return [addWeeks(anchor, step)];
+      const weekStart = addWeeks(startOfWeek(anchor, { weekStartsOn: 1 }), step);
+      return rule.byDay
+        .map((day) => WEEKDAYS[day])
+        .sort((a, b) => a - b)
+        .map((offset) => addDays(weekStart, offset));
+    }
+
+    case 'MONTHLY': {
+      if (rule.byMonthDay.length === 0) return [addMonths(anchor, step)];
+      const monthStart = addMonths(startOfMonth(anchor), step);
+      const daysInMonth = getDaysInMonth(monthStart);
+      return rule.byMonthDay
+        .map((day) => (day < 0 ? daysInMonth + day + 1 : day))
+        .filter((day) => day >= 1 && day <= daysInMonth)
+        .sort((a, b) => a - b)
+        .map((day) => addDays(monthStart, day - 1));
+    }
+
+    case 'YEARLY':
+      return [addYears(anchor, step)];
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Walk the occurrences of a rule starting at the anchor date
+ */
+function* iterateOccurrences(rule, anchorDate) {
+  const anchor = startOfDay(anchorDate);
+  let emitted = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const date of getPeriodCandidates(rule, anchor, period)) {
+      if (isBefore(date, anchor)) continue;
+      if (rule.until && isAfter(date, rule.until)) return;
+      if (rule.count && emitted >= rule.count) return;
+
+      emitted++;
+      yield date;
+    }
+  }
+}
+
+/**
+ * Get the first occurrence strictly after a given date
+ * Returns null when the rule has run out (COUNT/UNTIL)
+ */
+export const getNextOccurrence = (rule, anchorDate, afterDate) => {
+  const after = startOfDay(afterDate);
+
+  for (const date of iterateOccurrences(rule, anchorDate)) {
+    if (isAfter(date, after)) return date;
+  }
+
+  return null;
+};
+
+/**
+ * Expand all occurrences of a rule that fall inside [rangeStart, rangeEnd]
+ * Used by CalendarView to project future instances
+ */
+export const expandOccurrences = (rule, anchorDate, rangeStart, rangeEnd, limit = 366) => {
+  const start = startOfDay(rangeStart);
+  const end = startOfDay(rangeEnd);
+  const occurrences = [];
+
+  for (const date of iterateOccurrences(rule, anchorDate)) {
+    if (isAfter(date, end) || occurrences.length >= limit) break;
+    if (!isBefore(date, start)) occurrences.push(date);
+  }
+
+  return occurrences;
+};
+
+/**
+ * Anchor date a task's schedule is counted from
+ */
+export const getRecurrenceAnchor = (task) => {
+  return toDate(task.recurrenceAnchor) || toDate(task.dueDate) || toDate(task.createdAt) || new Date();
+};
+
+/**
+ * Work out the due date of the instance that follows a completed one
+ */
+export const getNextDueDate = (task, completedAt = new Date()) => {
+  const rule = parseRecurrenceRule(task.recurring);
+  if (!rule) return null;
+
+  const occurrence = task.occurrence || 1;
+  if (rule.count && occurrence >= rule.count) return null;
+
+  const completedDay = startOfDay(toDate(completedAt) || new Date());
+
+  if (task.missedPolicy === 'shift') {
+    // Re-anchor the schedule on the day the work actually happened
+    const next = getNextOccurrence({ ...rule, count: null }, completedDay, completedDay);
+    return next ? { dueDate: next, anchor: next } : null;
+  }
+
+  // Skip: keep the original schedule and jump past anything already missed
+  const anchor = getRecurrenceAnchor(task);
+  const currentDue = toDate(task.dueDate) || completedDay;
+  const after = isAfter(currentDue, completedDay) ? currentDue : completedDay;
+  const next = getNextOccurrence(rule, anchor, after);
+
+  return next ? { dueDate: next, anchor } : null;
+};
+
+const defaultGenerateId = () => {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+};
+
+/**
+ * Fields the next instance of a series takes from the one just finished.
+ * Anything else (completion data, AI breakdowns, board position, snoozes,
+ * deferrals and blockers) belongs to the finished instance and starts fresh:
+ * what blocked it is usually done by now, just like its steps' blockers.
+ */
+const CARRIED_OVER_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'dread',
+  'tags',
+  'dueTime',
+  'estimatedMinutes',
+  'projectId',
+  'sourceCapture',
+  'recurring',
+  'missedPolicy',
+  'speedrunMode',
+];
+
+/**
+ * Create the next instance of a recurring task with fresh subtasks
+ * Returns null if the task doesn't recur or the series has ended
+ */
+export const spawnNextInstance = (task, completedAt = new Date(), generateId = defaultGenerateId) => {
+  const next = getNextDueDate(task, completedAt);
+  if (!next) return null;
+
+  const carried = {};
+  CARRIED_OVER_FIELDS.forEach(field => {
+    if (field in task) carried[field] = task[field];
+  });
+
+  return {
+    ...carried,
+    id: generateId(),
+    createdAt: new Date().toISOString(),
+    dueDate: formatOccurrenceDate(next.dueDate),
+    recurrenceAnchor: formatOccurrenceDate(next.anchor),
+    seriesId: task.seriesId || task.id,
+    occurrence: (task.occurrence || 1) + 1,
+    skippedOccurrences: 0,
+    subtasks: resetSubtaskTree(task.subtasks || [], generateId),
+    ...initialStatus(),
+  };
+};
+
+/**
+ * Roll recurring tasks over into the current period
+ *
+ * Tasks using the 'skip' policy whose due date has passed move forward to the
+ * next upcoming occurrence (progress is kept). 'shift' tasks stay overdue until
+ * they are completed, at which point the schedule moves with them.
+ *
+ * Returns { tasks, changed }
+ */
+export const rollOverRecurringTasks = (tasks, now = new Date()) => {
+  const today = startOfDay(now);
+  let changed = false;
+
+  const rolled = tasks.map((task) => {
+    const rule = parseRecurrenceRule(task.recurring);
+    const dueDate = toDate(task.dueDate);
+
+    if (!rule || !dueDate || task.missedPolicy === 'shift' || !isBefore(dueDate, today)) {
+      return task;
+    }
+
+    const anchor = getRecurrenceAnchor(task);
+    const yesterday = addDays(today, -1);
+    const next = getNextOccurrence(rule, anchor, yesterday);
+
+    if (!next) return task;
+
+    const missed = expandOccurrences(rule, anchor, dueDate, yesterday).length;
+    changed = true;
+
+    return {
+      ...task,
+      dueDate: formatOccurrenceDate(next),
+      recurrenceAnchor: formatOccurrenceDate(anchor),
+      occurrence: (task.occurrence || 1) + missed,
+      skippedOccurrences: (task.skippedOccurrences || 0) + missed,
+    };
+  });
+
+  return { tasks: rolled, changed };
+};
+
+/**
+ * Project the occurrences of recurring tasks inside a date range
+ * Returns a map of 'yyyy-MM-dd' -> array of tasks scheduled that day
+ */
+export const getRecurringOccurrencesByDate = (tasks, rangeStart, rangeEnd) => {
+  const byDate = {};
+
+  tasks.forEach((task) => {
+    const rule = parseRecurrenceRule(task.recurring);
+    if (!rule) return;
+
+    expandOccurrences(rule, getRecurrenceAnchor(task), rangeStart, rangeEnd).forEach((date) => {
+      const key = formatOccurrenceDate(date);
+      byDate[key] = [...(byDate[key] || []), task];
+    });
+  });
+
+  return byDate;
+};
+
+export default {
+  MISSED_POLICIES,
+  RECURRENCE_PRESETS,
+  parseRecurrenceRule,
+  isValidRecurrence,
+  toRRuleString,
+  toICalRepeating,
+  describeRecurrence,
+  getNextOccurrence,
+  expandOccurrences,
+  getRecurrenceAnchor,
+  getNextDueDate,
+  spawnNextInstance,
+  rollOverRecurringTasks,
+  getRecurringOccurrencesByDate,
+  formatOccurrenceDate,
+};
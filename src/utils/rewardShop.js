@@ -0,0 +1,269 @@
+/**
+ * Reward Shop
+ *
+ * Coins are earned alongside XP: one coin for every XP_PER_COIN XP. They are
+ * counted from the XP ledger (see xpLedger.js), so taking a step back takes
+ * its coins back too, and they sync with the ledger. Only entries for a quest
+ * or step (and XP carried over from before the ledger) count: entries that
+ * just move the total, like an XP reset or the balance a recalculation adds
+ * back afterwards, leave the coins alone, so the same XP never pays twice.
+ *
+ * The player makes up their own real-world rewards, saved in adhd_quest_rewards:
+ * { id, name, icon, price, cooldownHours, createdAt, updated_at, deletedAt }
+ * Deleting a reward only marks it deleted, so the deletion syncs.
+ *
+ * Buying one adds a purchase to adhd_quest_purchases, which is only ever
+ * added to (purchases are joined by id when syncing):
+ * { id, rewardId, name, icon, price, purchasedAt, deviceId }
+ * The coin balance is the coins earned less the coins spent.
+ */
+
+import { addHours, addWeeks, startOfWeek } from 'date-fns';
+import { getDeviceId } from './xpLedger';
+
+const REWARDS_KEY = 'adhd_quest_rewards';
+const PURCHASES_KEY = 'adhd_quest_purchases';
+
+export const XP_PER_COIN = 10;
+export const REWARD_ICONS = ['🎁', '🎮', '☕', '🍫', '📺', '🛁', '🎧', '🍕'];
+
+const MAX_NAME_LENGTH = 50;
+const MAX_PRICE = 100000;
+
+const loadList = (key, what) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error(`Error loading ${what}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Load every saved reward, including deleted ones (needed for syncing)
+ */
+export const loadRewards = () => loadList(REWARDS_KEY, 'rewards');
+
+/**
+ * Save the rewards
+ */
+export const saveRewards = (rewards) => {
+  localStorage.setItem(REWARDS_KEY, JSON.stringify(rewards));
+};
+
+/**
+ * Load the purchase history, oldest first
+ */
+export const loadPurchases = () => loadList(PURCHASES_KEY, 'purchases');
+
+/**
+ * Save the purchase history (only for adding purchases: use purchaseReward, or mergePurchases when syncing)
+ */
+export const savePurchases = (purchases) => {
+  localStorage.setItem(PURCHASES_KEY, JSON.stringify(purchases));
+};
+
+/**
+ * Get the rewards that haven't been deleted, cheapest first
+ */
+export const getLiveRewards = (rewards = []) => rewards
+  .filter(reward => !reward.deletedAt)
+  .sort((a, b) => a.price - b.price);
+
+const earnsCoins = (entry) => Boolean(entry.taskId) || entry.source === 'opening';
+
+/**
+ * Count the coins earned from the XP ledger (up to a time, if given)
+ */
+export const getCoinsEarned = (ledger = [], until = null) => {
+  const xp = ledger
+    .filter(entry => earnsCoins(entry) && (!until || new Date(entry.createdAt) < until))
+    .reduce((sum, entry) => sum + (entry.xp || 0), 0);
+  return Math.max(0, Math.floor(xp / XP_PER_COIN));
+};
+
+/**
+ * Work out the coins earned, spent and left
+ * Returns: { earned, spent, balance }
+ */
+export const getCoinBalance = (ledger = [], purchases = []) => {
+  const earned = getCoinsEarned(ledger);
+  const spent = purchases.reduce((sum, purchase) => sum + (purchase.price || 0), 0);
+  return { earned, spent, balance: earned - spent };
+};
+
+const validateReward = (rewards, { name, price, cooldownHours }, rewardId) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Give the reward a name, like "30 min gaming".';
+  if (trimmed.length > MAX_NAME_LENGTH) return `Reward names can be at most ${MAX_NAME_LENGTH} characters.`;
+
+  const taken = getLiveRewards(rewards).some(reward =>
+    reward.id !== rewardId && reward.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (taken) return `There is already a reward called "${trimmed}".`;
+
+  if (!Number.isInteger(price) || price < 1 || price > MAX_PRICE) {
+    return `The price should be a whole number of coins from 1 to ${MAX_PRICE.toLocaleString()}.`;
+  }
+  if (!Number.isFinite(cooldownHours) || cooldownHours < 0) return 'The cooldown should be 0 or more hours.';
+  return null;
+};
+
+/**
+ * Add a reward
+ * data: { name, icon, price, cooldownHours }
+ * Returns: { rewards, reward } or { error }
+ */
+export const createReward = (rewards, data, now = new Date(), id = `reward-${now.getTime()}`) => {
+  const fields = { ...data, cooldownHours: data.cooldownHours || 0 };
+  const error = validateReward(rewards, fields);
+  if (error) return { error };
+
+  const stamp = now.toISOString();
+  const reward = {
+    id,
+    name: fields.name.trim(),
+    icon: fields.icon || REWARD_ICONS[0],
+    price: fields.price,
+    cooldownHours: fields.cooldownHours,
+    createdAt: stamp,
+    updated_at: stamp,
+    deletedAt: null,
+  };
+  return { rewards: [...rewards, reward], reward };
+};
+
+/**
+ * Change a reward's name, icon, price or cooldown (past purchases keep what they cost)
+ * Returns: { rewards } or { error }
+ */
+export const updateReward = (rewards, rewardId, changes, now = new Date()) => {
+  const reward = getLiveRewards(rewards).find(r => r.id === rewardId);
+  if (!reward) return { error: 'That reward no longer exists.' };
+
+  const updated = { ...reward, ...changes, id: reward.id };
+  const error = validateReward(rewards, updated, rewardId);
+  if (error) return { error };
+
+  return {
+    rewards: rewards.map(r => (r.id === rewardId
+      ? { ...updated, name: updated.name.trim(), updated_at: now.toISOString() }
+      : r)),
+  };
+};
+
+/**
+ * Delete a reward (its purchases stay in the history)
+ */
+export const deleteReward = (rewards, rewardId, now = new Date()) => {
+  const stamp = now.toISOString();
+  return rewards.map(reward => (reward.id === rewardId && !reward.deletedAt
+    ? { ...reward, deletedAt: stamp, updated_at: stamp }
+    : reward));
+};
+
+/**
+ * Check whether a reward has cooled down since it was last bought
+ * Returns: { ready, availableAt } (availableAt is null when ready)
+ */
+export const getCooldown = (reward, purchases = [], now = new Date()) => {
+  if (!reward.cooldownHours) return { ready: true, availableAt: null };
+
+  const last = purchases
+    .filter(purchase => purchase.rewardId === reward.id)
+    .reduce((latest, purchase) => (!latest || new Date(purchase.purchasedAt) > latest ? new Date(purchase.purchasedAt) : latest), null);
+  if (!last) return { ready: true, availableAt: null };
+
+  const availableAt = addHours(last, reward.cooldownHours);
+  return availableAt > now ? { ready: false, availableAt } : { ready: true, availableAt: null };
+};
+
+/**
+ * Buy a reward with coins
+ * Returns: { purchases, purchase } or { error }
+ */
+export const purchaseReward = (reward, purchases, balance, now = new Date(), deviceId = getDeviceId()) => {
+  if (!reward || reward.deletedAt) return { error: 'That reward no longer exists.' };
+  if (balance < reward.price) return { error: `You need ${reward.price - balance} more coins for "${reward.name}".` };
+
+  const { ready } = getCooldown(reward, purchases, now);
+  if (!ready) return { error: `"${reward.name}" is still cooling down.` };
+
+  const purchase = {
+    id: `purchase-${now.getTime()}-${Math.random().toString(36).substr(2, 6)}`,
+    rewardId: reward.id,
+    name: reward.name,
+    icon: reward.icon,
+    price: reward.price,
+    purchasedAt: now.toISOString(),
+    deviceId,
+  };
+  return { purchases: [...purchases, purchase], purchase };
+};
+
+/**
+ * Join two purchase histories; purchases with the same id are the same purchase
+ * Returns: the joined history, oldest first
+ */
+export const mergePurchases = (local = [], remote = []) => {
+  const byId = new Map();
+  [...local, ...remote].forEach(purchase => {
+    if (!byId.has(purchase.id)) byId.set(purchase.id, purchase);
+  });
+  return Array.from(byId.values()).sort((a, b) => new Date(a.purchasedAt) - new Date(b.purchasedAt));
+};
+
+/**
+ * Sum up a week (Monday to Sunday) of earning and spending
+ * Returns: { weekStart, weekEnd, earned, spent, lastWeekSpent, rewards: [{ rewardId, name, icon, count, coins }] }
+ *   (rewards: what was bought this week, most coins first)
+ */
+export const getWeeklySpendReport = (ledger = [], purchases = [], now = new Date()) => {
+  const weekStart = startOfWeek(now, { weekStartsOn: 1 });
+  const weekEnd = addWeeks(weekStart, 1);
+  const lastWeekStart = addWeeks(weekStart, -1);
+
+  const boughtBetween = (start, end) => purchases.filter(purchase => {
+    const time = new Date(purchase.purchasedAt);
+    return time >= start && time < end;
+  });
+  const total = (list) => list.reduce((sum, purchase) => sum + (purchase.price || 0), 0);
+
+  const thisWeek = boughtBetween(weekStart, weekEnd);
+  const byReward = {};
+  thisWeek.forEach(purchase => {
+    const line = byReward[purchase.rewardId] || { rewardId: purchase.rewardId, name: purchase.name, icon: purchase.icon, count: 0, coins: 0 };
+    line.count += 1;
+    line.coins += purchase.price || 0;
+    byReward[purchase.rewardId] = line;
+  });
+
+  return {
+    weekStart,
+    weekEnd,
+    earned: Math.max(0, getCoinsEarned(ledger, weekEnd) - getCoinsEarned(ledger, weekStart)),
+    spent: total(thisWeek),
+    lastWeekSpent: total(boughtBetween(lastWeekStart, weekStart)),
+    rewards: Object.values(byReward).sort((a, b) => b.coins - a.coins),
+  };
+};
+
+export default {
+  XP_PER_COIN,
+  REWARD_ICONS,
+  loadRewards,
+  saveRewards,
+  loadPurchases,
+  savePurchases,
+  getLiveRewards,
+  getCoinsEarned,
+  getCoinBalance,
+  createReward,
+  updateReward,
+  deleteReward,
+  getCooldown,
+  purchaseReward,
+  mergePurchases,
+  getWeeklySpendReport
+};
@@ -0,0 +1,305 @@
+/**
+ * Search Index
+ *
+ * One index over everything the player has written down:
+ * - task:  quests on the board (including archived ones)
+ * - step:  steps of those quests; they inherit the quest's tags, priority and due date
+ * - quest: completed quests (adhd_quest_completed)
+ * - note:  QuickCapture notes (adhd_quest_captures)
+ *
+ * Each source item is fingerprinted, so refreshing the index only re-reads
+ * the quests and notes that actually changed. Queries use the language in
+ * searchQuery.js.
+ *
+ * Saved searches live in adhd_quest_saved_searches:
+ * [{ id, name, query, pinned, createdAt }] - pinned ones show in the arcade.
+ */
+
+import { flattenSubtasks } from './subtaskTree';
+import { getTaskStatus } from './taskStatus';
+import { loadCaptures, isInInbox } from './captureInbox';
+import { tokenize, parseQuery, matchesFilter } from './searchQuery';
+
+const SAVED_SEARCHES_KEY = 'adhd_quest_saved_searches';
+
+export const SEARCH_SOURCES = ['tasks', 'completed', 'captures'];
+
+/**
+ * Create an empty index
+ */
+export const createSearchIndex = () => ({
+  docs: new Map(),      // docId -> document
+  postings: new Map(),  // word -> Set of docIds
+  items: new Map(),     // `${source}:${itemId}` -> { signature, docIds }
+});
+
+const isRecurring = (item) => Boolean(item.recurring) && item.recurring !== 'none';
+
+const taskDocs = (task) => {
+  const taskStatus = getTaskStatus(task);
+  const status = taskStatus === 'archived' ? 'archived' : taskStatus === 'completed' ? 'done' : 'open';
+  const shared = {
+    itemId: task.id,
+    tags: task.tags || [],
+    priority: task.priority || null,
+    dueDate: task.dueDate || null,
+    dueTime: task.dueTime || null,
+    recurring: isRecurring(task),
+    inbox: false,
+    snoozedUntil: task.snoozedUntil || null,
+    someday: Boolean(task.someday),
+  };
+
+  return [
+    {
+      ...shared,
+      id: `task:${task.id}`,
+      type: 'task',
+      title: task.title || '',
+      context: '',
+      status,
+      date: task.updated_at || task.createdAt || null,
+    },
+    ...flattenSubtasks(task.subtasks).map(({ subtask }) => ({
+      ...shared,
+      id: `step:${task.id}:${subtask.id}`,
+      type: 'step',
+      stepId: subtask.id,
+      title: subtask.text || '',
+      context: task.title || '',
+      status: status === 'open' && subtask.completed ? 'done' : status,
+      date: task.updated_at || task.createdAt || null,
+    })),
+  ];
+};
+
+const completedDocs = (quest) => [{
+  id: `quest:${quest.id}`,
+  type: 'quest',
+  itemId: quest.id,
+  title: quest.title || '',
+  context: flattenSubtasks(quest.subtasks).map(({ subtask }) => subtask.text).join(' '),
+  tags: quest.tags || [],
+  priority: quest.priority || null,
+  dueDate: quest.dueDate || null,
+  dueTime: quest.dueTime || null,
+  status: 'done',
+  recurring: isRecurring(quest),
+  inbox: false,
+  date: quest.completedAt || null,
+}];
+
+const captureDocs = (capture) => [{
+  id: `note:${capture.id}`,
+  type: 'note',
+  itemId: capture.id,
+  title: capture.text || '',
+  context: '',
+  tags: capture.tags || [],
+  priority: null,
+  dueDate: null,
+  dueTime: null,
+  status: isInInbox(capture) ? 'open' : capture.processedAs === 'archived' ? 'archived' : 'done',
+  recurring: false,
+  inbox: isInInbox(capture),
+  date: capture.createdAt || null,
+}];
+
+const BUILDERS = {
+  tasks: taskDocs,
+  completed: completedDocs,
+  captures: captureDocs,
+};
+
+const docWords = (doc) => new Set(tokenize(`${doc.title} ${doc.context} ${doc.tags.join(' ')}`));
+
+const addDoc = (index, doc) => {
+  index.docs.set(doc.id, doc);
+  docWords(doc).forEach(word => {
+    if (!index.postings.has(word)) index.postings.set(word, new Set());
+    index.postings.get(word).add(doc.id);
+  });
+};
+
+const removeDoc = (index, docId) => {
+  const doc = index.docs.get(docId);
+  if (!doc) return;
+  docWords(doc).forEach(word => {
+    const ids = index.postings.get(word);
+    if (!ids) return;
+    ids.delete(docId);
+    if (ids.size === 0) index.postings.delete(word);
+  });
+  index.docs.delete(docId);
+};
+
+/**
+ * Bring one source up to date with its current items, re-indexing only
+ * the items that changed (the index is updated in place)
+ * Returns: { added, updated, removed } counts of items
+ */
+export const indexSource = (index, source, items = []) => {
+  const build = BUILDERS[source];
+  const counts = { added: 0, updated: 0, removed: 0 };
+  if (!build) return counts;
+
+  const prefix = `${source}:`;
+  const seen = new Set();
+
+  items.forEach(item => {
+    if (!item || !item.id) return;
+    const key = prefix + item.id;
+    const signature = JSON.stringify(item);
+    const existing = index.items.get(key);
+    seen.add(key);
+
+    if (existing && existing.signature === signature) return;
+    if (existing) existing.docIds.forEach(docId => removeDoc(index, docId));
+
+    const docs = build(item);
+    docs.forEach(doc => addDoc(index, doc));
+    index.items.set(key, { signature, docIds: docs.map(doc => doc.id) });
+    counts[existing ? 'updated' : 'added'] += 1;
+  });
+
+  [...index.items.keys()]
+    .filter(key => key.startsWith(prefix) && !seen.has(key))
+    .forEach(key => {
+      index.items.get(key).docIds.forEach(docId => removeDoc(index, docId));
+      index.items.delete(key);
+      counts.removed += 1;
+    });
+
+  return counts;
+};
+
+// Documents with a word starting with the term
+const docsForTerm = (index, term) => {
+  const ids = new Set();
+  index.postings.forEach((docIds, word) => {
+    if (word.startsWith(term)) docIds.forEach(id => ids.add(id));
+  });
+  return ids;
+};
+
+const scoreDoc = (doc, terms, phrases) => {
+  const titleWords = tokenize(doc.title);
+  const title = doc.title.toLowerCase();
+  // A word in the title counts for more than one in the tags or parent quest
+  return terms.reduce((score, term) => score + (titleWords.some(word => word.startsWith(term)) ? 2 : 1), 0) +
+    phrases.reduce((score, phrase) => score + (title.includes(phrase) ? 3 : 1), 0);
+};
+
+/**
+ * Search the index with a query string (or an already parsed query)
+ * Returns: matching documents, best first, with their score
+ */
+export const searchIndex = (index, query, now = new Date()) => {
+  const parsed = typeof query === 'string' ? parseQuery(query, now) : query;
+  const { terms, phrases, filters, excluded } = parsed;
+
+  let candidates = null;
+  terms.forEach(term => {
+    const ids = docsForTerm(index, term);
+    candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+  });
+
+  const haystack = (doc) => `${doc.title} ${doc.context} ${doc.tags.join(' ')}`.toLowerCase();
+
+  return [...(candidates || index.docs.keys())]
+    .map(id => index.docs.get(id))
+    .filter(doc => phrases.every(phrase => haystack(doc).includes(phrase)))
+    .filter(doc => excluded.every(text => !text || !haystack(doc).includes(text)))
+    .filter(doc => filters.every(filter => matchesFilter(doc, filter, now) !== filter.negate))
+    .map(doc => ({ ...doc, score: scoreDoc(doc, terms, phrases) }))
+    .sort((a, b) => b.score - a.score || String(b.date || '').localeCompare(String(a.date || '')));
+};
+
+const readList = (key) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error(`Error loading ${key}:`, error);
+    return [];
+  }
+};
+
+let sharedIndex = null;
+
+/**
+ * Get the app-wide index, brought up to date with what's saved
+ * (only quests and notes that changed since the last call are re-indexed)
+ * The same index object comes back until something changes, so it can be
+ * kept in React state and compared by reference.
+ */
+export const getSearchIndex = () => {
+  if (!sharedIndex) sharedIndex = createSearchIndex();
+  const changed = [
+    indexSource(sharedIndex, 'tasks', readList('adhd_quest_tasks')),
+    indexSource(sharedIndex, 'completed', readList('adhd_quest_completed')),
+    indexSource(sharedIndex, 'captures', loadCaptures()),
+  ].some(counts => counts.added || counts.updated || counts.removed);
+
+  if (changed) sharedIndex = { ...sharedIndex };
+  return sharedIndex;
+};
+
+/**
+ * Load the saved searches
+ */
+export const loadSavedSearches = () => readList(SAVED_SEARCHES_KEY);
+
+const writeSavedSearches = (searches) => {
+  localStorage.setItem(SAVED_SEARCHES_KEY, JSON.stringify(searches));
+  return searches;
+};
+
+/**
+ * Save a search (a search with the same query is renamed instead of duplicated)
+ * Returns: the updated list
+ */
+export const saveSearch = (name, query, now = new Date()) => {
+  const searches = loadSavedSearches();
+  const trimmed = query.trim();
+  const label = name.trim() || trimmed;
+
+  if (searches.some(search => search.query === trimmed)) {
+    return writeSavedSearches(searches.map(search => (search.query === trimmed ? { ...search, name: label } : search)));
+  }
+
+  return writeSavedSearches([
+    ...searches,
+    { id: `search-${now.getTime()}`, name: label, query: trimmed, pinned: false, createdAt: now.toISOString() },
+  ]);
+};
+
+/**
+ * Pin or unpin a saved search
+ * Returns: the updated list
+ */
+export const toggleSearchPin = (searchId) => {
+  return writeSavedSearches(loadSavedSearches().map(search =>
+    search.id === searchId ? { ...search, pinned: !search.pinned } : search
+  ));
+};
+
+/**
+ * Delete a saved search
+ * Returns: the updated list
+ */
+export const deleteSavedSearch = (searchId) => {
+  return writeSavedSearches(loadSavedSearches().filter(search => search.id !== searchId));
+};
+
+export default {
+  SEARCH_SOURCES,
+  createSearchIndex,
+  indexSource,
+  searchIndex,
+  getSearchIndex,
+  loadSavedSearches,
+  saveSearch,
+  toggleSearchPin,
+  deleteSavedSearch
+};
@@ -0,0 +1,159 @@
+/**
+ * Search Query
+ *
+ * The small query language used by the search widget and saved searches:
+ *   laundry                 words match the start of any word (all must match)
+ *   "exact phrase"          matches the phrase as typed
+ *   tag:home                has the tag
+ *   priority:high           high, medium or low
+ *   due:today / due:none    due today / no due date
+ *   due:<7d  due:>=2w       due before / on or after a date relative to today (d, w)
+ *   due:<2026-11-01         due before / after / on a date
+ *   is:overdue              also is:open, is:done, is:archived, is:recurring, is:inbox, is:snoozed
+ *   type:task               also type:step, type:quest (completed), type:note
+ *   -tag:work  -"phrase"    a leading minus excludes matches
+ *
+ * Anything that isn't a known filter is searched for as text.
+ */
+
+import { addDays, format } from 'date-fns';
+import { isOverdue } from './taskStatus';
+import { isSnoozed } from './snooze';
+
+export const FILTER_KEYS = ['tag', 'priority', 'due', 'is', 'type'];
+export const PRIORITIES = ['high', 'medium', 'low'];
+export const IS_VALUES = ['overdue', 'open', 'done', 'archived', 'recurring', 'inbox', 'snoozed'];
+export const SEARCH_TYPES = ['task', 'step', 'quest', 'note'];
+
+const TOKEN_PATTERN = /(-?)(\w+):("[^"]*"|\S+)|(-?)"([^"]*)"?|(\S+)/g;
+
+/**
+ * Split text into lowercase words for indexing and matching
+ */
+export const tokenize = (text = '') => {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+};
+
+const formatDay = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * Parse the value of a due: filter
+ * Returns: { op, date } (op is one of < <= > >= =), { none: true }, or null if it isn't valid
+ */
+export const parseDueValue = (value, now = new Date()) => {
+  const lower = value.toLowerCase();
+  if (lower === 'none') return { none: true };
+  if (lower === 'today') return { op: '=', date: formatDay(now) };
+  if (lower === 'tomorrow') return { op: '=', date: formatDay(addDays(now, 1)) };
+
+  const match = lower.match(/^(<=|>=|<|>|=)?(?:(\d+)([dw])|(\d{4}-\d{2}-\d{2}))$/);
+  if (!match) return null;
+
+  const [, op = '=', amount, unit, date] = match;
+  if (date) return { op, date };
+  return { op, date: formatDay(addDays(now, Number(amount) * (unit === 'w' ? 7 : 1))) };
+};
+
+/**
+ * Parse a query string
+ * Returns: { terms, phrases, filters: [{ key, value, negate }], excluded, errors }
+ * where excluded holds negated words and phrases
+ */
+export const parseQuery = (input = '', now = new Date()) => {
+  const query = { terms: [], phrases: [], filters: [], excluded: [], errors: [] };
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(input)) !== null) {
+    const [raw, filterNegate, key, filterValue, phraseNegate, phrase, word] = match;
+
+    if (key && FILTER_KEYS.includes(key.toLowerCase())) {
+      const filter = { key: key.toLowerCase(), value: filterValue.replace(/^"|"$/g, ''), negate: filterNegate === '-' };
+      const error = validateFilter(filter, now);
+      if (error) {
+        query.errors.push(error);
+      } else {
+        query.filters.push(filter);
+      }
+    } else if (phrase !== undefined) {
+      const text = phrase.trim().toLowerCase();
+      if (text) (phraseNegate ? query.excluded : query.phrases).push(text);
+    } else {
+      // Plain words, and unknown key:value pairs, are searched as text
+      const text = word || raw;
+      const negate = text.startsWith('-') && text.length > 1;
+      const words = tokenize(negate ? text.slice(1) : text);
+      if (negate) {
+        query.excluded.push(words.join(' '));
+      } else {
+        query.terms.push(...words);
+      }
+    }
+  }
+
+  return query;
+};
+
+const validateFilter = ({ key, value }, now) => {
+  const lower = value.toLowerCase();
+  if (key === 'tag' && !value) return 'tag: needs a tag name';
+  if (key === 'priority' && !PRIORITIES.includes(lower)) return `Unknown priority "${value}" (use ${PRIORITIES.join(', ')})`;
+  if (key === 'is' && !IS_VALUES.includes(lower)) return `Unknown is:${value} (use ${IS_VALUES.join(', ')})`;
+  if (key === 'type' && !SEARCH_TYPES.includes(lower)) return `Unknown type:${value} (use ${SEARCH_TYPES.join(', ')})`;
+  if (key === 'due' && !parseDueValue(value, now)) return `Can't read due:${value} (try due:today, due:<7d or due:<2026-11-01)`;
+  return null;
+};
+
+const compareDates = (date, op, target) => {
+  switch (op) {
+    case '<': return date < target;
+    case '<=': return date <= target;
+    case '>': return date > target;
+    case '>=': return date >= target;
+    default: return date === target;
+  }
+};
+
+/**
+ * Check whether a search document passes one filter
+ * Documents look like { type, tags, priority, dueDate, dueTime, status, recurring, inbox, snoozedUntil, someday }
+ * where status is 'open', 'done' or 'archived'
+ */
+export const matchesFilter = (doc, { key, value }, now = new Date()) => {
+  const lower = value.toLowerCase();
+
+  switch (key) {
+    case 'tag':
+      return (doc.tags || []).some(tag => tag.toLowerCase() === lower);
+    case 'priority':
+      return doc.priority === lower;
+    case 'type':
+      return doc.type === lower;
+    case 'due': {
+      const due = parseDueValue(value, now);
+      if (due.none) return !doc.dueDate;
+      return Boolean(doc.dueDate) && compareDates(doc.dueDate, due.op, due.date);
+    }
+    case 'is':
+      switch (lower) {
+        case 'overdue': return doc.status === 'open' && isOverdue(doc, now);
+        case 'recurring': return Boolean(doc.recurring);
+        case 'inbox': return Boolean(doc.inbox);
+        case 'snoozed': return doc.status === 'open' && isSnoozed(doc, now);
+        default: return doc.status === lower;
+      }
+    default:
+      return true;
+  }
+};
+
+export default {
+  FILTER_KEYS,
+  PRIORITIES,
+  IS_VALUES,
+  SEARCH_TYPES,
+  tokenize,
+  parseDueValue,
+  parseQuery,
+  matchesFilter
+};
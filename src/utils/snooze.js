@@ -0,0 +1,230 @@
+/**
+ * Snooze
+ *
+ * "Not today": a snoozed quest leaves the board until its wake time, or
+ * until it is woken by hand if it was put off to someday. Snoozing sets
+ * these fields on the task:
+ * - snoozedUntil:    ISO time the quest comes back (null for someday)
+ * - someday:         true when there is no wake time
+ * - deferCount:      how many times the quest has been put off (never reset)
+ * - lastDeferredAt:  when it was last put off
+ * - reviewedDeferCount: deferCount when the player last chose to keep it in
+ *                    the weekly review, so it only comes up again if put off more
+ *
+ * Waking is worked out from the time, so nothing has to change on the task
+ * when a snooze runs out. The weekly review (last done time saved in
+ * adhd_quest_weekly_review) lists quests that keep getting put off.
+ */
+
+import { addDays, addHours, differenceInCalendarDays, format, isSameDay, nextMonday, parseISO, setHours, startOfDay } from 'date-fns';
+import { getLeafProgress } from './subtaskTree';
+import { isActiveTask } from './taskStatus';
+
+const REVIEW_KEY = 'adhd_quest_weekly_review';
+
+// One-click snoozes; the 'date' option takes a picked date instead
+export const SNOOZE_OPTIONS = [
+  { id: 'later', label: 'LATER TODAY' },
+  { id: 'tomorrow', label: 'TOMORROW' },
+  { id: 'nextWeek', label: 'NEXT WEEK' },
+  { id: 'someday', label: 'SOMEDAY' },
+];
+
+const LATER_TODAY_HOURS = 3;
+const WAKE_HOUR = 9; // snoozes to another day wake at 9am
+
+// Put off this many times (since the player last chose to keep it) and a quest comes up in the review
+export const CHRONIC_DEFERRALS = 3;
+const DROP_AFTER_DEFERRALS = 5;
+const DROP_AFTER_DAYS = 30;
+const REVIEW_EVERY_DAYS = 7;
+
+/**
+ * Work out when a snooze option wakes the quest
+ * date: 'YYYY-MM-DD', for the 'date' option
+ * Returns: { wakeAt } (null for someday) or { error }
+ */
+export const getWakeTime = (option, now = new Date(), date) => {
+  const morningOf = (day) => setHours(startOfDay(day), WAKE_HOUR);
+
+  switch (option) {
+    case 'later':
+      return { wakeAt: addHours(now, LATER_TODAY_HOURS) };
+    case 'tomorrow':
+      return { wakeAt: morningOf(addDays(now, 1)) };
+    case 'nextWeek':
+      return { wakeAt: morningOf(nextMonday(now)) };
+    case 'date': {
+      if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return { error: 'Pick a date to snooze until.' };
+      const day = parseISO(date);
+      if (differenceInCalendarDays(day, now) < 1) return { error: 'Pick a date after today.' };
+      return { wakeAt: morningOf(day) };
+    }
+    case 'someday':
+      return { wakeAt: null };
+    default:
+      return { error: `Unknown snooze option: ${option}` };
+  }
+};
+
+/**
+ * Check whether a quest is snoozed right now
+ */
+export const isSnoozed = (task, now = new Date()) => {
+  if (task.someday) return true;
+  return Boolean(task.snoozedUntil) && new Date(task.snoozedUntil) > now;
+};
+
+/**
+ * Put a quest off and count the deferral
+ * Returns: { task } or { error }
+ */
+export const snoozeTask = (task, option, { now = new Date(), date } = {}) => {
+  if (!isActiveTask(task)) return { error: 'Only quests on the board can be snoozed.' };
+
+  const { wakeAt, error } = getWakeTime(option, now, date);
+  if (error) return { error };
+
+  return {
+    task: {
+      ...task,
+      snoozedUntil: wakeAt ? wakeAt.toISOString() : null,
+      someday: wakeAt === null,
+      deferCount: (task.deferCount || 0) + 1,
+      lastDeferredAt: now.toISOString(),
+      updated_at: now.toISOString(),
+    },
+  };
+};
+
+/**
+ * Bring a snoozed quest back to the board now (its deferral count is kept)
+ */
+export const wakeTask = (task, now = new Date()) => ({
+  ...task,
+  snoozedUntil: null,
+  someday: false,
+  updated_at: now.toISOString(),
+});
+
+/**
+ * Describe when a snoozed quest comes back, e.g. 'later today at 3:00 PM' or 'Mon, Oct 26'
+ */
+export const describeWake = (task, now = new Date()) => {
+  if (task.someday || !task.snoozedUntil) return 'someday';
+
+  const wakeAt = new Date(task.snoozedUntil);
+  if (isSameDay(wakeAt, now)) return `later today at ${format(wakeAt, 'h:mm a')}`;
+  if (isSameDay(wakeAt, addDays(now, 1))) return 'tomorrow';
+  return format(wakeAt, 'EEE, MMM d');
+};
+
+/**
+ * Count the deferrals the player hasn't yet looked at in a review
+ */
+const unreviewedDeferrals = (task) => (task.deferCount || 0) - (task.reviewedDeferCount || 0);
+
+/**
+ * Suggest gentle ways to get a put-off quest moving: shrink, delegate or drop
+ * Returns: [{ type, reason }], the most fitting first
+ */
+export const getReviewSuggestions = (task, now = new Date()) => {
+  const { completed, total } = getLeafProgress(task.subtasks);
+  const deferrals = task.deferCount || 0;
+  const age = task.createdAt ? differenceInCalendarDays(now, new Date(task.createdAt)) : 0;
+
+  const shrink = {
+    type: 'shrink',
+    reason: total - completed > 0
+      ? 'Break the next step into something you could do in five minutes.'
+      : 'It might just be too big to start. Give it a tiny first step.',
+  };
+  const delegate = {
+    type: 'delegate',
+    reason: 'Could someone else do this, or do it with you?',
+  };
+  const drop = {
+    type: 'drop',
+    reason: age >= DROP_AFTER_DAYS
+      ? `It has been waiting ${age} days. It's fine to let it go.`
+      : `It has been put off ${deferrals} times. It's fine to let it go.`,
+  };
+
+  // Quests that have hung around a long time are offered the way out first
+  return deferrals >= DROP_AFTER_DEFERRALS || age >= DROP_AFTER_DAYS
+    ? [drop, shrink, delegate]
+    : [shrink, delegate, drop];
+};
+
+/**
+ * Build the weekly review: quests that keep getting put off, with suggestions
+ * Returns: { items: [{ task, deferrals, suggestions }], snoozedCount, somedayCount }
+ */
+export const getWeeklyReview = (tasks = [], now = new Date()) => {
+  const active = tasks.filter(isActiveTask);
+
+  const items = active
+    .filter(task => unreviewedDeferrals(task) >= CHRONIC_DEFERRALS)
+    .sort((a, b) => (b.deferCount || 0) - (a.deferCount || 0))
+    .map(task => ({ task, deferrals: task.deferCount || 0, suggestions: getReviewSuggestions(task, now) }));
+
+  return {
+    items,
+    snoozedCount: active.filter(task => isSnoozed(task, now)).length,
+    somedayCount: active.filter(task => task.someday).length,
+  };
+};
+
+/**
+ * Mark a quest as looked at in the review, so it only comes up again if it's put off more
+ */
+export const keepTask = (task, now = new Date()) => ({
+  ...task,
+  reviewedDeferCount: task.deferCount || 0,
+  updated_at: now.toISOString(),
+});
+
+/**
+ * Load when the weekly review was last done
+ * Returns: an ISO time, or null
+ */
+export const loadLastReview = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(REVIEW_KEY) || '{}');
+    return saved.lastReviewedAt || null;
+  } catch (error) {
+    console.error('Error loading weekly review:', error);
+    return null;
+  }
+};
+
+/**
+ * Record that the weekly review was done
+ */
+export const markReviewed = (now = new Date()) => {
+  localStorage.setItem(REVIEW_KEY, JSON.stringify({ lastReviewedAt: now.toISOString() }));
+};
+
+/**
+ * Check whether a week has passed since the last review
+ */
+export const isReviewDue = (lastReviewedAt, now = new Date()) => {
+  if (!lastReviewedAt) return true;
+  return differenceInCalendarDays(now, new Date(lastReviewedAt)) >= REVIEW_EVERY_DAYS;
+};
+
+export default {
+  SNOOZE_OPTIONS,
+  CHRONIC_DEFERRALS,
+  getWakeTime,
+  isSnoozed,
+  snoozeTask,
+  wakeTask,
+  describeWake,
+  getReviewSuggestions,
+  getWeeklyReview,
+  keepTask,
+  loadLastReview,
+  markReviewed,
+  isReviewDue
+};
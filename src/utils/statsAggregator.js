@@ -6,14 +6,20 @@
  */
 
 import { format, startOfDay, endOfDay, startOfWeek, endOfWeek, startOfMonth, endOfMonth, parseISO, differenceInDays } from 'date-fns';
+import { getLeafSteps } from './subtaskTree';
+import { buildTimeBlindnessReport } from './timeEstimates';
+import { ALL_PROJECTS, loadProjects, getLiveProjects, filterByProject, getProjectProgress } from './projects';
+import { getXPPolicy, recomputeXP } from './xpPolicy';
 
 class StatsAggregator {
   /**
    * Get all statistics for a date range
+   * projectFilter narrows task, XP and overview stats to one project (or to quests without one)
    */
-  getStats(startDate, endDate, granularity = 'daily') {
-    const tasks = this.loadTasks();
-    const completedQuests = this.loadCompletedQuests();
+  getStats(startDate, endDate, granularity = 'daily', projectFilter = ALL_PROJECTS) {
+    const projects = this.loadProjects();
+    const tasks = filterByProject(this.loadTasks(), projectFilter, projects);
+    const completedQuests = filterByProject(this.loadCompletedQuests(), projectFilter, projects);
     const pomodoroSessions = this.loadPomodoroSessions();
     const timeTrainerResults = this.loadTimeTrainerResults();
     const profile = this.loadProfile();
@@ -51,6 +57,13 @@ class StatsAggregator {
     }
   }
 
+  /**
+   * Load projects that haven't been deleted
+   */
+  loadProjects() {
+    return getLiveProjects(loadProjects());
+  }
+
   /**
    * Load pomodoro sessions
    */
@@ -106,7 +119,7 @@ class StatsAggregator {
       const key = this.getTimeKey(quest.completedAt, granularity);
       if (data[key]) {
         data[key].completed += 1;
-        data[key].subtasks += quest.subtasks?.length || 0;
+        data[key].subtasks += getLeafSteps(quest.subtasks).length;
         data[key].completionTime += quest.totalTime || 0;
       }
     });
@@ -172,12 +185,45 @@ class StatsAggregator {
       const key = this.getTimeKey(quest.completedAt, granularity);
       if (data[key]) {
         data[key].xpEarned += quest.xpEarned || 0;
+        data[key].streakXP += (quest.streakXP || 0) + (quest.streakBonus || 0);
       }
     });
 
     return this.formatTimeSeriesData(data);
   }
 
+  /**
+   * Preview what the XP earned so far would come to under an XP policy
+   * Returns: { previousTotal, totalXP, questChanges: [{ id, title, before, after }] }
+   */
+  getXPRecalculation(policy = getXPPolicy()) {
+    const completedQuests = this.loadCompletedQuests();
+    const result = recomputeXP(this.loadTasks(), completedQuests, policy);
+
+    const questChanges = result.completedQuests
+      .map((quest, index) => ({
+        id: quest.id,
+        title: quest.title,
+        before: completedQuests[index].xpEarned || 0,
+        after: quest.xpEarned,
+      }))
+      .filter(change => change.before !== change.after);
+
+    return { previousTotal: result.previousTotal, totalXP: result.totalXP, questChanges };
+  }
+
+  /**
+   * Get progress and XP earned for every project, most XP first
+   */
+  getProjectBreakdown(now = new Date()) {
+    const tasks = this.loadTasks();
+    const completedQuests = this.loadCompletedQuests();
+
+    return this.loadProjects()
+      .map(project => ({ project, ...getProjectProgress(project, tasks, completedQuests, now) }))
+      .sort((a, b) => b.xpEarned - a.xpEarned);
+  }
+
   /**
    * Get overview statistics
    */
@@ -185,7 +231,7 @@ class StatsAggregator {
     const totalTasks = completedQuests.length;
     const totalXP = profile.totalXP || 0;
     const currentLevel = profile.level || 1;
-    const totalSubtasks = completedQuests.reduce((sum, q) => sum + (q.subtasks?.length || 0), 0);
+    const totalSubtasks = completedQuests.reduce((sum, q) => sum + getLeafSteps(q.subtasks).length, 0);
 
     const totalFocusTime = pomodoroSessions
       .filter(s => s.type === 'focus')
@@ -263,6 +309,7 @@ class StatsAggregator {
         attempts: 0,
         totalAccuracy: 0,
         xpEarned: 0,
+        streakXP: 0, // part of xpEarned that came from streak multipliers and bonuses
       };
 
       // Increment date based on granularity
@@ -408,6 +455,13 @@ class StatsAggregator {
     };
   }
 
+  /**
+   * Compare AI step estimates with speedrun times (by tag, time of day and task size)
+   */
+  getTimeBlindnessReport() {
+    return buildTimeBlindnessReport(this.loadCompletedQuests());
+  }
+
   /**
    * Export statistics to cloud
    */
@@ -431,8 +485,8 @@ class StatsAggregator {
 const statsAggregator = new StatsAggregator();
 
 export default statsAggregator;
-export const getStats = (startDate, endDate, granularity) =>
-  statsAggregator.getStats(startDate, endDate, granularity);
+export const getStats = (startDate, endDate, granularity, projectFilter) =>
+  statsAggregator.getStats(startDate, endDate, granularity, projectFilter);
 export const getOverviewStats = () =>
   statsAggregator.getOverviewStats(
     statsAggregator.loadProfile(),
@@ -445,3 +499,9 @@ export const getHeatmapData = (year) =>
   statsAggregator.getHeatmapData(year);
 export const getBestPerformanceTimes = () =>
   statsAggregator.getBestPerformanceTimes();
+export const getXPRecalculation = (policy) =>
+  statsAggregator.getXPRecalculation(policy);
+export const getProjectBreakdown = () =>
+  statsAggregator.getProjectBreakdown();
+export const getTimeBlindnessReport = () =>
+  statsAggregator.getTimeBlindnessReport();
@@ -325,10 +325,28 @@ class StreakTracker {
   }
 
   /**
-   * Export streak data (for cloud sync)
+   * Export streak data (for cloud sync, or to restore later)
    */
   exportStreakData() {
-    return { ...this.streakData };
+    return {
+      ...this.streakData,
+      activityDates: [...this.streakData.activityDates],
+      milestones: [...this.streakData.milestones],
+    };
+  }
+
+  /**
+   * Put back streak data exported earlier, replacing today's (for undo)
+   */
+  restoreStreakData(data) {
+    if (!data) return;
+
+    this.streakData = {
+      ...data,
+      activityDates: [...data.activityDates],
+      milestones: [...data.milestones],
+    };
+    this.saveStreakData();
   }
 
   /**
@@ -422,10 +440,13 @@ export const getCurrentStreak = () => streakTracker.getCurrentStreak();
 export const getLongestStreak = () => streakTracker.getLongestStreak();
 export const getStreakStats = () => streakTracker.getStats();
 export const getStreakDisplayData = () => streakTracker.getDisplayData();
+export const getStreakMultiplier = () => streakTracker.getStreakMultiplier();
+export const getStreakXPBonus = () => streakTracker.getStreakXPBonus();
 export const hasActivityToday = () => streakTracker.hasActivityToday();
 export const hasActivityOnDate = (date) => streakTracker.hasActivityOnDate(date);
 export const resetStreak = () => streakTracker.resetStreak();
 export const importStreakData = (data) => streakTracker.importStreakData(data);
 export const exportStreakData = () => streakTracker.exportStreakData();
+export const restoreStreakData = (data) => streakTracker.restoreStreakData(data);
 
 export default streakTracker;
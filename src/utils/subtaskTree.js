@@ -0,0 +1,214 @@
+/**
+ * Subtask Tree
+ *
+ * Helpers for nested subtasks. A subtask may carry a `children` array of
+ * further subtasks, to any depth, when a step was broken down further.
+ *
+ * Only leaf steps are checked off directly and earn XP. A parent step is
+ * completed exactly when all of its children are completed, so progress
+ * always rolls up from the leaves.
+ */
+
+const defaultGenerateId = () => {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+};
+
+/**
+ * Get the child steps of a subtask (empty for leaf steps)
+ */
+export const getChildren = (subtask) => {
+  return Array.isArray(subtask?.children) ? subtask.children : [];
+};
+
+/**
+ * Check whether a subtask has been broken down into child steps
+ */
+export const hasChildren = (subtask) => {
+  return getChildren(subtask).length > 0;
+};
+
+/**
+ * Create a new, uncompleted subtask
+ */
+export const createSubtask = (text, order, generateId = defaultGenerateId) => ({
+  id: generateId(),
+  text,
+  completed: false,
+  order,
+});
+
+/**
+ * Get all leaf steps in display order
+ */
+export const getLeafSteps = (subtasks = []) => {
+  return subtasks.flatMap(subtask =>
+    hasChildren(subtask) ? getLeafSteps(subtask.children) : [subtask]
+  );
+};
+
+/**
+ * Count completed and total leaf steps
+ * Returns: { completed, total, percent }
+ */
+export const getLeafProgress = (subtasks = []) => {
+  const leaves = getLeafSteps(subtasks);
+  const completed = leaves.filter(st => st.completed).length;
+  const total = leaves.length;
+
+  return {
+    completed,
+    total,
+    percent: total > 0 ? Math.round((completed / total) * 100) : 0,
+  };
+};
+
+/**
+ * Find a subtask anywhere in the tree
+ */
+export const findSubtask = (subtasks = [], subtaskId) => {
+  for (const subtask of subtasks) {
+    if (subtask.id === subtaskId) return subtask;
+    const found = findSubtask(getChildren(subtask), subtaskId);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Get the chain of steps from the top level down to a subtask (inclusive)
+ * Returns an empty array if the subtask doesn't exist
+ */
+export const getSubtaskPath = (subtasks = [], subtaskId) => {
+  for (const subtask of subtasks) {
+    if (subtask.id === subtaskId) return [subtask];
+    const path = getSubtaskPath(getChildren(subtask), subtaskId);
+    if (path.length > 0) return [subtask, ...path];
+  }
+  return [];
+};
+
+/**
+ * Recompute parent completion from their children
+ */
+export const syncCompletion = (subtasks = []) => {
+  return subtasks.map(subtask => {
+    if (!hasChildren(subtask)) return subtask;
+
+    const children = syncCompletion(subtask.children);
+    return {
+      ...subtask,
+      children,
+      completed: children.every(child => child.completed),
+    };
+  });
+};
+
+/**
+ * Apply an update to one subtask, wherever it sits in the tree
+ * `updater` receives the subtask and returns its replacement
+ */
+export const updateSubtask = (subtasks = [], subtaskId, updater) => {
+  const update = (list) => list.map(subtask => {
+    if (subtask.id === subtaskId) return updater(subtask);
+    if (!hasChildren(subtask)) return subtask;
+    return { ...subtask, children: update(subtask.children) };
+  });
+
+  return syncCompletion(update(subtasks));
+};
+
+/**
+ * Remove a subtask (and its children) from the tree
+ * Returns: { subtasks, removed } where removed is the deleted subtask or null
+ */
+export const removeSubtask = (subtasks = [], subtaskId) => {
+  let removed = null;
+
+  const remove = (list) => list
+    .filter(subtask => {
+      if (subtask.id === subtaskId) {
+        removed = subtask;
+        return false;
+      }
+      return true;
+    })
+    .map((subtask, index) => {
+      const updated = subtask.order === index ? subtask : { ...subtask, order: index };
+      if (!hasChildren(updated)) return updated;
+      return { ...updated, children: remove(updated.children) };
+    });
+
+  // A parent whose last child was removed becomes a leaf again
+  const prune = (list) => list.map(subtask => {
+    if (!Array.isArray(subtask.children)) return subtask;
+    if (subtask.children.length === 0) {
+      const leaf = { ...subtask };
+      delete leaf.children;
+      return leaf;
+    }
+    return { ...subtask, children: prune(subtask.children) };
+  });
+
+  const result = syncCompletion(prune(remove(subtasks)));
+  return { subtasks: result, removed };
+};
+
+/**
+ * Break a step down by appending child steps to it
+ */
+export const addChildSteps = (subtasks = [], parentId, steps = [], generateId = defaultGenerateId) => {
+  return updateSubtask(subtasks, parentId, parent => {
+    const existing = getChildren(parent);
+    const children = steps.map((step, index) => {
+      // Steps are plain text or { text, estimatedMinutes } from the AI
+      const { text, ...details } = typeof step === 'string' ? { text: step } : step;
+      return { ...createSubtask(text, existing.length + index, generateId), ...details };
+    });
+
+    return { ...parent, children: [...existing, ...children] };
+  });
+};
+
+/**
+ * Flatten the tree for rendering
+ * Returns: [{ subtask, depth, number, parentId }] where number is like '2.1'
+ */
+export const flattenSubtasks = (subtasks = [], depth = 0, prefix = '', parentId = null) => {
+  return subtasks.flatMap((subtask, index) => {
+    const number = prefix ? `${prefix}.${index + 1}` : `${index + 1}`;
+    return [
+      { subtask, depth, number, parentId },
+      ...flattenSubtasks(getChildren(subtask), depth + 1, number, subtask.id),
+    ];
+  });
+};
+
+/**
+ * Copy a tree with fresh ids and nothing completed
+ * Used when a recurring task spawns its next instance
+ */
+export const resetSubtaskTree = (subtasks = [], generateId = defaultGenerateId) => {
+  return subtasks.map((subtask, index) => {
+    const fresh = createSubtask(subtask.text, index, generateId);
+    if (subtask.estimatedMinutes) fresh.estimatedMinutes = subtask.estimatedMinutes;
+    return hasChildren(subtask)
+      ? { ...fresh, children: resetSubtaskTree(subtask.children, generateId) }
+      : fresh;
+  });
+};
+
+export default {
+  getChildren,
+  hasChildren,
+  createSubtask,
+  getLeafSteps,
+  getLeafProgress,
+  findSubtask,
+  getSubtaskPath,
+  syncCompletion,
+  updateSubtask,
+  removeSubtask,
+  addChildSteps,
+  flattenSubtasks,
+  resetSubtaskTree,
+};
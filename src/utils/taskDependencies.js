@@ -0,0 +1,346 @@
+/**
+ * Task Dependencies
+ *
+ * Lets a task (or one of its steps) wait on another task or on a single
+ * step of another task: "can't do X until Y is done".
+ *
+ * Dependencies are stored on the waiting item as
+ * `blockedBy: [{ taskId, subtaskId }]` where subtaskId is null when the
+ * whole task is the blocker.
+ *
+ * A dependency is satisfied once its blocker is completed. Completed quests
+ * leave the active task list, so a blocker that no longer exists counts as
+ * done and the dependency can be pruned. Archived quests were given up on,
+ * so nothing waits on them either.
+ */
+
+import { findSubtask, getChildren, updateSubtask } from './subtaskTree';
+import { getTaskStatus } from './taskStatus';
+
+/**
+ * Normalize a reference to a task or step
+ */
+const toRef = ({ taskId, subtaskId = null }) => ({ taskId, subtaskId: subtaskId || null });
+
+const refKey = ({ taskId, subtaskId }) => (subtaskId ? `${taskId}:${subtaskId}` : taskId);
+
+const sameRef = (a, b) => refKey(toRef(a)) === refKey(toRef(b));
+
+/**
+ * Get the task or step a reference points to (null if it no longer exists)
+ */
+const resolveRef = (tasks, { taskId, subtaskId }) => {
+  const task = tasks.find(t => t.id === taskId);
+  if (!task || !subtaskId) return task || null;
+  return findSubtask(task.subtasks, subtaskId);
+};
+
+/**
+ * Get the dependencies declared on a task or step
+ */
+export const getDependencies = (tasks, ref) => {
+  const item = resolveRef(tasks, ref);
+  return Array.isArray(item?.blockedBy) ? item.blockedBy : [];
+};
+
+/**
+ * Check whether a dependency's blocker is done
+ */
+export const isDependencySatisfied = (tasks, dependency) => {
+  const blocker = resolveRef(tasks, dependency);
+  if (!blocker) return true;
+
+  const blockerTask = tasks.find(t => t.id === dependency.taskId);
+  if (getTaskStatus(blockerTask) === 'archived') return true;
+
+  // A task blocker is done when every step is done (and it has steps)
+  if (!dependency.subtaskId) {
+    const steps = blocker.subtasks || [];
+    return steps.length > 0 && steps.every(st => st.completed);
+  }
+
+  return blocker.completed;
+};
+
+/**
+ * Describe a task or step for display, e.g. 'Do laundry' or 'Do laundry → Fold shirts'
+ */
+export const describeRef = (tasks, ref) => {
+  const task = tasks.find(t => t.id === ref.taskId);
+  if (!task) return 'a completed quest';
+  if (!ref.subtaskId) return task.title;
+
+  const subtask = findSubtask(task.subtasks, ref.subtaskId);
+  return subtask ? `${task.title} → ${subtask.text}` : task.title;
+};
+
+/**
+ * Get the unfinished blockers of a task or step
+ * Returns: [{ taskId, subtaskId, label }]
+ */
+export const getBlockers = (tasks, ref) => {
+  return getDependencies(tasks, ref)
+    .filter(dependency => !isDependencySatisfied(tasks, dependency))
+    .map(dependency => ({ ...toRef(dependency), label: describeRef(tasks, dependency) }));
+};
+
+/**
+ * Check whether a task or step is waiting on something
+ */
+export const isBlocked = (tasks, ref) => getBlockers(tasks, ref).length > 0;
+
+/**
+ * Build the "waits on" graph: explicit dependencies plus the implied facts
+ * that a task (or parent step) can't finish before its own steps, and that
+ * a step can't be checked off while its task (or parent step) is blocked
+ */
+const buildGraph = (tasks) => {
+  const graph = new Map();
+  const addEdge = (from, to) => {
+    const key = refKey(from);
+    if (!graph.has(key)) graph.set(key, []);
+    graph.get(key).push(refKey(toRef(to)));
+  };
+
+  const visitSteps = (taskId, parentRef, inherited, steps) => {
+    steps.forEach(step => {
+      const stepRef = { taskId, subtaskId: step.id };
+      const dependencies = [...inherited, ...(step.blockedBy || [])];
+      addEdge(parentRef, stepRef);
+      dependencies.forEach(dependency => addEdge(stepRef, dependency));
+      visitSteps(taskId, stepRef, dependencies, getChildren(step));
+    });
+  };
+
+  tasks.forEach(task => {
+    const taskRef = { taskId: task.id, subtaskId: null };
+    const dependencies = task.blockedBy || [];
+    dependencies.forEach(dependency => addEdge(taskRef, dependency));
+    visitSteps(task.id, taskRef, dependencies, task.subtasks || []);
+  });
+
+  return graph;
+};
+
+/**
+ * Check whether making `dependent` wait on `blocker` would create a cycle
+ */
+export const wouldCreateCycle = (tasks, dependent, blocker) => {
+  const graph = buildGraph(tasks);
+  const target = refKey(toRef(dependent));
+  const visited = new Set();
+  const stack = [refKey(toRef(blocker))];
+
+  while (stack.length > 0) {
+    const key = stack.pop();
+    if (key === target) return true;
+    if (visited.has(key)) continue;
+    visited.add(key);
+    stack.push(...(graph.get(key) || []));
+  }
+
+  return false;
+};
+
+/**
+ * Apply an update to the task or step a reference points to
+ */
+const updateRef = (tasks, ref, updater) => {
+  return tasks.map(task => {
+    if (task.id !== ref.taskId) return task;
+    if (!ref.subtaskId) return updater(task);
+    return { ...task, subtasks: updateSubtask(task.subtasks, ref.subtaskId, updater) };
+  });
+};
+
+/**
+ * Check whether any tasks or steps wait on each other in a loop
+ */
+export const hasDependencyCycle = (tasks) => {
+  const graph = buildGraph(tasks);
+  const done = new Set();
+  const visiting = new Set();
+
+  const visit = (key) => {
+    if (done.has(key)) return false;
+    if (visiting.has(key)) return true;
+    visiting.add(key);
+    const found = (graph.get(key) || []).some(visit);
+    visiting.delete(key);
+    done.add(key);
+    return found;
+  };
+
+  return [...graph.keys()].some(visit);
+};
+
+/**
+ * Point dependencies on some steps at the task they now belong to
+ * (used when steps move from one task to another)
+ */
+export const retargetDependencies = (tasks, fromTaskId, toTaskId, subtaskIds) => {
+  const moved = new Set(subtaskIds);
+  const retarget = (item) => {
+    if (!Array.isArray(item.blockedBy)) return item;
+    if (!item.blockedBy.some(dependency => dependency.taskId === fromTaskId && moved.has(dependency.subtaskId))) {
+      return item;
+    }
+    return {
+      ...item,
+      blockedBy: item.blockedBy.map(dependency =>
+        dependency.taskId === fromTaskId && moved.has(dependency.subtaskId)
+          ? { ...dependency, taskId: toTaskId }
+          : dependency
+      ),
+    };
+  };
+
+  // Keep object identity for anything that didn't change
+  const retargetSteps = (steps) => {
+    let changed = false;
+    const result = steps.map(step => {
+      let updated = retarget(step);
+      const children = getChildren(step);
+      if (children.length > 0) {
+        const retargeted = retargetSteps(children);
+        if (retargeted !== children) updated = { ...updated, children: retargeted };
+      }
+      if (updated !== step) changed = true;
+      return updated;
+    });
+    return changed ? result : steps;
+  };
+
+  return tasks.map(task => {
+    const updated = retarget(task);
+    const subtasks = retargetSteps(task.subtasks || []);
+    return subtasks === (task.subtasks || []) ? updated : { ...updated, subtasks };
+  });
+};
+
+/**
+ * Make a task or step wait on another task or step
+ * Returns: { tasks, error } - tasks is unchanged when error is set
+ */
+export const addDependency = (tasks, dependent, blocker) => {
+  if (!resolveRef(tasks, dependent) || !resolveRef(tasks, blocker)) {
+    return { tasks, error: 'That quest or step no longer exists.' };
+  }
+
+  if (dependent.taskId === blocker.taskId) {
+    return { tasks, error: 'A quest can only wait on a different quest.' };
+  }
+
+  if (getDependencies(tasks, dependent).some(dependency => sameRef(dependency, blocker))) {
+    return { tasks, error: 'That dependency already exists.' };
+  }
+
+  if (wouldCreateCycle(tasks, dependent, blocker)) {
+    return { tasks, error: 'That would create a loop: these quests would wait on each other forever.' };
+  }
+
+  const updated = updateRef(tasks, dependent, item => ({
+    ...item,
+    blockedBy: [...(item.blockedBy || []), toRef(blocker)],
+  }));
+
+  return { tasks: updated, error: null };
+};
+
+/**
+ * Stop a task or step waiting on a blocker
+ */
+export const removeDependency = (tasks, dependent, blocker) => {
+  return updateRef(tasks, dependent, item => ({
+    ...item,
+    blockedBy: (item.blockedBy || []).filter(dependency => !sameRef(dependency, blocker)),
+  }));
+};
+
+/**
+ * Drop dependencies whose blocker is gone (completed or deleted)
+ * Keeps object identity for tasks that didn't change
+ */
+export const pruneDependencies = (tasks) => {
+  const prune = (item) => {
+    if (!Array.isArray(item.blockedBy)) return item;
+    const blockedBy = item.blockedBy.filter(dependency => resolveRef(tasks, dependency));
+    return blockedBy.length === item.blockedBy.length ? item : { ...item, blockedBy };
+  };
+
+  const pruneSteps = (steps) => {
+    let changed = false;
+    const result = steps.map(step => {
+      let updated = prune(step);
+      const children = getChildren(step);
+      if (children.length > 0) {
+        const prunedChildren = pruneSteps(children);
+        if (prunedChildren !== children) updated = { ...updated, children: prunedChildren };
+      }
+      if (updated !== step) changed = true;
+      return updated;
+    });
+    return changed ? result : steps;
+  };
+
+  return tasks.map(task => {
+    const updated = prune(task);
+    const subtasks = pruneSteps(task.subtasks || []);
+    return subtasks === (task.subtasks || []) ? updated : { ...updated, subtasks };
+  });
+};
+
+/**
+ * List every task and step another item could wait on, for pickers
+ * Returns: [{ taskId, subtaskId, label, depth }]
+ */
+export const getDependencyOptions = (tasks, dependent) => {
+  const options = [];
+  const visitSteps = (task, steps, depth) => {
+    steps.forEach(step => {
+      options.push({ taskId: task.id, subtaskId: step.id, label: step.text, depth });
+      visitSteps(task, getChildren(step), depth + 1);
+    });
+  };
+
+  tasks
+    .filter(task => task.id !== dependent.taskId && getTaskStatus(task) !== 'archived')
+    .forEach(task => {
+      options.push({ taskId: task.id, subtaskId: null, label: task.title, depth: 0 });
+      visitSteps(task, task.subtasks || [], 1);
+    });
+
+  return options;
+};
+
+/**
+ * Convert dependencies to the snake_case shape stored in the cloud
+ */
+export const toDependencyRows = (blockedBy = []) => {
+  return blockedBy.map(({ taskId, subtaskId }) => ({ task_id: taskId, subtask_id: subtaskId || null }));
+};
+
+/**
+ * Convert cloud dependency rows back to the local shape
+ */
+export const fromDependencyRows = (rows) => {
+  if (!Array.isArray(rows)) return [];
+  return rows.map(({ task_id, subtask_id }) => ({ taskId: task_id, subtaskId: subtask_id || null }));
+};
+
+export default {
+  getDependencies,
+  isDependencySatisfied,
+  describeRef,
+  getBlockers,
+  isBlocked,
+  wouldCreateCycle,
+  hasDependencyCycle,
+  retargetDependencies,
+  addDependency,
+  removeDependency,
+  pruneDependencies,
+  getDependencyOptions,
+  toDependencyRows,
+  fromDependencyRows,
+};
@@ -0,0 +1,146 @@
+/**
+ * Task Ordering
+ *
+ * Manual ordering for the quest board. New quests are prepended; once the
+ * player drags quests around, every task gets a `position` (0 at the top)
+ * so the order survives a cloud sync. Steps keep their `order` among their
+ * siblings, renumbered after every move.
+ *
+ * Steps can also move to another quest, taking their child steps and
+ * dependencies with them.
+ */
+
+import {
+  findSubtask,
+  getChildren,
+  hasChildren,
+  removeSubtask,
+  updateSubtask,
+  syncCompletion,
+  flattenSubtasks,
+} from './subtaskTree';
+import { retargetDependencies, hasDependencyCycle } from './taskDependencies';
+import { syncProgressStatus } from './taskStatus';
+
+/**
+ * Sort tasks by their saved position
+ * Tasks that were never placed (new ones) stay on top in their current order
+ */
+export const sortByPosition = (tasks) => {
+  const hasPosition = (task) => Number.isInteger(task.position);
+  return [
+    ...tasks.filter(task => !hasPosition(task)),
+    ...tasks.filter(hasPosition).sort((a, b) => a.position - b.position),
+  ];
+};
+
+/**
+ * Move a task so it sits just before another one (null moves it to the end)
+ * Only tasks whose position changed are replaced
+ */
+export const moveTask = (tasks, taskId, beforeId, now = new Date()) => {
+  const task = tasks.find(t => t.id === taskId);
+  if (!task || taskId === beforeId) return tasks;
+
+  const reordered = tasks.filter(t => t.id !== taskId);
+  const index = beforeId ? reordered.findIndex(t => t.id === beforeId) : -1;
+  reordered.splice(index >= 0 ? index : reordered.length, 0, task);
+
+  if (reordered.every((t, i) => t === tasks[i])) return tasks;
+
+  const stamp = now.toISOString();
+  return reordered.map((t, position) => (t.position === position ? t : { ...t, position, updated_at: stamp }));
+};
+
+/**
+ * Get the steps that share a parent (the top-level steps when parentId is null)
+ */
+export const getSiblings = (subtasks = [], parentId) => {
+  return parentId ? getChildren(findSubtask(subtasks, parentId)) : subtasks;
+};
+
+const renumber = (steps) => steps.map((step, order) => (step.order === order ? step : { ...step, order }));
+
+const insertStep = (subtasks, parentId, index, step) => {
+  const insert = (list) => {
+    const result = [...list];
+    result.splice(Math.max(0, Math.min(index, result.length)), 0, step);
+    return renumber(result);
+  };
+
+  if (!parentId) return syncCompletion(insert(subtasks));
+  return updateSubtask(subtasks, parentId, parent => ({ ...parent, children: insert(getChildren(parent)) }));
+};
+
+// A quest can't wait on its own steps, and its steps can't wait on it
+const waitsOnItself = (task) => {
+  const ownRef = (dependency) => dependency.taskId === task.id;
+  return (task.blockedBy || []).some(ownRef) ||
+    flattenSubtasks(task.subtasks).some(({ subtask }) => (subtask.blockedBy || []).some(ownRef));
+};
+
+/**
+ * Move a step (with its child steps) to a new place, in the same quest or another one
+ * to: { taskId, parentId, index } - index counts the steps under parentId
+ * as they are before the move
+ * Returns: { tasks } or { error } if the move isn't possible
+ */
+export const moveSubtask = (tasks, from, to, now = new Date()) => {
+  const source = tasks.find(t => t.id === from.taskId);
+  const target = tasks.find(t => t.id === to.taskId);
+  const step = source ? findSubtask(source.subtasks, from.subtaskId) : null;
+  const parentId = to.parentId || null;
+
+  if (!step || !target) {
+    return { error: 'That quest or step no longer exists.' };
+  }
+
+  if (parentId === step.id || (parentId && findSubtask(getChildren(step), parentId))) {
+    return { error: 'A step can\'t be moved inside itself.' };
+  }
+
+  // Steps go between other steps; dropping onto a single step would turn it into a parent
+  if (parentId && !hasChildren(findSubtask(target.subtasks, parentId))) {
+    return { error: 'That step has no smaller steps to move between.' };
+  }
+
+  // Taking the step out first shifts the steps after it up by one
+  const siblings = getSiblings(target.subtasks, parentId);
+  const currentIndex = siblings.findIndex(st => st.id === step.id);
+  const index = currentIndex >= 0 && currentIndex < to.index ? to.index - 1 : to.index;
+  if (currentIndex >= 0 && index === currentIndex) return { tasks };
+
+  const { subtasks: remaining } = removeSubtask(source.subtasks, step.id);
+  const placed = insertStep(target.id === source.id ? remaining : target.subtasks, parentId, index, step);
+
+  let updated = tasks.map(task => {
+    if (task.id === target.id) return { ...task, subtasks: placed };
+    if (task.id === source.id) return { ...task, subtasks: remaining };
+    return task;
+  });
+
+  if (target.id !== source.id) {
+    const movedIds = flattenSubtasks([step]).map(({ subtask }) => subtask.id);
+    updated = retargetDependencies(updated, source.id, target.id, movedIds);
+
+    if (waitsOnItself(updated.find(task => task.id === target.id)) || hasDependencyCycle(updated)) {
+      return { error: 'That would create a loop: the step and its new quest would wait on each other. Remove the dependency first.' };
+    }
+  }
+
+  const stamp = now.toISOString();
+  return {
+    tasks: updated.map(task =>
+      task.id === source.id || task.id === target.id
+        ? { ...syncProgressStatus(task, now), updated_at: stamp }
+        : task
+    ),
+  };
+};
+
+export default {
+  sortByPosition,
+  moveTask,
+  getSiblings,
+  moveSubtask,
+};
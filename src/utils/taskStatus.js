@@ -0,0 +1,138 @@
+/**
+ * Task Status
+ *
+ * Every task moves through the statuses in taskStatusSchema:
+ * - pending:     created, no steps done yet
+ * - in_progress: at least one step done
+ * - completed:   finished and moved to the quest log (adhd_quest_completed)
+ * - archived:    set aside without finishing; stays in adhd_quest_tasks
+ *                so it can be restored, and keeps the XP already earned
+ *
+ * pending and in_progress follow the steps automatically. Each change is
+ * recorded on the task as statusHistory: [{ from, to, at, reason }].
+ */
+
+import { getLeafProgress } from './subtaskTree';
+
+export const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'archived'];
+
+export const STATUS_LABELS = {
+  pending: 'PENDING',
+  in_progress: 'IN PROGRESS',
+  completed: 'COMPLETED',
+  archived: 'ARCHIVED',
+};
+
+// Completed quests leave the task list, so nothing moves on from 'completed'
+const TRANSITIONS = {
+  pending: ['in_progress', 'completed', 'archived'],
+  in_progress: ['pending', 'completed', 'archived'],
+  completed: [],
+  archived: ['pending', 'in_progress'],
+};
+
+/**
+ * The status a task's steps put it in: in_progress once any step is done
+ */
+export const getProgressStatus = (task) => {
+  return getLeafProgress(task.subtasks).completed > 0 ? 'in_progress' : 'pending';
+};
+
+/**
+ * Status fields for a new task
+ */
+export const initialStatus = (now = new Date()) => ({
+  status: 'pending',
+  statusHistory: [{ from: null, to: 'pending', at: now.toISOString() }],
+});
+
+/**
+ * Get a task's status (tasks saved before statuses existed get one from their steps)
+ */
+export const getTaskStatus = (task) => {
+  return TASK_STATUSES.includes(task.status) ? task.status : getProgressStatus(task);
+};
+
+/**
+ * Whether a task is still on the quest board
+ */
+export const isActiveTask = (task) => {
+  const status = getTaskStatus(task);
+  return status === 'pending' || status === 'in_progress';
+};
+
+/**
+ * Check whether a task's due date (and time, if it has one) has passed
+ */
+export const isOverdue = (task, now = new Date()) => {
+  if (!task.dueDate) return false;
+  if (task.dueTime) return new Date(`${task.dueDate}T${task.dueTime}`) < now;
+  return new Date(task.dueDate) < now;
+};
+
+/**
+ * Check whether a task may move from one status to another
+ */
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move a task to a new status and record the change
+ * Returns: { task } or { error } if the move isn't allowed
+ */
+export const changeTaskStatus = (task, to, { now = new Date(), reason = null } = {}) => {
+  const from = getTaskStatus(task);
+  if (from === to) return { task };
+
+  if (!canTransition(from, to)) {
+    return { error: `A ${STATUS_LABELS[from].toLowerCase()} quest can't be marked ${STATUS_LABELS[to].toLowerCase()}` };
+  }
+
+  const at = now.toISOString();
+  return {
+    task: {
+      ...task,
+      status: to,
+      statusHistory: [...(task.statusHistory || []), { from, to, at, ...(reason && { reason }) }],
+      archivedAt: to === 'archived' ? at : null,
+      updated_at: at,
+    },
+  };
+};
+
+/**
+ * Keep pending/in_progress in step with the task's progress (other statuses are left alone)
+ */
+export const syncProgressStatus = (task, now = new Date()) => {
+  if (!isActiveTask(task)) return task;
+  return changeTaskStatus(task, getProgressStatus(task), { now }).task;
+};
+
+/**
+ * Take a task out of the archive, back to the status its steps call for
+ */
+export const restoreTask = (task, now = new Date()) => {
+  return changeTaskStatus(task, getProgressStatus(task), { now, reason: 'restored' });
+};
+
+/**
+ * Describe a status change for display, e.g. 'PENDING → IN PROGRESS'
+ */
+export const describeStatusChange = (change) => {
+  const from = change.from ? `${STATUS_LABELS[change.from]} → ` : '';
+  return `${from}${STATUS_LABELS[change.to]}${change.reason ? ` (${change.reason})` : ''}`;
+};
+
+export default {
+  TASK_STATUSES,
+  STATUS_LABELS,
+  getProgressStatus,
+  initialStatus,
+  getTaskStatus,
+  isActiveTask,
+  isOverdue,
+  canTransition,
+  changeTaskStatus,
+  syncProgressStatus,
+  restoreTask,
+  describeStatusChange
+};
@@ -0,0 +1,164 @@
+/**
+ * Time Estimates
+ *
+ * Per-step duration estimates from the AI breakdown (subtask.estimatedMinutes)
+ * and how they compare with the times speedrun mode actually recorded
+ * (timeData.subtaskTimes on completed quests, in milliseconds).
+ *
+ * The comparison is a time-blindness report: a ratio above 1 means steps take
+ * longer than estimated, below 1 means they go quicker.
+ */
+
+import { getLeafSteps } from './subtaskTree';
+
+/**
+ * Format minutes for display, e.g. 0.5 → '30s', 4 → '4m', 95 → '1h 35m'
+ */
+export const formatMinutes = (minutes) => {
+  if (minutes === null || minutes === undefined || !Number.isFinite(minutes)) return '';
+  if (minutes < 1) return `${Math.max(1, Math.round(minutes * 60))}s`;
+
+  const rounded = Math.round(minutes);
+  if (rounded < 60) return `${rounded}m`;
+  const mins = rounded % 60;
+  return mins > 0 ? `${Math.floor(rounded / 60)}h ${mins}m` : `${rounded / 60}h`;
+};
+
+/**
+ * Add up the estimates of the leaf steps still to do
+ * Returns null when none of them has an estimate
+ */
+export const getRemainingEstimate = (subtasks = []) => {
+  const open = getLeafSteps(subtasks).filter(step => !step.completed && step.estimatedMinutes);
+  if (open.length === 0) return null;
+  return open.reduce((sum, step) => sum + step.estimatedMinutes, 0);
+};
+
+/**
+ * Record the time a speedrun step took as it is checked off: the time since
+ * the last step was checked off (or focus mode put this step on screen), or
+ * for the first step, since the speedrun timer started
+ * Returns: the timer, timing the next step from now
+ */
+export const recordStepTime = (timer, subtaskId, now = Date.now()) => {
+  const stepStart = timer.currentSubtaskStart || timer.taskStartTime;
+  return {
+    ...timer,
+    // The timer starts with the first step if it hasn't already
+    taskStartTime: timer.taskStartTime || now,
+    subtaskTimes: stepStart
+      ? { ...timer.subtaskTimes, [subtaskId]: now - stepStart }
+      : timer.subtaskTimes,
+    currentSubtaskStart: now,
+  };
+};
+
+const TIMES_OF_DAY = [
+  { id: 'morning', label: 'Morning (5am-12pm)', from: 5, to: 12 },
+  { id: 'afternoon', label: 'Afternoon (12pm-5pm)', from: 12, to: 17 },
+  { id: 'evening', label: 'Evening (5pm-10pm)', from: 17, to: 22 },
+  { id: 'night', label: 'Night (10pm-5am)', from: 22, to: 29 },
+];
+
+const TASK_SIZES = [
+  { id: 'small', label: 'Small (1-5 steps)', max: 5 },
+  { id: 'medium', label: 'Medium (6-15 steps)', max: 15 },
+  { id: 'large', label: 'Large (16+ steps)', max: Infinity },
+];
+
+const getTimeOfDay = (date) => {
+  const hour = date.getHours() < 5 ? date.getHours() + 24 : date.getHours();
+  return TIMES_OF_DAY.find(slot => hour >= slot.from && hour < slot.to);
+};
+
+const getTaskSize = (stepCount) => TASK_SIZES.find(size => stepCount <= size.max);
+
+/**
+ * Collect every step that has both an estimate and a recorded time
+ * Returns: [{ estimatedMinutes, actualMinutes, tags, timeOfDay, size }]
+ */
+export const collectEstimateSamples = (completedQuests = []) => {
+  return completedQuests.flatMap(quest => {
+    const times = quest.timeData?.subtaskTimes;
+    if (!times) return [];
+
+    const steps = getLeafSteps(quest.subtasks);
+    const completedAt = new Date(quest.completedAt);
+    const timeOfDay = Number.isNaN(completedAt.getTime()) ? null : getTimeOfDay(completedAt).id;
+    const size = getTaskSize(steps.length).id;
+
+    return steps
+      .filter(step => step.estimatedMinutes > 0 && times[step.id] > 0)
+      .map(step => ({
+        estimatedMinutes: step.estimatedMinutes,
+        actualMinutes: times[step.id] / 60000,
+        tags: quest.tags || [],
+        timeOfDay,
+        size,
+      }));
+  });
+};
+
+/**
+ * Summarise a group of samples
+ */
+const summarize = (id, label, samples) => {
+  const estimatedMinutes = samples.reduce((sum, s) => sum + s.estimatedMinutes, 0);
+  const actualMinutes = samples.reduce((sum, s) => sum + s.actualMinutes, 0);
+  return {
+    id,
+    label,
+    steps: samples.length,
+    estimatedMinutes,
+    actualMinutes,
+    ratio: estimatedMinutes > 0 ? actualMinutes / estimatedMinutes : null,
+  };
+};
+
+/**
+ * Compare estimated and actual step times by tag, time of day and task size
+ * Returns: { overall, byTag, byTimeOfDay, bySize } where each group is
+ * { id, label, steps, estimatedMinutes, actualMinutes, ratio }; empty groups are left out
+ */
+export const buildTimeBlindnessReport = (completedQuests = []) => {
+  const samples = collectEstimateSamples(completedQuests);
+
+  const tags = [...new Set(samples.flatMap(s => s.tags))];
+  const byTag = tags
+    .map(tag => summarize(tag, `#${tag}`, samples.filter(s => s.tags.includes(tag))))
+    .sort((a, b) => b.steps - a.steps);
+
+  const byTimeOfDay = TIMES_OF_DAY
+    .map(slot => summarize(slot.id, slot.label, samples.filter(s => s.timeOfDay === slot.id)))
+    .filter(group => group.steps > 0);
+
+  const bySize = TASK_SIZES
+    .map(size => summarize(size.id, size.label, samples.filter(s => s.size === size.id)))
+    .filter(group => group.steps > 0);
+
+  return {
+    overall: summarize('overall', 'All steps', samples),
+    byTag,
+    byTimeOfDay,
+    bySize,
+  };
+};
+
+/**
+ * Describe a ratio in plain words, e.g. 'takes 1.8× longer'
+ */
+export const describeRatio = (ratio) => {
+  if (ratio === null || ratio === undefined) return 'no data';
+  if (ratio >= 1.15) return `takes ${ratio.toFixed(1)}× longer`;
+  if (ratio <= 0.85) return `quicker: ${Math.round(ratio * 100)}% of the estimate`;
+  return 'about right';
+};
+
+export default {
+  formatMinutes,
+  getRemainingEstimate,
+  recordStepTime,
+  collectEstimateSamples,
+  buildTimeBlindnessReport,
+  describeRatio
+};
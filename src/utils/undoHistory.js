@@ -0,0 +1,205 @@
+/**
+ * Undo History
+ *
+ * Every change to the quest board is recorded as a command that knows
+ * exactly what it changed, so it can be undone and redone later without
+ * touching anything that changed since:
+ * {
+ *   id, label,
+ *   taskChanges:  [{ id, before, beforeIndex, after, afterIndex }]
+ *                 (before is null for new tasks, after is null for removed ones;
+ *                 changes to a quest whose steps are still arriving also
+ *                 note arrivedCount, the number of steps received so far)
+ *   timerChanges: [{ taskId, before, after }]   speedrun timers
+ *   xpDelta, stepsDelta                         applied to the profile via xpSystem
+ *   xpEntries                                   where xpDelta came from, written to the
+ *                                               XP ledger each time the command is applied
+ *   completedQuest                              set when the command completed a quest
+ *   savedTemplates                              templates the command added to the library
+ *   streakChange                                { before, after } streak data, when the
+ *                                               command kept the daily streak going
+ * }
+ *
+ * The history itself is { past: [command], future: [command] } and only
+ * lives for the session.
+ */
+
+export const UNDO_LIMIT = 50;
+
+/**
+ * Create an empty history
+ */
+export const createHistory = () => ({ past: [], future: [] });
+
+/**
+ * Work out which tasks a change added, removed or replaced
+ * Tasks are updated immutably, so unchanged tasks keep their identity
+ * (tasks that only shifted because another was added or removed aren't changes)
+ */
+export const diffTasks = (prevTasks, nextTasks) => {
+  const changes = [];
+
+  prevTasks.forEach((task, index) => {
+    const nextIndex = nextTasks.findIndex(t => t.id === task.id);
+    const next = nextIndex >= 0 ? nextTasks[nextIndex] : null;
+    if (next !== task) {
+      changes.push({ id: task.id, before: task, beforeIndex: index, after: next, afterIndex: nextIndex });
+    }
+  });
+
+  nextTasks.forEach((task, index) => {
+    if (!prevTasks.some(t => t.id === task.id)) {
+      changes.push({ id: task.id, before: null, beforeIndex: -1, after: task, afterIndex: index });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Apply task changes forwards ('redo') or backwards ('undo')
+ * Tasks the command didn't touch are left as they are now. Restored tasks get
+ * a fresh updated_at, so sync takes them over the cloud copy the command
+ * (or the one being undone) already uploaded
+ */
+export const applyTaskChanges = (tasks, changes, direction = 'redo', now = new Date()) => {
+  const stamp = now.toISOString();
+  const pick = (change) => {
+    const { task, index } = direction === 'undo'
+      ? { task: change.before, index: change.beforeIndex }
+      : { task: change.after, index: change.afterIndex };
+    return { task: task && { ...task, updated_at: stamp }, index };
+  };
+
+  // Tasks edited where they stood are swapped in place, so tasks added
+  // since then don't shift them
+  const inPlace = new Map(changes
+    .filter(change => change.before && change.after && change.beforeIndex === change.afterIndex &&
+      tasks.some(task => task.id === change.id))
+    .map(change => [change.id, pick(change).task]));
+  const moved = changes.filter(change => !inPlace.has(change.id));
+
+  const movedIds = new Set(moved.map(change => change.id));
+  const result = tasks
+    .filter(task => !movedIds.has(task.id))
+    .map(task => inPlace.get(task.id) || task);
+
+  // Put moved, added and removed tasks back lowest position first so each lands where it was
+  moved
+    .map(pick)
+    .filter(({ task }) => task)
+    .sort((a, b) => a.index - b.index)
+    .forEach(({ task, index }) => {
+      result.splice(Math.min(index, result.length), 0, task);
+    });
+
+  return result;
+};
+
+/**
+ * Work out which speedrun timers a change touched
+ */
+export const diffTimers = (prevTimers = {}, nextTimers = {}) => {
+  const taskIds = new Set([...Object.keys(prevTimers), ...Object.keys(nextTimers)]);
+  return [...taskIds]
+    .filter(taskId => prevTimers[taskId] !== nextTimers[taskId])
+    .map(taskId => ({ taskId, before: prevTimers[taskId] || null, after: nextTimers[taskId] || null }));
+};
+
+/**
+ * Apply timer changes forwards ('redo') or backwards ('undo')
+ */
+export const applyTimerChanges = (timers, changes, direction = 'redo') => {
+  const result = { ...timers };
+  changes.forEach(change => {
+    const value = direction === 'undo' ? change.before : change.after;
+    if (value) {
+      result[change.taskId] = value;
+    } else {
+      delete result[change.taskId];
+    }
+  });
+  return result;
+};
+
+/**
+ * Whether a command changed anything
+ */
+export const isEmptyCommand = (command) => {
+  return command.taskChanges.length === 0 &&
+    command.timerChanges.length === 0 &&
+    !command.xpDelta &&
+    !command.stepsDelta &&
+    !command.completedQuest &&
+    !(command.savedTemplates && command.savedTemplates.length > 0);
+};
+
+/**
+ * Record a command; anything that was undone can no longer be redone
+ */
+export const pushCommand = (history, command) => ({
+  past: [...history.past, command].slice(-UNDO_LIMIT),
+  future: [],
+});
+
+/**
+ * Take the last command off the history to undo it
+ * Returns: { history, command } or null when there is nothing to undo
+ */
+export const undoCommand = (history) => {
+  const command = history.past[history.past.length - 1];
+  if (!command) return null;
+
+  return {
+    command,
+    history: { past: history.past.slice(0, -1), future: [command, ...history.future] },
+  };
+};
+
+/**
+ * Take the last undone command to redo it
+ * Returns: { history, command } or null when there is nothing to redo
+ */
+export const redoCommand = (history) => {
+  const [command, ...future] = history.future;
+  if (!command) return null;
+
+  return {
+    command,
+    history: { past: [...history.past, command], future },
+  };
+};
+
+/**
+ * Update every recorded change to one task (e.g. once a new quest's steps have all arrived)
+ */
+export const updateTaskChanges = (history, taskId, updater) => {
+  const update = (commands) => commands.map(command => ({
+    ...command,
+    taskChanges: command.taskChanges.map(change => (change.id === taskId ? updater(change) : change)),
+  }));
+  return { past: update(history.past), future: update(history.future) };
+};
+
+/**
+ * Forget a recorded command
+ */
+export const dropCommand = (history, commandId) => ({
+  past: history.past.filter(command => command.id !== commandId),
+  future: history.future.filter(command => command.id !== commandId),
+});
+
+export default {
+  UNDO_LIMIT,
+  createHistory,
+  diffTasks,
+  applyTaskChanges,
+  diffTimers,
+  applyTimerChanges,
+  isEmptyCommand,
+  pushCommand,
+  undoCommand,
+  redoCommand,
+  updateTaskChanges,
+  dropCommand
+};
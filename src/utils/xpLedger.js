@@ -0,0 +1,381 @@
+/**
+ * XP Ledger
+ *
+ * Every change to the player's XP is written down as an entry that is never
+ * edited or removed afterwards, and the profile's totalXP is worked out from
+ * the entries. When a total looks wrong, the ledger shows where it came from.
+ *
+ * An entry:
+ * - id, createdAt, deviceId: when and on which device it was written
+ * - source:     what it was for (see LEDGER_SOURCES)
+ * - xp:         XP added (negative when taken back)
+ * - taskId, subtaskId: the quest and step it was for, if any (a quest's
+ *               streak bonus has a taskId but no subtaskId)
+ * - baseXP, multipliers: { priority, duration, dread, streak }, bonus:
+ *               how a step's XP was worked out (step awards only)
+ * - label:      the action that wrote it, e.g. 'Checked off "Find the number"'
+ *
+ * Prestiging is written down too, as a 'prestige' entry of 0 XP; the
+ * player's prestige stars are the ones since the last XP reset.
+ *
+ * Entries are kept in adhd_quest_xp_ledger. Syncing joins the ledgers of all
+ * devices by entry id, so no device's total overwrites another's.
+ *
+ * The one exception to "never edited" is the opening entries, which carry
+ * over XP earned before the ledger. Each device opens its own ledger, so two
+ * devices can write different amounts under the same opening id; every device
+ * keeps the larger one (see pickLedgerEntry), the same way profile totals
+ * were merged before there was a ledger.
+ */
+
+import { getLeafSteps } from './subtaskTree';
+import { getEarnedXP } from './xpPolicy';
+import { applyXPChange } from './xpSystem';
+
+const LEDGER_KEY = 'adhd_quest_xp_ledger';
+const DEVICE_KEY = 'adhd_quest_device_id';
+
+export const LEDGER_SOURCES = {
+  opening: 'Carried over',
+  step: 'Step checked off',
+  unchecked: 'Step unchecked',
+  removed: 'Step deleted',
+  moved: 'Step moved',
+  'streak-bonus': 'Streak bonus',
+  undo: 'Undone',
+  recalculate: 'Recalculated',
+  reset: 'XP reset',
+  repair: 'Repaired',
+  adjustment: 'Adjusted',
+  prestige: 'Prestiged',
+};
+
+const randomId = () => Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+/**
+ * Get this device's id, making one the first time
+ */
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_KEY);
+  if (!deviceId) {
+    deviceId = `device-${randomId()}`;
+    localStorage.setItem(DEVICE_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+/**
+ * Load the ledger, oldest entry first
+ */
+export const loadLedger = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LEDGER_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error('Error loading XP ledger:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the ledger (only for adding entries: use appendToLedger, or mergeLedgers when syncing)
+ */
+export const saveLedger = (ledger) => {
+  localStorage.setItem(LEDGER_KEY, JSON.stringify(ledger));
+};
+
+/**
+ * Make a ledger entry
+ * fields: { source, xp, taskId, subtaskId, baseXP, multipliers, bonus, label }
+ */
+export const createLedgerEntry = (fields, now = new Date(), deviceId = getDeviceId()) => ({
+  id: `xp-${randomId()}`,
+  createdAt: now.toISOString(),
+  deviceId,
+  taskId: null,
+  subtaskId: null,
+  label: '',
+  ...fields,
+});
+
+/**
+ * Write entries at the end of the saved ledger (fields without an id are made into entries)
+ * Returns: the whole ledger
+ */
+export const appendToLedger = (entries, now = new Date()) => {
+  const ledger = [
+    ...loadLedger(),
+    ...entries.map(entry => (entry.id ? entry : createLedgerEntry(entry, now))),
+  ];
+  saveLedger(ledger);
+  return ledger;
+};
+
+/**
+ * Add up the ledger (XP never drops below zero)
+ */
+export const getLedgerTotal = (ledger = []) => Math.max(0, ledger.reduce((sum, entry) => sum + (entry.xp || 0), 0));
+
+/**
+ * Count the prestige stars in the ledger (an XP reset takes them away)
+ */
+export const getLedgerPrestige = (ledger = []) => ledger.reduce((stars, entry) => {
+  if (entry.source === 'reset') return 0;
+  return entry.source === 'prestige' ? stars + 1 : stars;
+}, 0);
+
+/**
+ * Describe a step's XP award as ledger fields
+ * award: the result of calculateStepXP
+ */
+export const describeStepAward = (taskId, subtaskId, { xp, breakdown }) => ({
+  source: 'step',
+  xp,
+  taskId,
+  subtaskId,
+  baseXP: breakdown.base,
+  multipliers: {
+    priority: breakdown.priority,
+    duration: breakdown.duration,
+    dread: breakdown.dread,
+    streak: breakdown.streak,
+  },
+  bonus: breakdown.bonus,
+});
+
+/**
+ * Show how a step award was worked out, e.g. '10 × 1.2 priority × 1.5 streak + 15 first step'
+ * (weights of 1 are left out)
+ */
+export const describeAward = (entry) => {
+  const round = (number) => Math.round(number * 100) / 100;
+  const weights = Object.entries(entry.multipliers || {})
+    .filter(([, weight]) => weight !== 1)
+    .map(([name, weight]) => ` × ${round(weight)} ${name === 'duration' ? 'time' : name}`);
+  return `${entry.baseXP}${weights.join('')}${entry.bonus ? ` + ${entry.bonus} first step` : ''}`;
+};
+
+/**
+ * Ledger fields taking back (or with sign 1, giving) the XP each of these steps earned
+ * Returns: one per step that earned XP
+ */
+export const describeStepXP = (taskId, subtasks = [], source, sign = -1) => getLeafSteps(subtasks)
+  .filter(step => getEarnedXP(step) > 0)
+  .map(step => ({ source, xp: sign * getEarnedXP(step), taskId, subtaskId: step.id }));
+
+/**
+ * Ledger fields for steps whose XP changed, e.g. after recalculating
+ * before, after: tasks and/or completed quests, matched by id
+ */
+export const describeXPChanges = (before = [], after = [], source) => {
+  const earned = new Map();
+  before.forEach(item => getLeafSteps(item.subtasks).forEach(step => {
+    earned.set(`${item.id}:${step.id}`, getEarnedXP(step));
+  }));
+
+  const changes = [];
+  after.forEach(item => getLeafSteps(item.subtasks).forEach(step => {
+    const xp = getEarnedXP(step) - (earned.get(`${item.id}:${step.id}`) || 0);
+    if (xp !== 0) changes.push({ source, xp, taskId: item.id, subtaskId: step.id });
+  }));
+  return changes;
+};
+
+/**
+ * Make a command's ledger fields add up to the XP it actually applied
+ * (XP never drops below zero) with an 'adjustment' for the difference. The
+ * adjustment is for the same quest, so coins follow it too (see rewardShop.js)
+ */
+export const balanceEntries = (entries = [], appliedXP = 0) => {
+  const entriesXP = entries.reduce((sum, entry) => sum + entry.xp, 0);
+  if (appliedXP === entriesXP) return entries;
+
+  const taskId = entries.find(entry => entry.taskId)?.taskId;
+  return [...entries, { source: 'adjustment', xp: appliedXP - entriesXP, ...(taskId && { taskId }) }];
+};
+
+/**
+ * Start a ledger for XP earned before there was one: each step's XP and
+ * streak bonus, plus whatever else the profile total holds. Ids come from
+ * the quest and step, so devices starting their ledgers from the same
+ * quests agree once they sync.
+ */
+export const openLedger = (profile = {}, tasks = [], completedQuests = [], now = new Date()) => {
+  const opening = (id, fields) => createLedgerEntry({ source: 'opening', label: 'XP earned before the ledger', ...fields, id }, now);
+
+  const entries = [];
+  [...tasks, ...completedQuests].forEach(item => {
+    describeStepXP(item.id, item.subtasks, 'opening', 1).forEach(step => {
+      entries.push(opening(`opening:${item.id}:${step.subtaskId}`, step));
+    });
+  });
+  completedQuests.filter(quest => quest.streakBonus > 0).forEach(quest => {
+    entries.push(opening(`opening:${quest.id}:bonus`, { xp: quest.streakBonus, taskId: quest.id }));
+  });
+
+  const rest = (profile.totalXP || 0) - entries.reduce((sum, entry) => sum + entry.xp, 0);
+  if (rest !== 0) entries.push(opening('opening:balance', { xp: rest }));
+  return entries;
+};
+
+/**
+ * Load the ledger, starting it from the saved profile, quests and quest log if there isn't one yet
+ */
+export const ensureLedger = (now = new Date()) => {
+  const ledger = loadLedger();
+  if (ledger.length > 0) return ledger;
+
+  try {
+    const profile = JSON.parse(localStorage.getItem('adhd_quest_profile') || '{}');
+    const tasks = JSON.parse(localStorage.getItem('adhd_quest_tasks') || '[]');
+    const completedQuests = JSON.parse(localStorage.getItem('adhd_quest_completed') || '[]');
+    const opening = openLedger(profile, tasks, completedQuests, now);
+    if (opening.length > 0) saveLedger(opening);
+    return opening;
+  } catch (error) {
+    console.error('Error starting XP ledger:', error);
+    return ledger;
+  }
+};
+
+/**
+ * Choose between two copies of the entry with the same id, the same way on
+ * every device: the larger XP, then the lower device id
+ * (only opening entries can differ; other copies are identical)
+ */
+export const pickLedgerEntry = (a, b) => {
+  if (a.xp !== b.xp) return a.xp > b.xp ? a : b;
+  return String(b.deviceId || '') < String(a.deviceId || '') ? b : a;
+};
+
+/**
+ * Join two ledgers; entries with the same id are the same event
+ * Returns: the joined ledger, oldest first
+ */
+export const mergeLedgers = (local = [], remote = []) => {
+  const byId = new Map();
+  [...local, ...remote].forEach(entry => {
+    const existing = byId.get(entry.id);
+    byId.set(entry.id, existing ? pickLedgerEntry(existing, entry) : entry);
+  });
+  return Array.from(byId.values()).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+/**
+ * Compare the ledger with the profile total and with the XP recorded on
+ * every step and completed quest. Steps no longer around (deleted from the
+ * quest log) are left out.
+ * Returns: { ledgerTotal, profileTotal, issues: [{ type, taskId, subtaskId, xp, message }] }
+ *   (xp is what the ledger is short by; for 'profile', what the profile is short by)
+ */
+export const checkLedger = (ledger = [], profile = {}, tasks = [], completedQuests = []) => {
+  const ledgerTotal = getLedgerTotal(ledger);
+  const profileTotal = profile.totalXP || 0;
+  const issues = [];
+
+  if (profileTotal !== ledgerTotal) {
+    issues.push({
+      type: 'profile',
+      xp: ledgerTotal - profileTotal,
+      message: `The profile shows ${profileTotal} XP, but the ledger adds up to ${ledgerTotal} XP.`,
+    });
+  }
+
+  const net = new Map();
+  ledger.forEach(entry => {
+    if (!entry.taskId) return;
+    const key = `${entry.taskId}:${entry.subtaskId || 'bonus'}`;
+    net.set(key, (net.get(key) || 0) + (entry.xp || 0));
+  });
+
+  const checkSteps = (item) => getLeafSteps(item.subtasks).forEach(step => {
+    const recorded = getEarnedXP(step);
+    const inLedger = net.get(`${item.id}:${step.id}`) || 0;
+    if (recorded !== inLedger) {
+      issues.push({
+        type: 'step',
+        taskId: item.id,
+        subtaskId: step.id,
+        xp: recorded - inLedger,
+        message: `"${step.text}" (${item.title}) earned ${recorded} XP, but the ledger has ${inLedger} XP for it.`,
+      });
+    }
+  });
+
+  tasks.forEach(checkSteps);
+  completedQuests.forEach(quest => {
+    checkSteps(quest);
+    const bonus = quest.streakBonus || 0;
+    const inLedger = net.get(`${quest.id}:bonus`) || 0;
+    if (bonus !== inLedger) {
+      issues.push({
+        type: 'bonus',
+        taskId: quest.id,
+        xp: bonus - inLedger,
+        message: `"${quest.title}" earned a ${bonus} XP streak bonus, but the ledger has ${inLedger} XP for it.`,
+      });
+    }
+  });
+
+  return { ledgerTotal, profileTotal, issues };
+};
+
+/**
+ * Fix what checkLedger found: the ledger gets repair entries so each step
+ * and quest matches the XP recorded on it, then the profile total is worked
+ * out from the ledger again
+ * Returns: { entries, profile }
+ */
+export const repairLedger = (ledger, profile, tasks, completedQuests, curve, now = new Date()) => {
+  const { issues } = checkLedger(ledger, profile, tasks, completedQuests);
+  const entries = issues
+    .filter(issue => issue.type !== 'profile')
+    .map(issue => createLedgerEntry({
+      source: 'repair',
+      xp: issue.xp,
+      taskId: issue.taskId,
+      subtaskId: issue.subtaskId || null,
+      label: issue.message,
+    }, now));
+
+  const total = getLedgerTotal([...ledger, ...entries]);
+  return { entries, profile: applyXPChange({ ...profile, totalXP: 0 }, total, 0, curve) };
+};
+
+/**
+ * Add up the ledger by source
+ * Returns: [{ source, label, count, xp }], most XP first
+ */
+export const summarizeLedger = (ledger = []) => {
+  const bySource = {};
+  ledger.forEach(entry => {
+    const summary = bySource[entry.source] || { source: entry.source, label: LEDGER_SOURCES[entry.source] || entry.source, count: 0, xp: 0 };
+    summary.count += 1;
+    summary.xp += entry.xp || 0;
+    bySource[entry.source] = summary;
+  });
+  return Object.values(bySource).sort((a, b) => b.xp - a.xp);
+};
+
+export default {
+  LEDGER_SOURCES,
+  getDeviceId,
+  loadLedger,
+  saveLedger,
+  createLedgerEntry,
+  appendToLedger,
+  getLedgerTotal,
+  getLedgerPrestige,
+  describeStepAward,
+  describeAward,
+  describeStepXP,
+  describeXPChanges,
+  balanceEntries,
+  openLedger,
+  ensureLedger,
+  pickLedgerEntry,
+  mergeLedgers,
+  checkLedger,
+  repairLedger,
+  summarizeLedger
+};
@@ -0,0 +1,256 @@
+/**
+ * XP Policy
+ *
+ * Decides how much XP a step is worth. A step earns
+ *   baseXP × priority weight × duration weight × dread weight (rounded, at least 1)
+ * plus firstStepBonus if it is the first step checked off that day. An
+ * active streak multiplies the weighted XP (see streakTracker.js); the extra
+ * is kept on the step as streakXP, with the multiplier used as streakMultiplier.
+ * Completing a quest during a streak also earns a flat streakBonus, kept on
+ * the completed quest.
+ *
+ * - priorityWeights: by the quest's priority
+ * - durationWeightPerHour: extra weight per hour of estimated time, up to
+ *   maxDurationWeight (the step's estimate, or its share of the quest's)
+ * - dreadWeights: by the dread level the player picked for the quest (0-3)
+ * - levelCurve: how much XP each level takes (see xpSystem.js)
+ *
+ * The policy is the `xpPolicy` block of adhd_quest_settings. Each checked-off
+ * step keeps the XP it earned (subtask.xp) and when (subtask.completedAt),
+ * so taking a step back returns exactly what it gave, and recomputeXP can
+ * work everything out again under a new policy.
+ *
+ * Everything here is pure apart from getXPPolicy.
+ */
+
+import { format } from 'date-fns';
+import { getChildren, hasChildren, getLeafSteps } from './subtaskTree';
+import { XP_PER_SUBTASK, LEVEL_CURVES, DEFAULT_LEVEL_CURVE } from './xpSystem';
+
+const SETTINGS_KEY = 'adhd_quest_settings';
+
+export const DREAD_LEVELS = [
+  { value: 0, label: '😌 NONE' },
+  { value: 1, label: '😐 A LITTLE' },
+  { value: 2, label: '😣 QUITE A BIT' },
+  { value: 3, label: '😱 DREADING IT' },
+];
+
+export const DEFAULT_XP_POLICY = {
+  baseXP: XP_PER_SUBTASK,
+  priorityWeights: { low: 1, medium: 1.2, high: 1.5 },
+  durationWeightPerHour: 0.5,
+  maxDurationWeight: 2,
+  dreadWeights: [1, 1.25, 1.5, 2],
+  firstStepBonus: 15,
+  levelCurve: DEFAULT_LEVEL_CURVE,
+};
+
+const toNumber = (value, fallback, min = 0) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min ? number : fallback;
+};
+
+/**
+ * Merge a saved policy over the defaults, replacing anything invalid
+ */
+export const normalizeXPPolicy = (saved = {}) => {
+  const defaults = DEFAULT_XP_POLICY;
+  const priorityWeight = (priority) => toNumber(saved.priorityWeights?.[priority], defaults.priorityWeights[priority]);
+
+  const savedCurve = saved.levelCurve || {};
+  const table = Array.isArray(savedCurve.table)
+    ? savedCurve.table.map(Number).filter(xp => Number.isInteger(xp) && xp > 0)
+    : [];
+
+  return {
+    baseXP: toNumber(saved.baseXP, defaults.baseXP, 1),
+    priorityWeights: { low: priorityWeight('low'), medium: priorityWeight('medium'), high: priorityWeight('high') },
+    durationWeightPerHour: toNumber(saved.durationWeightPerHour, defaults.durationWeightPerHour),
+    maxDurationWeight: toNumber(saved.maxDurationWeight, defaults.maxDurationWeight, 1),
+    dreadWeights: defaults.dreadWeights.map((weight, level) => toNumber(saved.dreadWeights?.[level], weight)),
+    firstStepBonus: Math.round(toNumber(saved.firstStepBonus, defaults.firstStepBonus)),
+    levelCurve: {
+      type: LEVEL_CURVES.includes(savedCurve.type) ? savedCurve.type : defaults.levelCurve.type,
+      base: toNumber(savedCurve.base, defaults.levelCurve.base, 1),
+      table,
+    },
+  };
+};
+
+/**
+ * Load the XP policy from the saved app settings
+ */
+export const getXPPolicy = () => {
+  try {
+    const settings = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return normalizeXPPolicy(settings.xpPolicy);
+  } catch (e) {
+    console.error('Error loading XP policy:', e);
+    return normalizeXPPolicy();
+  }
+};
+
+/**
+ * Parse a custom level table typed as a list, e.g. '100, 150, 250'
+ * Returns: { table } or { error }
+ */
+export const parseLevelTable = (text) => {
+  const entries = String(text || '').split(/[\s,]+/).filter(Boolean);
+  if (entries.length === 0) return { error: 'Enter the XP for each level, e.g. 100, 150, 250.' };
+
+  const table = entries.map(Number);
+  if (table.some(xp => !Number.isInteger(xp) || xp <= 0)) {
+    return { error: 'Each level needs a whole number of XP above 0.' };
+  }
+  return { table };
+};
+
+/**
+ * Get the minutes a step is expected to take: its own estimate, or its
+ * share of the quest's estimate
+ * Returns: minutes, or null when there is no estimate
+ */
+export const getStepMinutes = (task, step) => {
+  if (step.estimatedMinutes) return step.estimatedMinutes;
+  const stepCount = getLeafSteps(task.subtasks).length;
+  return task.estimatedMinutes && stepCount > 0 ? task.estimatedMinutes / stepCount : null;
+};
+
+/**
+ * Work out the XP a step earns when it's checked off
+ * Returns: { xp, streakXP, breakdown: { base, priority, duration, dread, streak, bonus } }
+ */
+export const calculateStepXP = (task, step, policy = DEFAULT_XP_POLICY, { firstOfDay = false, streakMultiplier = 1 } = {}) => {
+  const minutes = getStepMinutes(task, step);
+  const dreadLevel = Math.min(Math.max(Math.round(task.dread || 0), 0), policy.dreadWeights.length - 1);
+
+  const breakdown = {
+    base: policy.baseXP,
+    priority: policy.priorityWeights[task.priority] ?? 1,
+    duration: minutes ? Math.min(policy.maxDurationWeight, 1 + (policy.durationWeightPerHour * minutes) / 60) : 1,
+    dread: policy.dreadWeights[dreadLevel] ?? 1,
+    streak: Math.max(1, streakMultiplier),
+    bonus: firstOfDay ? policy.firstStepBonus : 0,
+  };
+
+  const weighted = Math.max(1, Math.round(breakdown.base * breakdown.priority * breakdown.duration * breakdown.dread));
+  const streakXP = Math.round(weighted * (breakdown.streak - 1));
+  return { xp: weighted + streakXP + breakdown.bonus, streakXP, breakdown };
+};
+
+/**
+ * The XP a step has earned (steps checked off before XP was recorded on them earned the flat amount)
+ */
+export const getEarnedXP = (step) => {
+  if (!step.completed || hasChildren(step)) return 0;
+  return typeof step.xp === 'number' ? step.xp : XP_PER_SUBTASK;
+};
+
+/**
+ * Add up the XP earned by a list of steps (including their smaller steps)
+ */
+export const sumEarnedXP = (subtasks = []) => {
+  return getLeafSteps(subtasks).reduce((sum, step) => sum + getEarnedXP(step), 0);
+};
+
+/**
+ * Add up the part of a list of steps' XP that came from streak multipliers
+ */
+export const sumStreakXP = (subtasks = []) => {
+  return getLeafSteps(subtasks).reduce((sum, step) => sum + (step.completed ? step.streakXP || 0 : 0), 0);
+};
+
+/**
+ * The XP a quest has earned: its steps, plus any streak bonus for completing it
+ */
+export const getQuestXP = (quest) => sumEarnedXP(quest.subtasks) + (quest.streakBonus || 0);
+
+const dayOf = (time) => format(new Date(time), 'yyyy-MM-dd');
+
+/**
+ * Check whether no step has been checked off yet on the given day
+ * items: tasks and/or completed quests
+ */
+export const isFirstStepOfDay = (items = [], now = new Date()) => {
+  const today = dayOf(now);
+  return !items.some(item => getLeafSteps(item.subtasks).some(step =>
+    step.completed && step.completedAt && dayOf(step.completedAt) === today
+  ));
+};
+
+const mapLeafSteps = (subtasks = [], fn) => subtasks.map(subtask => (hasChildren(subtask)
+  ? { ...subtask, children: mapLeafSteps(getChildren(subtask), fn) }
+  : fn(subtask)));
+
+/**
+ * Work out all the XP earned so far again under a policy
+ *
+ * Every checked-off step is re-scored; the earliest step of each day gets the
+ * first-step bonus. Steps with no completion time use their quest's
+ * (completed quests) or get no bonus (open quests). Streak multipliers and
+ * bonuses are kept as they were earned.
+ * Returns: { tasks, completedQuests, totalXP, previousTotal }
+ */
+export const recomputeXP = (tasks = [], completedQuests = [], policy = DEFAULT_XP_POLICY) => {
+  const done = [];
+  const collect = (item, source) => getLeafSteps(item.subtasks).forEach(step => {
+    if (!step.completed) return;
+    done.push({ key: `${source}:${item.id}:${step.id}`, time: step.completedAt || item.completedAt || null });
+  });
+  tasks.forEach(task => collect(task, 'task'));
+  completedQuests.forEach(quest => collect(quest, 'quest'));
+
+  const firstOfDay = new Set();
+  const seenDays = new Set();
+  done
+    .filter(entry => entry.time)
+    .sort((a, b) => new Date(a.time) - new Date(b.time))
+    .forEach(entry => {
+      const day = dayOf(entry.time);
+      if (!seenDays.has(day)) {
+        seenDays.add(day);
+        firstOfDay.add(entry.key);
+      }
+    });
+
+  const total = (openTasks, quests) => openTasks.reduce((sum, task) => sum + sumEarnedXP(task.subtasks), 0) +
+    quests.reduce((sum, quest) => sum + getQuestXP(quest), 0);
+  const previousTotal = total(tasks, completedQuests);
+
+  const rescore = (item, source) => mapLeafSteps(item.subtasks, step => {
+    if (!step.completed) return step;
+    const { xp, streakXP } = calculateStepXP(item, step, policy, {
+      firstOfDay: firstOfDay.has(`${source}:${item.id}:${step.id}`),
+      streakMultiplier: step.streakMultiplier || 1,
+    });
+    return { ...step, xp, streakXP };
+  });
+
+  const newTasks = tasks.map(task => ({ ...task, subtasks: rescore(task, 'task') }));
+  const newCompleted = completedQuests.map(quest => {
+    const subtasks = rescore(quest, 'quest');
+    const rescored = { ...quest, subtasks, streakXP: sumStreakXP(subtasks) };
+    return { ...rescored, xpEarned: getQuestXP(rescored) };
+  });
+
+  const totalXP = total(newTasks, newCompleted);
+
+  return { tasks: newTasks, completedQuests: newCompleted, totalXP, previousTotal };
+};
+
+export default {
+  DREAD_LEVELS,
+  DEFAULT_XP_POLICY,
+  normalizeXPPolicy,
+  getXPPolicy,
+  parseLevelTable,
+  getStepMinutes,
+  calculateStepXP,
+  getEarnedXP,
+  sumEarnedXP,
+  sumStreakXP,
+  getQuestXP,
+  isFirstStepOfDay,
+  recomputeXP
+};
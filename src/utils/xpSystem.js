@@ -1,66 +1,105 @@
 /**
  * XP and Leveling System
  * Handles all calculations for experience points and level progression
+ *
+ * How much XP each level takes follows a level curve (part of the XP
+ * policy in xpPolicy.js): { type: 'linear' | 'quadratic' | 'custom', base, table }
+ * - linear:    base * level
+ * - quadratic: base * level² / 2
+ * - custom:    table[0] for level 2, table[1] for level 3, ...; levels past
+ *              the end of the table take its last entry
+ *
+ * Prestige: at MAX_LEVEL the player can prestige, going back to level 1
+ * with a prestige star (profile.prestige). totalXP is never reset; each star
+ * sets aside the XP it takes to climb from level 1 to MAX_LEVEL (one prestige
+ * tier), and the level is worked out from what's left. XP earned at
+ * MAX_LEVEL before prestiging carries over into the next tier.
  */
 
+import { getLeafProgress } from './subtaskTree';
+
 // Constants
 export const XP_PER_SUBTASK = 10; // FR-20: Fixed XP amount per subtask
 export const MAX_LEVEL = 100; // FR-22: Level system ranges 1-100
 
+export const LEVEL_CURVES = ['linear', 'quadratic', 'custom'];
+export const DEFAULT_LEVEL_CURVE = { type: 'linear', base: 100, table: [] };
+
 /**
  * Calculate XP required to reach a specific level
- * Using linear scaling: 100 * level
  * FR-23: XP required per level increases progressively
  */
-export const getXPRequiredForLevel = (level) => {
+export const getXPRequiredForLevel = (level, curve = DEFAULT_LEVEL_CURVE) => {
   if (level <= 1) return 0;
-  return 100 * level;
+  
+  switch (curve.type) {
+    case 'quadratic':
+      return Math.round((curve.base * level * level) / 2);
+    case 'custom':
+      if (curve.table && curve.table.length > 0) {
+        return curve.table[Math.min(level - 2, curve.table.length - 1)];
+      }
+      return curve.base * level;
+    default:
+      return curve.base * level;
+  }
 };
 
 /**
  * Calculate total XP required from level 1 to target level
  */
-export const getTotalXPForLevel = (level) => {
+export const getTotalXPForLevel = (level, curve = DEFAULT_LEVEL_CURVE) => {
   if (level <= 1) return 0;
   
   let totalXP = 0;
   for (let i = 2; i <= level; i++) {
-    totalXP += getXPRequiredForLevel(i);
+    totalXP += getXPRequiredForLevel(i, curve);
   }
   return totalXP;
 };
 
 /**
- * Get current level and progress from total XP
- * Returns: { level, currentLevelXP, xpToNextLevel, progressPercent }
+ * Calculate the XP one prestige tier takes (level 1 to MAX_LEVEL)
  */
-export const getLevelFromXP = (totalXP) => {
-  if (totalXP <= 0) {
+export const getPrestigeTierXP = (curve = DEFAULT_LEVEL_CURVE) => getTotalXPForLevel(MAX_LEVEL, curve);
+
+/**
+ * Get current level and progress from total XP, after the XP set aside by prestige stars
+ * Returns: { level, currentLevelXP, xpToNextLevel, progressPercent, prestige, canPrestige }
+ */
+export const getLevelFromXP = (totalXP, curve = DEFAULT_LEVEL_CURVE, prestige = 0) => {
+  const tierXP = totalXP - prestige * getPrestigeTierXP(curve);
+
+  if (tierXP <= 0) {
     return {
       level: 1,
       currentLevelXP: 0,
-      xpToNextLevel: getXPRequiredForLevel(2),
-      progressPercent: 0
+      xpToNextLevel: getXPRequiredForLevel(2, curve),
+      progressPercent: 0,
+      prestige,
+      canPrestige: false
     };
   }
   
   let level = 1;
-  let xpRemaining = totalXP;
+  let xpRemaining = tierXP;
   
   // Find current level
-  while (level < MAX_LEVEL && xpRemaining >= getXPRequiredForLevel(level + 1)) {
-    xpRemaining -= getXPRequiredForLevel(level + 1);
+  while (level < MAX_LEVEL && xpRemaining >= getXPRequiredForLevel(level + 1, curve)) {
+    xpRemaining -= getXPRequiredForLevel(level + 1, curve);
     level++;
   }
   
-  const xpToNextLevel = level < MAX_LEVEL ? getXPRequiredForLevel(level + 1) : 0;
+  const xpToNextLevel = level < MAX_LEVEL ? getXPRequiredForLevel(level + 1, curve) : 0;
   const progressPercent = xpToNextLevel > 0 ? (xpRemaining / xpToNextLevel) * 100 : 100;
   
   return {
     level,
     currentLevelXP: xpRemaining,
     xpToNextLevel,
-    progressPercent: Math.round(progressPercent)
+    progressPercent: Math.round(progressPercent),
+    prestige,
+    canPrestige: level >= MAX_LEVEL
   };
 };
 
@@ -69,10 +108,10 @@ export const getLevelFromXP = (totalXP) => {
  * FR-26: Visual/auditory feedback on subtask completion
  * FR-27: Level-up event triggers celebration
  */
-export const awardXP = (currentTotalXP, xpToAdd = XP_PER_SUBTASK) => {
-  const oldStats = getLevelFromXP(currentTotalXP);
+export const awardXP = (currentTotalXP, xpToAdd = XP_PER_SUBTASK, curve = DEFAULT_LEVEL_CURVE, prestige = 0) => {
+  const oldStats = getLevelFromXP(currentTotalXP, curve, prestige);
   const newTotalXP = currentTotalXP + xpToAdd;
-  const newStats = getLevelFromXP(newTotalXP);
+  const newStats = getLevelFromXP(newTotalXP, curve, prestige);
   
   const leveledUp = newStats.level > oldStats.level;
   
@@ -86,18 +125,51 @@ export const awardXP = (currentTotalXP, xpToAdd = XP_PER_SUBTASK) => {
   };
 };
 
+/**
+ * Add (or with a negative amount, take back) XP and completed steps on a profile,
+ * keeping the level fields in line with the new total
+ * Returns: the updated profile
+ */
+export const applyXPChange = (profile, xpDelta, stepsDelta = 0, curve = DEFAULT_LEVEL_CURVE) => {
+  const totalXP = Math.max(0, profile.totalXP + xpDelta);
+  const { level, currentLevelXP, xpToNextLevel } = getLevelFromXP(totalXP, curve, profile.prestige || 0);
+
+  return {
+    ...profile,
+    totalXP,
+    level,
+    currentLevelXP,
+    xpToNextLevel,
+    subtasksCompleted: Math.max(0, (profile.subtasksCompleted || 0) + stepsDelta)
+  };
+};
+
+/**
+ * Prestige: back to level 1 with one more star, keeping the total XP
+ * Returns: { profile } or { error }
+ */
+export const prestigeProfile = (profile, curve = DEFAULT_LEVEL_CURVE) => {
+  const prestige = profile.prestige || 0;
+  if (!getLevelFromXP(profile.totalXP, curve, prestige).canPrestige) {
+    return { error: `Reach level ${MAX_LEVEL} to prestige.` };
+  }
+  return { profile: applyXPChange({ ...profile, prestige: prestige + 1 }, 0, 0, curve) };
+};
+
 /**
  * Initialize default user profile
  * FR-66: User profile data structure
  */
-export const createDefaultProfile = () => {
+export const createDefaultProfile = (curve = DEFAULT_LEVEL_CURVE) => {
   return {
     totalXP: 0,
     level: 1,
     currentLevelXP: 0,
-    xpToNextLevel: getXPRequiredForLevel(2),
+    xpToNextLevel: getXPRequiredForLevel(2, curve),
     tasksCompleted: 0,
     subtasksCompleted: 0,
+    prestige: 0,
+    xpBarStyle: 'classic',
     createdAt: new Date().toISOString()
   };
 };
@@ -111,11 +183,12 @@ export const calculateStats = (tasks) => {
   let completedTasks = 0;
   
   tasks.forEach(task => {
-    totalSubtasks += task.subtasks.length;
-    const completed = task.subtasks.filter(st => st.completed).length;
+    // Only leaf steps count; parent steps are made of their children
+    const { completed, total } = getLeafProgress(task.subtasks);
+    totalSubtasks += total;
     completedSubtasks += completed;
     
-    if (completed === task.subtasks.length && task.subtasks.length > 0) {
+    if (completed === total && total > 0) {
       completedTasks++;
     }
   });
@@ -131,10 +204,15 @@ export const calculateStats = (tasks) => {
 export default {
   XP_PER_SUBTASK,
   MAX_LEVEL,
+  LEVEL_CURVES,
+  DEFAULT_LEVEL_CURVE,
   getXPRequiredForLevel,
   getTotalXPForLevel,
+  getPrestigeTierXP,
   getLevelFromXP,
   awardXP,
+  applyXPChange,
+  prestigeProfile,
   createDefaultProfile,
   calculateStats
 };
@@ -27,11 +27,31 @@ CREATE TABLE public.user_profiles (
   xp_to_next_level INTEGER DEFAULT 200,
   tasks_completed INTEGER DEFAULT 0,
   subtasks_completed INTEGER DEFAULT 0,
+  prestige INTEGER DEFAULT 0 CHECK (prestige >= 0), -- stars, counted from the XP ledger's prestige entries
+  xp_bar_style TEXT DEFAULT 'classic', -- unlocked by prestiging
   avatar_url TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- ============================================================================
+-- PROJECTS
+-- ============================================================================
+CREATE TABLE public.projects (
+  id TEXT PRIMARY KEY, -- created on the device, so it can be used before the first sync
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  color TEXT DEFAULT '#00FF00',
+  icon TEXT DEFAULT '📁',
+  goal_date DATE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  deleted_at TIMESTAMP WITH TIME ZONE, -- kept so the deletion syncs to other devices
+  synced_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_projects_user_id ON public.projects(user_id);
+
 -- ============================================================================
 -- TASKS
 -- ============================================================================
@@ -40,8 +60,19 @@ CREATE TABLE public.tasks (
   user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
   title TEXT NOT NULL,
   description TEXT,
-  status TEXT DEFAULT 'active' CHECK (status IN ('active', 'completed', 'archived')),
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'in_progress', 'completed', 'archived')),
+  status_history JSONB DEFAULT '[]', -- [{ from, to, at }] every status change
+  archived_at TIMESTAMP WITH TIME ZONE, -- set aside without being finished
   subtasks JSONB DEFAULT '[]',
+  blocked_by JSONB DEFAULT '[]', -- [{ task_id, subtask_id }] this task waits on
+  project_id TEXT REFERENCES public.projects(id) ON DELETE SET NULL,
+  dread INTEGER DEFAULT 0 CHECK (dread BETWEEN 0 AND 3), -- weights the XP its steps earn
+  snoozed_until TIMESTAMP WITH TIME ZONE, -- off the board until then
+  someday BOOLEAN DEFAULT FALSE, -- snoozed with no wake time
+  defer_count INTEGER DEFAULT 0,
+  last_deferred_at TIMESTAMP WITH TIME ZONE,
+  reviewed_defer_count INTEGER DEFAULT 0, -- defer_count when last kept in the weekly review
+  position INTEGER, -- manual order on the board, 0 at the top
   tags TEXT[],
   due_date TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -52,6 +83,8 @@ CREATE TABLE public.tasks (
 CREATE INDEX idx_tasks_user_id ON public.tasks(user_id);
 CREATE INDEX idx_tasks_status ON public.tasks(status);
 CREATE INDEX idx_tasks_due_date ON public.tasks(due_date);
+CREATE INDEX idx_tasks_blocked_by ON public.tasks USING GIN (blocked_by);
+CREATE INDEX idx_tasks_project_id ON public.tasks(project_id);
 
 -- ============================================================================
 -- SUBTASKS
@@ -77,7 +110,11 @@ CREATE TABLE public.completed_quests (
   user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
   title TEXT NOT NULL,
   subtasks JSONB DEFAULT '[]',
+  project_id TEXT REFERENCES public.projects(id) ON DELETE SET NULL,
   xp_earned INTEGER DEFAULT 0,
+  streak INTEGER DEFAULT 0, -- streak days when completed
+  streak_xp INTEGER DEFAULT 0, -- part of xp_earned from streak multipliers on its steps
+  streak_bonus INTEGER DEFAULT 0, -- flat streak bonus for completing it (also in xp_earned)
   total_time INTEGER DEFAULT 0,
   completed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   created_at TIMESTAMP WITH TIME ZONE,
@@ -86,6 +123,61 @@ CREATE TABLE public.completed_quests (
 
 CREATE INDEX idx_completed_quests_user_id ON public.completed_quests(user_id);
 CREATE INDEX idx_completed_quests_completed_at ON public.completed_quests(completed_at);
+CREATE INDEX idx_completed_quests_project_id ON public.completed_quests(project_id);
+
+-- ============================================================================
+-- XP LEDGER (append-only: every XP change, from which the total is worked out)
+-- ============================================================================
+CREATE TABLE public.xp_ledger (
+  id TEXT NOT NULL, -- created on the device; entries carried over from before the ledger have ids like 'opening:<task>:<step>'
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  source TEXT NOT NULL, -- step, unchecked, removed, moved, streak-bonus, undo, recalculate, reset, repair, adjustment, opening, prestige (0 XP)
+  xp INTEGER NOT NULL, -- negative when XP was taken back
+  task_id TEXT,
+  subtask_id TEXT,
+  base_xp INTEGER, -- step awards: XP before multipliers
+  multipliers JSONB, -- step awards: { priority, duration, dread, streak }
+  bonus INTEGER, -- step awards: first step of the day bonus
+  label TEXT DEFAULT '',
+  device_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, id)
+);
+
+CREATE INDEX idx_xp_ledger_user_created ON public.xp_ledger(user_id, created_at);
+
+-- ============================================================================
+-- REWARD SHOP
+-- ============================================================================
+-- Rewards the user made up, bought with coins (1 coin per 10 XP in the XP ledger)
+CREATE TABLE public.rewards (
+  id TEXT NOT NULL, -- created on the device
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  icon TEXT DEFAULT '🎁',
+  price INTEGER NOT NULL CHECK (price > 0),
+  cooldown_hours NUMERIC DEFAULT 0 CHECK (cooldown_hours >= 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  deleted_at TIMESTAMP WITH TIME ZONE, -- kept so the deletion syncs to other devices
+  synced_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, id)
+);
+
+-- Purchases are only ever added; the coin balance is coins earned less these prices
+CREATE TABLE public.reward_purchases (
+  id TEXT NOT NULL, -- created on the device
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  reward_id TEXT NOT NULL,
+  name TEXT NOT NULL, -- the reward as it was when bought
+  icon TEXT,
+  price INTEGER NOT NULL CHECK (price > 0),
+  device_id TEXT,
+  purchased_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, id)
+);
+
+CREATE INDEX idx_reward_purchases_user_purchased ON public.reward_purchases(user_id, purchased_at);
 
 -- ============================================================================
 -- ACHIEVEMENTS
@@ -254,9 +346,13 @@ CREATE INDEX idx_sound_packs_user_id ON public.sound_packs(user_id);
 
 -- Enable RLS on all tables
 ALTER TABLE public.user_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.projects ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.tasks ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.subtasks ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.completed_quests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.xp_ledger ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rewards ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reward_purchases ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_achievements ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.notes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.drawings ENABLE ROW LEVEL SECURITY;
@@ -299,6 +395,10 @@ CREATE POLICY "Users can delete their own tasks"
   USING (auth.uid() = user_id);
 
 -- Similar policies for other tables
+CREATE POLICY "Users can manage their own projects"
+  ON public.projects FOR ALL
+  USING (auth.uid() = user_id);
+
 CREATE POLICY "Users can manage their own subtasks"
   ON public.subtasks FOR ALL
   USING (auth.uid() = user_id);
@@ -307,6 +407,34 @@ CREATE POLICY "Users can manage their own completed quests"
   ON public.completed_quests FOR ALL
   USING (auth.uid() = user_id);
 
+-- Ledger entries can be added but never changed or removed
+CREATE POLICY "Users can view their own XP ledger"
+  ON public.xp_ledger FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can add to their own XP ledger"
+  ON public.xp_ledger FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+-- Only opening entries are ever rewritten, when another device carried over more XP
+CREATE POLICY "Users can settle their own opening XP entries"
+  ON public.xp_ledger FOR UPDATE
+  USING (auth.uid() = user_id AND source = 'opening')
+  WITH CHECK (auth.uid() = user_id AND source = 'opening');
+
+CREATE POLICY "Users can manage their own rewards"
+  ON public.rewards FOR ALL
+  USING (auth.uid() = user_id);
+
+-- Like the ledger, purchases can be added but never changed or removed
+CREATE POLICY "Users can view their own reward purchases"
+  ON public.reward_purchases FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can add their own reward purchases"
+  ON public.reward_purchases FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
 CREATE POLICY "Users can view all achievements"
   ON public.achievements FOR SELECT
   TO authenticated
@@ -370,6 +498,10 @@ CREATE TRIGGER update_user_profiles_updated_at
   BEFORE UPDATE ON public.user_profiles
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_projects_updated_at
+  BEFORE UPDATE ON public.projects
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_tasks_updated_at
   BEFORE UPDATE ON public.tasks
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -403,12 +535,16 @@ INSERT INTO public.achievements (id, name, description, icon, category, requirem
 ('rising-star', 'Rising Star', 'Reach level 10', '⭐', 'mastery', '{"type": "level", "value": 10}'),
 ('power-player', 'Power Player', 'Reach level 25', '💫', 'mastery', '{"type": "level", "value": 25}'),
 ('max-level', 'Max Level', 'Reach level 100', '👑', 'mastery', '{"type": "level", "value": 100}'),
+('prestige-1', 'Born Again', 'Prestige for the first time', '🌠', 'prestige', '{"type": "prestige", "value": 1}'),
+('prestige-3', 'Star Collector', 'Earn 3 prestige stars', '🪐', 'prestige', '{"type": "prestige", "value": 3}'),
+('prestige-5', 'Constellation', 'Earn 5 prestige stars', '🌌', 'prestige', '{"type": "prestige", "value": 5}'),
 ('streak-7', '7-Day Streak', 'Maintain a 7-day streak', '🔥', 'productivity', '{"type": "streak", "value": 7}'),
 ('streak-30', '30-Day Streak', 'Maintain a 30-day streak', '🔥🔥', 'productivity', '{"type": "streak", "value": 30}'),
 ('subtask-master', 'Subtask Master', 'Complete 100 subtasks', '✅', 'special', '{"type": "subtasks_completed", "value": 100}');
 
 COMMENT ON TABLE public.user_profiles IS 'User profiles and XP/level data';
 COMMENT ON TABLE public.tasks IS 'Active and archived user tasks';
+COMMENT ON COLUMN public.tasks.blocked_by IS 'Tasks or steps this task waits on; step-level dependencies live in subtasks[].blockedBy';
 COMMENT ON TABLE public.completed_quests IS 'History of completed quests';
 COMMENT ON TABLE public.achievements IS 'Achievement definitions';
 COMMENT ON TABLE public.user_achievements IS 'User achievement unlocks';
@@ -10,6 +10,7 @@ import {
   signInSchema,
   passwordResetSchema,
   userProfileSchema,
+  projectSchema,
   taskSchema,
   subtaskSchema,
   taskTemplateSchema,
@@ -25,6 +26,9 @@ import {
   userSettingsSchema,
   drawingSchema,
   completedQuestSchema,
+  xpLedgerEntrySchema,
+  rewardSchema,
+  rewardPurchaseSchema,
   soundPackSchema,
   dataExportSchema,
   usernameSchema,
@@ -289,6 +293,31 @@ describe('Validation Schemas', () => {
       const result = userProfileSchema.safeParse(invalidProfile);
       expect(result.success).toBe(false);
     });
+
+    it('should default prestige stars and only accept known XP bar styles', () => {
+      const profile = {
+        user_id: '123e4567-e89b-12d3-a456-426614174000',
+        username: 'testuser',
+        email: 'test@example.com',
+        total_xp: 505000,
+        level: 1,
+        current_level_xp: 100,
+        xp_to_next_level: 200,
+        tasks_completed: 50,
+        subtasks_completed: 150,
+        created_at: new Date().toISOString(),
+      };
+
+      const result = userProfileSchema.safeParse(profile);
+      expect(result.success).toBe(true);
+      if (result.success) {
+        expect(result.data.prestige).toBe(0);
+        expect(result.data.xp_bar_style).toBe('classic');
+      }
+
+      expect(userProfileSchema.safeParse({ ...profile, prestige: 1, xp_bar_style: 'gold' }).success).toBe(true);
+      expect(userProfileSchema.safeParse({ ...profile, xp_bar_style: 'sparkly' }).success).toBe(false);
+    });
   });
 
   // ============================================================================
@@ -327,6 +356,7 @@ describe('Validation Schemas', () => {
       if (result.success) {
         expect(result.data.priority).toBe('medium');
         expect(result.data.status).toBe('pending');
+        expect(result.data.status_history).toEqual([]);
         expect(result.data.subtasks).toEqual([]);
         expect(result.data.tags).toEqual([]);
         expect(result.data.total_xp).toBe(0);
@@ -334,6 +364,69 @@ describe('Validation Schemas', () => {
       }
     });
 
+    it('should validate status history', () => {
+      const archivedTask = {
+        id: '123',
+        title: 'Test Task',
+        status: 'archived',
+        status_history: [
+          { from: null, to: 'pending', at: '2026-10-01T09:00:00.000Z' },
+          { from: 'pending', to: 'archived', at: '2026-10-02T09:00:00.000Z' },
+        ],
+        archived_at: '2026-10-02T09:00:00.000Z',
+        created_at: '2026-10-01T09:00:00.000Z',
+      };
+
+      expect(taskSchema.safeParse(archivedTask).success).toBe(true);
+      expect(taskSchema.safeParse({
+        ...archivedTask,
+        status_history: [{ from: 'pending', to: 'abandoned', at: '2026-10-02T09:00:00.000Z' }],
+      }).success).toBe(false);
+    });
+
+    it('should validate the manual order of tasks and steps', () => {
+      const orderedTask = {
+        id: '123',
+        title: 'Test Task',
+        position: 2,
+        subtasks: [
+          { id: '1', text: 'Subtask 1', completed: false, order: 0, created_at: '2026-10-01T09:00:00.000Z' },
+        ],
+        created_at: '2026-10-01T09:00:00.000Z',
+      };
+
+      expect(taskSchema.safeParse(orderedTask).success).toBe(true);
+      expect(taskSchema.safeParse({ ...orderedTask, position: -1 }).success).toBe(false);
+      expect(taskSchema.safeParse({
+        ...orderedTask,
+        subtasks: [{ ...orderedTask.subtasks[0], order: 0.5 }],
+      }).success).toBe(false);
+    });
+
+    it('should validate snoozed and deferred tasks', () => {
+      const snoozedTask = {
+        id: '123',
+        title: 'Test Task',
+        snoozed_until: '2026-10-20T09:00:00.000Z',
+        defer_count: 3,
+        last_deferred_at: '2026-10-19T12:00:00.000Z',
+        created_at: '2026-10-01T09:00:00.000Z',
+      };
+
+      expect(taskSchema.safeParse(snoozedTask).success).toBe(true);
+      expect(taskSchema.safeParse({ ...snoozedTask, snoozed_until: null, someday: true }).success).toBe(true);
+      expect(taskSchema.safeParse({ ...snoozedTask, defer_count: -1 }).success).toBe(false);
+    });
+
+    it('should default dread to 0 and only allow levels 0-3', () => {
+      const task = { id: '123', title: 'Test Task', created_at: '2026-10-01T09:00:00.000Z' };
+
+      expect(taskSchema.parse(task).dread).toBe(0);
+      expect(taskSchema.safeParse({ ...task, dread: 3 }).success).toBe(true);
+      expect(taskSchema.safeParse({ ...task, dread: 4 }).success).toBe(false);
+      expect(taskSchema.safeParse({ ...task, dread: 1.5 }).success).toBe(false);
+    });
+
     it('should validate with subtasks', () => {
       const taskWithSubtasks = {
         id: '123',
@@ -408,6 +501,118 @@ describe('Validation Schemas', () => {
     });
   });
 
+  describe('projectSchema', () => {
+    const validProject = {
+      id: 'project-1',
+      name: 'Home',
+      color: '#00BFFF',
+      icon: '🏠',
+      goal_date: '2026-12-31',
+      created_at: '2026-10-01T09:00:00.000Z',
+    };
+
+    it('should validate a project and tasks that belong to it', () => {
+      expect(projectSchema.safeParse(validProject).success).toBe(true);
+      expect(projectSchema.safeParse({ ...validProject, deleted_at: '2026-10-02T09:00:00.000Z' }).success).toBe(true);
+      expect(taskSchema.safeParse({
+        id: '123',
+        title: 'Test Task',
+        project_id: 'project-1',
+        created_at: '2026-10-01T09:00:00.000Z',
+      }).success).toBe(true);
+    });
+
+    it('should reject a bad name, colour or goal date', () => {
+      expect(projectSchema.safeParse({ ...validProject, name: '' }).success).toBe(false);
+      expect(projectSchema.safeParse({ ...validProject, name: 'a'.repeat(51) }).success).toBe(false);
+      expect(projectSchema.safeParse({ ...validProject, color: 'blue' }).success).toBe(false);
+      expect(projectSchema.safeParse({ ...validProject, goal_date: '31/12/2026' }).success).toBe(false);
+    });
+  });
+
+  describe('completedQuestSchema', () => {
+    const completedQuest = {
+      id: 'quest-1',
+      task_id: 'task-1',
+      title: 'Clean the kitchen',
+      xp_earned: 85,
+      subtasks_count: 4,
+      completed_at: '2026-10-19T12:00:00.000Z',
+      created_at: '2026-10-18T09:00:00.000Z',
+    };
+
+    it('should record the streak XP it earned, defaulting to none', () => {
+      expect(completedQuestSchema.parse(completedQuest)).toMatchObject({ streak: 0, streak_xp: 0, streak_bonus: 0 });
+      expect(completedQuestSchema.safeParse({ ...completedQuest, streak: 7, streak_xp: 6, streak_bonus: 25 }).success).toBe(true);
+      expect(completedQuestSchema.safeParse({ ...completedQuest, streak_bonus: -25 }).success).toBe(false);
+    });
+  });
+
+  describe('xpLedgerEntrySchema', () => {
+    const award = {
+      id: 'xp-1',
+      source: 'step',
+      xp: 33,
+      task_id: 'task-1',
+      subtask_id: 'step-1',
+      base_xp: 10,
+      multipliers: { priority: 1.2, duration: 1, dread: 1, streak: 1.5 },
+      bonus: 15,
+      device_id: 'device-1',
+      created_at: '2026-10-19T12:00:00.000Z',
+    };
+
+    it('should validate awards and XP taken back', () => {
+      expect(xpLedgerEntrySchema.safeParse(award).success).toBe(true);
+      expect(xpLedgerEntrySchema.safeParse({
+        id: 'xp-2',
+        source: 'undo',
+        xp: -33,
+        task_id: 'task-1',
+        subtask_id: 'step-1',
+        created_at: '2026-10-19T12:01:00.000Z',
+      }).success).toBe(true);
+    });
+
+    it('should reject unknown sources and fractional XP', () => {
+      expect(xpLedgerEntrySchema.safeParse({ ...award, source: 'cheat' }).success).toBe(false);
+      expect(xpLedgerEntrySchema.safeParse({ ...award, xp: 1.5 }).success).toBe(false);
+    });
+  });
+
+  describe('rewardSchema and rewardPurchaseSchema', () => {
+    const reward = {
+      id: 'reward-1',
+      name: '30 min gaming',
+      icon: '🎮',
+      price: 50,
+      cooldown_hours: 24,
+      created_at: '2026-10-19T12:00:00.000Z',
+    };
+
+    it('should validate a reward and default its cooldown', () => {
+      expect(rewardSchema.safeParse(reward).success).toBe(true);
+
+      const result = rewardSchema.safeParse({ ...reward, cooldown_hours: undefined });
+      expect(result.success).toBe(true);
+      if (result.success) {
+        expect(result.data.cooldown_hours).toBe(0);
+      }
+    });
+
+    it('should reject free, fractional and negative prices', () => {
+      expect(rewardSchema.safeParse({ ...reward, price: 0 }).success).toBe(false);
+      expect(rewardSchema.safeParse({ ...reward, price: 2.5 }).success).toBe(false);
+      expect(rewardPurchaseSchema.safeParse({
+        id: 'purchase-1',
+        reward_id: 'reward-1',
+        name: '30 min gaming',
+        price: -50,
+        purchased_at: '2026-10-19T13:00:00.000Z',
+      }).success).toBe(false);
+    });
+  });
+
   describe('subtaskSchema', () => {
     it('should validate subtask', () => {
       const validSubtask = {
@@ -436,6 +641,45 @@ describe('Validation Schemas', () => {
       const result = subtaskSchema.safeParse(invalidSubtask);
       expect(result.success).toBe(false);
     });
+
+    it('should keep nested child steps', () => {
+      const createdAt = new Date().toISOString();
+      const nestedSubtask = {
+        id: '1',
+        text: 'Clean the kitchen',
+        completed: false,
+        created_at: createdAt,
+        children: [
+          {
+            id: '1a',
+            text: 'Clear the counter',
+            completed: true,
+            created_at: createdAt,
+            children: [{ id: '1a1', text: 'Pick up one cup', completed: true, created_at: createdAt }],
+          },
+        ],
+      };
+
+      const result = subtaskSchema.safeParse(nestedSubtask);
+      expect(result.success).toBe(true);
+
+      if (result.success) {
+        expect(result.data.children?.[0]?.children?.[0]?.text).toBe('Pick up one cup');
+      }
+    });
+
+    it('should validate nested child steps', () => {
+      const invalidSubtask = {
+        id: '1',
+        text: 'Clean the kitchen',
+        completed: false,
+        created_at: new Date().toISOString(),
+        children: [{ id: '1a', text: '', completed: false, created_at: new Date().toISOString() }],
+      };
+
+      const result = subtaskSchema.safeParse(invalidSubtask);
+      expect(result.success).toBe(false);
+    });
   });
 
   // ============================================================================
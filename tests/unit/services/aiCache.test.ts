@@ -0,0 +1,122 @@
+/**
+ * AI Cache and Budget Unit Tests
+ *
+ * Covers cache keys, the saved cache, usage totals and the budget fallback.
+ */
+
+import {
+  normalizeBudget,
+  buildCacheKey,
+  getCachedSteps,
+  cacheSteps,
+  clearAICache,
+  addUsage,
+  summarizeUsage,
+  checkBudget,
+  recordUsage,
+} from '../../../src/services/aiCache';
+import { generateSubtasks } from '../../../src/services/aiService';
+import { normalizeAISettings } from '../../../src/services/aiProviders';
+
+// The SDK needs a fetch implementation at import time; these tests never call it
+jest.mock('@anthropic-ai/sdk', () => jest.fn());
+
+type Usage = ReturnType<typeof addUsage>;
+type Budget = Parameters<typeof checkBudget>[1];
+
+const now = new Date('2026-10-19T12:00:00');
+
+describe('AI Cache', () => {
+  describe('buildCacheKey', () => {
+    it('should ignore case, spacing and tag order', () => {
+      expect(buildCacheKey('Call  the Dentist.', 'quick', { tags: ['b', 'A'] }, 'anthropic'))
+        .toBe(buildCacheKey('call the dentist', 'quick', { tags: ['a', 'b'] }, 'anthropic'));
+    });
+
+    it('should change with granularity, context and provider', () => {
+      const key = buildCacheKey('Call the dentist', 'quick', {}, 'anthropic');
+
+      expect(buildCacheKey('Call the dentist', 'detailed', {}, 'anthropic')).not.toBe(key);
+      expect(buildCacheKey('Call the dentist', 'quick', { priority: 'high' }, 'anthropic')).not.toBe(key);
+      expect(buildCacheKey('Call the dentist', 'quick', {}, 'openai')).not.toBe(key);
+    });
+  });
+
+  describe('saved cache', () => {
+    beforeEach(async () => {
+      await clearAICache();
+    });
+
+    it('should return cached steps until they expire', async () => {
+      const steps = [{ text: 'Stand up', estimatedMinutes: 0.2 }];
+      await cacheSteps('key', steps, now);
+
+      expect(await getCachedSteps('key', now)).toEqual(steps);
+      expect(await getCachedSteps('key', new Date('2026-12-01T12:00:00'))).toBeNull();
+      expect(await getCachedSteps('other', now)).toBeNull();
+    });
+  });
+
+  describe('usage', () => {
+    it('should total usage for the day and the month', () => {
+      let usage: Usage = { days: { '2026-10-02': { requests: 3, tokens: 900, cacheHits: 0, fallbacks: 0 } } };
+      usage = addUsage(usage, { requests: 1, tokens: 400 }, now);
+      usage = addUsage(usage, { cacheHits: 1 }, now);
+
+      const totals = summarizeUsage(usage, now);
+      expect(totals.day).toEqual({ requests: 1, tokens: 400, cacheHits: 1, fallbacks: 0 });
+      expect(totals.month.requests).toBe(4);
+      expect(totals.month.tokens).toBe(1300);
+    });
+
+    it('should drop days older than last month', () => {
+      const usage = addUsage({ days: { '2026-01-01': { requests: 1, tokens: 1, cacheHits: 0, fallbacks: 0 } } }, { requests: 1 }, now);
+      expect(Object.keys(usage.days)).toEqual(['2026-10-19']);
+    });
+  });
+
+  describe('checkBudget', () => {
+    const usage = addUsage({ days: {} }, { requests: 5, tokens: 2000 }, now);
+
+    it('should allow requests under every limit', () => {
+      expect(checkBudget(usage, { dailyRequests: 10, monthlyTokens: 5000 } as Budget, now).allowed).toBe(true);
+    });
+
+    it('should report the first limit used up', () => {
+      const result = checkBudget(usage, { dailyRequests: 10, dailyTokens: 2000 } as Budget, now);
+      expect(result.allowed).toBe(false);
+      expect(result.limit?.id).toBe('dailyTokens');
+    });
+
+    it('should treat 0 as no limit', () => {
+      expect(checkBudget(usage, { dailyRequests: 0 } as Budget, now).allowed).toBe(true);
+    });
+  });
+
+  describe('normalizeBudget', () => {
+    it('should fill in defaults and reject bad values', () => {
+      expect(normalizeBudget({ dailyRequests: -3, monthlyTokens: '1200' })).toEqual({
+        dailyRequests: 50,
+        monthlyRequests: 0,
+        dailyTokens: 0,
+        monthlyTokens: 1200,
+      });
+    });
+  });
+
+  describe('generateSubtasks', () => {
+    it('should fall back to the offline decomposer once the budget is used up', async () => {
+      await recordUsage({ requests: 1 });
+      const onFallback = jest.fn();
+
+      const steps = await generateSubtasks('Do the laundry', 'quick', {}, {
+        aiSettings: normalizeAISettings({ provider: 'anthropic', budget: { dailyRequests: 1 } }),
+        rules: [],
+        onFallback,
+      });
+
+      expect(onFallback).toHaveBeenCalledWith(expect.stringContaining('requests per day: 1'));
+      expect(steps[0]?.text).toBe('Pick up the laundry basket');
+    });
+  });
+});
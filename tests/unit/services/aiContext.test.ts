@@ -0,0 +1,89 @@
+/**
+ * AI Context Builder Unit Tests
+ *
+ * Covers similar-quest matching, step history and the prompt section.
+ */
+
+import {
+  findSimilarQuests,
+  summarizeStepHistory,
+  buildTaskContext,
+} from '../../../src/services/aiContext';
+
+// The SDK needs a fetch implementation at import time; these tests never call it
+jest.mock('@anthropic-ai/sdk', () => jest.fn());
+
+const kitchenQuest = {
+  id: 'q1',
+  title: 'Clean the kitchen',
+  tags: ['home'],
+  completedAt: '2026-10-01T10:00:00.000Z',
+  generatedSteps: ['Stand up', 'Walk to the kitchen', 'Fill the sink', 'Put on gloves'],
+  subtasks: [
+    { id: 's1', text: 'Stand up', completed: true, order: 0 },
+    { id: 's2', text: 'Walk to the kitchen with a podcast on', originalText: 'Walk to the kitchen', completed: true, order: 1 },
+    { id: 's3', text: 'Fill the sink', completed: true, order: 2 },
+    { id: 's4', text: 'Feed the cat first', completed: true, order: 3 },
+  ],
+};
+
+const taxQuest = {
+  id: 'q2',
+  title: 'File taxes',
+  tags: ['admin'],
+  completedAt: '2026-10-05T10:00:00.000Z',
+  subtasks: [{ id: 't1', text: 'Open the tax website', completed: true, order: 0 }],
+};
+
+describe('AI Context Builder', () => {
+  describe('findSimilarQuests', () => {
+    it('should match on shared title words and tags', () => {
+      expect(findSimilarQuests('Clean the bathroom', [], [kitchenQuest, taxQuest])).toEqual([kitchenQuest]);
+      expect(findSimilarQuests('Pay bills', ['admin'], [kitchenQuest, taxQuest])).toEqual([taxQuest]);
+    });
+
+    it('should ignore filler words', () => {
+      expect(findSimilarQuests('Do the dishes', [], [kitchenQuest, taxQuest])).toEqual([]);
+    });
+  });
+
+  describe('summarizeStepHistory', () => {
+    it('should sort steps into kept, reworded, deleted and added', () => {
+      expect(summarizeStepHistory(kitchenQuest)).toEqual({
+        kept: ['Stand up', 'Fill the sink'],
+        reworded: [{ from: 'Walk to the kitchen', to: 'Walk to the kitchen with a podcast on' }],
+        deleted: ['Put on gloves'],
+        added: ['Feed the cat first'],
+      });
+    });
+
+    it('should count every step as kept without a record of the AI steps', () => {
+      expect(summarizeStepHistory(taxQuest).kept).toEqual(['Open the tax website']);
+    });
+  });
+
+  describe('buildTaskContext', () => {
+    it('should include the profile, task details and history', () => {
+      const context = buildTaskContext(
+        { title: 'Clean the bathroom', tags: ['home'], priority: 'high', dueDate: '2026-10-20' },
+        {
+          completedQuests: [kitchenQuest, taxQuest],
+          aboutMe: 'I have a cat',
+          today: new Date(2026, 9, 19),
+        }
+      );
+
+      expect(context).toContain('I have a cat');
+      expect(context).toContain('- Tags: home');
+      expect(context).toContain('- Priority: high');
+      expect(context).toContain('- Due: tomorrow (Tue Oct 20)');
+      expect(context).toContain('"Clean the kitchen"');
+      expect(context).toContain('avoid steps like these): "Put on gloves"');
+      expect(context).not.toContain('File taxes');
+    });
+
+    it('should be empty when there is nothing to add', () => {
+      expect(buildTaskContext({ title: 'Water plants' }, { completedQuests: [], aboutMe: '' })).toBe('');
+    });
+  });
+});
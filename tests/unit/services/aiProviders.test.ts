@@ -0,0 +1,181 @@
+/**
+ * AI Providers Unit Tests
+ *
+ * Covers reply parsing, settings defaults and the timeout/retry wrapper.
+ */
+
+import {
+  toStep,
+  parseStepsResponse,
+  createStepStreamParser,
+  normalizeAISettings,
+  getActiveProvider,
+  runWithRetries,
+  AI_PROVIDERS,
+} from '../../../src/services/aiProviders';
+
+// The SDK needs a fetch implementation at import time; these tests never call it
+jest.mock('@anthropic-ai/sdk', () => jest.fn());
+
+type ProviderConfigs = Record<string, Record<string, unknown>>;
+type RetryOptions = Parameters<typeof runWithRetries>[1] & { signal?: AbortSignal };
+
+const transientError = (message: string) => Object.assign(new Error(message), { retryable: true });
+
+describe('AI Providers', () => {
+  describe('parseStepsResponse', () => {
+    it('should parse steps with time estimates', () => {
+      expect(parseStepsResponse('[{"step": "Stand up", "minutes": 0.25}, {"step": "Walk to the sink", "minutes": 1}]')).toEqual([
+        { text: 'Stand up', estimatedMinutes: 0.3 },
+        { text: 'Walk to the sink', estimatedMinutes: 1 },
+      ]);
+    });
+
+    it('should accept plain strings without estimates', () => {
+      const reply = 'Here you go:\n```json\n["Open the laptop", " Find the email "]\n```';
+      expect(parseStepsResponse(reply)).toEqual([
+        { text: 'Open the laptop', estimatedMinutes: null },
+        { text: 'Find the email', estimatedMinutes: null },
+      ]);
+    });
+
+    it('should throw a readable error when there are no steps', () => {
+      expect(() => parseStepsResponse('Sorry, I cannot help with that.')).toThrow(/list of steps/);
+      expect(() => parseStepsResponse('[]')).toThrow(/any steps/);
+    });
+  });
+
+  describe('toStep', () => {
+    it('should ignore unusable estimates', () => {
+      expect(toStep({ step: 'Stand up', minutes: 'soon' })).toEqual({ text: 'Stand up', estimatedMinutes: null });
+      expect(toStep({ step: 'Stand up', minutes: -2 })).toEqual({ text: 'Stand up', estimatedMinutes: null });
+      expect(toStep({ minutes: 2 })).toBeNull();
+    });
+  });
+
+  describe('createStepStreamParser', () => {
+    it('should emit each step as soon as it closes', () => {
+      const onStep = jest.fn();
+      const parser = createStepStreamParser(onStep);
+      const received = () => onStep.mock.calls.map(([step]) => step.text);
+
+      parser.push('```json\n[{"step": "Stand ');
+      expect(received()).toEqual([]);
+
+      parser.push('up", "minutes": 0.5}, {"step": "Say \\"hi\\" {loudly}", "minutes": 1}, {"step": "Wal');
+      expect(received()).toEqual(['Stand up', 'Say "hi" {loudly}']);
+
+      parser.push('k away"}]\n```');
+      expect(parser.finish().map((step: { text: string }) => step.text)).toEqual(['Stand up', 'Say "hi" {loudly}', 'Walk away']);
+      expect(onStep).toHaveBeenCalledTimes(3);
+      expect(onStep.mock.calls[0][0]).toEqual({ text: 'Stand up', estimatedMinutes: 0.5 });
+    });
+
+    it('should stream plain string entries too', () => {
+      const onStep = jest.fn();
+      const parser = createStepStreamParser(onStep);
+
+      parser.push('["Stand up", "Wal');
+      expect(onStep).toHaveBeenCalledTimes(1);
+      parser.push('k away"]');
+      expect(parser.finish()).toHaveLength(2);
+    });
+
+    it('should fall back to parsing the whole reply', () => {
+      const onStep = jest.fn();
+      const parser = createStepStreamParser(onStep);
+
+      parser.push('No steps here');
+      expect(() => parser.finish()).toThrow(/list of steps/);
+      expect(onStep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('settings', () => {
+    it('should fill in defaults for every provider', () => {
+      const settings = normalizeAISettings({ provider: 'openai', providers: { openai: { model: 'qwen2.5' } } });
+      const providers = settings.providers as ProviderConfigs;
+
+      expect(settings.provider).toBe('openai');
+      expect(providers['openai']?.['model']).toBe('qwen2.5');
+      expect(providers['openai']?.['baseUrl']).toBe(AI_PROVIDERS.openai.defaults.baseUrl);
+      expect(providers['anthropic']?.['timeoutMs']).toBe(AI_PROVIDERS.anthropic.defaults.timeoutMs);
+    });
+
+    it('should ignore unknown providers', () => {
+      const settings = normalizeAISettings({ provider: 'skynet' });
+      expect(Object.keys(AI_PROVIDERS)).toContain(settings.provider);
+    });
+
+    it('should resolve the active provider with its config', () => {
+      const { provider, config } = getActiveProvider(normalizeAISettings({ provider: 'mock' }));
+      expect(provider.id).toBe('mock');
+      expect(config).toEqual(AI_PROVIDERS.mock.defaults);
+    });
+  });
+
+  describe('mock provider', () => {
+    it('should return steps for the task without any network', async () => {
+      const steps = await AI_PROVIDERS.mock.generateSteps({
+        taskDescription: 'Water the plants',
+        granularity: 'quick',
+      });
+
+      expect(steps).toHaveLength(5);
+    });
+
+    it('should report each step through onStep', async () => {
+      const onStep = jest.fn();
+      await AI_PROVIDERS.mock.generateSteps({ taskDescription: 'Water the plants', granularity: 'quick', onStep });
+
+      expect(onStep).toHaveBeenCalledTimes(5);
+    });
+  });
+
+  describe('runWithRetries', () => {
+    it('should retry transient errors', async () => {
+      const attempt = jest
+        .fn()
+        .mockRejectedValueOnce(transientError('Server error'))
+        .mockResolvedValueOnce(['Stand up']);
+
+      await expect(runWithRetries(attempt, { retries: 1 })).resolves.toEqual(['Stand up']);
+      expect(attempt).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not retry permanent errors', async () => {
+      const attempt = jest.fn().mockRejectedValue(new Error('Bad API key'));
+
+      await expect(runWithRetries(attempt, { retries: 3 })).rejects.toThrow('Bad API key');
+      expect(attempt).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report how many attempts were made', async () => {
+      const attempt = jest.fn().mockRejectedValue(transientError('Server error'));
+
+      await expect(runWithRetries(attempt, { retries: 1 })).rejects.toThrow(
+        'Server error (after 2 attempts)'
+      );
+    });
+
+    it('should time out slow requests', async () => {
+      const attempt = (signal: AbortSignal) =>
+        new Promise((_, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('aborted')));
+        });
+
+      await expect(runWithRetries(attempt, { timeoutMs: 20, label: 'Slow AI' })).rejects.toThrow(
+        'Slow AI timed out after 0s.'
+      );
+    });
+
+    it('should stop when the caller cancels', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        runWithRetries(jest.fn(), { signal: controller.signal } as RetryOptions)
+      ).rejects.toThrow('Request cancelled.');
+    });
+  });
+});
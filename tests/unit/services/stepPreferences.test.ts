@@ -0,0 +1,115 @@
+/**
+ * Step Preferences Unit Tests
+ *
+ * Covers learning rules from the edit log and applying them to breakdowns.
+ */
+
+import {
+  isSimilarStep,
+  createLogEntry,
+  buildPreferenceRules,
+  applyPreferenceRules,
+} from '../../../src/services/stepPreferences';
+import { generateSubtasks } from '../../../src/services/aiService';
+import { normalizeAISettings } from '../../../src/services/aiProviders';
+
+// The SDK needs a fetch implementation at import time; these tests never call it
+jest.mock('@anthropic-ai/sdk', () => jest.fn());
+
+type Rule = ReturnType<typeof buildPreferenceRules>[number];
+
+const makeTask = (id: string, generated: string[], steps: { text: string; originalText?: string }[]) => ({
+  id,
+  title: `Quest ${id}`,
+  generatedSteps: generated,
+  subtasks: steps.map((step, index) => ({ id: `${id}-${index}`, completed: false, order: index, ...step })),
+});
+
+// Two breakdowns where the user deleted "Stand up", added headphones and reworded a step
+const log = [
+  createLogEntry(
+    makeTask('a', ['Stand up from your chair', 'Walk to the desk', 'Open the laptop'], [
+      { text: 'Put on headphones' },
+      { text: 'Walk to the desk' },
+      { text: 'Open the laptop and log in', originalText: 'Open the laptop' },
+    ])
+  ),
+  createLogEntry(
+    makeTask('b', ['Stand up', 'Open the laptop', 'Find the report'], [
+      { text: 'Put on my headphones' },
+      { text: 'Open the laptop and log in', originalText: 'Open the laptop' },
+      { text: 'Find the report' },
+    ])
+  ),
+];
+
+describe('Step Preferences', () => {
+  describe('isSimilarStep', () => {
+    it('should match rewordings of the same short step', () => {
+      expect(isSimilarStep('Stand up', 'Stand up from your chair')).toBe(true);
+      expect(isSimilarStep('Take a break', 'Take a short break')).toBe(true);
+    });
+
+    it('should not match different steps', () => {
+      expect(isSimilarStep('Walk to the kitchen', 'Walk to the dresser')).toBe(false);
+      expect(isSimilarStep('Stand up', 'Stand the bike against the wall carefully')).toBe(false);
+    });
+  });
+
+  describe('buildPreferenceRules', () => {
+    it('should learn drop, add and reword rules seen in two breakdowns', () => {
+      const rules = buildPreferenceRules(log);
+      const byType = (type: string) => rules.find((rule: Rule) => rule.type === type);
+
+      expect(byType('drop')).toMatchObject({ text: 'Stand up from your chair', count: 2 });
+      expect(byType('add')).toMatchObject({ text: 'Put on my headphones', position: 'start' });
+      expect(byType('reword')).toMatchObject({ text: 'Open the laptop', to: 'Open the laptop and log in' });
+    });
+
+    it('should not learn from a single breakdown', () => {
+      expect(buildPreferenceRules(log.slice(0, 1))).toEqual([]);
+    });
+
+    it('should leave out dismissed rules', () => {
+      const rules = buildPreferenceRules(log);
+      const dropRule = rules.find((rule: Rule) => rule.type === 'drop');
+      const remaining = buildPreferenceRules(log, [dropRule?.id]);
+
+      expect(remaining).toHaveLength(rules.length - 1);
+    });
+  });
+
+  describe('applyPreferenceRules', () => {
+    it('should drop, reword and add steps', () => {
+      const rules = buildPreferenceRules(log);
+
+      expect(applyPreferenceRules(['Stand up', 'Open the laptop', 'Reply to Sam'], rules)).toEqual([
+        'Put on my headphones',
+        'Open the laptop and log in',
+        'Reply to Sam',
+      ]);
+    });
+
+    it('should keep the steps if the rules would remove them all', () => {
+      const rules = buildPreferenceRules(log);
+      expect(applyPreferenceRules(['Stand up'], rules)).toEqual(['Stand up']);
+    });
+  });
+
+  describe('generateSubtasks', () => {
+    it('should apply the rules to the offline breakdown as it streams', async () => {
+      const rules = [{ id: 'add:x', type: 'add', text: 'Put on headphones', position: 'start', count: 2 }];
+      const onStep = jest.fn();
+
+      const steps = await generateSubtasks('Write the report', 'quick', {}, {
+        aiSettings: normalizeAISettings({ provider: 'mock' }),
+        rules,
+        onStep,
+      });
+
+      expect(steps[0]).toEqual({ text: 'Put on headphones', estimatedMinutes: null });
+      expect(steps).toHaveLength(6);
+      expect(onStep.mock.calls.map(([step]) => step)).toEqual(steps);
+    });
+  });
+});
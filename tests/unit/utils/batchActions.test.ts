@@ -0,0 +1,149 @@
+/**
+ * Batch Actions Unit Tests
+ *
+ * Covers range and filter selection and each batch action.
+ */
+
+import {
+  selectRange,
+  matchesFilter,
+  getAllTags,
+  normalizeTag,
+  taskToTemplate,
+  applyBatchAction,
+} from '../../../src/utils/batchActions';
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+
+const makeTasks = () => [
+  {
+    id: 'laundry',
+    title: 'Do laundry',
+    priority: 'high',
+    tags: ['home'],
+    dueDate: '2026-10-10',
+    status: 'in_progress',
+    subtasks: [
+      { id: 'wash', text: 'Wash', completed: true, children: [{ id: 'load', text: 'Load machine', completed: true }] },
+      { id: 'fold', text: 'Fold', completed: false },
+    ],
+  },
+  {
+    id: 'taxes',
+    title: 'File taxes',
+    priority: 'medium',
+    tags: ['admin', 'home'],
+    dueDate: '2026-11-01',
+    status: 'pending',
+    subtasks: [],
+  },
+  {
+    id: 'gym',
+    title: 'Go to the gym',
+    priority: 'low',
+    tags: [],
+    dueDate: '2026-10-01',
+    recurring: 'weekly',
+    recurrenceAnchor: '2026-10-01',
+    status: 'pending',
+    blockedBy: [{ taskId: 'laundry', subtaskId: null }],
+    subtasks: [],
+  },
+];
+
+const ids = (tasks: { id: string }[]) => tasks.map(task => task.id);
+
+describe('Batch Actions', () => {
+  describe('selection', () => {
+    it('should select a range in either direction', () => {
+      const order = ['a', 'b', 'c', 'd'];
+
+      expect(selectRange(order, 'b', 'd')).toEqual(['b', 'c', 'd']);
+      expect(selectRange(order, 'c', 'a')).toEqual(['a', 'b', 'c']);
+      expect(selectRange(order, 'gone', 'c')).toEqual(['c']);
+    });
+
+    it('should match tasks by tag, priority and overdue date', () => {
+      const tasks = makeTasks();
+      const matching = (filter: object) => ids(tasks.filter(task => matchesFilter(task, filter, NOW)));
+
+      expect(matching({ tag: 'home' })).toEqual(['laundry', 'taxes']);
+      expect(matching({ priority: 'low' })).toEqual(['gym']);
+      expect(matching({ overdue: true })).toEqual(['laundry', 'gym']);
+    });
+
+    it('should list tags and clean up typed ones', () => {
+      expect(getAllTags(makeTasks())).toEqual(['admin', 'home']);
+      expect(normalizeTag(' #errands ')).toBe('errands');
+    });
+  });
+
+  describe('applyBatchAction', () => {
+    it('should reschedule, keeping a date on recurring quests', () => {
+      const rescheduled = applyBatchAction(makeTasks(), ['laundry', 'gym'], { type: 'reschedule', dueDate: '2026-10-25' }, NOW);
+
+      expect(rescheduled[0].dueDate).toBe('2026-10-25');
+      expect(rescheduled[0].updated_at).toBe(NOW.toISOString());
+      expect(rescheduled[2].recurrenceAnchor).toBe('2026-10-25');
+
+      const cleared = applyBatchAction(makeTasks(), ['laundry', 'gym'], { type: 'reschedule', dueDate: null }, NOW);
+      expect(cleared[0].dueDate).toBeNull();
+      expect(cleared[2].dueDate).toBe('2026-10-01');
+    });
+
+    it('should change priority and only touch tasks that changed', () => {
+      const tasks = makeTasks();
+      const updated = applyBatchAction(tasks, ['laundry', 'taxes'], { type: 'priority', priority: 'high' }, NOW);
+
+      expect(updated[0]).toBe(tasks[0]);
+      expect(updated[1].priority).toBe('high');
+      expect(updated[2]).toBe(tasks[2]);
+    });
+
+    it('should add and remove tags', () => {
+      const tagged = applyBatchAction(makeTasks(), ['taxes', 'gym'], { type: 'addTag', tag: 'home' }, NOW);
+      expect(tagged.map((task: { tags: string[] }) => task.tags)).toEqual([['home'], ['admin', 'home'], ['home']]);
+
+      const untagged = applyBatchAction(tagged, ['laundry', 'taxes'], { type: 'removeTag', tag: 'home' }, NOW);
+      expect(untagged.map((task: { tags: string[] }) => task.tags)).toEqual([[], ['admin'], ['home']]);
+    });
+
+    it('should move quests into a project and back out', () => {
+      const moved = applyBatchAction(makeTasks(), ['laundry', 'taxes'], { type: 'project', projectId: 'home' }, NOW);
+      expect(moved.map((task: { projectId?: string | null }) => task.projectId || null)).toEqual(['home', 'home', null]);
+
+      const cleared = applyBatchAction(moved, ['laundry'], { type: 'project', projectId: null }, NOW);
+      expect(cleared[0].projectId).toBeNull();
+      expect(cleared[1]).toBe(moved[1]);
+    });
+
+    it('should archive the selected quests', () => {
+      const archived = applyBatchAction(makeTasks(), ['laundry', 'taxes'], { type: 'archive' }, NOW);
+
+      expect(archived.map((task: { status: string }) => task.status)).toEqual(['archived', 'archived', 'pending']);
+      expect(archived[0].archivedAt).toBe(NOW.toISOString());
+    });
+
+    it('should delete the selected quests and free anything waiting on them', () => {
+      const remaining = applyBatchAction(makeTasks(), ['laundry', 'taxes'], { type: 'delete' }, NOW);
+
+      expect(ids(remaining)).toEqual(['gym']);
+      expect(remaining[0].blockedBy).toEqual([]);
+    });
+  });
+
+  describe('taskToTemplate', () => {
+    it('should save the quest\'s steps and tags as a template', () => {
+      const template = taskToTemplate(makeTasks()[0], NOW, 2);
+
+      expect(template).toMatchObject({
+        id: `${NOW.getTime()}-2`,
+        name: 'Do laundry',
+        title: 'Do laundry',
+        subtasks: ['Load machine', 'Fold'],
+        tags: ['home'],
+        useCount: 0,
+      });
+    });
+  });
+});
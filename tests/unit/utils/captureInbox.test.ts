@@ -0,0 +1,120 @@
+/**
+ * Capture Inbox Unit Tests
+ *
+ * Covers inbox order, processing notes, and turning notes into quests and templates.
+ */
+
+import {
+  getInboxCaptures,
+  getInboxCount,
+  markProcessed,
+  returnToInbox,
+  captureToTaskData,
+  captureToTemplate,
+  saveTemplate,
+  removeTemplates,
+  queueQuest,
+  takeQueuedQuest,
+} from '../../../src/utils/captureInbox';
+
+const note = (id: string, text: string, createdAt: string, extra = {}) => ({
+  id,
+  text,
+  tags: [] as string[],
+  createdAt,
+  pinned: false,
+  ...extra,
+});
+
+const captures = [
+  note('b', 'newer note', '2026-10-18T09:00:00.000Z'),
+  note('a', 'older note', '2026-10-10T09:00:00.000Z'),
+  note('c', 'done already', '2026-10-01T09:00:00.000Z', { processedAs: 'archived' }),
+];
+
+describe('Capture Inbox', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('inbox', () => {
+    it('should list unprocessed notes oldest first', () => {
+      expect(getInboxCaptures(captures).map(c => c.id)).toEqual(['a', 'b']);
+      expect(getInboxCount(captures)).toBe(2);
+    });
+
+    it('should read saved notes when none are passed', () => {
+      localStorage.setItem('adhd_quest_captures', JSON.stringify(captures));
+      expect(getInboxCount()).toBe(2);
+    });
+
+    it('should take a note out of the inbox and put it back', () => {
+      const now = new Date('2026-10-19T10:00:00.000Z');
+      const processed = markProcessed(captures, 'a', 'quest', now);
+
+      expect(processed.find((c: { id: string }) => c.id === 'a')).toMatchObject({
+        processedAs: 'quest',
+        processedAt: '2026-10-19T10:00:00.000Z',
+      });
+      expect(getInboxCount(processed)).toBe(1);
+
+      const restored = returnToInbox(processed, 'a');
+      expect(restored.find((c: { id: string }) => c.id === 'a')).not.toHaveProperty('processedAs');
+      expect(getInboxCount(restored)).toBe(2);
+    });
+  });
+
+  describe('captureToTaskData', () => {
+    it('should read the first line as a quick-add line and link back to the note', () => {
+      const capture = note('x', 'call dentist !high #health\nask about the bill', '2026-10-18T09:00:00.000Z', { tags: ['errands'] });
+      const taskData = captureToTaskData(capture);
+
+      expect(taskData).toMatchObject({
+        title: 'call dentist',
+        description: 'ask about the bill',
+        priority: 'high',
+        tags: ['errands', 'health'],
+        sourceCapture: { id: 'x', text: capture.text, createdAt: capture.createdAt },
+      });
+    });
+
+    it('should apply overrides such as a scheduled date', () => {
+      const capture = note('x', 'water plants', '2026-10-18T09:00:00.000Z');
+      expect(captureToTaskData(capture, { dueDate: '2026-10-25' }).dueDate).toBe('2026-10-25');
+    });
+  });
+
+  describe('captureToTemplate', () => {
+    it('should turn the other lines into steps without list markers', () => {
+      const capture = note('x', 'Weekly reset #home\n- clear desk\n2. empty bins\n[ ] water plants', '2026-10-18T09:00:00.000Z');
+      const template = captureToTemplate(capture, new Date('2026-10-19T10:00:00.000Z'));
+
+      expect(template).toMatchObject({
+        name: 'Weekly reset',
+        title: 'Weekly reset',
+        subtasks: ['clear desk', 'empty bins', 'water plants'],
+        tags: ['home'],
+        useCount: 0,
+      });
+    });
+
+    it('should add templates to the library and take them back out', () => {
+      saveTemplate({ id: 't1', name: 'One' });
+      saveTemplate({ id: 't2', name: 'Two' });
+      removeTemplates(['t1']);
+
+      expect(JSON.parse(localStorage.getItem('adhd_quest_templates') || '[]')).toEqual([{ id: 't2', name: 'Two' }]);
+    });
+  });
+
+  describe('quest queue', () => {
+    it('should hand out queued quests in order, then null', () => {
+      queueQuest({ title: 'first' });
+      queueQuest({ title: 'second' });
+
+      expect(takeQueuedQuest()).toEqual({ title: 'first' });
+      expect(takeQueuedQuest()).toEqual({ title: 'second' });
+      expect(takeQueuedQuest()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Focus Mode Unit Tests
+ *
+ * Covers picking the next step and counting Pomodoro sessions.
+ */
+
+import { getFocusStep, loadFocusPrefs, saveFocusPrefs, recordFocusSession } from '../../../src/utils/focusMode';
+
+const step = (id: string, text: string, completed = false, extra = {}) => ({ id, text, completed, ...extra });
+
+const makeTasks = (startExtra = {}) => [
+  {
+    id: 'laundry',
+    title: 'Do laundry',
+    subtasks: [
+      step('sort', 'Sort clothes', true),
+      step('wash', 'Wash', false, {
+        children: [step('load', 'Load machine', true), step('start', 'Start cycle', false, startExtra)],
+      }),
+      step('fold', 'Fold clothes'),
+    ],
+  },
+  {
+    id: 'dishes',
+    title: 'Do dishes',
+    subtasks: [step('rinse', 'Rinse plates', true)],
+  },
+];
+
+describe('Focus Mode', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('getFocusStep', () => {
+    it('should pick the first open leaf step with its parents and position', () => {
+      const result = getFocusStep(makeTasks(), 'laundry');
+
+      expect(result.step?.id).toBe('start');
+      expect(result.parents).toEqual(['Wash']);
+      expect(result.number).toBe(3);
+      expect(result.total).toBe(4);
+      expect(result.blockers).toEqual([]);
+    });
+
+    it('should skip steps that are waiting on something', () => {
+      const tasks = makeTasks({ blockedBy: [{ taskId: 'dishes', subtaskId: 'scrub' }] });
+      tasks[1]!.subtasks.push(step('scrub', 'Scrub pans'));
+
+      expect(getFocusStep(tasks, 'laundry').step?.id).toBe('fold');
+    });
+
+    it('should report blockers when every open step is waiting', () => {
+      const tasks = makeTasks();
+      (tasks[0] as { blockedBy?: unknown }).blockedBy = [{ taskId: 'dishes', subtaskId: 'scrub' }];
+      tasks[1]!.subtasks.push(step('scrub', 'Scrub pans'));
+
+      const result = getFocusStep(tasks, 'laundry');
+      expect(result.step).toBeNull();
+      expect(result.blockers.map((blocker: { label: string }) => blocker.label)).toEqual(['Do dishes → Scrub pans']);
+    });
+
+    it('should return no step once everything is done', () => {
+      const result = getFocusStep(makeTasks(), 'dishes');
+
+      expect(result.step).toBeNull();
+      expect(result.blockers).toEqual([]);
+      expect(result.total).toBe(1);
+    });
+  });
+
+  describe('preferences and sessions', () => {
+    it('should default to not starting a Pomodoro and remember the choice', () => {
+      expect(loadFocusPrefs().autoStartPomodoro).toBe(false);
+
+      saveFocusPrefs({ autoStartPomodoro: true });
+      expect(loadFocusPrefs().autoStartPomodoro).toBe(true);
+    });
+
+    it('should add finished sessions to the focus timer stats', () => {
+      localStorage.setItem('adhd_quest_pomodoro_sessions', JSON.stringify({ focus: 2, breaks: 1 }));
+
+      expect(recordFocusSession()).toEqual({ focus: 3, breaks: 1 });
+      expect(JSON.parse(localStorage.getItem('adhd_quest_pomodoro_sessions') || '{}')).toEqual({ focus: 3, breaks: 1 });
+    });
+  });
+});
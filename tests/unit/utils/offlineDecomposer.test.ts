@@ -0,0 +1,87 @@
+/**
+ * Offline Decomposer Unit Tests
+ *
+ * Covers template matching, granularity and deterministic output.
+ */
+
+import {
+  CHORE_TEMPLATES,
+  GENERAL_TEMPLATE,
+  matchTemplate,
+  getSubject,
+  decomposeTask,
+} from '../../../src/utils/offlineDecomposer';
+
+describe('Offline Decomposer', () => {
+  describe('matchTemplate', () => {
+    it('should pick the chore template for common tasks', () => {
+      expect(matchTemplate('Call the dentist').id).toBe('phone');
+      expect(matchTemplate('Reply to the landlord email').id).toBe('email');
+      expect(matchTemplate('Do the laundry').id).toBe('laundry');
+      expect(matchTemplate('Clean the kitchen').id).toBe('cleaning');
+      expect(matchTemplate('Study for the biology exam').id).toBe('studying');
+      expect(matchTemplate('Pick up the prescription').id).toBe('errands');
+    });
+
+    it('should prefer the template of the leading verb', () => {
+      expect(matchTemplate('Call the pharmacy about my prescription').id).toBe('phone');
+    });
+
+    it('should fall back to the general template', () => {
+      expect(matchTemplate('Water the plants')).toBe(GENERAL_TEMPLATE);
+      expect(matchTemplate('')).toBe(GENERAL_TEMPLATE);
+    });
+  });
+
+  describe('getSubject', () => {
+    it('should strip the leading verb', () => {
+      expect(getSubject('Call the dentist.')).toBe('the dentist');
+      expect(getSubject('pick up the parcel')).toBe('the parcel');
+    });
+
+    it('should keep the whole task when there is no known verb', () => {
+      expect(getSubject('Water the plants')).toBe('Water the plants');
+      expect(getSubject('Call')).toBe('Call');
+    });
+  });
+
+  describe('decomposeTask', () => {
+    it('should fill in the task subject', () => {
+      const steps = decomposeTask('Call the dentist', 'quick');
+
+      expect(steps[0]).toEqual({ text: 'Find the phone number for the dentist', estimatedMinutes: 2 });
+    });
+
+    it('should add steps as the granularity grows, keeping their order', () => {
+      const quick = decomposeTask('Clean the bathroom', 'quick');
+      const detailed = decomposeTask('Clean the bathroom', 'detailed');
+      const veryDetailed = decomposeTask('Clean the bathroom', 'very-detailed');
+
+      expect(quick.length).toBeLessThan(detailed.length);
+      expect(detailed.length).toBeLessThan(veryDetailed.length);
+
+      const texts = veryDetailed.map((step: { text: string }) => step.text);
+      const positions = detailed.map((step: { text: string }) => texts.indexOf(step.text));
+      expect(positions).toEqual([...positions].sort((a, b) => a - b));
+      expect(positions).not.toContain(-1);
+    });
+
+    it('should use the detailed breakdown for an unknown granularity', () => {
+      expect(decomposeTask('Do the laundry', 'huge')).toEqual(decomposeTask('Do the laundry', 'detailed'));
+    });
+
+    it('should give the same steps every time', () => {
+      expect(decomposeTask('Study chapter 4', 'very-detailed')).toEqual(decomposeTask('Study chapter 4', 'very-detailed'));
+    });
+
+    it('should give every step a positive estimate', () => {
+      [...CHORE_TEMPLATES, GENERAL_TEMPLATE].forEach(template => {
+        template.steps.forEach(([level, text, minutes]) => {
+          expect([1, 2, 3]).toContain(level);
+          expect(text).toBeTruthy();
+          expect(minutes as number).toBeGreaterThan(0);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Prestige Unit Tests
+ *
+ * Covers levels past prestige stars, prestiging at the top level, prestige
+ * ranks and XP bar styles, and the achievements that count stars.
+ */
+
+import {
+  MAX_LEVEL,
+  getPrestigeTierXP,
+  getLevelFromXP,
+  awardXP,
+  applyXPChange,
+  prestigeProfile,
+  createDefaultProfile,
+} from '../../../src/utils/xpSystem';
+import {
+  getRankForLevel,
+  getNextRank,
+  formatPrestige,
+  getUnlockedXPBarStyles,
+  getXPBarStyle,
+} from '../../../src/utils/rankSystem';
+import { ACHIEVEMENTS, checkAchievement } from '../../../src/utils/achievementSystem';
+
+// Level 1 to 100 on the default linear curve: 100 × (2 + ... + 100)
+const TIER_XP = 504900;
+
+const achievement = (id: string) => ACHIEVEMENTS.find(a => a.id === id)!;
+
+describe('Prestige', () => {
+  describe('getLevelFromXP', () => {
+    it('should stop at the top level until the player prestiges', () => {
+      expect(getPrestigeTierXP()).toBe(TIER_XP);
+
+      const top = getLevelFromXP(TIER_XP + 250);
+      expect(top).toMatchObject({ level: MAX_LEVEL, currentLevelXP: 250, xpToNextLevel: 0, canPrestige: true });
+      expect(getLevelFromXP(TIER_XP - 1).canPrestige).toBe(false);
+    });
+
+    it('should work the level out from the XP left after each star', () => {
+      expect(getLevelFromXP(TIER_XP + 250, undefined, 1)).toMatchObject({ level: 2, currentLevelXP: 50, prestige: 1 });
+      expect(getLevelFromXP(TIER_XP - 1, undefined, 1)).toMatchObject({ level: 1, currentLevelXP: 0 });
+    });
+
+    it('should level up within a prestige tier', () => {
+      const result = awardXP(TIER_XP + 150, 100, undefined, 1);
+      expect(result).toMatchObject({ leveledUp: true, oldLevel: 1, newLevel: 2 });
+    });
+  });
+
+  describe('prestigeProfile', () => {
+    it('should go back to level 1 with a star, keeping the total XP', () => {
+      const profile = applyXPChange(createDefaultProfile(), TIER_XP + 250);
+      expect(profile.level).toBe(MAX_LEVEL);
+
+      const prestiged = prestigeProfile(profile).profile!;
+      expect(prestiged).toMatchObject({ totalXP: TIER_XP + 250, prestige: 1, level: 2, currentLevelXP: 50 });
+      expect(applyXPChange(prestiged, 10).prestige).toBe(1);
+    });
+
+    it('should only prestige at the top level', () => {
+      const profile = applyXPChange(createDefaultProfile(), 1000);
+      expect(prestigeProfile(profile).error).toBeDefined();
+    });
+  });
+
+  describe('ranks and styles', () => {
+    it('should give prestige ranks by star count, past the last level rank', () => {
+      expect(getRankForLevel(100)!.name).toBe('GOD MODE');
+      expect(getNextRank(100)!.name).toBe('ASCENDED');
+      expect(getRankForLevel(3, 1)!.name).toBe('ASCENDED');
+      expect(getNextRank(3, 1)!.name).toBe('IMMORTAL');
+      expect(getRankForLevel(3, 9)!.name).toBe('OMNIPOTENT');
+      expect(getNextRank(3, 9)).toBeNull();
+    });
+
+    it('should show stars', () => {
+      expect(formatPrestige(0)).toBe('');
+      expect(formatPrestige(2)).toBe('★★');
+      expect(formatPrestige(7)).toBe('★7');
+    });
+
+    it('should unlock an XP bar style with each star', () => {
+      expect(getUnlockedXPBarStyles(0).map(style => style.id)).toEqual(['classic']);
+      expect(getUnlockedXPBarStyles(2).map(style => style.id)).toEqual(['classic', 'gold', 'plasma']);
+      expect(getXPBarStyle('gold', 1)!.id).toBe('gold');
+      expect(getXPBarStyle('void', 1)!.id).toBe('classic');
+    });
+  });
+
+  describe('achievements', () => {
+    it('should count stars, and keep level badges after prestiging', () => {
+      expect(checkAchievement(achievement('prestige-1'), { level: 1, prestige: 1 })).toBe(true);
+      expect(checkAchievement(achievement('prestige-3'), { level: 40, prestige: 2 })).toBe(false);
+      expect(checkAchievement(achievement('level-100'), { level: 1, prestige: 1 })).toBe(true);
+      expect(checkAchievement(achievement('level-10'), { level: 5 })).toBe(false);
+    });
+  });
+});
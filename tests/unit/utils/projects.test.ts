@@ -0,0 +1,132 @@
+/**
+ * Projects Unit Tests
+ *
+ * Covers adding, editing and deleting projects, project filters and
+ * project progress.
+ */
+
+import {
+  ALL_PROJECTS,
+  NO_PROJECT,
+  loadProjects,
+  saveProjects,
+  getLiveProjects,
+  filterByProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  getProjectProgress,
+} from '../../../src/utils/projects';
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+
+const makeProjects = () => {
+  const home = createProject([], { name: 'Home', color: '#00BFFF', icon: '🏠', goalDate: null }, NOW, 'home');
+  const work = createProject(home.projects!, { name: 'Work', color: '', icon: '', goalDate: '2026-10-24' }, NOW, 'work');
+  return work.projects!;
+};
+
+describe('Projects', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('createProject', () => {
+    it('should add a project with default colour and icon', () => {
+      const projects = makeProjects();
+
+      expect(projects).toHaveLength(2);
+      expect(projects[1]).toMatchObject({ id: 'work', name: 'Work', color: '#00FF00', icon: '📁', goalDate: '2026-10-24' });
+    });
+
+    it('should reject missing, long and duplicate names and bad values', () => {
+      const projects = makeProjects();
+
+      expect(createProject(projects, { name: '  ', color: '', icon: '', goalDate: null }, NOW).error).toBeDefined();
+      expect(createProject(projects, { name: 'a'.repeat(51), color: '', icon: '', goalDate: null }, NOW).error).toBeDefined();
+      expect(createProject(projects, { name: 'home', color: '', icon: '', goalDate: null }, NOW).error).toBeDefined();
+      expect(createProject(projects, { name: 'Garden', color: 'green', icon: '', goalDate: null }, NOW).error).toBeDefined();
+      expect(createProject(projects, { name: 'Garden', color: '', icon: '', goalDate: '24/10/2026' }, NOW).error).toBeDefined();
+    });
+  });
+
+  describe('updateProject and deleteProject', () => {
+    it('should edit a project but keep names unique', () => {
+      const projects = makeProjects();
+
+      const renamed = updateProject(projects, 'home', { name: ' House ', goalDate: '' }, NOW);
+      expect(renamed.projects![0]).toMatchObject({ name: 'House', goalDate: null, color: '#00BFFF' });
+      expect(updateProject(projects, 'home', { name: 'Work' }, NOW).error).toBeDefined();
+    });
+
+    it('should keep a deleted project so the deletion can sync', () => {
+      const later = new Date('2026-10-20T12:00:00.000Z');
+      const projects = deleteProject(makeProjects(), 'home', later);
+
+      expect(projects).toHaveLength(2);
+      expect(projects[0]).toMatchObject({ deletedAt: later.toISOString(), updated_at: later.toISOString() });
+      expect(getLiveProjects(projects).map((project: { id: string }) => project.id)).toEqual(['work']);
+      expect(updateProject(projects, 'home', { name: 'Home again' }, NOW).error).toBeDefined();
+      // The name is free again
+      expect(createProject(projects, { name: 'Home', color: '', icon: '', goalDate: null }, NOW).error).toBeUndefined();
+    });
+
+    it('should save and load projects', () => {
+      saveProjects(makeProjects());
+      expect(loadProjects()).toHaveLength(2);
+    });
+  });
+
+  describe('filterByProject', () => {
+    it('should filter by project, by no project, or not at all', () => {
+      const projects = deleteProject(makeProjects(), 'work', NOW);
+      const tasks = [
+        { id: 'a', projectId: 'home' },
+        { id: 'b', projectId: 'work' },
+        { id: 'c', projectId: null },
+      ];
+      const ids = (items: { id: string }[]) => items.map(item => item.id);
+
+      expect(ids(filterByProject(tasks, ALL_PROJECTS, projects))).toEqual(['a', 'b', 'c']);
+      expect(ids(filterByProject(tasks, 'home', projects))).toEqual(['a']);
+      // Quests in a deleted project count as having no project
+      expect(ids(filterByProject(tasks, NO_PROJECT, projects))).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('getProjectProgress', () => {
+    it('should count quests, steps and XP earned in the project', () => {
+      const [, work] = makeProjects();
+      const tasks = [
+        {
+          id: 'a',
+          projectId: 'work',
+          status: 'in_progress',
+          subtasks: [{ id: 's1', text: 'One', completed: true }, { id: 's2', text: 'Two', completed: false }],
+        },
+        { id: 'b', projectId: 'home', status: 'pending', subtasks: [] },
+      ];
+      const completed = [{ id: 'c', projectId: 'work', xpEarned: 60 }];
+
+      const progress = getProjectProgress(work!, tasks, completed, NOW);
+
+      expect(progress).toMatchObject({
+        openQuests: 1,
+        completedQuests: 1,
+        percent: 50,
+        stepsDone: 1,
+        stepsTotal: 2,
+        daysToGoal: 5,
+        goalStatus: 'soon',
+      });
+      expect(progress.xpEarned).toBeGreaterThan(60);
+    });
+
+    it('should mark a project done once all its quests are finished', () => {
+      const [home] = makeProjects();
+      const progress = getProjectProgress(home!, [], [{ id: 'c', projectId: 'home', xpEarned: 10 }], NOW);
+
+      expect(progress).toMatchObject({ percent: 100, xpEarned: 10, daysToGoal: null, goalStatus: 'done' });
+    });
+  });
+});
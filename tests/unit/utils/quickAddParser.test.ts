@@ -0,0 +1,133 @@
+/**
+ * Quick-Add Parser Unit Tests
+ *
+ * Covers tags, priority, estimates, dates and times in a single line.
+ */
+
+import { enGB, enUS, de } from 'date-fns/locale';
+import { parseQuickAdd, getDateLocale } from '../../../src/utils/quickAddParser';
+
+// Monday 19 October 2026, mid-morning
+const now = new Date(2026, 9, 19, 10, 0);
+const parse = (text: string, options = {}) => parseQuickAdd(text, { now, locale: enUS, ...options });
+
+describe('Quick-Add Parser', () => {
+  it('should parse every marker in one line', () => {
+    const result = parse('call dentist tomorrow 3pm !high #health ~15m');
+
+    expect(result).toMatchObject({
+      title: 'call dentist',
+      dueDate: '2026-10-20',
+      dueTime: '15:00',
+      priority: 'high',
+      tags: ['health'],
+      estimatedMinutes: 15,
+    });
+    expect(result.tokens.map((token: { type: string }) => token.type)).toEqual(['date', 'time', 'priority', 'tag', 'estimate']);
+  });
+
+  it('should leave a plain title alone', () => {
+    expect(parse('Pack clothes from suitcase')).toMatchObject({
+      title: 'Pack clothes from suitcase',
+      dueDate: null,
+      dueTime: null,
+      priority: null,
+      tags: [],
+      estimatedMinutes: null,
+      tokens: [],
+    });
+  });
+
+  describe('dates', () => {
+    it('should read relative dates', () => {
+      expect(parse('pay rent today').dueDate).toBe('2026-10-19');
+      expect(parse('pay rent day after tomorrow').dueDate).toBe('2026-10-21');
+      expect(parse('pay rent in 3 days').dueDate).toBe('2026-10-22');
+      expect(parse('pay rent in a week').dueDate).toBe('2026-10-26');
+      expect(parse('pay rent next month').dueDate).toBe('2026-11-01');
+    });
+
+    it('should read weekdays, dropping "on" and "by"', () => {
+      const result = parse('submit form by friday');
+      expect(result.title).toBe('submit form');
+      expect(result.dueDate).toBe('2026-10-23');
+
+      expect(parse('team sync next monday').dueDate).toBe('2026-10-26');
+      expect(parse('team sync on wed').dueDate).toBe('2026-10-21');
+    });
+
+    it('should only read short weekday names after "on", "by" or "next"', () => {
+      expect(parse('sat down with the budget').dueDate).toBeNull();
+    });
+
+    it('should start next week on the locale\'s first day', () => {
+      expect(parse('plan trip next week').dueDate).toBe('2026-10-25');
+      expect(parse('plan trip next week', { locale: enGB }).dueDate).toBe('2026-10-26');
+    });
+
+    it('should read month names and roll past dates into next year', () => {
+      expect(parse('renew passport oct 25th').dueDate).toBe('2026-10-25');
+      expect(parse('renew passport 3 march').dueDate).toBe('2027-03-03');
+    });
+
+    it('should read numeric dates in the locale\'s order', () => {
+      expect(parse('dentist 11/5').dueDate).toBe('2026-11-05');
+      expect(parse('dentist 11/5', { locale: enGB }).dueDate).toBe('2027-05-11');
+      expect(parse('dentist 2026-12-01').dueDate).toBe('2026-12-01');
+    });
+
+    it('should read weekday names in the locale\'s language', () => {
+      expect(parse('Zahnarzt freitag', { locale: de }).dueDate).toBe('2026-10-23');
+    });
+  });
+
+  describe('times', () => {
+    it('should read 12 and 24 hour times', () => {
+      expect(parse('standup at 9:30am').dueTime).toBe('09:30');
+      expect(parse('standup 3 pm').dueTime).toBe('15:00');
+      expect(parse('standup 17:45').dueTime).toBe('17:45');
+      expect(parse('lunch noon').dueTime).toBe('12:00');
+    });
+
+    it('should put a time without a date on today', () => {
+      expect(parse('standup 3pm').dueDate).toBe('2026-10-19');
+    });
+
+    it('should not read plain numbers as times', () => {
+      expect(parse('buy 3 apples').dueTime).toBeNull();
+    });
+  });
+
+  describe('priority, tags and estimates', () => {
+    it('should accept short priority forms', () => {
+      expect(parse('taxes !h').priority).toBe('high');
+      expect(parse('taxes !2').priority).toBe('medium');
+      expect(parse('taxes !important').priority).toBeNull();
+    });
+
+    it('should collect every tag once', () => {
+      expect(parse('tidy #home #chores #home').tags).toEqual(['home', 'chores']);
+    });
+
+    it('should read hour and minute estimates', () => {
+      expect(parse('essay ~1h30m').estimatedMinutes).toBe(90);
+      expect(parse('essay ~1.5h').estimatedMinutes).toBe(90);
+      expect(parse('essay ~20').estimatedMinutes).toBe(20);
+    });
+  });
+
+  it('should keep ignored markers in the title', () => {
+    const result = parse('plan friday party', { ignore: ['date:friday'] });
+
+    expect(result.title).toBe('plan friday party');
+    expect(result.dueDate).toBeNull();
+  });
+
+  describe('getDateLocale', () => {
+    it('should match the full tag, then the language, then fall back to en-US', () => {
+      expect(getDateLocale('en-GB')).toBe(enGB);
+      expect(getDateLocale('de-AT')).toBe(de);
+      expect(getDateLocale('xx')).toBe(enUS);
+    });
+  });
+});
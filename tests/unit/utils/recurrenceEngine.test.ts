@@ -0,0 +1,251 @@
+/**
+ * Recurrence Engine Unit Tests
+ *
+ * Covers rule parsing, occurrence expansion, next-instance spawning
+ * and the skip/shift missed occurrence policies.
+ */
+
+import {
+  parseRecurrenceRule,
+  isValidRecurrence,
+  toRRuleString,
+  toICalRepeating,
+  describeRecurrence,
+  getNextOccurrence,
+  expandOccurrences,
+  getNextDueDate,
+  spawnNextInstance,
+  rollOverRecurringTasks,
+  getRecurringOccurrencesByDate,
+  formatOccurrenceDate,
+} from '../../../src/utils/recurrenceEngine';
+
+const day = (value: string) => new Date(`${value}T00:00:00`);
+
+const makeTask = (overrides = {}) => ({
+  id: 'task-1',
+  title: 'Take out the trash',
+  createdAt: '2026-10-01T09:00:00.000Z',
+  dueDate: '2026-10-05',
+  priority: 'medium',
+  tags: ['home'],
+  recurring: 'daily',
+  missedPolicy: 'skip',
+  subtasks: [
+    { id: 's1', text: 'Stand up', completed: true, order: 0 },
+    { id: 's2', text: 'Grab the bag', completed: true, order: 1 },
+  ],
+  ...overrides,
+});
+
+describe('Recurrence Engine', () => {
+  describe('parseRecurrenceRule', () => {
+    it('should return null for none or empty values', () => {
+      expect(parseRecurrenceRule('none')).toBeNull();
+      expect(parseRecurrenceRule('')).toBeNull();
+      expect(parseRecurrenceRule(undefined)).toBeNull();
+    });
+
+    it('should expand presets', () => {
+      expect(parseRecurrenceRule('daily')?.freq).toBe('DAILY');
+      expect(parseRecurrenceRule('weekdays')?.byDay).toEqual(['MO', 'TU', 'WE', 'TH', 'FR']);
+      expect(parseRecurrenceRule('monthly')?.freq).toBe('MONTHLY');
+    });
+
+    it('should parse RRULE strings', () => {
+      const rule = parseRecurrenceRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10');
+
+      expect(rule).toEqual({
+        freq: 'WEEKLY',
+        interval: 2,
+        byDay: ['MO', 'TH'],
+        byMonthDay: [],
+        count: 10,
+        until: null,
+      });
+    });
+
+    it('should parse UNTIL in compact form', () => {
+      const rule = parseRecurrenceRule('FREQ=DAILY;UNTIL=20261231');
+      expect(rule?.until && formatOccurrenceDate(rule.until)).toBe('2026-12-31');
+    });
+
+    it('should reject malformed rules', () => {
+      expect(parseRecurrenceRule('FREQ=HOURLY')).toBeNull();
+      expect(parseRecurrenceRule('FREQ=DAILY;INTERVAL=0')).toBeNull();
+      expect(parseRecurrenceRule('FREQ=WEEKLY;BYDAY=XX')).toBeNull();
+      expect(parseRecurrenceRule('INTERVAL=2')).toBeNull();
+      expect(parseRecurrenceRule('FREQ=DAILY;FOO=1')).toBeNull();
+      expect(isValidRecurrence('FREQ=DAILY;FOO=1')).toBe(false);
+      expect(isValidRecurrence('none')).toBe(true);
+    });
+  });
+
+  describe('serialization', () => {
+    it('should round-trip through an RRULE string', () => {
+      const source = 'FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=1,-1;COUNT=4';
+      const rule = parseRecurrenceRule(source);
+      expect(rule && toRRuleString(rule)).toBe(source);
+    });
+
+    it('should build ical-generator repeating options', () => {
+      const rule = parseRecurrenceRule('FREQ=WEEKLY;BYDAY=MO,FR');
+      expect(rule && toICalRepeating(rule)).toEqual({
+        freq: 'WEEKLY',
+        interval: 1,
+        byDay: ['mo', 'fr'],
+      });
+    });
+
+    it('should describe rules for humans', () => {
+      expect(describeRecurrence('none')).toBe('Does not repeat');
+      expect(describeRecurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO')).toBe('Every 2 weeks on MO');
+    });
+  });
+
+  describe('occurrences', () => {
+    it('should find the next daily occurrence', () => {
+      const rule = parseRecurrenceRule('daily')!;
+      const next = getNextOccurrence(rule, day('2026-10-05'), day('2026-10-05'));
+      expect(formatOccurrenceDate(next!)).toBe('2026-10-06');
+    });
+
+    it('should honour BYDAY for weekly rules', () => {
+      const rule = parseRecurrenceRule('FREQ=WEEKLY;BYDAY=MO,WE')!;
+      // 2026-10-05 is a Monday
+      const dates = expandOccurrences(rule, day('2026-10-05'), day('2026-10-01'), day('2026-10-18'));
+      expect(dates.map(formatOccurrenceDate)).toEqual([
+        '2026-10-05',
+        '2026-10-07',
+        '2026-10-12',
+        '2026-10-14',
+      ]);
+    });
+
+    it('should support the last day of the month', () => {
+      const rule = parseRecurrenceRule('FREQ=MONTHLY;BYMONTHDAY=-1')!;
+      const dates = expandOccurrences(rule, day('2026-01-15'), day('2026-01-01'), day('2026-03-31'));
+      expect(dates.map(formatOccurrenceDate)).toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+    });
+
+    it('should stop after COUNT occurrences', () => {
+      const rule = parseRecurrenceRule('FREQ=DAILY;COUNT=3')!;
+      const dates = expandOccurrences(rule, day('2026-10-01'), day('2026-10-01'), day('2026-10-31'));
+      expect(dates).toHaveLength(3);
+      expect(getNextOccurrence(rule, day('2026-10-01'), day('2026-10-03'))).toBeNull();
+    });
+  });
+
+  describe('getNextDueDate', () => {
+    it('should skip missed occurrences with the skip policy', () => {
+      const task = makeTask({ recurring: 'weekly', dueDate: '2026-10-05' });
+      const next = getNextDueDate(task, day('2026-10-20'));
+
+      // Weekly from Oct 5: 12, 19 were missed, 26 is next
+      expect(formatOccurrenceDate(next!.dueDate)).toBe('2026-10-26');
+      expect(formatOccurrenceDate(next!.anchor)).toBe('2026-10-05');
+    });
+
+    it('should count from the completion day with the shift policy', () => {
+      const task = makeTask({ recurring: 'weekly', dueDate: '2026-10-05', missedPolicy: 'shift' });
+      const next = getNextDueDate(task, day('2026-10-20'));
+
+      expect(formatOccurrenceDate(next!.dueDate)).toBe('2026-10-27');
+    });
+
+    it('should return null once the series is finished', () => {
+      const task = makeTask({ recurring: 'FREQ=DAILY;COUNT=2', occurrence: 2 });
+      expect(getNextDueDate(task, day('2026-10-05'))).toBeNull();
+    });
+  });
+
+  describe('spawnNextInstance', () => {
+    it('should create a fresh instance with uncompleted subtasks', () => {
+      let counter = 0;
+      const generateId = () => `id-${++counter}`;
+      const task = makeTask({ completedAt: '2026-10-05T10:00:00.000Z', timeData: { totalTime: 5 } });
+
+      const next = spawnNextInstance(task, day('2026-10-05'), generateId);
+
+      expect(next).not.toBeNull();
+      expect(next!.id).not.toBe(task.id);
+      expect(next!.dueDate).toBe('2026-10-06');
+      expect(next!.seriesId).toBe('task-1');
+      expect(next!.occurrence).toBe(2);
+      expect(next!.subtasks.map((st: { text: string }) => st.text)).toEqual([
+        'Stand up',
+        'Grab the bag',
+      ]);
+      expect(next!.subtasks.every((st: { completed: boolean }) => !st.completed)).toBe(true);
+      expect(next).not.toHaveProperty('completedAt');
+      expect(next).not.toHaveProperty('timeData');
+    });
+
+    it('should start the next instance without the last one\'s snooze or deferrals', () => {
+      const task = makeTask({ snoozedUntil: '2026-10-06T09:00:00.000Z', deferCount: 4, reviewedDeferCount: 3 });
+      const next = spawnNextInstance(task, day('2026-10-05'));
+
+      expect(next).not.toHaveProperty('snoozedUntil');
+      expect(next).not.toHaveProperty('deferCount');
+      expect(next).not.toHaveProperty('reviewedDeferCount');
+    });
+
+    it('should carry over the quest itself but nothing only the finished instance had', () => {
+      const task = makeTask({ projectId: 'p1', dread: 2, position: 3, streakBonus: 25, archivedAt: '2026-10-05T10:00:00.000Z' });
+      const next = spawnNextInstance(task, day('2026-10-05'));
+
+      expect(next).toMatchObject({ title: 'Take out the trash', priority: 'medium', tags: ['home'], projectId: 'p1', dread: 2 });
+      expect(next).not.toHaveProperty('position');
+      expect(next).not.toHaveProperty('streakBonus');
+      expect(next).not.toHaveProperty('archivedAt');
+    });
+
+    it('should start the next instance without the finished one\'s blockers', () => {
+      const task = makeTask({ blockedBy: [{ taskId: 'task-0', subtaskId: null }] });
+      const next = spawnNextInstance(task, day('2026-10-05'));
+
+      expect(next).not.toHaveProperty('blockedBy');
+    });
+
+    it('should not spawn for non-recurring tasks', () => {
+      expect(spawnNextInstance(makeTask({ recurring: 'none' }))).toBeNull();
+    });
+  });
+
+  describe('rollOverRecurringTasks', () => {
+    it('should move overdue skip tasks to the next occurrence', () => {
+      const task = makeTask({ dueDate: '2026-10-05' });
+      const { tasks, changed } = rollOverRecurringTasks([task], day('2026-10-08'));
+
+      expect(changed).toBe(true);
+      expect(tasks[0].dueDate).toBe('2026-10-08');
+      expect(tasks[0].skippedOccurrences).toBe(3);
+      // Progress is kept when rolling over
+      expect(tasks[0].subtasks).toBe(task.subtasks);
+    });
+
+    it('should leave shift tasks and upcoming tasks alone', () => {
+      const shiftTask = makeTask({ missedPolicy: 'shift' });
+      const upcoming = makeTask({ id: 'task-2', dueDate: '2026-10-10' });
+      const { tasks, changed } = rollOverRecurringTasks([shiftTask, upcoming], day('2026-10-08'));
+
+      expect(changed).toBe(false);
+      expect(tasks[0]).toBe(shiftTask);
+      expect(tasks[1]).toBe(upcoming);
+    });
+  });
+
+  describe('getRecurringOccurrencesByDate', () => {
+    it('should project tasks onto every matching date', () => {
+      const task = makeTask({ recurring: 'FREQ=DAILY;INTERVAL=2', dueDate: '2026-10-01' });
+      const byDate = getRecurringOccurrencesByDate(
+        [task],
+        day('2026-10-01'),
+        day('2026-10-06')
+      ) as Record<string, unknown[]>;
+
+      expect(Object.keys(byDate)).toEqual(['2026-10-01', '2026-10-03', '2026-10-05']);
+      expect(byDate['2026-10-03']?.[0]).toBe(task);
+    });
+  });
+});
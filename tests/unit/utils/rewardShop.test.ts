@@ -0,0 +1,148 @@
+/**
+ * Reward Shop Unit Tests
+ *
+ * Covers coins earned from the XP ledger, setting up rewards, buying them
+ * with cooldowns, joining purchase histories and the weekly spend report.
+ */
+
+import {
+  loadPurchases,
+  savePurchases,
+  getLiveRewards,
+  getCoinsEarned,
+  getCoinBalance,
+  createReward,
+  updateReward,
+  deleteReward,
+  getCooldown,
+  purchaseReward,
+  mergePurchases,
+  getWeeklySpendReport,
+} from '../../../src/utils/rewardShop';
+import { balanceEntries, getLedgerTotal } from '../../../src/utils/xpLedger';
+
+// A Monday
+const NOW = new Date(2026, 9, 19, 12, 0);
+const LAST_WEEK = new Date(2026, 9, 14, 12, 0);
+
+const entry = (xp: number, source = 'step', createdAt = NOW) => (
+  { id: `xp-${xp}-${source}`, source, taskId: 'task-1', xp, createdAt: createdAt.toISOString() }
+);
+// Entries that only move the XP total have no quest
+const totalEntry = (xp: number, source: string) => ({ id: `xp-${xp}-${source}`, source, xp, createdAt: NOW.toISOString() });
+
+const gaming = () => createReward([], { name: '30 min gaming', icon: '🎮', price: 50, cooldownHours: 24 }, NOW, 'reward-1');
+
+describe('Reward Shop', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('coins', () => {
+    it('should earn a coin for every 10 XP, and keep them through an XP reset', () => {
+      const ledger = [entry(245), entry(-40, 'unchecked'), totalEntry(-205, 'reset')];
+
+      expect(getCoinsEarned([entry(245)])).toBe(24);
+      expect(getCoinsEarned(ledger)).toBe(20);
+    });
+
+    it('should not pay out the same XP twice after a reset and a recalculation', () => {
+      const ledger = [entry(245), totalEntry(-245, 'reset'), entry(15, 'recalculate'), totalEntry(245, 'recalculate')];
+      const purchases = [{ id: 'p1', rewardId: 'reward-1', price: 10, purchasedAt: NOW.toISOString() }];
+
+      expect(getCoinBalance(ledger, purchases)).toEqual({ earned: 26, spent: 10, balance: 16 });
+    });
+
+    it('should follow an unchecked step whose XP was clamped at zero', () => {
+      // Unchecking a step after an XP reset takes back no XP, so no coins either
+      const unchecked = balanceEntries([entry(-30, 'unchecked')], 0);
+      const ledger = [entry(30), totalEntry(-30, 'reset'), ...unchecked];
+
+      expect(unchecked[1]).toEqual({ source: 'adjustment', xp: 30, taskId: 'task-1' });
+      expect(getLedgerTotal(ledger)).toBe(0);
+      expect(getCoinsEarned(ledger)).toBe(3);
+    });
+
+    it('should take the coins spent off the balance', () => {
+      const purchases = [{ id: 'p1', rewardId: 'reward-1', price: 15, purchasedAt: NOW.toISOString() }];
+      expect(getCoinBalance([entry(245)], purchases)).toEqual({ earned: 24, spent: 15, balance: 9 });
+    });
+  });
+
+  describe('rewards', () => {
+    it('should add, change and delete rewards', () => {
+      const { rewards, reward } = gaming();
+      expect(reward).toMatchObject({ name: '30 min gaming', price: 50, cooldownHours: 24, deletedAt: null });
+
+      const updated = updateReward(rewards!, 'reward-1', { price: 60 }, NOW).rewards!;
+      expect(updated[0]!.price).toBe(60);
+
+      const deleted = deleteReward(updated, 'reward-1', NOW);
+      expect(getLiveRewards(deleted)).toEqual([]);
+      expect(deleted).toHaveLength(1);
+    });
+
+    it('should reject rewards without a name, a whole price or a unique name', () => {
+      const { rewards } = gaming();
+
+      expect(createReward([], { name: ' ', price: 10 }).error).toBeDefined();
+      expect(createReward([], { name: 'Coffee', price: 0 }).error).toBeDefined();
+      expect(createReward([], { name: 'Coffee', price: 2.5 }).error).toBeDefined();
+      expect(createReward(rewards!, { name: '30 MIN GAMING', price: 10 }).error).toBeDefined();
+    });
+  });
+
+  describe('purchaseReward', () => {
+    it('should buy a reward the player can afford', () => {
+      const { reward } = gaming();
+      const { purchases, purchase } = purchaseReward(reward!, [], 80, NOW, 'device-1');
+
+      expect(purchase).toMatchObject({ rewardId: 'reward-1', name: '30 min gaming', price: 50, deviceId: 'device-1' });
+      expect(purchases).toHaveLength(1);
+      expect(purchaseReward(reward!, [], 49, NOW, 'device-1').error).toBeDefined();
+    });
+
+    it('should wait for the cooldown before the reward can be bought again', () => {
+      const { reward } = gaming();
+      const { purchases } = purchaseReward(reward!, [], 200, NOW, 'device-1');
+
+      const cooldown = getCooldown(reward!, purchases, new Date(2026, 9, 19, 20, 0));
+      expect(cooldown).toEqual({ ready: false, availableAt: new Date(2026, 9, 20, 12, 0) });
+      expect(purchaseReward(reward!, purchases!, 150, new Date(2026, 9, 19, 20, 0), 'device-1').error).toBeDefined();
+      expect(getCooldown(reward!, purchases, new Date(2026, 9, 20, 12, 0)).ready).toBe(true);
+    });
+  });
+
+  describe('mergePurchases', () => {
+    it('should keep each purchase once, oldest first', () => {
+      const local = [{ id: 'p2', rewardId: 'r', price: 5, purchasedAt: NOW.toISOString() }];
+      const remote = [{ id: 'p1', rewardId: 'r', price: 5, purchasedAt: LAST_WEEK.toISOString() }, local[0]!];
+
+      savePurchases(mergePurchases(local, remote));
+      expect(loadPurchases().map((p: { id: string }) => p.id)).toEqual(['p1', 'p2']);
+    });
+  });
+
+  describe('getWeeklySpendReport', () => {
+    it('should sum up this week\'s coins earned and spent by reward', () => {
+      const ledger = [entry(300, 'step', LAST_WEEK), entry(125)];
+      const purchase = (id: string, rewardId: string, price: number, time: Date) => (
+        { id, rewardId, name: rewardId, icon: '🎁', price, purchasedAt: time.toISOString() }
+      );
+      const purchases = [
+        purchase('p1', 'coffee', 10, LAST_WEEK),
+        purchase('p2', 'coffee', 10, NOW),
+        purchase('p3', 'gaming', 50, NOW),
+        purchase('p4', 'coffee', 10, new Date(2026, 9, 21, 9, 0)),
+      ];
+      const report = getWeeklySpendReport(ledger, purchases, NOW);
+
+      expect(report.weekStart).toEqual(new Date(2026, 9, 19));
+      expect(report.earned).toBe(12);
+      expect(report.spent).toBe(70);
+      expect(report.lastWeekSpent).toBe(10);
+      expect(report.rewards.map((line: { rewardId: string; count: number; coins: number }) => [line.rewardId, line.count, line.coins]))
+        .toEqual([['gaming', 1, 50], ['coffee', 2, 20]]);
+    });
+  });
+});
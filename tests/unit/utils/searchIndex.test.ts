@@ -0,0 +1,128 @@
+/**
+ * Search Index Unit Tests
+ *
+ * Covers indexing every kind of item, re-indexing only what changed,
+ * ranking results, and saved searches.
+ */
+
+import {
+  createSearchIndex,
+  indexSource,
+  searchIndex,
+  getSearchIndex,
+  loadSavedSearches,
+  saveSearch,
+  toggleSearchPin,
+  deleteSavedSearch,
+} from '../../../src/utils/searchIndex';
+
+const NOW = new Date(2026, 9, 19, 12, 0);
+
+const quest = (id: string, title: string, extra = {}) => ({
+  id,
+  title,
+  tags: [] as string[],
+  priority: 'medium',
+  dueDate: null as string | null,
+  subtasks: [] as { id: string; text: string; completed: boolean }[],
+  ...extra,
+});
+
+const ids = (results: { id: string }[]) => results.map(result => result.id);
+
+describe('Search Index', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('indexSource', () => {
+    it('should index quests, their steps, finished quests and notes', () => {
+      const index = createSearchIndex();
+      indexSource(index, 'tasks', [quest('q1', 'Clean kitchen', {
+        tags: ['home'],
+        subtasks: [{ id: 's1', text: 'Wipe counters', completed: false }],
+      })]);
+      indexSource(index, 'completed', [{ ...quest('q0', 'Kitchen shopping'), completedAt: '2026-10-01T10:00:00.000Z' }]);
+      indexSource(index, 'captures', [{ id: 'n1', text: 'Kitchen light flickers', tags: [], createdAt: '2026-10-02T10:00:00.000Z' }]);
+
+      expect(ids(searchIndex(index, 'kitchen', NOW)).sort()).toEqual(['note:n1', 'quest:q0', 'step:q1:s1', 'task:q1']);
+      // Steps inherit the quest's tags
+      expect(ids(searchIndex(index, 'type:step tag:home', NOW))).toEqual(['step:q1:s1']);
+    });
+
+    it('should re-index only the items that changed', () => {
+      const index = createSearchIndex();
+      const a = quest('a', 'Taxes');
+      const b = quest('b', 'Dentist');
+
+      expect(indexSource(index, 'tasks', [a, b])).toEqual({ added: 2, updated: 0, removed: 0 });
+      expect(indexSource(index, 'tasks', [{ ...a }, { ...b, title: 'Dentist appointment' }]))
+        .toEqual({ added: 0, updated: 1, removed: 0 });
+      expect(indexSource(index, 'tasks', [a])).toEqual({ added: 0, updated: 0, removed: 1 });
+
+      expect(searchIndex(index, 'dentist', NOW)).toEqual([]);
+      expect(index.postings.has('dentist')).toBe(false);
+    });
+  });
+
+  describe('searchIndex', () => {
+    it('should match word prefixes, phrases, filters and exclusions', () => {
+      const index = createSearchIndex();
+      indexSource(index, 'tasks', [
+        quest('a', 'Fold the laundry', { tags: ['home'], priority: 'high', dueDate: '2026-10-21' }),
+        quest('b', 'Laundry detergent order', { tags: ['errands'] }),
+        quest('c', 'Plan holiday', { tags: ['home'], dueDate: '2026-10-10' }),
+      ]);
+
+      expect(ids(searchIndex(index, 'laund', NOW)).sort()).toEqual(['task:a', 'task:b']);
+      expect(ids(searchIndex(index, '"fold the"', NOW))).toEqual(['task:a']);
+      expect(ids(searchIndex(index, 'tag:home priority:high due:<7d', NOW))).toEqual(['task:a']);
+      expect(ids(searchIndex(index, 'is:overdue', NOW))).toEqual(['task:c']);
+      expect(ids(searchIndex(index, 'laundry -detergent', NOW))).toEqual(['task:a']);
+      expect(ids(searchIndex(index, 'laundry -tag:home', NOW))).toEqual(['task:b']);
+    });
+
+    it('should rank title matches above matches in the parent quest', () => {
+      const index = createSearchIndex();
+      indexSource(index, 'tasks', [
+        quest('a', 'Garage', { subtasks: [{ id: 's', text: 'Sort boxes', completed: false }] }),
+        quest('b', 'Sort mail'),
+      ]);
+
+      expect(ids(searchIndex(index, 'sort garage', NOW))).toEqual(['step:a:s']);
+      expect(ids(searchIndex(index, 'sort', NOW))[0]).not.toBe('task:a');
+    });
+  });
+
+  describe('getSearchIndex', () => {
+    it('should pick up saved changes', () => {
+      localStorage.setItem('adhd_quest_tasks', JSON.stringify([quest('a', 'Water plants')]));
+      expect(searchIndex(getSearchIndex(), 'plants', NOW)).toHaveLength(1);
+
+      localStorage.setItem('adhd_quest_tasks', JSON.stringify([]));
+      expect(searchIndex(getSearchIndex(), 'plants', NOW)).toHaveLength(0);
+    });
+
+    it('should hand back a new index only when something changed', () => {
+      localStorage.setItem('adhd_quest_tasks', JSON.stringify([quest('a', 'Water plants')]));
+      const index = getSearchIndex();
+      expect(getSearchIndex()).toBe(index);
+
+      localStorage.setItem('adhd_quest_tasks', JSON.stringify([quest('a', 'Water the plants')]));
+      expect(getSearchIndex()).not.toBe(index);
+    });
+  });
+
+  describe('saved searches', () => {
+    it('should save, rename, pin and delete searches', () => {
+      saveSearch('', 'tag:home', NOW);
+      const [saved] = saveSearch('Home stuff', 'tag:home', NOW);
+
+      expect(loadSavedSearches()).toHaveLength(1);
+      expect(saved).toMatchObject({ name: 'Home stuff', query: 'tag:home', pinned: false });
+
+      expect(toggleSearchPin(saved!.id)[0]!.pinned).toBe(true);
+      expect(deleteSavedSearch(saved!.id)).toEqual([]);
+    });
+  });
+});
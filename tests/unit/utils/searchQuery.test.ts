@@ -0,0 +1,105 @@
+/**
+ * Search Query Unit Tests
+ *
+ * Covers parsing words, phrases, filters and exclusions, and checking
+ * documents against each filter.
+ */
+
+import { parseQuery, parseDueValue, matchesFilter, tokenize } from '../../../src/utils/searchQuery';
+
+const NOW = new Date(2026, 9, 19, 12, 0);
+
+const doc = (extra = {}) => ({
+  type: 'task',
+  tags: ['Home'],
+  priority: 'high',
+  dueDate: '2026-10-22',
+  dueTime: null,
+  status: 'open',
+  recurring: false,
+  inbox: false,
+  ...extra,
+});
+
+describe('Search Query', () => {
+  describe('tokenize', () => {
+    it('should split text into lowercase words', () => {
+      expect(tokenize('Call Mom, re: café!')).toEqual(['call', 'mom', 're', 'café']);
+    });
+  });
+
+  describe('parseQuery', () => {
+    it('should separate words, phrases, filters and exclusions', () => {
+      const query = parseQuery('laundry tag:home priority:high "fold socks" -work -"old stuff" -tag:errands', NOW);
+
+      expect(query.terms).toEqual(['laundry']);
+      expect(query.phrases).toEqual(['fold socks']);
+      expect(query.excluded).toEqual(['work', 'old stuff']);
+      expect(query.filters).toEqual([
+        { key: 'tag', value: 'home', negate: false },
+        { key: 'priority', value: 'high', negate: false },
+        { key: 'tag', value: 'errands', negate: true },
+      ]);
+      expect(query.errors).toEqual([]);
+    });
+
+    it('should search unknown keys as text and report bad filter values', () => {
+      const query = parseQuery('note:idea priority:urgent due:someday', NOW);
+
+      expect(query.terms).toEqual(['note', 'idea']);
+      expect(query.filters).toEqual([]);
+      expect(query.errors).toHaveLength(2);
+    });
+
+    it('should accept quoted filter values', () => {
+      expect(parseQuery('tag:"deep work"', NOW).filters).toEqual([{ key: 'tag', value: 'deep work', negate: false }]);
+    });
+  });
+
+  describe('parseDueValue', () => {
+    it('should read named days, relative days and weeks, and dates', () => {
+      expect(parseDueValue('today', NOW)).toEqual({ op: '=', date: '2026-10-19' });
+      expect(parseDueValue('tomorrow', NOW)).toEqual({ op: '=', date: '2026-10-20' });
+      expect(parseDueValue('<7d', NOW)).toEqual({ op: '<', date: '2026-10-26' });
+      expect(parseDueValue('>=2w', NOW)).toEqual({ op: '>=', date: '2026-11-02' });
+      expect(parseDueValue('<2026-11-01', NOW)).toEqual({ op: '<', date: '2026-11-01' });
+      expect(parseDueValue('none', NOW)).toEqual({ none: true });
+      expect(parseDueValue('soon', NOW)).toBeNull();
+    });
+  });
+
+  describe('matchesFilter', () => {
+    it('should match tags without caring about case', () => {
+      expect(matchesFilter(doc(), { key: 'tag', value: 'home' }, NOW)).toBe(true);
+      expect(matchesFilter(doc(), { key: 'tag', value: 'work' }, NOW)).toBe(false);
+    });
+
+    it('should compare due dates', () => {
+      expect(matchesFilter(doc(), { key: 'due', value: '<7d' }, NOW)).toBe(true);
+      expect(matchesFilter(doc(), { key: 'due', value: 'today' }, NOW)).toBe(false);
+      expect(matchesFilter(doc({ dueDate: null }), { key: 'due', value: '<7d' }, NOW)).toBe(false);
+      expect(matchesFilter(doc({ dueDate: null }), { key: 'due', value: 'none' }, NOW)).toBe(true);
+    });
+
+    it('should only count open items as overdue', () => {
+      const late = doc({ dueDate: '2026-10-18' });
+
+      expect(matchesFilter(late, { key: 'is', value: 'overdue' }, NOW)).toBe(true);
+      expect(matchesFilter({ ...late, status: 'done' }, { key: 'is', value: 'overdue' }, NOW)).toBe(false);
+      expect(matchesFilter(doc(), { key: 'is', value: 'overdue' }, NOW)).toBe(false);
+    });
+
+    it('should match status, type and recurring filters', () => {
+      expect(matchesFilter(doc(), { key: 'is', value: 'open' }, NOW)).toBe(true);
+      expect(matchesFilter(doc({ status: 'archived' }), { key: 'is', value: 'archived' }, NOW)).toBe(true);
+      expect(matchesFilter(doc({ recurring: true }), { key: 'is', value: 'recurring' }, NOW)).toBe(true);
+      expect(matchesFilter(doc(), { key: 'type', value: 'note' }, NOW)).toBe(false);
+    });
+
+    it('should match open items that are snoozed right now', () => {
+      expect(matchesFilter(doc({ snoozedUntil: '2026-10-20T09:00:00.000Z' }), { key: 'is', value: 'snoozed' }, NOW)).toBe(true);
+      expect(matchesFilter(doc({ snoozedUntil: '2026-10-18T09:00:00.000Z' }), { key: 'is', value: 'snoozed' }, NOW)).toBe(false);
+      expect(matchesFilter(doc({ someday: true, status: 'archived' }), { key: 'is', value: 'snoozed' }, NOW)).toBe(false);
+    });
+  });
+});
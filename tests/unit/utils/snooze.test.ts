@@ -0,0 +1,120 @@
+/**
+ * Snooze Unit Tests
+ *
+ * Covers wake times, snoozing and waking quests, and the weekly review
+ * of quests that keep getting put off.
+ */
+
+import {
+  getWakeTime,
+  isSnoozed,
+  snoozeTask,
+  wakeTask,
+  describeWake,
+  getReviewSuggestions,
+  getWeeklyReview,
+  keepTask,
+  loadLastReview,
+  markReviewed,
+  isReviewDue,
+} from '../../../src/utils/snooze';
+
+// A Monday
+const NOW = new Date(2026, 9, 19, 12, 0);
+
+const quest = (extra = {}) => ({
+  id: 'q1',
+  title: 'Call the bank',
+  status: 'pending',
+  createdAt: new Date(2026, 9, 10, 9, 0).toISOString(),
+  subtasks: [{ id: 's1', text: 'Find the number', completed: false }],
+  ...extra,
+});
+
+describe('Snooze', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('getWakeTime', () => {
+    it('should wake later today, tomorrow morning or next Monday morning', () => {
+      expect(getWakeTime('later', NOW).wakeAt).toEqual(new Date(2026, 9, 19, 15, 0));
+      expect(getWakeTime('tomorrow', NOW).wakeAt).toEqual(new Date(2026, 9, 20, 9, 0));
+      expect(getWakeTime('nextWeek', NOW).wakeAt).toEqual(new Date(2026, 9, 26, 9, 0));
+      expect(getWakeTime('someday', NOW).wakeAt).toBeNull();
+    });
+
+    it('should only accept a picked date after today', () => {
+      expect(getWakeTime('date', NOW, '2026-11-02').wakeAt).toEqual(new Date(2026, 10, 2, 9, 0));
+      expect(getWakeTime('date', NOW, '2026-10-19').error).toBeDefined();
+      expect(getWakeTime('date', NOW, '').error).toBeDefined();
+      expect(getWakeTime('never', NOW).error).toBeDefined();
+    });
+  });
+
+  describe('snoozeTask and wakeTask', () => {
+    it('should hide the quest until it wakes and count the deferral', () => {
+      const { task } = snoozeTask(quest(), 'tomorrow', { now: NOW });
+
+      expect(task).toMatchObject({ someday: false, deferCount: 1, lastDeferredAt: NOW.toISOString() });
+      expect(isSnoozed(task!, NOW)).toBe(true);
+      expect(isSnoozed(task!, new Date(2026, 9, 20, 9, 1))).toBe(false);
+      expect(describeWake(task!, NOW)).toBe('tomorrow');
+    });
+
+    it('should keep someday quests snoozed until woken, keeping the count', () => {
+      const snoozed = snoozeTask(quest({ deferCount: 2 }), 'someday', { now: NOW }).task!;
+
+      expect(isSnoozed(snoozed, new Date(2030, 0, 1))).toBe(true);
+      expect(describeWake(snoozed, NOW)).toBe('someday');
+
+      const woken = wakeTask(snoozed, NOW);
+      expect(isSnoozed(woken, NOW)).toBe(false);
+      expect(woken.deferCount).toBe(3);
+    });
+
+    it('should not snooze quests that are off the board', () => {
+      expect(snoozeTask(quest({ status: 'archived' }), 'tomorrow', { now: NOW }).error).toBeDefined();
+    });
+  });
+
+  describe('weekly review', () => {
+    it('should list quests put off three or more times, most deferred first', () => {
+      const tasks = [
+        quest({ id: 'a', deferCount: 3 }),
+        quest({ id: 'b', deferCount: 2 }),
+        quest({ id: 'c', deferCount: 6, someday: true }),
+        quest({ id: 'd', deferCount: 4, status: 'archived' }),
+      ];
+      const review = getWeeklyReview(tasks, NOW);
+
+      expect(review.items.map((item: { task: { id: string } }) => item.task.id)).toEqual(['c', 'a']);
+      expect(review.snoozedCount).toBe(1);
+      expect(review.somedayCount).toBe(1);
+    });
+
+    it('should suggest letting go first once a quest has been put off a lot', () => {
+      expect(getReviewSuggestions(quest({ deferCount: 3 }), NOW).map((s: { type: string }) => s.type))
+        .toEqual(['shrink', 'delegate', 'drop']);
+      expect(getReviewSuggestions(quest({ deferCount: 5 }), NOW)[0]!.type).toBe('drop');
+      expect(getReviewSuggestions(quest({ deferCount: 3, createdAt: '2026-08-01T09:00:00.000Z' }), NOW)[0]!.type)
+        .toBe('drop');
+    });
+
+    it('should leave out kept quests until they are put off again', () => {
+      const kept = keepTask(quest({ deferCount: 3 }), NOW);
+      expect(getWeeklyReview([kept], NOW).items).toEqual([]);
+
+      const putOffAgain = { ...kept, deferCount: 6 };
+      expect(getWeeklyReview([putOffAgain], NOW).items).toHaveLength(1);
+    });
+
+    it('should come round once a week', () => {
+      expect(isReviewDue(loadLastReview(), NOW)).toBe(true);
+
+      markReviewed(NOW);
+      expect(isReviewDue(loadLastReview(), new Date(2026, 9, 25))).toBe(false);
+      expect(isReviewDue(loadLastReview(), new Date(2026, 9, 26))).toBe(true);
+    });
+  });
+});
@@ -16,6 +16,8 @@ import streakTracker, {
   getLongestStreak,
   hasActivityToday,
   resetStreak,
+  exportStreakData,
+  restoreStreakData,
 } from '../../../src/utils/streakTracker';
 
 describe('StreakTracker', () => {
@@ -400,6 +402,18 @@ describe('StreakTracker', () => {
 
       jest.useRealTimers();
     });
+
+    it('should restore exported data exactly, taking back activity recorded since', () => {
+      const before = exportStreakData();
+      recordActivity();
+      expect(getCurrentStreak()).toBe(1);
+
+      restoreStreakData(before);
+
+      expect(getCurrentStreak()).toBe(0);
+      expect(hasActivityToday()).toBe(false);
+      expect(exportStreakData()).toEqual(before);
+    });
   });
 
   describe('localStorage Persistence', () => {
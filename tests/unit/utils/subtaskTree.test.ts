@@ -0,0 +1,150 @@
+/**
+ * Subtask Tree Unit Tests
+ *
+ * Covers nested step lookup, progress roll-up from leaf steps,
+ * breaking steps down and removing branches.
+ */
+
+import {
+  getLeafSteps,
+  getLeafProgress,
+  findSubtask,
+  getSubtaskPath,
+  updateSubtask,
+  removeSubtask,
+  addChildSteps,
+  flattenSubtasks,
+  resetSubtaskTree,
+} from '../../../src/utils/subtaskTree';
+
+const makeTree = () => [
+  { id: 'a', text: 'Stand up', completed: true, order: 0 },
+  {
+    id: 'b',
+    text: 'Clean the kitchen',
+    completed: false,
+    order: 1,
+    children: [
+      { id: 'b1', text: 'Clear the counter', completed: true, order: 0 },
+      {
+        id: 'b2',
+        text: 'Do the dishes',
+        completed: false,
+        order: 1,
+        children: [
+          { id: 'b2a', text: 'Fill the sink', completed: false, order: 0 },
+          { id: 'b2b', text: 'Wash one plate', completed: false, order: 1 },
+        ],
+      },
+    ],
+  },
+  { id: 'c', text: 'Sit down', completed: false, order: 2 },
+];
+
+type Step = { id: string; text: string; completed: boolean };
+
+const ids = (steps: { id: string }[]) => steps.map(st => st.id);
+
+describe('Subtask Tree', () => {
+  describe('leaf steps', () => {
+    it('should list leaf steps in display order', () => {
+      expect(ids(getLeafSteps(makeTree()))).toEqual(['a', 'b1', 'b2a', 'b2b', 'c']);
+    });
+
+    it('should roll progress up from the leaves', () => {
+      expect(getLeafProgress(makeTree())).toEqual({ completed: 2, total: 5, percent: 40 });
+      expect(getLeafProgress([])).toEqual({ completed: 0, total: 0, percent: 0 });
+    });
+  });
+
+  describe('lookup', () => {
+    it('should find deeply nested steps', () => {
+      expect(findSubtask(makeTree(), 'b2b')?.text).toBe('Wash one plate');
+      expect(findSubtask(makeTree(), 'missing')).toBeNull();
+    });
+
+    it('should return the path down to a step', () => {
+      expect(ids(getSubtaskPath(makeTree(), 'b2a'))).toEqual(['b', 'b2', 'b2a']);
+      expect(getSubtaskPath(makeTree(), 'missing')).toEqual([]);
+    });
+  });
+
+  describe('updateSubtask', () => {
+    it('should complete parents once all children are done', () => {
+      let tree = updateSubtask(makeTree(), 'b2a', (st: Step) => ({ ...st, completed: true }));
+      expect(findSubtask(tree, 'b2')?.completed).toBe(false);
+
+      tree = updateSubtask(tree, 'b2b', (st: Step) => ({ ...st, completed: true }));
+      expect(findSubtask(tree, 'b2')?.completed).toBe(true);
+      expect(findSubtask(tree, 'b')?.completed).toBe(true);
+    });
+
+    it('should not mutate the original tree', () => {
+      const tree = makeTree();
+      updateSubtask(tree, 'b2a', (st: Step) => ({ ...st, text: 'Changed' }));
+      expect(findSubtask(tree, 'b2a')?.text).toBe('Fill the sink');
+    });
+  });
+
+  describe('removeSubtask', () => {
+    it('should remove a branch and reorder its siblings', () => {
+      const { subtasks, removed } = removeSubtask(makeTree(), 'b');
+
+      expect((removed as Step | null)?.id).toBe('b');
+      expect(ids(subtasks)).toEqual(['a', 'c']);
+      expect(subtasks[1]?.order).toBe(1);
+    });
+
+    it('should turn a parent back into a leaf when its last child is removed', () => {
+      let { subtasks } = removeSubtask(makeTree(), 'b2a');
+      ({ subtasks } = removeSubtask(subtasks, 'b2b'));
+
+      const dishes = findSubtask(subtasks, 'b2');
+      expect(dishes).not.toHaveProperty('children');
+      expect(dishes?.completed).toBe(false);
+    });
+  });
+
+  describe('addChildSteps', () => {
+    it('should break a step down into children', () => {
+      let counter = 0;
+      const generateId = () => `new-${++counter}`;
+      const tree = addChildSteps(makeTree(), 'c', ['Find a chair', 'Lower yourself'], generateId);
+
+      const sitDown = findSubtask(tree, 'c');
+      expect(sitDown?.children?.map((st: { text: string }) => st.text)).toEqual([
+        'Find a chair',
+        'Lower yourself',
+      ]);
+      expect(sitDown?.completed).toBe(false);
+      expect(getLeafProgress(tree).total).toBe(6);
+    });
+  });
+
+  describe('flattenSubtasks', () => {
+    it('should number nested steps with their depth', () => {
+      const rows = flattenSubtasks(makeTree());
+
+      expect(rows.map((row: { number: string }) => row.number)).toEqual([
+        '1',
+        '2',
+        '2.1',
+        '2.2',
+        '2.2.1',
+        '2.2.2',
+        '3',
+      ]);
+      expect(rows[4]?.depth).toBe(2);
+      expect(rows[4]?.parentId).toBe('b2');
+    });
+  });
+
+  describe('resetSubtaskTree', () => {
+    it('should copy the tree with fresh ids and nothing completed', () => {
+      const tree = resetSubtaskTree(makeTree(), () => 'fresh');
+
+      expect(getLeafProgress(tree)).toEqual({ completed: 0, total: 5, percent: 0 });
+      expect(getLeafSteps(tree).every((st: { id: string }) => st.id === 'fresh')).toBe(true);
+    });
+  });
+});
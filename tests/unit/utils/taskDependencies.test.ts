@@ -0,0 +1,199 @@
+/**
+ * Task Dependencies Unit Tests
+ *
+ * Covers blocked state, cycle rejection, pruning after completion,
+ * moving steps between tasks and the cloud row format.
+ */
+
+import {
+  getBlockers,
+  isBlocked,
+  addDependency,
+  removeDependency,
+  pruneDependencies,
+  wouldCreateCycle,
+  hasDependencyCycle,
+  retargetDependencies,
+  getDependencyOptions,
+  toDependencyRows,
+  fromDependencyRows,
+} from '../../../src/utils/taskDependencies';
+
+type Ref = { taskId: string; subtaskId?: string | null };
+
+const makeTasks = () => [
+  {
+    id: 'laundry',
+    title: 'Do laundry',
+    subtasks: [
+      { id: 'wash', text: 'Start the washer', completed: false, order: 0 },
+      { id: 'fold', text: 'Fold shirts', completed: false, order: 1 },
+    ],
+  },
+  {
+    id: 'pack',
+    title: 'Pack for trip',
+    subtasks: [{ id: 'bag', text: 'Get the bag out', completed: false, order: 0 }],
+  },
+  {
+    id: 'leave',
+    title: 'Leave for the airport',
+    subtasks: [{ id: 'door', text: 'Lock the door', completed: false, order: 0 }],
+  },
+];
+
+const link = (tasks: unknown[], dependent: Ref, blocker: Ref) => {
+  const result = addDependency(tasks, dependent, blocker);
+  expect(result.error).toBeNull();
+  return result.tasks;
+};
+
+describe('Task Dependencies', () => {
+  describe('blocked state', () => {
+    it('should block a task until its blocker is done', () => {
+      const tasks = link(makeTasks(), { taskId: 'pack' }, { taskId: 'laundry' });
+
+      expect(isBlocked(tasks, { taskId: 'pack' })).toBe(true);
+      expect(getBlockers(tasks, { taskId: 'pack' })).toEqual([
+        { taskId: 'laundry', subtaskId: null, label: 'Do laundry' },
+      ]);
+      expect(isBlocked(tasks, { taskId: 'laundry' })).toBe(false);
+    });
+
+    it('should unblock once every step of the blocker is done', () => {
+      const tasks = link(makeTasks(), { taskId: 'pack' }, { taskId: 'laundry' });
+      const done = tasks.map((task: { id: string; subtasks: { completed: boolean }[] }) =>
+        task.id === 'laundry'
+          ? { ...task, subtasks: task.subtasks.map(st => ({ ...st, completed: true })) }
+          : task
+      );
+
+      expect(isBlocked(done, { taskId: 'pack' })).toBe(false);
+    });
+
+    it('should let a step wait on a step in another task', () => {
+      const tasks = link(
+        makeTasks(),
+        { taskId: 'pack', subtaskId: 'bag' },
+        { taskId: 'laundry', subtaskId: 'fold' }
+      );
+
+      expect(getBlockers(tasks, { taskId: 'pack', subtaskId: 'bag' })[0]?.label).toBe(
+        'Do laundry → Fold shirts'
+      );
+      expect(isBlocked(tasks, { taskId: 'pack' })).toBe(false);
+    });
+
+    it('should stop waiting on an archived task', () => {
+      const tasks = link(makeTasks(), { taskId: 'pack' }, { taskId: 'laundry' });
+      const archived = tasks.map((task: { id: string }) =>
+        task.id === 'laundry' ? { ...task, status: 'archived' } : task
+      );
+
+      expect(isBlocked(archived, { taskId: 'pack' })).toBe(false);
+      expect(getDependencyOptions(archived, { taskId: 'pack' }).map((option: Ref) => option.taskId)).not.toContain('laundry');
+    });
+  });
+
+  describe('addDependency', () => {
+    it('should reject direct cycles', () => {
+      const tasks = link(makeTasks(), { taskId: 'pack' }, { taskId: 'laundry' });
+      const result = addDependency(tasks, { taskId: 'laundry' }, { taskId: 'pack' });
+
+      expect(result.error).toMatch(/loop/);
+      expect(result.tasks).toBe(tasks);
+    });
+
+    it('should reject cycles that run through steps', () => {
+      // leave → pack, and pack's step waits on leave's step: leave can never finish
+      let tasks = link(makeTasks(), { taskId: 'leave' }, { taskId: 'pack' });
+      expect(
+        wouldCreateCycle(tasks, { taskId: 'pack', subtaskId: 'bag' }, { taskId: 'leave', subtaskId: 'door' })
+      ).toBe(true);
+
+      // ...but waiting on a step that doesn't wait back is fine
+      tasks = link(tasks, { taskId: 'pack', subtaskId: 'bag' }, { taskId: 'laundry', subtaskId: 'wash' });
+      expect(isBlocked(tasks, { taskId: 'pack', subtaskId: 'bag' })).toBe(true);
+    });
+
+    it('should reject self links and duplicates', () => {
+      const tasks = link(makeTasks(), { taskId: 'pack' }, { taskId: 'laundry' });
+
+      expect(addDependency(tasks, { taskId: 'pack' }, { taskId: 'pack', subtaskId: 'bag' }).error).not.toBeNull();
+      expect(addDependency(tasks, { taskId: 'pack' }, { taskId: 'laundry' }).error).not.toBeNull();
+    });
+  });
+
+  describe('removeDependency and pruneDependencies', () => {
+    it('should remove a dependency', () => {
+      let tasks = link(makeTasks(), { taskId: 'pack' }, { taskId: 'laundry' });
+      tasks = removeDependency(tasks, { taskId: 'pack' }, { taskId: 'laundry' });
+
+      expect(isBlocked(tasks, { taskId: 'pack' })).toBe(false);
+    });
+
+    it('should drop dependencies on tasks that are gone', () => {
+      let tasks = link(makeTasks(), { taskId: 'pack' }, { taskId: 'laundry' });
+      tasks = link(tasks, { taskId: 'leave', subtaskId: 'door' }, { taskId: 'laundry', subtaskId: 'fold' });
+
+      const pruned = pruneDependencies(
+        tasks.filter((task: { id: string }) => task.id !== 'laundry')
+      );
+
+      expect(pruned[0].blockedBy).toEqual([]);
+      expect(pruned[1].subtasks[0].blockedBy).toEqual([]);
+    });
+
+    it('should keep untouched tasks as-is', () => {
+      const tasks = makeTasks();
+      const pruned = pruneDependencies(tasks);
+      expect(pruned[0]).toBe(tasks[0]);
+    });
+  });
+
+  describe('moving steps between tasks', () => {
+    it('should point dependencies at the step\'s new task', () => {
+      const tasks = link(makeTasks(), { taskId: 'leave', subtaskId: 'door' }, { taskId: 'laundry', subtaskId: 'fold' });
+      const retargeted = retargetDependencies(tasks, 'laundry', 'pack', ['fold']);
+
+      expect(retargeted[2].subtasks[0].blockedBy).toEqual([{ taskId: 'pack', subtaskId: 'fold' }]);
+      expect(retargeted[0]).toBe(tasks[0]);
+    });
+
+    it('should spot tasks that wait on each other', () => {
+      const tasks = link(makeTasks(), { taskId: 'pack' }, { taskId: 'laundry' });
+      expect(hasDependencyCycle(tasks)).toBe(false);
+
+      // The packing waits on the laundry, so the laundry can't wait on the packing
+      tasks[0].subtasks[0].blockedBy = [{ taskId: 'pack', subtaskId: 'bag' }];
+      expect(hasDependencyCycle(tasks)).toBe(true);
+    });
+  });
+
+  describe('helpers', () => {
+    it('should offer every other task and step as an option', () => {
+      const options = getDependencyOptions(makeTasks(), { taskId: 'pack' });
+      expect(options.map((o: { label: string }) => o.label)).toEqual([
+        'Do laundry',
+        'Start the washer',
+        'Fold shirts',
+        'Leave for the airport',
+        'Lock the door',
+      ]);
+    });
+
+    it('should round-trip the cloud row format', () => {
+      const blockedBy = [
+        { taskId: 'laundry', subtaskId: null },
+        { taskId: 'pack', subtaskId: 'bag' },
+      ];
+
+      expect(toDependencyRows(blockedBy)).toEqual([
+        { task_id: 'laundry', subtask_id: null },
+        { task_id: 'pack', subtask_id: 'bag' },
+      ]);
+      expect(fromDependencyRows(toDependencyRows(blockedBy))).toEqual(blockedBy);
+      expect(fromDependencyRows(null)).toEqual([]);
+    });
+  });
+});
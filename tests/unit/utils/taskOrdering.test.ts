@@ -0,0 +1,143 @@
+/**
+ * Task Ordering Unit Tests
+ *
+ * Covers reordering tasks, moving steps within and between quests,
+ * and restoring the saved order after a sync.
+ */
+
+import { sortByPosition, moveTask, getSiblings, moveSubtask } from '../../../src/utils/taskOrdering';
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+
+const step = (id: string, completed = false, extra = {}) => ({ id, text: id, completed, ...extra });
+
+const makeTasks = () => [
+  {
+    id: 'laundry',
+    title: 'Do laundry',
+    status: 'in_progress',
+    subtasks: [
+      step('sort', true, { order: 0 }),
+      step('wash', false, { order: 1, children: [step('load', false, { order: 0 }), step('start', false, { order: 1 })] }),
+      step('fold', false, { order: 2 }),
+    ],
+  },
+  {
+    id: 'pack',
+    title: 'Pack for trip',
+    status: 'pending',
+    subtasks: [step('bag', false, { order: 0 })],
+  },
+  {
+    id: 'leave',
+    title: 'Leave for the airport',
+    status: 'pending',
+    subtasks: [],
+  },
+];
+
+const ids = (items: { id: string }[]) => items.map(item => item.id);
+
+describe('Task Ordering', () => {
+  describe('moveTask', () => {
+    it('should move a task before another and number every position', () => {
+      const moved = moveTask(makeTasks(), 'leave', 'laundry', NOW);
+
+      expect(ids(moved)).toEqual(['leave', 'laundry', 'pack']);
+      expect(moved.map((task: { position: number }) => task.position)).toEqual([0, 1, 2]);
+      expect(moved[0].updated_at).toBe(NOW.toISOString());
+    });
+
+    it('should move a task to the end and keep tasks that stayed put', () => {
+      const tasks = moveTask(makeTasks(), 'leave', 'laundry', NOW);
+      const moved = moveTask(tasks, 'laundry', null, NOW);
+
+      expect(ids(moved)).toEqual(['leave', 'pack', 'laundry']);
+      expect(moved[0]).toBe(tasks[0]);
+    });
+
+    it('should leave the list alone when nothing moves', () => {
+      const tasks = makeTasks();
+      expect(moveTask(tasks, 'pack', 'leave', NOW)).toBe(tasks);
+      expect(moveTask(tasks, 'missing', null, NOW)).toBe(tasks);
+    });
+  });
+
+  describe('sortByPosition', () => {
+    it('should restore the saved order with unplaced tasks on top', () => {
+      const sorted = sortByPosition([
+        { id: 'b', position: 1 },
+        { id: 'new' },
+        { id: 'a', position: 0 },
+      ]);
+
+      expect(ids(sorted)).toEqual(['new', 'a', 'b']);
+    });
+  });
+
+  describe('moveSubtask', () => {
+    it('should reorder steps and renumber them', () => {
+      const result = moveSubtask(makeTasks(), { taskId: 'laundry', subtaskId: 'fold' }, { taskId: 'laundry', parentId: null, index: 0 }, NOW);
+      const steps = result.tasks[0].subtasks;
+
+      expect(ids(steps)).toEqual(['fold', 'sort', 'wash']);
+      expect(steps.map((st: { order: number }) => st.order)).toEqual([0, 1, 2]);
+    });
+
+    it('should count the target index from before the move', () => {
+      const result = moveSubtask(makeTasks(), { taskId: 'laundry', subtaskId: 'sort' }, { taskId: 'laundry', parentId: null, index: 2 }, NOW);
+
+      expect(ids(result.tasks[0].subtasks)).toEqual(['wash', 'sort', 'fold']);
+    });
+
+    it('should move a step between child steps', () => {
+      const result = moveSubtask(makeTasks(), { taskId: 'laundry', subtaskId: 'fold' }, { taskId: 'laundry', parentId: 'wash', index: 1 }, NOW);
+
+      expect(ids(getSiblings(result.tasks[0].subtasks, 'wash'))).toEqual(['load', 'fold', 'start']);
+    });
+
+    it('should move a step with its children to another quest and update both statuses', () => {
+      const result = moveSubtask(makeTasks(), { taskId: 'laundry', subtaskId: 'sort' }, { taskId: 'leave', parentId: null, index: 0 }, NOW);
+      const [laundry, , leave] = result.tasks;
+
+      expect(ids(laundry.subtasks)).toEqual(['wash', 'fold']);
+      expect(ids(leave.subtasks)).toEqual(['sort']);
+      expect(laundry.status).toBe('pending');
+      expect(leave.status).toBe('in_progress');
+      expect(leave.updated_at).toBe(NOW.toISOString());
+    });
+
+    it('should carry dependencies on the step over to its new quest', () => {
+      const tasks = makeTasks();
+      tasks[1]!.subtasks[0] = step('bag', false, { order: 0, blockedBy: [{ taskId: 'laundry', subtaskId: 'fold' }] });
+
+      const result = moveSubtask(tasks, { taskId: 'laundry', subtaskId: 'fold' }, { taskId: 'leave', parentId: null, index: 0 }, NOW);
+
+      expect(result.tasks[1].subtasks[0].blockedBy).toEqual([{ taskId: 'leave', subtaskId: 'fold' }]);
+    });
+
+    it('should refuse moves that make a quest wait on itself', () => {
+      const tasks = makeTasks();
+      tasks[1]!.subtasks[0] = step('bag', false, { order: 0, blockedBy: [{ taskId: 'laundry', subtaskId: 'fold' }] });
+
+      const result = moveSubtask(tasks, { taskId: 'laundry', subtaskId: 'fold' }, { taskId: 'pack', parentId: null, index: 0 }, NOW);
+
+      expect(result.error).toMatch(/loop/);
+      expect(result.tasks).toBeUndefined();
+    });
+
+    it('should refuse to move a step inside itself or under a single step', () => {
+      const tasks = makeTasks();
+
+      expect(moveSubtask(tasks, { taskId: 'laundry', subtaskId: 'wash' }, { taskId: 'laundry', parentId: 'load', index: 0 }, NOW).error).toBeTruthy();
+      expect(moveSubtask(tasks, { taskId: 'laundry', subtaskId: 'fold' }, { taskId: 'laundry', parentId: 'sort', index: 0 }, NOW).error).toBeTruthy();
+    });
+
+    it('should leave the tasks alone when a step is dropped where it already is', () => {
+      const tasks = makeTasks();
+      const result = moveSubtask(tasks, { taskId: 'laundry', subtaskId: 'wash' }, { taskId: 'laundry', parentId: null, index: 2 }, NOW);
+
+      expect(result.tasks).toBe(tasks);
+    });
+  });
+});
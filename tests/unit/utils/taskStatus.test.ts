@@ -0,0 +1,101 @@
+/**
+ * Task Status Unit Tests
+ *
+ * Covers status transitions, history, archiving and restoring.
+ */
+
+import {
+  initialStatus,
+  getTaskStatus,
+  isActiveTask,
+  isOverdue,
+  changeTaskStatus,
+  syncProgressStatus,
+  restoreTask,
+  describeStatusChange,
+} from '../../../src/utils/taskStatus';
+
+const created = new Date('2026-10-19T09:00:00.000Z');
+const later = new Date('2026-10-19T10:00:00.000Z');
+
+const makeTask = (completed: boolean[] = [false, false]) => ({
+  id: 'laundry',
+  title: 'Do laundry',
+  subtasks: completed.map((done, index) => ({ id: `s${index}`, text: `Step ${index}`, completed: done })),
+  ...initialStatus(created),
+});
+
+describe('Task Status', () => {
+  it('should start new tasks as pending with one history entry', () => {
+    expect(initialStatus(created)).toEqual({
+      status: 'pending',
+      statusHistory: [{ from: null, to: 'pending', at: '2026-10-19T09:00:00.000Z' }],
+    });
+  });
+
+  it('should give tasks saved before statuses existed one from their steps', () => {
+    expect(getTaskStatus({ subtasks: [{ completed: true }, { completed: false }] })).toBe('in_progress');
+    expect(getTaskStatus({ subtasks: [] })).toBe('pending');
+  });
+
+  describe('changeTaskStatus', () => {
+    it('should record the change', () => {
+      const { task } = changeTaskStatus(makeTask(), 'archived', { now: later });
+
+      expect(task.status).toBe('archived');
+      expect(task.archivedAt).toBe('2026-10-19T10:00:00.000Z');
+      expect(task.statusHistory).toHaveLength(2);
+      expect(task.statusHistory[1]).toEqual({ from: 'pending', to: 'archived', at: '2026-10-19T10:00:00.000Z' });
+      expect(isActiveTask(task)).toBe(false);
+    });
+
+    it('should leave the task alone when the status is unchanged', () => {
+      const task = makeTask();
+      expect(changeTaskStatus(task, 'pending').task).toBe(task);
+    });
+
+    it('should refuse to move a completed quest', () => {
+      const { task } = changeTaskStatus(makeTask(), 'completed', { now: later });
+      const result = changeTaskStatus(task, 'archived');
+
+      expect(result.task).toBeUndefined();
+      expect(result.error).toMatch(/completed/);
+    });
+  });
+
+  describe('syncProgressStatus', () => {
+    it('should follow the steps between pending and in progress', () => {
+      const started = syncProgressStatus(makeTask([true, false]), later);
+      expect(started.status).toBe('in_progress');
+
+      const undone = syncProgressStatus({ ...started, subtasks: makeTask().subtasks }, later);
+      expect(undone.status).toBe('pending');
+      expect(undone.statusHistory.map((change: { to: string }) => change.to)).toEqual(['pending', 'in_progress', 'pending']);
+    });
+
+    it('should not touch archived tasks', () => {
+      const { task } = changeTaskStatus(makeTask([true, false]), 'archived', { now: later });
+      expect(syncProgressStatus(task, later)).toBe(task);
+    });
+  });
+
+  describe('restoreTask', () => {
+    it('should put an archived task back where its steps left it', () => {
+      const { task: archived } = changeTaskStatus(makeTask([true, false]), 'archived', { now: later });
+      const { task } = restoreTask(archived, later);
+
+      expect(task.status).toBe('in_progress');
+      expect(task.archivedAt).toBeNull();
+      expect(describeStatusChange(task.statusHistory[task.statusHistory.length - 1])).toBe('ARCHIVED → IN PROGRESS (restored)');
+    });
+  });
+
+  describe('isOverdue', () => {
+    it('should compare the due date, and the time when there is one', () => {
+      expect(isOverdue({ dueDate: null }, later)).toBe(false);
+      expect(isOverdue({ dueDate: '2026-10-18' }, later)).toBe(true);
+      expect(isOverdue({ dueDate: '2026-10-20' }, later)).toBe(false);
+      expect(isOverdue({ dueDate: '2026-10-19', dueTime: '23:59' }, later)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Time Estimates Unit Tests
+ *
+ * Covers formatting, remaining time, recording speedrun step times and the
+ * time-blindness report.
+ */
+
+import {
+  formatMinutes,
+  getRemainingEstimate,
+  recordStepTime,
+  buildTimeBlindnessReport,
+  describeRatio,
+} from '../../../src/utils/timeEstimates';
+
+const minutes = (n: number) => n * 60000;
+
+const makeQuest = (id: string, tags: string[], completedAt: string, steps: [number, number][]) => ({
+  id,
+  title: `Quest ${id}`,
+  tags,
+  completedAt,
+  subtasks: steps.map(([estimatedMinutes], index) => ({
+    id: `${id}-${index}`,
+    text: `Step ${index + 1}`,
+    completed: true,
+    order: index,
+    estimatedMinutes,
+  })),
+  timeData: {
+    totalTime: 0,
+    subtaskTimes: Object.fromEntries(steps.map(([, actual], index) => [`${id}-${index}`, minutes(actual)])),
+  },
+});
+
+describe('Time Estimates', () => {
+  describe('formatMinutes', () => {
+    it('should format seconds, minutes and hours', () => {
+      expect(formatMinutes(0.5)).toBe('30s');
+      expect(formatMinutes(4)).toBe('4m');
+      expect(formatMinutes(95)).toBe('1h 35m');
+      expect(formatMinutes(120)).toBe('2h');
+      expect(formatMinutes(null)).toBe('');
+    });
+  });
+
+  describe('getRemainingEstimate', () => {
+    it('should add up open leaf steps only', () => {
+      const subtasks = [
+        { id: 'a', text: 'A', completed: true, order: 0, estimatedMinutes: 5 },
+        {
+          id: 'b',
+          text: 'B',
+          completed: false,
+          order: 1,
+          children: [
+            { id: 'b1', text: 'B1', completed: false, order: 0, estimatedMinutes: 2 },
+            { id: 'b2', text: 'B2', completed: false, order: 1, estimatedMinutes: 1.5 },
+          ],
+        },
+      ];
+
+      expect(getRemainingEstimate(subtasks)).toBe(3.5);
+      expect(getRemainingEstimate([{ id: 'x', text: 'X', completed: false, order: 0 }])).toBeNull();
+    });
+  });
+
+  describe('recordStepTime', () => {
+    const start = minutes(100);
+    const timer = { taskStartTime: start, subtaskTimes: {}, currentSubtaskStart: null, totalTime: 0 };
+
+    it('should time the first step from when the speedrun timer started', () => {
+      const first = recordStepTime(timer, 'step-1', start + minutes(4));
+
+      expect(first.subtaskTimes).toEqual({ 'step-1': minutes(4) });
+      expect(first.currentSubtaskStart).toBe(start + minutes(4));
+      expect(recordStepTime(first, 'step-2', start + minutes(6)).subtaskTimes)
+        .toEqual({ 'step-1': minutes(4), 'step-2': minutes(2) });
+    });
+
+    it('should start the timer with the first step when it wasn\'t running', () => {
+      const idle = { ...timer, taskStartTime: null };
+      const first = recordStepTime(idle, 'step-1', start);
+
+      expect(first.taskStartTime).toBe(start);
+      expect(first.subtaskTimes).toEqual({});
+    });
+  });
+
+  describe('buildTimeBlindnessReport', () => {
+    const quests = [
+      makeQuest('home', ['home'], '2026-10-01T09:00:00', [[1, 2], [2, 4]]),
+      makeQuest('work', ['work'], '2026-10-02T15:00:00', [[10, 5]]),
+      { id: 'untimed', title: 'Untimed', tags: ['home'], completedAt: '2026-10-03T09:00:00', subtasks: [] },
+    ];
+
+    it('should compare estimates with actual times overall', () => {
+      const { overall } = buildTimeBlindnessReport(quests);
+
+      expect(overall.steps).toBe(3);
+      expect(overall.estimatedMinutes).toBe(13);
+      expect(overall.actualMinutes).toBe(11);
+    });
+
+    it('should break the comparison down by tag, time of day and size', () => {
+      const report = buildTimeBlindnessReport(quests);
+
+      expect(report.byTag.map((group: { id: string; ratio: number | null }) => [group.id, group.ratio])).toEqual([
+        ['home', 2],
+        ['work', 0.5],
+      ]);
+      expect(report.byTimeOfDay.map((group: { id: string }) => group.id)).toEqual(['morning', 'afternoon']);
+      expect(report.bySize.map((group: { id: string; steps: number }) => [group.id, group.steps])).toEqual([
+        ['small', 3],
+      ]);
+    });
+
+    it('should be empty without timed steps', () => {
+      expect(buildTimeBlindnessReport([]).overall.ratio).toBeNull();
+    });
+  });
+
+  describe('describeRatio', () => {
+    it('should describe over- and underestimates', () => {
+      expect(describeRatio(2)).toBe('takes 2.0× longer');
+      expect(describeRatio(0.5)).toBe('quicker: 50% of the estimate');
+      expect(describeRatio(1)).toBe('about right');
+    });
+  });
+});
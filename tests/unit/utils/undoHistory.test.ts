@@ -0,0 +1,184 @@
+/**
+ * Undo History Unit Tests
+ *
+ * Covers recording task and timer changes, undoing and redoing them
+ * without disturbing later changes, and taking back XP.
+ */
+
+import {
+  UNDO_LIMIT,
+  createHistory,
+  diffTasks,
+  applyTaskChanges,
+  diffTimers,
+  applyTimerChanges,
+  isEmptyCommand,
+  pushCommand,
+  undoCommand,
+  redoCommand,
+  updateTaskChanges,
+  dropCommand,
+} from '../../../src/utils/undoHistory';
+import { applyXPChange, createDefaultProfile } from '../../../src/utils/xpSystem';
+import { moveTask } from '../../../src/utils/taskOrdering';
+import cloudSyncService from '../../../src/services/cloudSyncService';
+
+// Merging tasks doesn't talk to the cloud
+jest.mock('../../../src/config/supabase', () => ({ supabase: {}, TABLES: {}, isSupabaseConfigured: () => false }));
+
+interface Task {
+  id: string;
+  title: string;
+}
+
+interface History {
+  past: { id: string }[];
+  future: { id: string }[];
+}
+
+const task = (id: string, title = id): Task => ({ id, title });
+
+const makeCommand = (id: string, extra = {}) => ({
+  id,
+  label: id,
+  taskChanges: [],
+  timerChanges: [],
+  xpDelta: 0,
+  stepsDelta: 0,
+  completedQuest: null,
+  ...extra,
+});
+
+const ids = (tasks: Task[]) => tasks.map(t => t.id);
+
+describe('Undo History', () => {
+  describe('diffTasks', () => {
+    it('should record added, removed and replaced tasks only', () => {
+      const a = task('a');
+      const b = task('b');
+      const c = task('c');
+      const changes = diffTasks([a, b, c], [task('new'), a, { ...b, title: 'B' }]);
+
+      expect(changes.map((change: { id: string }) => change.id)).toEqual(['b', 'c', 'new']);
+      expect(changes[1]).toMatchObject({ before: c, beforeIndex: 2, after: null, afterIndex: -1 });
+      expect(changes[2]).toMatchObject({ before: null, after: { id: 'new' }, afterIndex: 0 });
+    });
+  });
+
+  describe('applyTaskChanges', () => {
+    it('should put removed tasks back where they were', () => {
+      const before = [task('a'), task('b'), task('c')];
+      const after = before.filter(t => t.id !== 'b');
+      const changes = diffTasks(before, after);
+
+      expect(ids(applyTaskChanges(after, changes, 'undo'))).toEqual(['a', 'b', 'c']);
+      expect(ids(applyTaskChanges(before, changes, 'redo'))).toEqual(['a', 'c']);
+    });
+
+    it('should leave tasks changed since the command alone', () => {
+      const a = task('a');
+      const before = [a, task('b')];
+      const edited = [a, { ...before[1]!, title: 'Edited' }];
+      const changes = diffTasks(before, edited);
+
+      // Another quest was created after the edit
+      const now = [task('new'), ...edited];
+      const undone = applyTaskChanges(now, changes, 'undo');
+
+      expect(ids(undone)).toEqual(['new', 'a', 'b']);
+      expect(undone[2]!.title).toBe('b');
+    });
+
+    it('should keep an undone move when it is merged with the moved cloud copy', () => {
+      const synced = '2026-10-19T09:00:00.000Z';
+      const before = [
+        { ...task('a'), position: 0, updated_at: synced },
+        { ...task('b'), position: 1, updated_at: synced },
+      ];
+      const moved = moveTask(before, 'b', 'a', new Date('2026-10-19T10:00:00.000Z'));
+      const changes = diffTasks(before, moved);
+
+      // The move already reached the cloud
+      const undone = applyTaskChanges(moved, changes, 'undo', new Date('2026-10-19T11:00:00.000Z'));
+      const merged = cloudSyncService.mergeTasks(undone, moved);
+
+      expect(merged.find((t: { id: string }) => t.id === 'b').position).toBe(1);
+      expect(merged.find((t: { id: string }) => t.id === 'a').position).toBe(0);
+    });
+  });
+
+  describe('timers', () => {
+    it('should undo and redo started and stopped timers', () => {
+      const running = { taskStartTime: 1 };
+      const changes = diffTimers({ old: running }, { fresh: running });
+
+      expect(changes).toHaveLength(2);
+      expect(applyTimerChanges({ fresh: running }, changes, 'undo')).toEqual({ old: running });
+      expect(applyTimerChanges({ old: running }, changes, 'redo')).toEqual({ fresh: running });
+    });
+  });
+
+  describe('history', () => {
+    it('should treat a command that changed nothing as empty', () => {
+      expect(isEmptyCommand(makeCommand('noop'))).toBe(true);
+      expect(isEmptyCommand(makeCommand('xp', { xpDelta: 10 }))).toBe(false);
+    });
+
+    it('should undo and redo in order and forget redos after a new command', () => {
+      let history: History = pushCommand(pushCommand(createHistory(), makeCommand('one')), makeCommand('two'));
+
+      const undone = undoCommand(history)!;
+      expect(undone.command.id).toBe('two');
+      history = undone.history;
+
+      const redone = redoCommand(history)!;
+      expect(redone.command.id).toBe('two');
+
+      history = pushCommand(history, makeCommand('three'));
+      expect(redoCommand(history)).toBeNull();
+      expect(history.past.map((command: { id: string }) => command.id)).toEqual(['one', 'three']);
+    });
+
+    it('should keep only the most recent commands', () => {
+      let history: History = createHistory();
+      for (let i = 0; i < UNDO_LIMIT + 5; i++) {
+        history = pushCommand(history, makeCommand(`c${i}`));
+      }
+
+      expect(history.past).toHaveLength(UNDO_LIMIT);
+      expect(history.past[0]!.id).toBe('c5');
+    });
+
+    it('should update every change to a task and drop commands', () => {
+      const change = { id: 'quest', before: null, beforeIndex: -1, after: task('quest'), afterIndex: 0 };
+      let history = pushCommand(createHistory(), makeCommand('create', { taskChanges: [change] }));
+
+      history = updateTaskChanges(history, 'quest', (recorded: typeof change) => ({
+        ...recorded,
+        after: task('quest', 'With steps'),
+      }));
+      expect(history.past[0]!.taskChanges[0].after.title).toBe('With steps');
+
+      expect(dropCommand(history, 'create').past).toEqual([]);
+    });
+  });
+
+  describe('applyXPChange', () => {
+    it('should take back XP and steps and recompute the level', () => {
+      const profile = applyXPChange(createDefaultProfile(), 500, 50);
+      expect(profile.level).toBeGreaterThan(1);
+
+      const undone = applyXPChange(profile, -500, -50);
+      expect(undone.totalXP).toBe(0);
+      expect(undone.level).toBe(1);
+      expect(undone.subtasksCompleted).toBe(0);
+    });
+
+    it('should never go below zero', () => {
+      const profile = applyXPChange(createDefaultProfile(), -30, -3);
+
+      expect(profile.totalXP).toBe(0);
+      expect(profile.subtasksCompleted).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * XP Ledger Unit Tests
+ *
+ * Covers opening a ledger for XP earned before it existed, adding it up,
+ * joining ledgers from two devices, and finding and repairing totals that
+ * don't match the steps they came from.
+ */
+
+import {
+  appendToLedger,
+  loadLedger,
+  getLedgerTotal,
+  getLedgerPrestige,
+  describeStepAward,
+  describeAward,
+  describeStepXP,
+  describeXPChanges,
+  openLedger,
+  ensureLedger,
+  mergeLedgers,
+  checkLedger,
+  repairLedger,
+  summarizeLedger,
+} from '../../../src/utils/xpLedger';
+import { DEFAULT_LEVEL_CURVE } from '../../../src/utils/xpSystem';
+
+const NOW = new Date(2026, 9, 19, 12, 0);
+const LATER = new Date(2026, 9, 19, 13, 0);
+
+const step = (id: string, extra = {}) => ({ id, text: `Step ${id}`, completed: false, ...extra });
+
+const quest = (extra = {}) => ({
+  id: 'q1',
+  title: 'Call the bank',
+  subtasks: [step('s1', { completed: true, xp: 27 }), step('s2', { completed: true, xp: 12 }), step('s3')],
+  ...extra,
+});
+
+describe('XP Ledger', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('openLedger', () => {
+    it('should carry over each step, each streak bonus and the rest of the profile total', () => {
+      const completed = [quest({ id: 'q2', streakBonus: 25, subtasks: [step('s1', { completed: true })] })];
+      const entries = openLedger({ totalXP: 100 }, [quest()], completed, NOW);
+
+      expect(entries.map((entry: { id: string; xp: number }) => [entry.id, entry.xp])).toEqual([
+        ['opening:q1:s1', 27],
+        ['opening:q1:s2', 12],
+        ['opening:q2:s1', 10],
+        ['opening:q2:bonus', 25],
+        ['opening:balance', 26],
+      ]);
+      expect(getLedgerTotal(entries)).toBe(100);
+    });
+
+    it('should start the saved ledger only once', () => {
+      localStorage.setItem('adhd_quest_profile', JSON.stringify({ totalXP: 39 }));
+      localStorage.setItem('adhd_quest_tasks', JSON.stringify([quest()]));
+
+      expect(ensureLedger(NOW)).toHaveLength(2);
+      appendToLedger([{ source: 'step', xp: 5, taskId: 'q1', subtaskId: 's3' }], LATER);
+      expect(getLedgerTotal(ensureLedger(NOW))).toBe(44);
+    });
+  });
+
+  describe('describing XP', () => {
+    it('should take back what each step earned', () => {
+      expect(describeStepXP('q1', quest().subtasks, 'removed')).toEqual([
+        { source: 'removed', xp: -27, taskId: 'q1', subtaskId: 's1' },
+        { source: 'removed', xp: -12, taskId: 'q1', subtaskId: 's2' },
+      ]);
+    });
+
+    it('should list only the steps whose XP changed', () => {
+      const after = quest({ subtasks: [step('s1', { completed: true, xp: 30 }), step('s2', { completed: true, xp: 12 })] });
+
+      expect(describeXPChanges([quest()], [after], 'recalculate')).toEqual([
+        { source: 'recalculate', xp: 3, taskId: 'q1', subtaskId: 's1' },
+      ]);
+    });
+
+    it('should show how a step award was worked out', () => {
+      const entry = describeStepAward('q1', 's1', {
+        xp: 33,
+        breakdown: { base: 10, priority: 1.2, duration: 1, dread: 1, streak: 1.5, bonus: 15 },
+      });
+
+      expect(entry).toMatchObject({ source: 'step', xp: 33, baseXP: 10, bonus: 15 });
+      expect(describeAward(entry)).toBe('10 × 1.2 priority × 1.5 streak + 15 first step');
+    });
+
+    it('should never add up to less than zero', () => {
+      expect(getLedgerTotal([{ xp: 10 }, { xp: -25 }])).toBe(0);
+    });
+
+    it('should count the prestige stars since the last reset', () => {
+      const prestige = { source: 'prestige', xp: 0 };
+      expect(getLedgerPrestige([prestige, { source: 'reset', xp: -10 }, prestige, prestige])).toBe(2);
+    });
+  });
+
+  describe('mergeLedgers', () => {
+    it('should keep each entry once, oldest first', () => {
+      const local = appendToLedger([{ source: 'step', xp: 10 }], LATER);
+      const remote = [
+        { id: 'xp-remote', createdAt: NOW.toISOString(), source: 'step', xp: 5 },
+        local[0]!,
+      ];
+      const merged = mergeLedgers(local, remote);
+
+      expect(merged.map((entry: { id: string }) => entry.id)).toEqual(['xp-remote', local[0]!.id]);
+      expect(getLedgerTotal(merged)).toBe(15);
+    });
+
+    it('should settle opening balances two devices wrote differently the same way on both', () => {
+      const phone = openLedger({ totalXP: 300 }, [], [], NOW).map((entry: object) => ({ ...entry, deviceId: 'device-b' }));
+      const laptop = openLedger({ totalXP: 500 }, [], [], LATER).map((entry: object) => ({ ...entry, deviceId: 'device-a' }));
+
+      expect(getLedgerTotal(mergeLedgers(phone, laptop))).toBe(500);
+      expect(mergeLedgers(phone, laptop)).toEqual(mergeLedgers(laptop, phone));
+    });
+  });
+
+  describe('checkLedger and repairLedger', () => {
+    it('should find a step counted twice and a profile that is off', () => {
+      const ledger = [
+        ...openLedger({ totalXP: 39 }, [quest()], [], NOW),
+        { id: 'xp-again', createdAt: LATER.toISOString(), source: 'step', xp: 27, taskId: 'q1', subtaskId: 's1' },
+      ];
+      const { ledgerTotal, issues } = checkLedger(ledger, { totalXP: 39 }, [quest()], []);
+
+      expect(ledgerTotal).toBe(66);
+      expect(issues.map((issue: { type: string; xp: number }) => [issue.type, issue.xp])).toEqual([
+        ['profile', 27],
+        ['step', -27],
+      ]);
+    });
+
+    it('should find a missing streak bonus', () => {
+      const completed = [quest({ streakBonus: 25 })];
+      const ledger = openLedger({ totalXP: 39 }, [], [quest()], NOW);
+      const { issues } = checkLedger(ledger, { totalXP: 39 }, [], completed);
+
+      expect(issues).toHaveLength(1);
+      expect(issues[0]).toMatchObject({ type: 'bonus', taskId: 'q1', xp: 25 });
+    });
+
+    it('should add repair entries and work the profile out again from the ledger', () => {
+      const ledger = [
+        ...openLedger({ totalXP: 39 }, [quest()], [], NOW),
+        { id: 'xp-again', createdAt: LATER.toISOString(), source: 'step', xp: 27, taskId: 'q1', subtaskId: 's1' },
+      ];
+      const { entries, profile } = repairLedger(ledger, { totalXP: 66, level: 1 }, [quest()], [], DEFAULT_LEVEL_CURVE, LATER);
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ source: 'repair', xp: -27, taskId: 'q1', subtaskId: 's1' });
+      expect(profile.totalXP).toBe(39);
+      expect(checkLedger([...ledger, ...entries], profile, [quest()], []).issues).toEqual([]);
+    });
+  });
+
+  describe('summarizeLedger', () => {
+    it('should add up XP by source, most first', () => {
+      appendToLedger([
+        { source: 'step', xp: 27 },
+        { source: 'step', xp: 12 },
+        { source: 'streak-bonus', xp: 25 },
+        { source: 'undo', xp: -12 },
+      ], NOW);
+
+      expect(summarizeLedger(loadLedger())).toEqual([
+        { source: 'step', label: 'Step checked off', count: 2, xp: 39 },
+        { source: 'streak-bonus', label: 'Streak bonus', count: 1, xp: 25 },
+        { source: 'undo', label: 'Undone', count: 1, xp: -12 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * XP Policy Unit Tests
+ *
+ * Covers weighted step XP, the first-step-of-the-day bonus, level curves,
+ * and working out historical XP again under a new policy.
+ */
+
+import {
+  DEFAULT_XP_POLICY,
+  normalizeXPPolicy,
+  getXPPolicy,
+  parseLevelTable,
+  calculateStepXP,
+  getEarnedXP,
+  sumEarnedXP,
+  sumStreakXP,
+  getQuestXP,
+  isFirstStepOfDay,
+  recomputeXP,
+} from '../../../src/utils/xpPolicy';
+import { getXPRequiredForLevel, getLevelFromXP } from '../../../src/utils/xpSystem';
+
+const DAY_ONE = new Date(2026, 9, 19, 10, 0);
+const DAY_TWO = new Date(2026, 9, 20, 10, 0);
+
+const step = (id: string, extra = {}) => ({ id, text: `Step ${id}`, completed: false, ...extra });
+
+describe('XP Policy', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('normalizeXPPolicy', () => {
+    it('should fill in defaults and replace invalid values', () => {
+      const policy = normalizeXPPolicy({
+        baseXP: 0,
+        priorityWeights: { high: 3 },
+        dreadWeights: [1, 'lots'],
+        levelCurve: { type: 'exponential', table: [100, -5, 200] },
+      });
+
+      expect(policy.baseXP).toBe(DEFAULT_XP_POLICY.baseXP);
+      expect(policy.priorityWeights).toEqual({ low: 1, medium: 1.2, high: 3 });
+      expect(policy.dreadWeights).toEqual(DEFAULT_XP_POLICY.dreadWeights);
+      expect(policy.levelCurve).toEqual({ type: 'linear', base: 100, table: [100, 200] });
+    });
+
+    it('should read the policy from the saved settings', () => {
+      localStorage.setItem('adhd_quest_settings', JSON.stringify({ xpPolicy: { firstStepBonus: 40 } }));
+      expect(getXPPolicy().firstStepBonus).toBe(40);
+    });
+  });
+
+  describe('calculateStepXP', () => {
+    it('should weight a step by priority, estimated time and dread', () => {
+      const task = {
+        priority: 'high',
+        dread: 3,
+        estimatedMinutes: 120,
+        subtasks: [step('s1'), step('s2')],
+      };
+      const { xp, breakdown } = calculateStepXP(task, task.subtasks[0]!, DEFAULT_XP_POLICY);
+
+      expect(breakdown).toEqual({ base: 10, priority: 1.5, duration: 1.5, dread: 2, streak: 1, bonus: 0 });
+      expect(xp).toBe(45);
+    });
+
+    it('should add the bonus for the first step of the day', () => {
+      const task = { priority: 'medium', subtasks: [step('s1')] };
+
+      expect(calculateStepXP(task, task.subtasks[0]!, DEFAULT_XP_POLICY).xp).toBe(12);
+      expect(calculateStepXP(task, task.subtasks[0]!, DEFAULT_XP_POLICY, { firstOfDay: true }).xp).toBe(27);
+    });
+
+    it('should multiply the weighted XP, but not the bonus, by the streak multiplier', () => {
+      const task = { priority: 'medium', subtasks: [step('s1')] };
+      const award = calculateStepXP(task, task.subtasks[0]!, DEFAULT_XP_POLICY, { firstOfDay: true, streakMultiplier: 1.5 });
+
+      expect(award.streakXP).toBe(6);
+      expect(award.xp).toBe(33);
+    });
+
+    it('should cap the time weight and never give less than 1 XP', () => {
+      const longTask = { priority: 'low', estimatedMinutes: 600, subtasks: [step('s1')] };
+      expect(calculateStepXP(longTask, longTask.subtasks[0]!, DEFAULT_XP_POLICY).breakdown.duration).toBe(2);
+
+      const stingy = normalizeXPPolicy({ priorityWeights: { low: 0 } });
+      expect(calculateStepXP(longTask, longTask.subtasks[0]!, stingy).xp).toBe(1);
+    });
+  });
+
+  describe('earned XP', () => {
+    it('should use the XP recorded on a step, or the flat amount for older steps', () => {
+      expect(getEarnedXP(step('a', { completed: true, xp: 27 }))).toBe(27);
+      expect(getEarnedXP(step('b', { completed: true }))).toBe(10);
+      expect(getEarnedXP(step('c', { xp: 27 }))).toBe(0);
+
+      const subtasks = [
+        step('a', { completed: true, xp: 27 }),
+        step('b', { children: [step('b1', { completed: true, xp: 5 }), step('b2')] }),
+      ];
+      expect(sumEarnedXP(subtasks)).toBe(32);
+    });
+
+    it('should count a quest\'s streak XP and completion bonus', () => {
+      const quest = {
+        streakBonus: 25,
+        subtasks: [
+          step('a', { completed: true, xp: 15, streakXP: 3 }),
+          step('b', { xp: 15, streakXP: 3 }),
+        ],
+      };
+
+      expect(sumStreakXP(quest.subtasks)).toBe(3);
+      expect(getQuestXP(quest)).toBe(40);
+    });
+
+    it('should tell whether a step was already checked off today', () => {
+      const tasks = [{ subtasks: [step('a', { completed: true, completedAt: DAY_ONE.toISOString() })] }];
+
+      expect(isFirstStepOfDay(tasks, new Date(2026, 9, 19, 18, 0))).toBe(false);
+      expect(isFirstStepOfDay(tasks, DAY_TWO)).toBe(true);
+    });
+  });
+
+  describe('level curves', () => {
+    it('should follow linear, quadratic and custom curves', () => {
+      expect(getXPRequiredForLevel(3)).toBe(300);
+      expect(getXPRequiredForLevel(3, { type: 'quadratic', base: 100, table: [] })).toBe(450);
+
+      const custom = normalizeXPPolicy({ levelCurve: { type: 'custom', table: [50, 80] } }).levelCurve;
+      expect(getXPRequiredForLevel(2, custom)).toBe(50);
+      expect(getXPRequiredForLevel(3, custom)).toBe(80);
+      expect(getXPRequiredForLevel(9, custom)).toBe(80);
+      expect(getLevelFromXP(130, custom).level).toBe(3);
+    });
+
+    it('should parse a typed level table', () => {
+      expect(parseLevelTable('100, 150 250')).toEqual({ table: [100, 150, 250] });
+      expect(parseLevelTable('').error).toBeDefined();
+      expect(parseLevelTable('100, 0').error).toBeDefined();
+    });
+  });
+
+  describe('recomputeXP', () => {
+    it('should re-score every finished step, with one bonus per day', () => {
+      const tasks = [{
+        id: 't1',
+        priority: 'medium',
+        subtasks: [
+          step('s1', { completed: true, completedAt: DAY_ONE.toISOString() }),
+          step('s2', { completed: true, completedAt: new Date(2026, 9, 19, 11, 0).toISOString() }),
+          step('s3'),
+        ],
+      }];
+      const completedQuests = [{
+        id: 'q1',
+        priority: 'medium',
+        completedAt: DAY_TWO.toISOString(),
+        xpEarned: 10,
+        subtasks: [step('s1', { completed: true })],
+      }];
+
+      const result = recomputeXP(tasks, completedQuests, DEFAULT_XP_POLICY);
+
+      expect(result.previousTotal).toBe(30);
+      expect(result.tasks[0]!.subtasks.map((s: { xp?: number }) => s.xp)).toEqual([27, 12, undefined]);
+      expect(result.completedQuests[0]!.xpEarned).toBe(27);
+      expect(result.totalXP).toBe(66);
+    });
+
+    it('should keep the streak multipliers and bonuses that were earned', () => {
+      const completedQuests = [{
+        id: 'q1',
+        priority: 'medium',
+        completedAt: DAY_ONE.toISOString(),
+        streakBonus: 25,
+        xpEarned: 36,
+        subtasks: [step('s1', { completed: true, xp: 11, streakXP: 1, streakMultiplier: 1.1 })],
+      }];
+
+      const result = recomputeXP([], completedQuests, normalizeXPPolicy({ firstStepBonus: 0, baseXP: 20 }));
+
+      expect(result.previousTotal).toBe(36);
+      expect(result.completedQuests[0]).toMatchObject({ streakXP: 2, xpEarned: 51 });
+      expect(result.totalXP).toBe(51);
+    });
+  });
+});